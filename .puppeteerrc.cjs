@@ -0,0 +1,11 @@
+/**
+ * Puppeteer configuration
+ * Keep the downloaded Chromium inside the project so it survives from
+ * build to runtime on Render (used for the PDF notification package)
+ */
+
+const { join } = require('path');
+
+module.exports = {
+    cacheDirectory: join(__dirname, '.cache', 'puppeteer')
+};
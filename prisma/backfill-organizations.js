@@ -0,0 +1,57 @@
+/**
+ * Backfill Organisations
+ * Moves jobs, crew and vessels saved before organisations into their
+ * creator's organisation (a personal one is created for users without one)
+ * Run with: npm run db:backfill-orgs
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const organizations = require('../server/services/organizations');
+const prisma = new PrismaClient();
+
+// Records with a creator but no organisation (vessels without either are shared)
+async function countUnowned() {
+    const where = { organizationId: null };
+    
+    return {
+        jobs: await prisma.job.count({ where }),
+        crewMembers: await prisma.crewMember.count({ where }),
+        vessels: await prisma.vessel.count({ where: { ...where, userId: { not: null } } })
+    };
+}
+
+async function main() {
+    console.log('🌱 Backfilling organisations...');
+    
+    const users = await prisma.user.findMany({
+        where: {
+            OR: [
+                { memberships: { none: {} } },
+                { jobs: { some: { organizationId: null } } },
+                { crewMembers: { some: { organizationId: null } } },
+                { vessels: { some: { organizationId: null } } }
+            ]
+        },
+        include: { settings: true }
+    });
+    
+    const before = await countUnowned();
+    
+    for (const user of users) {
+        const membership = await organizations.resolveMembership(prisma, user);
+        await organizations.adoptRecords(prisma, user.id, membership.organizationId);
+    }
+    
+    const after = await countUnowned();
+    
+    console.log(`✅ Checked ${users.length} user(s): moved ${before.jobs - after.jobs} job(s), ${before.crewMembers - after.crewMembers} crew member(s) and ${before.vessels - after.vessels} vessel(s)`);
+}
+
+main()
+    .catch((e) => {
+        console.error('❌ Backfill error:', e);
+        process.exit(1);
+    })
+    .finally(async () => {
+        await prisma.$disconnect();
+    });
@@ -0,0 +1,33 @@
+/**
+ * Backfill Job Risk Levels
+ * Sets Job.riskLevel for jobs saved before it was stored (used by list filters)
+ * Run with: npm run db:backfill-risk
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getRiskLevel } = require('../server/services/jobQuery');
+const prisma = new PrismaClient();
+
+async function main() {
+    console.log('🌱 Backfilling job risk levels...');
+    
+    const jobs = await prisma.job.findMany({ where: { riskLevel: null } });
+    
+    for (const job of jobs) {
+        await prisma.job.update({
+            where: { id: job.id },
+            data: { riskLevel: getRiskLevel(job) }
+        });
+    }
+    
+    console.log(`✅ Updated ${jobs.length} job(s)`);
+}
+
+main()
+    .catch((e) => {
+        console.error('❌ Backfill error:', e);
+        process.exit(1);
+    })
+    .finally(async () => {
+        await prisma.$disconnect();
+    });
@@ -10,6 +10,7 @@ const App = {
     vesselImage: null,           // Base64 encoded vessel image
     generalArrangement: null,    // Base64 encoded general arrangement drawing
     generatedDocs: null,         // Store generated documents
+    sapSamples: [],              // SAP water samples recorded against the current server job
 
     /**
      * Initialize the application
@@ -24,8 +25,22 @@ const App = {
         // Initialize API service and detect deployment mode
         await this.initApiService();
 
-        // Generate initial job number
+        // Reserve initial job number (retried once sign-in completes) and
+        // offer to move browser-only jobs into the account
         this.generateNewJob();
+        if (typeof AuthState !== 'undefined') {
+            AuthState.onChange(user => {
+                if (!user) return;
+                this.reserveJobNumber();
+                this.offerJobImport();
+            });
+        }
+        
+        // Jobs opened from the dashboard / My Jobs
+        window.addEventListener('loadJob', (e) => this.loadJob(e.detail.id));
+        
+        // Offline outbox: queue job, crew and vessel changes made without a connection
+        await this.initOutbox();
 
         // Set default dates
         this.setDefaultDates();
@@ -43,6 +58,44 @@ const App = {
         this.initFormEnhancements();
     },
     
+    /**
+     * Open the offline outbox and keep the current job, crew register and
+     * vessel list in step with replays
+     */
+    async initOutbox() {
+        if (typeof Outbox === 'undefined') return;
+        
+        JobSync.registerOutboxHandler();
+        Outbox.onChange(() => this.refreshCurrentJob());
+        await Outbox.init();
+        
+        if (typeof RegisterSync !== 'undefined') {
+            RegisterSync.init();
+        }
+        
+        if (typeof SyncStatus !== 'undefined') {
+            SyncStatus.init();
+        }
+    },
+    
+    /**
+     * Pick up the server ID, version and number assigned to the current job
+     * when its queued changes are replayed
+     */
+    refreshCurrentJob() {
+        if (!this.currentJob?.id) return;
+        
+        const cached = StorageService.getJob(this.currentJob.id);
+        if (!cached) return;
+        
+        this.currentJob = { ...this.currentJob, ...cached };
+        
+        const field = document.getElementById('jobNumber');
+        if (cached.jobNumber && !field.value) {
+            field.value = cached.jobNumber;
+        }
+    },
+    
     /**
      * Initialize all form enhancement modules
      */
@@ -323,11 +376,33 @@ const App = {
 
     /**
      * Generate a new job
+     * The job number is reserved from the server; when signed out or offline
+     * it is left blank and assigned when the job is first saved to the server.
+     */
+    async generateNewJob() {
+        const field = document.getElementById('jobNumber');
+        field.value = '';
+        field.placeholder = 'Assigned when saved';
+        this.currentJob = { jobNumber: null };
+        
+        await this.reserveJobNumber();
+    },
+    
+    /**
+     * Reserve a job number for the current (unnumbered) job
      */
-    generateNewJob() {
-        const jobNumber = JobNumberService.generate();
-        document.getElementById('jobNumber').value = jobNumber;
-        this.currentJob = { jobNumber };
+    async reserveJobNumber() {
+        const field = document.getElementById('jobNumber');
+        if (field.value) return;
+        
+        const jurisdiction = typeof JurisdictionConfig !== 'undefined' ? JurisdictionConfig.getId() : null;
+        const jobNumber = await JobNumberService.reserve(jurisdiction);
+        
+        // Don't overwrite a number typed or loaded while the request was in flight
+        if (jobNumber && !field.value) {
+            field.value = jobNumber;
+            this.currentJob = { ...this.currentJob, jobNumber };
+        }
     },
 
     /**
@@ -353,7 +428,10 @@ const App = {
         // Form inputs that affect calculations
         const calcInputs = [
             'afcType', 'foulingRating', 'foulingCover', 'biofoulingOrigin',
-            'afcCondition', 'noProhibitedBiocides', 'scopeHull', 'scopeNicheAreas', 'scopePropeller'
+            'afcCondition', 'noProhibitedBiocides', 'scopeHull', 'scopeNicheAreas', 'scopePropeller',
+            'maxDepth', 'bottomTime', 'decoProfile', 'gasType', 'nitroxO2', 'ppO2Limit',
+            'diveSupervisor', 'diveSupervisorADAS', 'diver1', 'diver1ADAS', 'diver2', 'diver2ADAS',
+            'diveTender', 'diveTenderADAS', 'onSiteMedic', 'chamberTravel', 'siteType'
         ];
         calcInputs.forEach(id => {
             const el = document.getElementById(id);
@@ -362,6 +440,11 @@ const App = {
             }
         });
 
+        // Crew register: ADAS numbers entered against a name (queued while offline)
+        JobMapping.CREW_SLOTS.forEach(slot => {
+            document.getElementById(slot.certField)?.addEventListener('change', () => this.saveCrewToRegister(slot));
+        });
+
         // Cleaning location toggle
         document.getElementById('cleaningLocation').addEventListener('change', (e) => {
             const otherGroup = document.getElementById('otherLocationGroup');
@@ -399,10 +482,20 @@ const App = {
         document.getElementById('btnNewJob').addEventListener('click', () => this.newJob());
         document.getElementById('btnLoadJob').addEventListener('click', () => this.showSavedJobs());
         document.getElementById('btnSaveJob').addEventListener('click', () => this.saveJob());
+        document.getElementById('btnSubmitJob').addEventListener('click', () => this.submitForApproval());
+        document.getElementById('btnReviewComments').addEventListener('click', () => this.openReviewComments());
+        document.getElementById('btnPreCleanInspection').addEventListener('click', () => this.openPreCleanInspection());
+        document.getElementById('btnPostCleanReport').addEventListener('click', () => this.openPostCleanReport());
+        document.getElementById('btnDiveLog').addEventListener('click', () => this.openDiveLog());
+        document.getElementById('btnWasteTracking').addEventListener('click', () => this.openWasteTracking());
+        document.getElementById('btnSapSampling').addEventListener('click', () => this.openSapSampling());
+        document.getElementById('btnImsIncident').addEventListener('click', () => this.openImsIncidents());
         document.getElementById('btnGenerateEmail').addEventListener('click', () => this.generateEmail());
+        document.getElementById('btnShareLinks').addEventListener('click', () => this.openShareLinks());
         document.getElementById('btnGenerateWMS').addEventListener('click', () => this.generateWMS());
         document.getElementById('btnPrint').addEventListener('click', () => window.print());
         document.getElementById('btnGenerateAll').addEventListener('click', () => this.generateAllDocuments());
+        document.getElementById('btnGeneratePDF').addEventListener('click', () => this.generatePdfPackage());
 
         // Tab switching
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -413,6 +506,8 @@ const App = {
         document.getElementById('closeEmailModal').addEventListener('click', () => this.closeModal('emailModal'));
         document.getElementById('btnCloseEmailModal').addEventListener('click', () => this.closeModal('emailModal'));
         document.getElementById('closeSavedJobsModal').addEventListener('click', () => this.closeModal('savedJobsModal'));
+        document.getElementById('closeComplianceModal').addEventListener('click', () => this.closeModal('complianceModal'));
+        document.getElementById('btnCloseComplianceModal').addEventListener('click', () => this.closeModal('complianceModal'));
 
         // Copy email
         document.getElementById('btnCopyEmailModal').addEventListener('click', () => this.copyEmail());
@@ -741,8 +836,36 @@ const App = {
         document.getElementById('grossTonnage').value = vessel.grossTonnage || '';
         document.getElementById('vesselFlag').value = vessel.vesselFlag || '';
 
-        // Save to local vessel database
+        // Save to local vessel database and the organisation's vessel list
         StorageService.saveVessel(vessel);
+        this.saveVesselToRegister();
+    },
+
+    /**
+     * Save the vessel on the form to the organisation's vessel list
+     * (queued while offline)
+     */
+    saveVesselToRegister() {
+        if (typeof RegisterSync === 'undefined' || !JobSync.isSignedIn()) return;
+
+        RegisterSync.save('vessel', JobMapping.toVessel(this.getFormData()))
+            .catch(error => console.warn('Could not update the vessel list:', error));
+    },
+
+    /**
+     * Save the ADAS number entered for a crew slot to the crew register
+     * (queued while offline)
+     * @param {Object} slot - JobMapping.CREW_SLOTS entry
+     */
+    saveCrewToRegister(slot) {
+        if (typeof RegisterSync === 'undefined' || !JobSync.isSignedIn()) return;
+
+        const name = document.getElementById(slot.field).value.trim();
+        const adasCertNumber = document.getElementById(slot.certField).value.trim();
+        if (!name || !adasCertNumber) return;
+
+        RegisterSync.save('crew', { name, adasCertNumber })
+            .catch(error => console.warn('Could not update the crew register:', error));
     },
 
     /**
@@ -969,11 +1092,68 @@ const App = {
         riskText.textContent = determination.riskLevel.charAt(0).toUpperCase() + determination.riskLevel.slice(1);
         riskCard.className = `requirement-card risk-${determination.riskLevel}`;
 
+        // Update Nitrox card and fields (MOD, and EAD for the air tables)
+        const gasPlan = ScenarioLogic.determineGas(data);
+        const modCard = document.getElementById('modCard');
+        modCard.style.display = gasPlan.isNitrox ? '' : 'none';
+        document.querySelectorAll('.nitrox-field').forEach(el => {
+            el.style.display = gasPlan.isNitrox ? '' : 'none';
+        });
+        if (gasPlan.isNitrox) {
+            document.getElementById('modText').textContent = `${gasPlan.mod} m${gasPlan.ead !== null ? ` / ${gasPlan.ead} m` : ''}`;
+            modCard.title = `${gasPlan.mix} at ppO2 ${gasPlan.ppO2Limit} bar`;
+            modCard.className = `requirement-card ${gasPlan.exceedsMod ? 'limit-exceeded' : 'limit-ok'}`;
+        }
+
+        // Update no-decompression limit card (table from the jurisdiction)
+        const table = typeof JurisdictionConfig !== 'undefined'
+            ? JurisdictionConfig.getValue('features.decompressionTable', DecompressionTables.DEFAULT_TABLE)
+            : DecompressionTables.DEFAULT_TABLE;
+        const decompression = DecompressionTables.validate({ ...data, equivalentAirDepth: gasPlan.ead }, table);
+        const ndlCard = document.getElementById('ndlCard');
+        document.getElementById('ndlText').textContent = decompression.summary;
+        ndlCard.title = decompression.limit ? `${decompression.limit.tableName} (${decompression.limit.tableDepth} ${decompression.limit.unit} row)` : '';
+        ndlCard.className = `requirement-card ${decompression.applicable ? (decompression.requiresStops ? 'limit-exceeded' : 'limit-ok') : ''}`;
+
         // Update warning messages
         const warningContainer = document.getElementById('warningMessages');
-        warningContainer.innerHTML = determination.warnings.map(w => 
+        warningContainer.innerHTML = [...determination.warnings, ...gasPlan.warnings, ...decompression.warnings].map(w => 
             `<div class="warning-message">⚠️ ${w}</div>`
         ).join('');
+
+        // Update dive team composition issues
+        const team = this.checkDiveTeam(data);
+        document.getElementById('diveTeamIssues').replaceChildren(...team.issues.map(issue => {
+            // Messages include typed names, so set them as text
+            const el = document.createElement('div');
+            el.className = `warning-message${issue.blocking ? '' : ' dive-team-advisory'}`;
+            el.textContent = `${issue.blocking ? '⛔' : '⚠️'} ${issue.message}`;
+            return el;
+        }));
+    },
+
+    /**
+     * Check the dive team against the jurisdiction's team composition rules
+     */
+    checkDiveTeam(data) {
+        const ruleSet = typeof JurisdictionConfig !== 'undefined'
+            ? JurisdictionConfig.getValue('features.diveTeamRules', DiveTeamRules.DEFAULT_RULE_SET)
+            : DiveTeamRules.DEFAULT_RULE_SET;
+        return DiveTeamRules.validate(data, ruleSet);
+    },
+
+    /**
+     * Stop document generation while the dive team has blocking issues
+     * @returns {boolean} - True when the SWMS can be generated
+     */
+    validateDiveTeam(formData) {
+        const team = this.checkDiveTeam(formData);
+        if (!team.blocking) return true;
+
+        const blocking = team.issues.filter(issue => issue.blocking);
+        alert(`The dive team does not meet ${team.ruleSetName} for this job. Fix the following before generating the SWMS:\n\n${blocking.map(issue => `- ${issue.message}`).join('\n')}`);
+        document.getElementById('diveTeamIssues').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return false;
     },
 
     /**
@@ -1031,6 +1211,8 @@ const App = {
             bottomTime: document.getElementById('bottomTime').value,
             decoProfile: document.getElementById('decoProfile').value,
             gasType: document.getElementById('gasType').value,
+            nitroxO2: document.getElementById('nitroxO2').value,
+            ppO2Limit: document.getElementById('ppO2Limit').value,
             
             // Equipment
             equipDivePanel: document.getElementById('equipDivePanel').checked,
@@ -1058,6 +1240,7 @@ const App = {
             simopsPhone: document.getElementById('simopsPhone').value,
             emergencyAssembly: document.getElementById('emergencyAssembly').value,
             onSiteMedic: document.getElementById('onSiteMedic').value,
+            chamberTravel: document.getElementById('chamberTravel').value,
             
             // Site-Specific
             siteType: document.getElementById('siteType').value,
@@ -1089,464 +1272,31 @@ const App = {
      * Prepare template data with calculated fields
      */
     prepareTemplateData(formData) {
-        const determination = ScenarioLogic.determine(formData);
-        const checklist = ScenarioLogic.getChecklist(formData, determination);
-
-        // Build scope areas text - use custom scope if provided
-        let scopeAreasText;
-        let hasCustomScope = false;
-        
-        if (formData.customScopeOfWork) {
-            scopeAreasText = formData.customScopeOfWork;
-            hasCustomScope = true;
-        } else {
-            const scopeAreas = [];
-            if (formData.scopeHull) scopeAreas.push('hull plating and underwater surfaces');
-            if (formData.scopeNicheAreas) scopeAreas.push('niche areas');
-            if (formData.scopePropeller) scopeAreas.push('propeller');
-            scopeAreasText = scopeAreas.join(', ') || 'hull plating and underwater surfaces';
-        }
-
-        // Get additional hazards based on selected activities
-        const additionalHazards = this.getAdditionalHazards(formData);
-        const additionalActivities = this.getAdditionalActivitiesList(formData);
-
-        // Determine cleaning type text
-        let cleaningTypeText = 'full in-water hull clean with capture';
-        if (!determination.captureRequired) {
-            cleaningTypeText = 'in-water hull grooming';
-        }
-
-        // AFC type text
-        const afcTypeText = formData.afcType === 'biocidal' ? 'Biocidal' : 
-                           formData.afcType === 'non-biocidal' ? 'Non-biocidal' : 'Unknown';
-
-        // Get jurisdiction config for template data
-        const jurisdiction = typeof JurisdictionConfig !== 'undefined' ? JurisdictionConfig.get() : null;
-        
-        // Operating profile compliance text - use jurisdiction-specific text if available
-        let operatingProfileCompliance = '';
-        if (jurisdiction && jurisdiction.complianceText) {
-            if (formData.biofoulingOrigin === 'regional') {
-                operatingProfileCompliance = jurisdiction.complianceText.regionalBiofouling || 
-                    "The vessel's operational history is confined to regional waters.";
-            } else if (formData.biofoulingOrigin === 'domestic') {
-                operatingProfileCompliance = jurisdiction.complianceText.domesticBiofouling || 
-                    "The vessel's operational history is largely confined to domestic waters.";
-            } else {
-                operatingProfileCompliance = jurisdiction.complianceText.internationalBiofouling || 
-                    "The vessel has operated in international waters, requiring full biosecurity assessment.";
-            }
-        } else {
-            // Fallback for when jurisdiction system is not loaded
-            if (formData.biofoulingOrigin === 'regional') {
-                operatingProfileCompliance = "The vessel's operational history is confined to regional waters, supporting alignment with WA state practices regarding biosecurity risk and AFC cleanliness assessments.";
-            } else if (formData.biofoulingOrigin === 'domestic') {
-                operatingProfileCompliance = "While the vessel's operational history is largely confined to domestic waters, visits to other states require elevated biosecurity controls as outlined in this WMS.";
-            } else {
-                operatingProfileCompliance = "The vessel has operated in international waters, requiring full biosecurity assessment and elevated controls as outlined in this WMS.";
+        return TemplateData.build({ ...formData, sapSamples: this.sapSamples }, {
+            jurisdiction: typeof JurisdictionConfig !== 'undefined' ? JurisdictionConfig.get() : null,
+            images: {
+                companyLogo: this.companyLogo,
+                vesselImage: this.vesselImage,
+                generalArrangement: this.generalArrangement
             }
-        }
-
-        // Get month and year for document headers
-        const proposedDate = formData.proposedStartDate ? new Date(formData.proposedStartDate) : new Date();
-        const months = ['January', 'February', 'March', 'April', 'May', 'June', 
-                       'July', 'August', 'September', 'October', 'November', 'December'];
-
-        return {
-            ...formData,
-            ...determination,
-            scopeAreasText,
-            hasCustomScope,
-            cleaningTypeText,
-            afcTypeText,
-            cleaningScenario: determination.scenario,
-            foulingTypeText: ScenarioLogic.getFoulingTypeText(parseInt(formData.foulingRating) || 0),
-            sapDocument: ScenarioLogic.getSapDocument(formData.vesselLOA),
-            checklistItems: checklist,
-            operatingProfileCompliance,
-            afsCertValid: !!formData.afcProductName,
-            afcWithinServiceLife: formData.afcCondition === 'sound',
-            currentYear: new Date().getFullYear(),
-            
-            // Images
-            companyLogo: this.companyLogo,
-            vesselImage: this.vesselImage,
-            generalArrangement: this.generalArrangement,
-            
-            // Date formatting for headers
-            proposedMonth: months[proposedDate.getMonth()],
-            proposedYear: proposedDate.getFullYear(),
-            
-            // Format dates for display
-            proposedStartDate: this.formatDateDisplay(formData.proposedStartDate),
-            afcApplicationDate: this.formatDateDisplay(formData.afcApplicationDate),
-            revisionDate: this.formatDateDisplay(formData.revisionDate),
-            
-            // Additional activities and hazards
-            additionalHazards,
-            additionalActivities,
-            hasAdditionalActivities: additionalActivities.length > 0,
-
-            // Personnel data for SWMS
-            personnel: this.buildPersonnelList(formData),
-            hasPersonnel: !!(formData.diveSupervisor || formData.diver1 || formData.diver2),
-            
-            // Dive parameters
-            maxDepth: formData.maxDepth || '12',
-            bottomTime: formData.bottomTime || 'Unlimited',
-            decoProfile: formData.decoProfile || 'No Deco',
-            gasType: formData.gasType || 'Air',
-            
-            // Equipment selections for SWMS
-            equipment: this.buildEquipmentList(formData),
-            
-            // Client & Site contacts
-            clientContact: formData.clientContact,
-            clientPhone: formData.clientPhone,
-            simopsContact: formData.simopsContact,
-            simopsPhone: formData.simopsPhone,
-            emergencyAssembly: formData.emergencyAssembly,
-            onSiteMedic: formData.onSiteMedic === 'yes',
-            
-            // Site-specific data
-            siteType: formData.siteType,
-            siteTypeName: this.getSiteTypeName(formData.siteType),
-            isDefenceSite: formData.siteType === 'defence' || formData.siteType === 'anzac' || formData.siteType === 'navy',
-            isFPASite: formData.siteType === 'fpa',
-            requiresPTW: formData.requiresPTW,
-            requiresIsolation: formData.requiresIsolation,
-            requiresSiteInduction: formData.requiresSiteInduction,
-            requiresSecurityClearance: formData.requiresSecurityClearance,
-
-            // Jurisdiction data for templates
-            jurisdiction: jurisdiction,
-            jurisdictionId: jurisdiction?.id || 'AU-WA',
-            jurisdictionName: jurisdiction?.shortName || 'Western Australia',
-            jurisdictionFlag: jurisdiction?.flag || '🇦🇺',
-            
-            // Regulatory bodies (for easy access in templates)
-            primaryRegulator: jurisdiction?.regulatoryBodies?.primary?.name || 'DPIRD',
-            primaryRegulatorFull: jurisdiction?.regulatoryBodies?.primary?.fullName || 'Department of Primary Industries and Regional Development',
-            portAuthority: jurisdiction?.regulatoryBodies?.port?.name || 'FPA',
-            portAuthorityFull: jurisdiction?.regulatoryBodies?.port?.fullName || 'Fremantle Port Authority',
-            
-            // Emergency contacts
-            imsHotline: jurisdiction?.emergencyContacts?.imsHotline?.phone || '(08) 9368 3657',
-            imsHotlineName: jurisdiction?.emergencyContacts?.imsHotline?.name || 'DPIRD Marine Pest Hotline',
-            divingEmergencyPhone: jurisdiction?.emergencyContacts?.divingEmergency?.phone || '1800 088 200',
-            divingEmergencyName: jurisdiction?.emergencyContacts?.divingEmergency?.name || 'Diving Emergency Service (DES)',
-            portEmergencyPhone: jurisdiction?.emergencyContacts?.portEmergency?.phone || jurisdiction?.regulatoryBodies?.port?.emergencyPhone || '(08) 9430 3555',
-            
-            // Compliance text snippets
-            regulatoryAlignmentText: jurisdiction?.complianceText?.regulatoryAlignment || '',
-            highRiskNoteText: jurisdiction?.complianceText?.highRiskNote || '',
-            imsProtocolText: jurisdiction?.complianceText?.imsProtocol || '',
-            
-            // Features
-            preCleanInspectionHours: jurisdiction?.features?.preCleanInspectionHours || 48,
-            postCleanReportDays: jurisdiction?.features?.postCleanReportDays || 20
-        };
-    },
-
-    /**
-     * Get list of additional activities selected
-     */
-    getAdditionalActivitiesList(formData) {
-        const activities = [];
-        if (formData.activityConfinedSpace) activities.push('Confined Space Entry');
-        if (formData.activityHotWork) activities.push('Hot Work');
-        if (formData.activityWorkingAtHeights) activities.push('Working at Heights');
-        if (formData.activityCraneOps) activities.push('Crane/Lifting Operations');
-        if (formData.activityHazmat) activities.push('Hazardous Materials Handling');
-        if (formData.activityNightWork) activities.push('Night Work Operations');
-        if (formData.activityUnderwaterInspection) activities.push('Underwater Inspection/Survey');
-        if (formData.activityPropPolishing) activities.push('Propeller Polishing');
-        return activities;
-    },
-
-    /**
-     * Get additional hazards based on selected activities
-     */
-    getAdditionalHazards(formData) {
-        const hazards = [];
-
-        if (formData.activityConfinedSpace) {
-            hazards.push({
-                step: 'Confined Space Entry',
-                hazard: 'Oxygen deficiency / toxic atmosphere',
-                riskClass: 'risk-extreme',
-                riskRating: 'EXTREME',
-                controls: 'Atmospheric testing before entry, continuous monitoring, ventilation, rescue team on standby, confined space entry permit',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-            hazards.push({
-                step: 'Confined Space Entry',
-                hazard: 'Entrapment / difficult egress',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Entry/exit plan, rescue equipment readily available, communication maintained, trained personnel only',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-        }
-
-        if (formData.activityHotWork) {
-            hazards.push({
-                step: 'Hot Work',
-                hazard: 'Fire / explosion',
-                riskClass: 'risk-extreme',
-                riskRating: 'EXTREME',
-                controls: 'Hot work permit, fire watch, extinguisher on standby, combustibles cleared 11m radius, gas-free certification if near tanks',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-            hazards.push({
-                step: 'Hot Work',
-                hazard: 'Burns / UV exposure',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Welding PPE (helmet, gloves, apron), screens to protect others, appropriate clothing',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-            hazards.push({
-                step: 'Hot Work',
-                hazard: 'Fume inhalation',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Adequate ventilation, respiratory protection if required, fume extraction where possible',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-        }
-
-        if (formData.activityWorkingAtHeights) {
-            hazards.push({
-                step: 'Working at Heights',
-                hazard: 'Fall from height',
-                riskClass: 'risk-extreme',
-                riskRating: 'EXTREME',
-                controls: 'Fall arrest systems, guardrails, safety nets where applicable, 100% tie-off when exposed, pre-use harness inspection',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-            hazards.push({
-                step: 'Working at Heights',
-                hazard: 'Dropped objects',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Tool lanyards, barricade areas below, hard hat zones, housekeeping',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-        }
-
-        if (formData.activityCraneOps) {
-            hazards.push({
-                step: 'Crane/Lifting Operations',
-                hazard: 'Struck by falling load',
-                riskClass: 'risk-extreme',
-                riskRating: 'EXTREME',
-                controls: 'Certified crane operator, dogman/rigger, exclusion zones, lift plan for critical lifts, pre-lift inspection',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-            hazards.push({
-                step: 'Crane/Lifting Operations',
-                hazard: 'Crushing between load and structure',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Never stand under suspended loads, tag lines for load control, clear communication signals',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-        }
-
-        if (formData.activityHazmat) {
-            hazards.push({
-                step: 'Hazardous Materials Handling',
-                hazard: 'Chemical exposure / burns',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'SDS reviewed, appropriate PPE (gloves, goggles, suit), spill kit available, proper storage, trained personnel',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-            hazards.push({
-                step: 'Hazardous Materials Handling',
-                hazard: 'Environmental contamination',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Secondary containment, spill response procedures, proper disposal methods, environmental monitoring',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-        }
-
-        if (formData.activityNightWork) {
-            hazards.push({
-                step: 'Night Work Operations',
-                hazard: 'Poor visibility / inadequate lighting',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Adequate task lighting, head torches for divers, reflective vests, well-lit access routes',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-            hazards.push({
-                step: 'Night Work Operations',
-                hazard: 'Fatigue / reduced alertness',
-                riskClass: 'risk-medium',
-                riskRating: 'MEDIUM',
-                controls: 'Fatigue management plan, adequate rest periods, buddy system, shift rotation, caffeine availability',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-        }
-
-        if (formData.activityUnderwaterInspection) {
-            hazards.push({
-                step: 'Underwater Inspection',
-                hazard: 'Reduced visibility / disorientation',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Adequate underwater lighting, lifeline/umbilical, surface monitoring, abort dive if visibility unsafe',
-                residualClass: 'risk-medium',
-                residualRating: 'MEDIUM'
-            });
-            hazards.push({
-                step: 'Underwater Inspection',
-                hazard: 'Contact with vessel machinery/hazards',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Vessel systems isolated and locked out, clear communication with vessel crew, dive plan briefing',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-        }
-
-        if (formData.activityPropPolishing) {
-            hazards.push({
-                step: 'Propeller Polishing',
-                hazard: 'Rotating tool injury',
-                riskClass: 'risk-high',
-                riskRating: 'HIGH',
-                controls: 'Training in powered tool use, two-hand operation, guards in place, emergency stop accessible',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-            hazards.push({
-                step: 'Propeller Polishing',
-                hazard: 'Propeller movement during work',
-                riskClass: 'risk-extreme',
-                riskRating: 'EXTREME',
-                controls: 'Propulsion system locked out/tagged out, bridge confirmation, shaft brake engaged if available',
-                residualClass: 'risk-low',
-                residualRating: 'LOW'
-            });
-        }
-
-        return hazards;
+        });
     },
 
     /**
      * Format date for display
      */
     formatDateDisplay(dateString) {
-        if (!dateString) return '';
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-AU', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric'
-        });
+        return TemplateData.formatDateDisplay(dateString);
     },
 
     /**
-     * Build personnel list for SWMS
+     * Escape text for insertion into HTML (jobs are shared within the organisation)
      */
-    buildPersonnelList(formData) {
-        const personnel = [];
-        
-        if (formData.diveSupervisor) {
-            personnel.push({
-                name: formData.diveSupervisor,
-                position: 'Dive Supervisor',
-                company: 'Franmarine',
-                adasCert: formData.diveSupervisorADAS || ''
-            });
-        }
-        
-        if (formData.diver1) {
-            personnel.push({
-                name: formData.diver1,
-                position: 'Diver 1',
-                company: 'Franmarine',
-                adasCert: formData.diver1ADAS || ''
-            });
-        }
-        
-        if (formData.diver2) {
-            personnel.push({
-                name: formData.diver2,
-                position: 'Diver 2',
-                company: 'Franmarine',
-                adasCert: formData.diver2ADAS || ''
-            });
-        }
-        
-        if (formData.diveTender) {
-            personnel.push({
-                name: formData.diveTender,
-                position: 'Dive Tender',
-                company: 'Franmarine',
-                adasCert: formData.diveTenderADAS || ''
-            });
-        }
-        
-        return personnel;
-    },
-
-    /**
-     * Build equipment list for SWMS
-     */
-    buildEquipmentList(formData) {
-        return {
-            divePanel: formData.equipDivePanel,
-            umbilicals: formData.equipUmbilicals,
-            diveHats: formData.equipDiveHats,
-            comms: formData.equipComms,
-            bailout: formData.equipBailout,
-            recovery: formData.equipRecovery,
-            compressor: formData.equipCompressor,
-            firstAid: formData.equipFirstAid,
-            oxyviva: formData.equipOxyviva,
-            stretcher: formData.equipStretcher,
-            diveFlag: formData.equipDiveFlag,
-            hpWasher: formData.equipHPWasher,
-            bigBoy: formData.equipBigBoy,
-            rov: formData.equipROV,
-            brushCart: formData.equipBrushCart,
-            filterUnit: formData.equipFilterUnit,
-            other: formData.otherEquipment
-        };
-    },
-
-    /**
-     * Get site type display name
-     */
-    getSiteTypeName(siteType) {
-        const names = {
-            'standard': 'Standard Commercial Port',
-            'defence': 'Defence / Babcock (FBW/FBE/AMC)',
-            'anzac': 'ANZAC Class Frigates',
-            'fpa': 'Fremantle Ports Authority',
-            'dpworld': 'DP World / Svitzer',
-            'navy': 'Navy Primes'
-        };
-        return names[siteType] || 'Standard Commercial Port';
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     },
 
     /**
@@ -1636,6 +1386,7 @@ const App = {
         const formData = this.getFormData();
         
         if (!this.validateBasicFields(formData)) return;
+        if (!this.validateDiveTeam(formData)) return;
 
         const templateData = this.prepareTemplateData(formData);
         const html = await Templates.render('swms', templateData);
@@ -1651,6 +1402,7 @@ const App = {
         const formData = this.getFormData();
         
         if (!this.validateBasicFields(formData)) return;
+        if (!this.validateDiveTeam(formData)) return;
 
         const templateData = this.prepareTemplateData(formData);
         
@@ -1679,6 +1431,50 @@ const App = {
         alert('All documents generated! Use the tabs to switch between them.');
     },
 
+    /**
+     * Build the merged PDF notification package (cover, contents, WMS, SWMS,
+     * ERP, WHSMP and supporting images) on the server and download it
+     */
+    async generatePdfPackage() {
+        const formData = this.getFormData();
+        
+        if (!this.validateBasicFields(formData)) return;
+        if (!this.validateDiveTeam(formData)) return;
+        
+        if (typeof AuthState === 'undefined' || !AuthState.isAuthenticated()) {
+            alert('Please sign in to export the PDF package. Use "Print / Save PDF" to print a single document.');
+            return;
+        }
+        
+        const button = document.getElementById('btnGeneratePDF');
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Building PDF...';
+        
+        try {
+            const jurisdiction = typeof JurisdictionConfig !== 'undefined' ? JurisdictionConfig.getId() : null;
+            const pdf = await API.documents.package({ ...formData, sapSamples: this.sapSamples }, jurisdiction, {
+                companyLogo: this.companyLogo,
+                vesselImage: this.vesselImage,
+                generalArrangement: this.generalArrangement
+            });
+            
+            const url = URL.createObjectURL(pdf);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${formData.jobNumber || 'IWC'}-Notification-Package.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(`Could not build the PDF package: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.textContent = label;
+        }
+    },
+
     /**
      * Validate basic required fields
      */
@@ -1759,6 +1555,7 @@ const App = {
         if (confirm('Start a new job? Any unsaved changes will be lost.')) {
             document.getElementById('jobForm').reset();
             this.generateNewJob();
+            this.renderWorkStop(null);
             this.setDefaultDates();
             this.updateCalculations();
             
@@ -1767,8 +1564,9 @@ const App = {
             this.clearImage('vesselImage', 'vesselImagePreview', 'btnClearVesselImage');
             this.clearImage('generalArrangement', 'generalArrangementPreview', 'btnClearGeneralArrangement');
             
-            // Clear generated docs
+            // Clear generated docs and job records
             this.generatedDocs = null;
+            this.sapSamples = [];
             
             document.getElementById('outputContent').innerHTML = `
                 <div class="placeholder-message">
@@ -1780,8 +1578,12 @@ const App = {
 
     /**
      * Save current job
+     * Saved to the account when signed in, otherwise (or when offline) to
+     * this browser until it can be synced.
+     * @param {Object} [options]
+     * @param {number} [options.version] - Server version to overwrite after a conflict
      */
-    saveJob() {
+    async saveJob(options = {}) {
         const formData = this.getFormData();
         
         if (!formData.vesselName) {
@@ -1789,22 +1591,315 @@ const App = {
             return;
         }
 
-        const job = {
-            ...formData,
-            id: this.currentJob?.id || null
-        };
+        const jurisdiction = typeof JurisdictionConfig !== 'undefined' ? JurisdictionConfig.getId() : null;
+
+        try {
+            const saved = await JobSync.save(formData, this.currentJob, { jurisdiction, version: options.version });
+            this.currentJob = saved;
+            
+            if (saved.jobNumber) {
+                document.getElementById('jobNumber').value = saved.jobNumber;
+            }
+
+            if (saved.pendingSync && JobSync.isSignedIn()) {
+                alert('You are offline. The job is saved on this device and will sync automatically when the connection returns.');
+            } else if (saved.pendingSync) {
+                alert('Job saved on this device. It will be added to your account next time you save while signed in and online.');
+            } else {
+                alert(`Job ${saved.jobNumber} saved successfully!`);
+            }
+        } catch (error) {
+            if (error.isConflict && error.data?.current) {
+                if (confirm('This job was changed elsewhere since you loaded it. Overwrite it with your version?')) {
+                    await this.saveJob({ version: error.data.currentVersion });
+                }
+                return;
+            }
+            alert(`Could not save the job: ${error.data?.message || error.message}`);
+        }
+    },
 
-        const saved = StorageService.saveJob(job);
-        this.currentJob = saved;
+    /**
+     * Offer a one-time import of jobs saved only in this browser
+     */
+    async offerJobImport() {
+        if (typeof JobSync === 'undefined' || !JobSync.hasPendingImport()) return;
+
+        const count = StorageService.getJobs().filter(job => JobSync.isImportable(job)).length;
+        if (!confirm(`${count} job${count === 1 ? ' is' : 's are'} saved only in this browser. Add ${count === 1 ? 'it' : 'them'} to your account?`)) {
+            JobSync.skipImport();
+            return;
+        }
 
-        alert(`Job ${formData.jobNumber} saved successfully!`);
+        try {
+            const result = await JobSync.importLocalJobs();
+            const lines = [`Imported ${result.imported} job${result.imported === 1 ? '' : 's'}.`];
+            if (result.duplicates) {
+                lines.push(`${result.duplicates} were already in your account.`);
+            }
+            if (result.failed.length) {
+                lines.push(`${result.failed.length} could not be imported and will be offered again next time.`);
+            }
+            alert(lines.join('\n'));
+        } catch (error) {
+            alert(`Could not import jobs: ${error.message}`);
+        }
+    },
+
+    /**
+     * Submit the current job for supervisor approval, saving it to the
+     * account first if it is only in this browser
+     * Crew certifications are checked first; any blockers are listed instead
+     * of submitting.
+     */
+    submitForApproval() {
+        return this.withServerJob('submit the job for approval', async (jobId) => {
+            try {
+                const compliance = await API.jobs.getCompliance(jobId);
+                if (!compliance.compliant) {
+                    this.showComplianceBlockers(compliance.blockers);
+                    return;
+                }
+                
+                if (!confirm(`Submit job ${this.currentJob.jobNumber} for approval?`)) return;
+                
+                await API.jobs.updateStatus(jobId, 'PENDING_APPROVAL');
+                alert(`Job ${this.currentJob.jobNumber} submitted for approval.`);
+            } catch (error) {
+                // Certifications can lapse between the check and the submission;
+                // open review comments are only checked on submission
+                if (error.status === 422 && error.data?.blockers) {
+                    this.showComplianceBlockers(error.data.blockers);
+                } else if (error.status === 422 && error.data?.threads) {
+                    alert(error.data.message);
+                    ReviewScreen.openJob(jobId);
+                } else {
+                    alert(`Could not submit the job: ${error.data?.message || error.message}`);
+                }
+            }
+        });
+    },
+
+    /**
+     * Run a feature that works on the server copy of the current job (submit,
+     * review comments, sharing, inspections, logs), saving the job to the
+     * account first if it is only in this browser
+     * @param {string} action - What the user is doing, for messages (e.g. 'log dives')
+     * @param {Function} open - Called with the job's server ID
+     */
+    async withServerJob(action, open) {
+        if (typeof AuthState === 'undefined' || !AuthState.isAuthenticated()) {
+            alert(`Please sign in to ${action}.`);
+            return;
+        }
+        
+        this.refreshCurrentJob();
+        
+        if (!this.currentJob?.serverId && !await this.saveForSubmission(action)) return;
+        
+        return open(this.currentJob.serverId);
+    },
+
+    /**
+     * Save the form to the account so it can be submitted or opened by a
+     * feature that needs the server copy
+     * @param {string} action - What the save is for, for messages
+     * @returns {Promise<boolean>} - Whether the job is now on the server
+     */
+    async saveForSubmission(action) {
+        const formData = this.getFormData();
+        
+        if (!formData.vesselName) {
+            alert(`Please enter at least a vessel name before you ${action}.`);
+            return false;
+        }
+        
+        const jurisdiction = typeof JurisdictionConfig !== 'undefined' ? JurisdictionConfig.getId() : null;
+        
+        try {
+            this.currentJob = await JobSync.save(formData, this.currentJob, { jurisdiction });
+        } catch (error) {
+            alert(`Could not save the job to your account: ${error.data?.message || error.message}`);
+            return false;
+        }
+        
+        if (this.currentJob.jobNumber) {
+            document.getElementById('jobNumber').value = this.currentJob.jobNumber;
+        }
+        
+        if (!this.currentJob.serverId) {
+            alert(`You are offline. The job is saved on this device; ${action} once it has synced.`);
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * List crew certification blockers in the compliance modal
+     * @param {Array<Object>} blockers - From GET /api/jobs/:id/compliance
+     */
+    showComplianceBlockers(blockers) {
+        document.getElementById('complianceContent').innerHTML = `
+            <p>This job cannot be submitted until these crew certifications are valid for the whole job:</p>
+            <div class="warning-messages">
+                ${blockers.map(blocker => `<div class="warning-message">⚠️ ${this.escapeHtml(blocker.message)} (${this.escapeHtml(blocker.role.replace(/_/g, ' ').toLowerCase())})</div>`).join('')}
+            </div>
+            <p>Update the crew member's records or change the crew assignment, then submit again.</p>
+        `;
+        
+        document.getElementById('complianceModal').classList.add('active');
+    },
+
+    /**
+     * Open the supervisor's review comments on the current job
+     */
+    openReviewComments() {
+        return this.withServerJob('see review comments', (jobId) => ReviewScreen.openJob(jobId));
+    },
+
+    /**
+     * Open the read-only share links for the current job
+     */
+    openShareLinks() {
+        return this.withServerJob('share the job', (jobId) => ShareLinks.open(jobId));
+    },
+
+    /**
+     * Open the pre-clean inspection for the current job
+     */
+    openPreCleanInspection() {
+        return this.withServerJob('record the pre-clean inspection', (jobId) => {
+            PreCleanInspection.open(jobId, {
+                onApplied: (applied) => this.applyInspectionRatings(applied)
+            });
+        });
+    },
+
+    /**
+     * Show the fouling rating and cover a completed pre-clean inspection wrote
+     * to the job, and take the job's new version so the next save does not conflict
+     * @param {Object} applied - { version, foulingRating, foulingCover }
+     */
+    applyInspectionRatings(applied) {
+        const foulingRating = String(applied.foulingRating);
+        const foulingCover = applied.foulingCover === null
+            ? document.getElementById('foulingCover').value
+            : JobMapping.getCoverBand(applied.foulingCover);
+
+        document.getElementById('foulingCover').value = foulingCover;
+        if (typeof FoulingSlider !== 'undefined' && document.getElementById('foulingSlider')) {
+            document.getElementById('foulingSlider').value = applied.foulingRating;
+            FoulingSlider.updateDisplay(applied.foulingRating);
+        } else {
+            document.getElementById('foulingRating').value = foulingRating;
+        }
+
+        this.currentJob = { ...this.currentJob, version: applied.version };
+        const cached = StorageService.getJob(this.currentJob.id);
+        if (cached) {
+            StorageService.saveJob({ ...cached, foulingRating, foulingCover, version: applied.version });
+        }
+
+        this.updateCalculations();
+        FormEnhancements.showNotification(`Fouling assessment updated from the inspection (FR ${foulingRating})`, 'info');
+    },
+
+    /**
+     * Open the post-clean report for the current job
+     */
+    openPostCleanReport() {
+        return this.withServerJob('record the post-clean report', (jobId) => PostCleanReport.open(jobId));
+    },
+
+    /**
+     * Open the dive log for the current job
+     */
+    openDiveLog() {
+        return this.withServerJob('log dives', (jobId) => DiveLog.open(jobId));
+    },
+
+    /**
+     * Open the captured waste records for the current job
+     */
+    openWasteTracking() {
+        return this.withServerJob('record waste', (jobId) => WasteTracking.open(jobId));
+    },
+
+    /**
+     * Open the SAP water samples for the current job
+     */
+    openSapSampling() {
+        return this.withServerJob('record SAP samples', (jobId) => {
+            SapSampling.open(jobId, {
+                onChanged: (samples) => {
+                    this.sapSamples = samples;
+                }
+            });
+        });
+    },
+
+    /**
+     * Load the SAP samples of the current job for the compliance checklist
+     * and package appendix (none for jobs only saved in this browser)
+     */
+    async loadSapSamples() {
+        this.sapSamples = [];
+
+        const jobId = this.currentJob?.serverId;
+        if (!jobId || typeof AuthState === 'undefined' || !AuthState.isAuthenticated()) return;
+
+        try {
+            const results = await API.jobs.getSapSamples(jobId);
+            this.sapSamples = results.samples;
+        } catch (error) {
+            console.error('Could not load SAP samples:', error);
+        }
+    },
+
+    /**
+     * Open the IMS incidents for the current job
+     */
+    openImsIncidents() {
+        return this.withServerJob('report an IMS incident', (jobId) => {
+            ImsIncidents.open(jobId, {
+                onJobChanged: (job) => this.applyWorkStop(job)
+            });
+        });
+    },
+
+    /**
+     * Take the job's new version and work stop state after an IMS incident
+     * stopped or resumed work, so the next save does not conflict
+     * @param {Object} job - { version, workStoppedAt, workStopReason }
+     */
+    applyWorkStop(job) {
+        this.currentJob = { ...this.currentJob, version: job.version, workStoppedAt: job.workStoppedAt };
+        const cached = StorageService.getJob(this.currentJob.id);
+        if (cached) {
+            StorageService.saveJob({ ...cached, version: job.version, workStoppedAt: job.workStoppedAt });
+        }
+
+        this.renderWorkStop(job.workStoppedAt, job.workStopReason);
+    },
+
+    /**
+     * Show or hide the work stopped banner above the job form
+     * @param {string|null} workStoppedAt - When work was stopped
+     * @param {string} [reason] - Why work was stopped
+     */
+    renderWorkStop(workStoppedAt, reason) {
+        const banner = document.getElementById('workStopBanner');
+        banner.hidden = !workStoppedAt;
+        if (!workStoppedAt) return;
+
+        banner.textContent = `⛔ Work stopped ${new Date(workStoppedAt).toLocaleString('en-AU')}: ${reason || 'suspected invasive marine species'}. Work cannot start or complete until the IMS incident is resolved.`;
     },
 
     /**
      * Show saved jobs modal
      */
-    showSavedJobs() {
-        const jobs = StorageService.getJobs();
+    async showSavedJobs() {
+        const jobs = await JobSync.list();
         const listContainer = document.getElementById('savedJobsList');
 
         if (jobs.length === 0) {
@@ -1813,8 +1908,8 @@ const App = {
             listContainer.innerHTML = jobs.map(job => `
                 <div class="saved-job-item" data-id="${job.id}">
                     <div class="saved-job-info">
-                        <h4>${job.jobNumber} - ${job.vesselName || 'Unnamed'}</h4>
-                        <p>${job.clientName || 'No client'} | ${this.formatDateDisplay(job.proposedStartDate) || 'No date'}</p>
+                        <h4>${this.escapeHtml(job.jobNumber || 'Unnumbered')} - ${this.escapeHtml(job.vesselName || 'Unnamed')}</h4>
+                        <p>${this.escapeHtml(job.clientName || 'No client')} | ${this.formatDateDisplay(job.proposedStartDate) || 'No date'}${this.getSyncLabel(job)}</p>
                     </div>
                     <div class="saved-job-actions">
                         <button class="btn btn-primary btn-load" data-id="${job.id}">Load</button>
@@ -1842,39 +1937,57 @@ const App = {
         document.getElementById('savedJobsModal').classList.add('active');
     },
 
+    /**
+     * Sync state suffix for a saved job listing
+     */
+    getSyncLabel(job) {
+        const labels = {
+            pending: ' | Pending sync',
+            failed: ' | Sync failed',
+            conflict: ' | Sync conflict'
+        };
+        return (labels[JobSync.getSyncState(job)] || '') + (job.workStoppedAt ? ' | ⛔ Work stopped (IMS)' : '');
+    },
+
     /**
      * Load a saved job
      */
-    loadJob(id) {
-        const job = StorageService.getJob(id);
+    async loadJob(id) {
+        const job = await JobSync.get(id);
         if (!job) {
             alert('Job not found.');
             return;
         }
 
         // Populate form fields
-        Object.keys(job).forEach(key => {
+        Object.entries(JobSync.toFormData(job)).forEach(([key, value]) => {
             const el = document.getElementById(key);
             if (el) {
                 if (el.type === 'checkbox') {
-                    el.checked = job[key];
+                    el.checked = value;
                 } else {
-                    el.value = job[key];
+                    el.value = value;
                 }
             }
         });
 
         this.currentJob = job;
+        this.renderWorkStop(job.workStoppedAt);
         this.updateCalculations();
         this.closeModal('savedJobsModal');
+        await this.loadSapSamples();
     },
 
     /**
      * Delete a saved job
      */
-    deleteJob(id) {
+    async deleteJob(id) {
         if (confirm('Are you sure you want to delete this job?')) {
-            StorageService.deleteJob(id);
+            try {
+                await JobSync.remove(id);
+            } catch (error) {
+                alert(`Could not delete the job: ${error.message}`);
+            }
             this.showSavedJobs(); // Refresh list
         }
     },
@@ -208,6 +208,15 @@ const AU_WA_CONFIG = {
         captureStandard: {
             filterMicron: 10,
             description: 'Vacuum heads with removable scraper blades, filtered through 10-micron unit'
+        },
+
+        // SAP water quality thresholds (dissolved metals at the downstream sample;
+        // TSS as the increase over the upstream sample)
+        sapThresholds: {
+            name: 'ANZG (2018) marine guideline values, 95% species protection',
+            dissolvedCopperUgL: 1.3,
+            dissolvedZincUgL: 8,
+            tssIncreaseMgL: 10
         }
     },
 
@@ -219,6 +228,9 @@ const AU_WA_CONFIG = {
         postCleanReportDays: 20,
         videoRecording: true,
         imsReporting: true,
+        imsNotificationHours: 24,
+        decompressionTable: 'DCIEM',
+        diveTeamRules: 'AS2299',
         sapRequired: true,
         afsCertificateRequired: true
     },
@@ -219,6 +219,16 @@ const JP_CONFIG = {
         captureStandard: {
             filterMicron: 10,
             description: 'Full capture with filtration. Waste disposal through licensed industrial waste contractors.'
+        },
+
+        // SAP water quality thresholds (dissolved metals at the downstream sample;
+        // TSS as the increase over the upstream sample). No copper standard
+        // applies to sea areas.
+        sapThresholds: {
+            name: 'Environmental Quality Standards for aquatic life (sea areas)',
+            dissolvedCopperUgL: null,
+            dissolvedZincUgL: 20,
+            tssIncreaseMgL: 10
         }
     },
 
@@ -230,6 +240,9 @@ const JP_CONFIG = {
         postCleanReportDays: 14,
         videoRecording: true,
         imsReporting: true,
+        imsNotificationHours: 24,
+        decompressionTable: 'DCIEM',
+        diveTeamRules: 'IMCA',
         sapRequired: true,
         afsCertificateRequired: true,
         portAuthorityPermit: true,
@@ -210,6 +210,15 @@ const NZ_CONFIG = {
         captureStandard: {
             filterMicron: 10,
             description: 'Capture and filtration through minimum 10-micron unit'
+        },
+
+        // SAP water quality thresholds (dissolved metals at the downstream sample;
+        // TSS as the increase over the upstream sample)
+        sapThresholds: {
+            name: 'ANZG (2018) marine guideline values, 95% species protection',
+            dissolvedCopperUgL: 1.3,
+            dissolvedZincUgL: 8,
+            tssIncreaseMgL: 10
         }
     },
 
@@ -221,6 +230,9 @@ const NZ_CONFIG = {
         postCleanReportDays: 14,
         videoRecording: true,
         imsReporting: true,
+        imsNotificationHours: 24,
+        decompressionTable: 'DCIEM',
+        diveTeamRules: 'AS2299',
         sapRequired: true,
         afsCertificateRequired: true,
         crmsCompliance: true,
@@ -204,6 +204,24 @@ const SG_CONFIG = {
         captureStandard: {
             filterMicron: 10,
             description: 'Full capture system with filtration to meet PUB trade effluent standards'
+        },
+
+        // SAP water quality thresholds (dissolved metals at the downstream sample;
+        // TSS as the increase over the upstream sample)
+        sapThresholds: {
+            name: 'ASEAN Marine Water Quality Criteria',
+            dissolvedCopperUgL: 8,
+            dissolvedZincUgL: 50,
+            tssIncreaseMgL: 10
+        },
+
+        // Trade effluent discharge limits (Trade Effluent Regulations, discharge into a public sewer)
+        tradeEffluentLimits: {
+            approval: 'PUB Written Approval',
+            ph: { min: 6, max: 9 },
+            tssMgL: 400,
+            copperMgL: 5,
+            zincMgL: 10
         }
     },
 
@@ -215,6 +233,9 @@ const SG_CONFIG = {
         postCleanReportDays: 14,
         videoRecording: true,
         imsReporting: true,
+        imsNotificationHours: 24,
+        decompressionTable: 'DCIEM',
+        diveTeamRules: 'IMCA',
         sapRequired: true,
         afsCertificateRequired: true,
         pubWrittenApproval: true,
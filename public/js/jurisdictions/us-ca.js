@@ -224,6 +224,15 @@ const US_CA_CONFIG = {
         captureStandard: {
             filterMicron: 10,
             description: 'Best management practices require capture with no visible debris discharge. Filtration to 10-micron recommended.'
+        },
+
+        // SAP water quality thresholds (dissolved metals at the downstream sample;
+        // TSS as the increase over the upstream sample)
+        sapThresholds: {
+            name: 'California Toxics Rule saltwater criteria (continuous)',
+            dissolvedCopperUgL: 3.1,
+            dissolvedZincUgL: 81,
+            tssIncreaseMgL: 10
         }
     },
 
@@ -235,6 +244,9 @@ const US_CA_CONFIG = {
         postCleanReportDays: 30,
         videoRecording: true,
         imsReporting: true,
+        imsNotificationHours: 24,
+        decompressionTable: 'USN',
+        diveTeamRules: 'OSHA',
         sapRequired: true,
         afsCertificateRequired: true,
         vidaCompliance: true,
@@ -7,6 +7,10 @@
 const API = {
     baseUrl: '/api',
     
+    // Organisation requests work in (X-Organization-Id); the server uses the
+    // user's first organisation when none is chosen
+    ORGANIZATION_KEY: 'iwc_organization',
+    
     // ============================================
     // Core Request Methods
     // ============================================
@@ -14,13 +18,20 @@ const API = {
     async request(endpoint, options = {}) {
         const url = `${this.baseUrl}${endpoint}`;
         
+        // responseType: 'blob' returns file downloads (e.g. PDFs) instead of JSON
+        const { responseType, ...fetchOptions } = options;
+        
+        // FormData (file uploads) goes as multipart; the browser sets its Content-Type
+        const isFormData = typeof FormData !== 'undefined' && fetchOptions.body instanceof FormData;
+        
         const config = {
             credentials: 'include',
+            ...fetchOptions,
             headers: {
-                'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
+                ...(!isFormData && { 'Content-Type': 'application/json' }),
+                ...(this.getOrganizationId() && { 'X-Organization-Id': this.getOrganizationId() }),
+                ...fetchOptions.headers
+            }
         };
         
         // Add Clerk session token if available
@@ -36,12 +47,20 @@ const API = {
         }
         
         // Convert body to JSON if it's an object
-        if (config.body && typeof config.body === 'object') {
+        if (config.body && typeof config.body === 'object' && !isFormData) {
             config.body = JSON.stringify(config.body);
         }
         
         try {
-            const response = await fetch(url, config);
+            let response;
+            try {
+                response = await fetch(url, config);
+            } catch (networkError) {
+                // No response at all (offline, DNS, dropped connection)
+                const error = new Error('Network unavailable');
+                error.isNetworkError = true;
+                throw error;
+            }
             
             // Handle 401 - only redirect to login if NOT already signed in
             if (response.status === 401) {
@@ -63,18 +82,27 @@ const API = {
                 throw new Error('Authentication required');
             }
             
+            if (responseType === 'blob' && response.ok) {
+                return response.blob();
+            }
+            
             // Parse response
             const data = await response.json().catch(() => ({}));
             
             if (!response.ok) {
-                throw new Error(data.error || data.message || 'Request failed');
+                const error = new Error(data.error || data.message || 'Request failed');
+                error.status = response.status;
+                error.data = data;
+                // 409 = optimistic concurrency conflict, data.current holds the server state
+                error.isConflict = response.status === 409;
+                throw error;
             }
             
             return data;
             
         } catch (error) {
-            // Don't log auth-related errors that are expected
-            if (!error.message?.includes('Authentication required')) {
+            // Don't log auth-related errors, conflicts or offline failures that are expected
+            if (!error.message?.includes('Authentication required') && !error.isConflict && !error.isNetworkError) {
                 console.error(`API Error [${endpoint}]:`, error);
             }
             throw error;
@@ -85,12 +113,23 @@ const API = {
         return this.request(endpoint, { method: 'GET' });
     },
     
-    post(endpoint, data) {
-        return this.request(endpoint, { method: 'POST', body: data });
+    post(endpoint, data, options = {}) {
+        return this.request(endpoint, { ...options, method: 'POST', body: data });
     },
     
-    put(endpoint, data) {
-        return this.request(endpoint, { method: 'PUT', body: data });
+    put(endpoint, data, options = {}) {
+        return this.request(endpoint, { ...options, method: 'PUT', body: data });
+    },
+    
+    /**
+     * Build an If-Match header for a known record version
+     * @param {number} [version] - Version the client last saw
+     * @returns {Object} - Request options (empty if no version)
+     */
+    ifMatch(version) {
+        return version !== undefined && version !== null
+            ? { headers: { 'If-Match': `"${version}"` } }
+            : {};
     },
     
     patch(endpoint, data) {
@@ -101,6 +140,26 @@ const API = {
         return this.request(endpoint, { method: 'DELETE' });
     },
     
+    /**
+     * Organisation chosen for requests (null = the server's default)
+     * @returns {string|null}
+     */
+    getOrganizationId() {
+        return typeof localStorage !== 'undefined' ? localStorage.getItem(this.ORGANIZATION_KEY) : null;
+    },
+    
+    /**
+     * Choose the organisation requests work in
+     * @param {string|null} id - Organisation ID, or null for the default
+     */
+    setOrganizationId(id) {
+        if (id) {
+            localStorage.setItem(this.ORGANIZATION_KEY, id);
+        } else {
+            localStorage.removeItem(this.ORGANIZATION_KEY);
+        }
+    },
+    
     // ============================================
     // Auth Endpoints
     // ============================================
@@ -137,20 +196,224 @@ const API = {
             return API.post('/jobs', data);
         },
         
-        async update(id, data) {
-            return API.put(`/jobs/${id}`, data);
+        async import(jobs) {
+            return API.post('/jobs/import', { jobs });
+        },
+        
+        async reserveNumber(jurisdiction) {
+            return API.post('/jobs/numbers/reserve', { jurisdiction });
+        },
+        
+        async update(id, data, version) {
+            return API.put(`/jobs/${id}`, data, API.ifMatch(version));
+        },
+        
+        async updateStatus(id, status, reason) {
+            return API.patch(`/jobs/${id}/status`, { status, reason });
+        },
+        
+        async review(id, decision, comments) {
+            return API.post(`/jobs/${id}/review`, { decision, comments });
+        },
+        
+        async getTransitions(id) {
+            return API.get(`/jobs/${id}/transitions`);
+        },
+        
+        async getCompliance(id) {
+            return API.get(`/jobs/${id}/compliance`);
+        },
+        
+        async getReviewThreads(id) {
+            return API.get(`/jobs/${id}/review-threads`);
+        },
+        
+        async openReviewThread(id, thread) {
+            return API.post(`/jobs/${id}/review-threads`, thread);
+        },
+        
+        async replyReviewThread(id, threadId, body) {
+            return API.post(`/jobs/${id}/review-threads/${threadId}/comments`, { body });
+        },
+        
+        async resolveReviewThread(id, threadId) {
+            return API.post(`/jobs/${id}/review-threads/${threadId}/resolve`);
+        },
+        
+        async reopenReviewThread(id, threadId) {
+            return API.post(`/jobs/${id}/review-threads/${threadId}/reopen`);
+        },
+        
+        async getShareLinks(id) {
+            return API.get(`/jobs/${id}/share-links`);
+        },
+        
+        async createShareLink(id, link) {
+            return API.post(`/jobs/${id}/share-links`, link);
         },
         
-        async updateStatus(id, status) {
-            return API.patch(`/jobs/${id}/status`, { status });
+        async revokeShareLink(id, linkId) {
+            return API.post(`/jobs/${id}/share-links/${linkId}/revoke`);
         },
         
         async delete(id) {
             return API.delete(`/jobs/${id}`);
         },
         
-        async autosave(id, formDataSnapshot) {
-            return API.post(`/jobs/${id}/autosave`, { formDataSnapshot });
+        async autosave(id, formDataSnapshot, version) {
+            return API.post(`/jobs/${id}/autosave`, { formDataSnapshot }, API.ifMatch(version));
+        },
+        
+        async getRevisions(id) {
+            return API.get(`/jobs/${id}/revisions`);
+        },
+        
+        async getRevision(id, revisionNumber) {
+            return API.get(`/jobs/${id}/revisions/${revisionNumber}`);
+        },
+        
+        async diffRevisions(id, from, to) {
+            const query = new URLSearchParams({ from, to }).toString();
+            return API.get(`/jobs/${id}/revisions/diff?${query}`);
+        },
+        
+        async generateDocuments(id, documents) {
+            return API.post(`/jobs/${id}/documents/generate`, { documents });
+        },
+        
+        async getDocuments(id, params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.get(`/jobs/${id}/documents${query ? '?' + query : ''}`);
+        },
+        
+        async getDocument(id, documentId) {
+            return API.get(`/jobs/${id}/documents/${documentId}`);
+        },
+        
+        getDocumentDownloadUrl(id, documentId) {
+            return `${API.baseUrl}/jobs/${id}/documents/${documentId}/download`;
+        },
+        
+        async generatePackage(id, images) {
+            return API.post(`/jobs/${id}/documents/package`, { images });
+        },
+        
+        async getPreCleanInspection(id) {
+            return API.get(`/jobs/${id}/pre-clean-inspection`);
+        },
+        
+        async savePreCleanInspection(id, data, version) {
+            return API.put(`/jobs/${id}/pre-clean-inspection`, data, API.ifMatch(version));
+        },
+        
+        async generatePreCleanInspection(id) {
+            return API.post(`/jobs/${id}/pre-clean-inspection/generate`, {});
+        },
+        
+        async getPostCleanReport(id) {
+            return API.get(`/jobs/${id}/post-clean-report`);
+        },
+        
+        async savePostCleanReport(id, data, version) {
+            return API.put(`/jobs/${id}/post-clean-report`, data, API.ifMatch(version));
+        },
+        
+        async generatePostCleanReport(id) {
+            return API.post(`/jobs/${id}/post-clean-report/generate`, {});
+        },
+        
+        async getImsIncidents(id) {
+            return API.get(`/jobs/${id}/ims-incidents`);
+        },
+        
+        async createImsIncident(id, data) {
+            return API.post(`/jobs/${id}/ims-incidents`, data);
+        },
+        
+        async updateImsIncident(id, incidentId, data, version) {
+            return API.put(`/jobs/${id}/ims-incidents/${incidentId}`, data, API.ifMatch(version));
+        },
+        
+        async generateImsNotification(id, incidentId) {
+            return API.post(`/jobs/${id}/ims-incidents/${incidentId}/notification`, {});
+        },
+        
+        async recordImsNotification(id, incidentId, data) {
+            return API.post(`/jobs/${id}/ims-incidents/${incidentId}/notified`, data);
+        },
+        
+        async resolveImsIncident(id, incidentId, resolution) {
+            return API.post(`/jobs/${id}/ims-incidents/${incidentId}/resolve`, { resolution });
+        },
+        
+        async getDiveLog(id) {
+            return API.get(`/jobs/${id}/dive-log`);
+        },
+        
+        async logDive(id, data) {
+            return API.post(`/jobs/${id}/dive-log`, data);
+        },
+        
+        async updateDive(id, diveId, data, version) {
+            return API.put(`/jobs/${id}/dive-log/${diveId}`, data, API.ifMatch(version));
+        },
+        
+        async deleteDive(id, diveId) {
+            return API.delete(`/jobs/${id}/dive-log/${diveId}`);
+        },
+        
+        async exportDiveLog(id) {
+            return API.post(`/jobs/${id}/dive-log/export`, {});
+        },
+        
+        async getWaste(id) {
+            return API.get(`/jobs/${id}/waste`);
+        },
+        
+        async recordWaste(id, data) {
+            return API.post(`/jobs/${id}/waste`, data);
+        },
+        
+        async updateWaste(id, recordId, data, version) {
+            return API.put(`/jobs/${id}/waste/${recordId}`, data, API.ifMatch(version));
+        },
+        
+        async deleteWaste(id, recordId) {
+            return API.delete(`/jobs/${id}/waste/${recordId}`);
+        },
+        
+        async exportWaste(id) {
+            return API.post(`/jobs/${id}/waste/export`, {});
+        },
+        
+        async getSapSamples(id) {
+            return API.get(`/jobs/${id}/sap-samples`);
+        },
+        
+        async recordSapSample(id, data) {
+            return API.post(`/jobs/${id}/sap-samples`, data);
+        },
+        
+        async updateSapSample(id, sampleId, data, version) {
+            return API.put(`/jobs/${id}/sap-samples/${sampleId}`, data, API.ifMatch(version));
+        },
+        
+        async deleteSapSample(id, sampleId) {
+            return API.delete(`/jobs/${id}/sap-samples/${sampleId}`);
+        }
+    },
+    
+    // ============================================
+    // Document Endpoints
+    // ============================================
+    
+    documents: {
+        /**
+         * Build the merged PDF package from unsaved form data
+         * @returns {Promise<Blob>} - PDF file
+         */
+        async package(formData, jurisdiction, images) {
+            return API.post('/documents/package', { formData, jurisdiction, images }, { responseType: 'blob' });
         }
     },
     
@@ -172,8 +435,8 @@ const API = {
             return API.post('/crew', data);
         },
         
-        async update(id, data) {
-            return API.put(`/crew/${id}`, data);
+        async update(id, data, version) {
+            return API.put(`/crew/${id}`, data, API.ifMatch(version));
         },
         
         async delete(id) {
@@ -186,6 +449,14 @@ const API = {
         
         async getExpiring(days = 30) {
             return API.get(`/crew/check/expiring?days=${days}`);
+        },
+        
+        async getAvailability(id, from, to) {
+            const query = new URLSearchParams({
+                ...(from && { from }),
+                ...(to && { to })
+            }).toString();
+            return API.get(`/crew/${id}/availability${query ? '?' + query : ''}`);
         }
     },
     
@@ -211,8 +482,8 @@ const API = {
             return API.post('/vessels', data);
         },
         
-        async update(id, data) {
-            return API.put(`/vessels/${id}`, data);
+        async update(id, data, version) {
+            return API.put(`/vessels/${id}`, data, API.ifMatch(version));
         },
         
         async delete(id) {
@@ -224,6 +495,41 @@ const API = {
         }
     },
     
+    // ============================================
+    // Attachment Endpoints
+    // ============================================
+    
+    attachments: {
+        // API path of each owner type
+        OWNER_PATHS: { job: 'jobs', vessel: 'vessels', crew: 'crew' },
+        
+        async list(ownerType, ownerId, category) {
+            const query = category ? `?category=${encodeURIComponent(category)}` : '';
+            return API.get(`/${this.OWNER_PATHS[ownerType]}/${ownerId}/attachments${query}`);
+        },
+        
+        /**
+         * Upload files to a job, vessel or crew member
+         * @param {string} ownerType - job, vessel or crew
+         * @param {string} ownerId - Owner ID
+         * @param {FileList|Array<File>} files - Files to upload
+         * @param {Object} [fields] - { category, caption }
+         * @returns {Promise<Array<Object>>} - Created attachments with signed URLs
+         */
+        async upload(ownerType, ownerId, files, fields = {}) {
+            const form = new FormData();
+            Array.from(files).forEach(file => form.append('files', file));
+            Object.entries(fields).forEach(([key, value]) => {
+                if (value) form.append(key, value);
+            });
+            return API.post(`/${this.OWNER_PATHS[ownerType]}/${ownerId}/attachments`, form);
+        },
+        
+        async remove(ownerType, ownerId, attachmentId) {
+            return API.delete(`/${this.OWNER_PATHS[ownerType]}/${ownerId}/attachments/${attachmentId}`);
+        }
+    },
+    
     // ============================================
     // User/Settings Endpoints
     // ============================================
@@ -250,6 +556,76 @@ const API = {
         }
     },
     
+    // ============================================
+    // Organisation Endpoints
+    // ============================================
+    
+    organizations: {
+        /**
+         * Organisations the user belongs to; forgets a chosen organisation
+         * they are no longer a member of
+         */
+        async list() {
+            const organizations = await API.get('/organizations');
+            if (API.getOrganizationId() && !organizations.some(org => org.id === API.getOrganizationId())) {
+                API.setOrganizationId(null);
+            }
+            return organizations;
+        },
+        
+        async create(name) {
+            return API.post('/organizations', { name });
+        },
+        
+        async getCurrent() {
+            return API.get('/organizations/current');
+        },
+        
+        async updateCurrent(data) {
+            return API.put('/organizations/current', data);
+        },
+        
+        async addMember(email, role) {
+            return API.post('/organizations/current/members', { email, role });
+        },
+        
+        async updateMember(membershipId, role) {
+            return API.put(`/organizations/current/members/${membershipId}`, { role });
+        },
+        
+        async removeMember(membershipId) {
+            return API.delete(`/organizations/current/members/${membershipId}`);
+        }
+    },
+    
+    // ============================================
+    // Review Endpoints
+    // ============================================
+    
+    review: {
+        async getQueue() {
+            return API.get('/review/queue');
+        }
+    },
+    
+    // ============================================
+    // Shared Package Endpoints (no sign-in; the token is the credential)
+    // ============================================
+    
+    share: {
+        async get(token) {
+            return API.get(`/share/${encodeURIComponent(token)}`);
+        },
+        
+        async getDocument(token, type) {
+            return API.get(`/share/${encodeURIComponent(token)}/documents/${type}`);
+        },
+        
+        async respond(token, response) {
+            return API.post(`/share/${encodeURIComponent(token)}/responses`, response);
+        }
+    },
+    
     // ============================================
     // Health Check
     // ============================================
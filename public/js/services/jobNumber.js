@@ -1,31 +1,56 @@
 /**
  * Job Number Service
- * Generates job numbers in format F#####
+ * Reserves job numbers from the server (e.g. FUS-WA-2026-0001)
+ *
+ * Numbers are allocated by a per-jurisdiction counter on the server, so the
+ * browser never invents its own. When offline or signed out the job number
+ * is left blank and assigned when the job is first saved to the server.
  */
 
 const JobNumberService = {
-    PREFIX: 'F',
-
     /**
-     * Generate a new job number
-     * @returns {string} - Job number (e.g., F12135)
+     * Reserve the next job number for a jurisdiction
+     * @param {string} jurisdiction - Jurisdiction ID (e.g. 'AU-WA')
+     * @returns {Promise<string|null>} - Reserved job number, or null if unavailable
      */
-    generate() {
-        const counter = StorageService.getNextJobNumber();
-        return `${this.PREFIX}${counter}`;
+    async reserve(jurisdiction) {
+        if (typeof API === 'undefined' || typeof AuthState === 'undefined' || !AuthState.isAuthenticated()) {
+            return null;
+        }
+
+        try {
+            const result = await API.jobs.reserveNumber(jurisdiction);
+            return result.jobNumber;
+        } catch (error) {
+            console.warn('Could not reserve job number:', error.message);
+            return null;
+        }
     },
 
     /**
      * Parse a job number
+     * Supports server numbers (FUS-WA-2026-0001) and legacy numbers (F12135, FUS-2025-0001)
      * @param {string} jobNumber - Job number string
-     * @returns {Object} - Parsed components
+     * @returns {Object|null} - Parsed components
      */
     parse(jobNumber) {
-        const match = jobNumber.match(/^([A-Z])(\d+)$/);
-        if (!match) return null;
+        const match = jobNumber?.match(/^([A-Z]+)-(?:([A-Z]+)-)?(\d{4})-(\d+)$/);
+        if (match) {
+            return {
+                prefix: match[1],
+                jurisdiction: match[2] || null,
+                year: parseInt(match[3]),
+                number: parseInt(match[4])
+            };
+        }
+
+        const legacy = jobNumber?.match(/^([A-Z])(\d+)$/);
+        if (!legacy) return null;
         return {
-            prefix: match[1],
-            number: parseInt(match[2])
+            prefix: legacy[1],
+            jurisdiction: null,
+            year: null,
+            number: parseInt(legacy[2])
         };
     },
 
@@ -35,7 +60,7 @@ const JobNumberService = {
      * @returns {boolean} - Is valid
      */
     isValid(jobNumber) {
-        return /^F\d{5,}$/.test(jobNumber);
+        return this.parse(jobNumber) !== null;
     }
 };
 
@@ -43,4 +68,3 @@ const JobNumberService = {
 if (typeof window !== 'undefined') {
     window.JobNumberService = JobNumberService;
 }
-
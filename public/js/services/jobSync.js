@@ -0,0 +1,520 @@
+/**
+ * Job Sync Service
+ * Saves, lists, loads and deletes jobs through the API when signed in,
+ * keeping localStorage (StorageService) as an offline cache.
+ *
+ * Cached jobs keep their local `id`; once a job exists on the server the
+ * cache entry also carries `serverId`, `version`, `status` and `syncedAt`.
+ * Jobs saved while signed out have no `serverId` and are marked `pendingSync`
+ * until they are imported. Changes made while signed in but offline are also
+ * queued in the Outbox (IndexedDB) and replayed in order on reconnect.
+ */
+
+const JobSync = {
+    // Set per user once browser-only jobs have been offered for import
+    IMPORT_FLAG_PREFIX: 'iwc_jobs_imported_',
+
+    // Jobs sent per import request
+    IMPORT_BATCH_SIZE: 50,
+
+    // Page size when listing jobs from the server
+    PAGE_SIZE: 100,
+
+    // Cache entry fields that are not part of the form
+    META_FIELDS: [
+        'id', 'serverId', 'version', 'status', 'jurisdiction',
+        'createdAt', 'updatedAt', 'syncedAt', 'pendingSync', 'workStoppedAt'
+    ],
+
+    /**
+     * Whether the server can be used right now
+     * @returns {boolean}
+     */
+    isOnline() {
+        return this.isSignedIn() && navigator.onLine !== false;
+    },
+
+    isSignedIn() {
+        return typeof API !== 'undefined' &&
+            typeof AuthState !== 'undefined' &&
+            AuthState.isAuthenticated();
+    },
+
+    /**
+     * Whether offline changes can be queued for replay
+     * @returns {boolean}
+     */
+    canQueue() {
+        return typeof Outbox !== 'undefined' && Outbox.isAvailable();
+    },
+
+    /**
+     * Whether a cached job has changes waiting in the outbox
+     * @param {string} id - Local (cache) job ID
+     * @returns {boolean}
+     */
+    hasQueuedChanges(id) {
+        return this.canQueue() && Outbox.hasQueued('job', id);
+    },
+
+    /**
+     * Sync state of a cached job for display
+     * @param {Object} job - Cache entry
+     * @returns {string|null} - 'conflict' | 'failed' | 'pending' | null
+     */
+    getSyncState(job) {
+        const state = this.canQueue() ? Outbox.getState('job', job.id) : null;
+        return state || (job.pendingSync ? 'pending' : null);
+    },
+
+    /**
+     * Short description of a job for sync messages
+     * @param {Object} job - Cache entry or form data
+     * @returns {string}
+     */
+    describe(job) {
+        return [job.jobNumber || 'Unnumbered job', job.vesselName].filter(Boolean).join(' - ');
+    },
+
+    // ============================================
+    // Form <-> API mapping
+    // ============================================
+
+    /**
+     * Build the /api/jobs payload for a form
+     * The form is mapped onto Job columns plus the vessel and crew it names
+     * (JobMapping.toRecords); the full form is also sent as formDataSnapshot
+     * for fields that have no column.
+     * @param {Object} formData - App.getFormData() output
+     * @param {string} [jurisdiction] - Jurisdiction ID
+     * @returns {Object}
+     */
+    toPayload(formData, jurisdiction) {
+        const { job, vessel, crew } = JobMapping.toRecords(formData);
+
+        return {
+            jobNumber: formData.jobNumber || undefined,
+            jurisdiction: jurisdiction || undefined,
+            ...job,
+            vessel,
+            crew,
+            formDataSnapshot: formData
+        };
+    },
+
+    /**
+     * Form fields of a cache entry (sync metadata removed)
+     * @param {Object} job - Cache entry
+     * @returns {Object}
+     */
+    toFormData(job) {
+        return Object.fromEntries(
+            Object.entries(job).filter(([key]) => !this.META_FIELDS.includes(key))
+        );
+    },
+
+    /**
+     * Convert a server job into a cache entry (form fields plus sync metadata)
+     * @param {Object} job - Job from the API
+     * @param {Object} [cached] - Existing cache entry for the job
+     * @returns {Object}
+     */
+    fromServer(job, cached = {}) {
+        return {
+            ...cached,
+            ...JobMapping.fromJob(job),
+            id: cached.id || StorageService.generateId(),
+            jobNumber: job.jobNumber,
+            serverId: job.id,
+            version: job.version,
+            status: job.status,
+            jurisdiction: job.jurisdiction,
+            workStoppedAt: job.workStoppedAt || null,
+            // Jobs are shared within the organisation, so show who created each
+            createdBy: job.user?.name || job.user?.email || cached.createdBy || null,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            syncedAt: new Date().toISOString(),
+            pendingSync: false
+        };
+    },
+
+    // ============================================
+    // Operations
+    // ============================================
+
+    /**
+     * Save a form, to the server when possible
+     * Conflicts (409) are thrown so the caller can offer to overwrite.
+     *
+     * @param {Object} formData - Form data
+     * @param {Object} [current] - Cache entry being edited (id, serverId, version)
+     * @param {Object} [options]
+     * @param {string} [options.jurisdiction] - Jurisdiction ID
+     * @param {number} [options.version] - Version to overwrite (after a conflict)
+     * @returns {Promise<Object>} - Cache entry; `pendingSync` if only saved locally
+     */
+    async save(formData, current = {}, options = {}) {
+        // The cache may be newer than the caller's copy (e.g. after a replay)
+        const base = { ...current, ...(current?.id && StorageService.getJob(current.id)) };
+
+        const local = {
+            ...formData,
+            jobNumber: formData.jobNumber || base.jobNumber || '',
+            id: base.id || null,
+            serverId: base.serverId || null,
+            version: base.version,
+            status: base.status,
+            jurisdiction: options.jurisdiction || base.jurisdiction,
+            createdAt: base.createdAt
+        };
+
+        if (!this.isSignedIn()) {
+            return StorageService.saveJob({ ...local, pendingSync: true });
+        }
+
+        const payload = this.toPayload({ ...formData, jobNumber: local.jobNumber }, local.jurisdiction);
+
+        // Offline, or earlier changes still queued: queue behind them to keep order
+        if (navigator.onLine === false || (local.id && this.hasQueuedChanges(local.id))) {
+            return this.queueSave(local, payload);
+        }
+
+        let job;
+
+        try {
+            if (local.serverId) {
+                // The number is fixed once the job exists on the server
+                const { jobNumber, ...changes } = payload;
+                job = await API.jobs.update(local.serverId, changes, options.version ?? local.version);
+            } else if (local.id) {
+                // Saved offline earlier: may carry a legacy or already-used number
+                job = await this.uploadCachedJob(local.id, payload);
+            } else {
+                job = await API.jobs.create(payload);
+            }
+        } catch (error) {
+            // Network failure: keep the work locally and sync later
+            if (error.isNetworkError) {
+                return this.queueSave(local, payload);
+            }
+            throw error;
+        }
+
+        return StorageService.saveJob(this.fromServer(job, local));
+    },
+
+    /**
+     * Save to the cache and queue the change for replay
+     * @param {Object} local - Cache entry to save
+     * @param {Object} payload - From toPayload
+     * @returns {Promise<Object>} - Cache entry (pendingSync)
+     */
+    async queueSave(local, payload) {
+        const saved = StorageService.saveJob({ ...local, pendingSync: true });
+        if (!this.canQueue()) return saved;
+
+        if (local.serverId || Outbox.hasQueued('job', saved.id)) {
+            const { jobNumber, ...changes } = payload;
+            await Outbox.enqueue({
+                entity: 'job',
+                action: 'update',
+                localId: saved.id,
+                serverId: local.serverId,
+                payload: changes,
+                baseVersion: local.version,
+                label: this.describe(saved)
+            });
+        } else {
+            await Outbox.enqueue({
+                entity: 'job',
+                action: 'create',
+                localId: saved.id,
+                payload,
+                label: this.describe(saved)
+            });
+        }
+
+        return saved;
+    },
+
+    /**
+     * Create a cached job on the server through the import endpoint, which
+     * keeps its number when free and detects jobs already in the account
+     * (e.g. a create that reached the server before the connection dropped)
+     * @param {string} localId - Local (cache) job ID
+     * @param {Object} payload - From toPayload
+     * @returns {Promise<Object>} - Server job
+     */
+    async uploadCachedJob(localId, payload) {
+        const result = await API.jobs.import([{ localId, ...payload }]);
+
+        if (result.failed.length) {
+            throw new Error(result.failed[0].error);
+        }
+
+        const [imported] = result.imported;
+        if (imported) {
+            return API.jobs.get(imported.id);
+        }
+
+        // Already uploaded with this same form: link to it
+        const [duplicate] = result.duplicates;
+        return API.jobs.get(duplicate.id);
+    },
+
+    /**
+     * List jobs, refreshing the cache from the server when possible
+     * Jobs not yet on the server are kept and listed too.
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+        if (!this.isOnline()) {
+            return StorageService.getJobs();
+        }
+
+        try {
+            const serverJobs = [];
+            let cursor = null;
+
+            do {
+                const page = await API.jobs.list({
+                    include: 'snapshot',
+                    limit: this.PAGE_SIZE,
+                    ...(cursor && { cursor })
+                });
+                serverJobs.push(...page.jobs);
+                cursor = page.hasMore ? page.nextCursor : null;
+            } while (cursor);
+
+            const cached = StorageService.getJobs();
+            const byServerId = new Map(cached.filter(job => job.serverId).map(job => [job.serverId, job]));
+
+            // Local changes still queued win over the server copy until replayed,
+            // and jobs deleted offline stay deleted
+            const deleting = new Set(this.canQueue()
+                ? Outbox.entries.filter(e => e.entity === 'job' && e.action === 'delete').map(e => e.serverId)
+                : []);
+
+            const synced = serverJobs
+                .filter(job => !deleting.has(job.id))
+                .map(job => {
+                    const cachedJob = byServerId.get(job.id);
+                    return cachedJob && this.hasQueuedChanges(cachedJob.id)
+                        ? cachedJob
+                        : this.fromServer(job, cachedJob);
+                });
+            const localOnly = cached.filter(job => !job.serverId);
+
+            const jobs = [...synced, ...localOnly];
+            StorageService.setJobs(jobs);
+            return jobs;
+
+        } catch (error) {
+            console.warn('Could not load jobs from the server, using cached jobs:', error.message);
+            return StorageService.getJobs();
+        }
+    },
+
+    /**
+     * Load a job by cache ID, refreshing it from the server when possible
+     * @param {string} id - Local (cache) job ID
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        const cached = StorageService.getJob(id);
+        if (!cached?.serverId || !this.isOnline() || this.hasQueuedChanges(id)) {
+            return cached;
+        }
+
+        try {
+            const job = await API.jobs.get(cached.serverId);
+            return StorageService.saveJob(this.fromServer(job, cached));
+        } catch (error) {
+            if (error.status === 404) {
+                // Deleted on the server (or by another device)
+                StorageService.deleteJob(id);
+                return null;
+            }
+            console.warn('Could not refresh job from the server, using cached copy:', error.message);
+            return cached;
+        }
+    },
+
+    /**
+     * Delete a job from the server and the cache
+     * @param {string} id - Local (cache) job ID
+     * @returns {Promise<boolean>}
+     */
+    async remove(id) {
+        const cached = StorageService.getJob(id);
+
+        if (this.hasQueuedChanges(id) || (cached?.serverId && navigator.onLine === false && this.canQueue())) {
+            await this.queueDelete(id, cached);
+        } else if (cached?.serverId) {
+            if (!this.isSignedIn()) {
+                throw new Error('Sign in to delete a job saved to your account.');
+            }
+
+            try {
+                await API.jobs.delete(cached.serverId);
+            } catch (error) {
+                if (error.isNetworkError && this.canQueue()) {
+                    await this.queueDelete(id, cached);
+                } else if (error.status !== 404) {
+                    throw error;
+                }
+            }
+        }
+
+        return StorageService.deleteJob(id);
+    },
+
+    /**
+     * Queue a delete (drops queued changes if the job never reached the server)
+     */
+    async queueDelete(id, cached) {
+        await Outbox.enqueue({
+            entity: 'job',
+            action: 'delete',
+            localId: id,
+            serverId: cached?.serverId || null,
+            label: this.describe(cached || {})
+        });
+    },
+
+    // ============================================
+    // Outbox Replay
+    // ============================================
+
+    /**
+     * Register how queued job changes are sent and applied to the cache
+     */
+    registerOutboxHandler() {
+        Outbox.registerHandler('job', {
+            execute: (entry) => {
+                switch (entry.action) {
+                    case 'create': return this.uploadCachedJob(entry.localId, entry.payload);
+                    case 'update': return API.jobs.update(entry.serverId, entry.payload, entry.baseVersion);
+                    case 'delete': return API.jobs.delete(entry.serverId);
+                }
+            },
+
+            onSynced: (entry, job, hasMore) => {
+                const cached = StorageService.getJob(entry.localId);
+                if (!cached || entry.action === 'delete') return;
+
+                // More local edits are queued: only link the record, keep the edits
+                StorageService.saveJob(hasMore
+                    ? { ...cached, serverId: job.id, version: job.version, jobNumber: job.jobNumber, status: job.status }
+                    : this.fromServer(job, cached));
+            },
+
+            onDiscarded: (entry) => {
+                const cached = StorageService.getJob(entry.localId);
+
+                if (entry.conflict?.current) {
+                    // Take the server's version
+                    StorageService.saveJob(this.fromServer(entry.conflict.current, cached || { id: entry.localId }));
+                } else if (entry.action === 'create') {
+                    // Never reached the server
+                    StorageService.deleteJob(entry.localId);
+                } else if (entry.action === 'delete') {
+                    // Bring the job back from the server
+                    this.list();
+                } else if (cached) {
+                    StorageService.saveJob({ ...cached, pendingSync: false });
+                    this.get(entry.localId);
+                }
+            }
+        });
+    },
+
+    // ============================================
+    // One-time Import
+    // ============================================
+
+    /**
+     * Whether the current user has browser-only jobs that were never imported
+     * @returns {boolean}
+     */
+    hasPendingImport() {
+        const user = AuthState.getUser();
+        if (!user || localStorage.getItem(this.IMPORT_FLAG_PREFIX + user.id)) {
+            return false;
+        }
+        return StorageService.getJobs().some(job => this.isImportable(job));
+    },
+
+    /**
+     * Browser-only jobs that are not already queued for upload
+     * @param {Object} job - Cache entry
+     * @returns {boolean}
+     */
+    isImportable(job) {
+        return !job.serverId && !this.hasQueuedChanges(job.id);
+    },
+
+    /**
+     * Import browser-only jobs into the signed-in user's account
+     * Jobs already uploaded (same number and form) are linked to the server
+     * copy instead of being imported twice; jobs whose number is taken by
+     * another job are imported under a new number.
+     *
+     * @returns {Promise<{ imported: number, duplicates: number, failed: Array<Object> }>}
+     */
+    async importLocalJobs() {
+        const user = AuthState.getUser();
+        const pending = StorageService.getJobs().filter(job => this.isImportable(job));
+        const summary = { imported: 0, duplicates: 0, failed: [] };
+
+        for (let i = 0; i < pending.length; i += this.IMPORT_BATCH_SIZE) {
+            const batch = pending.slice(i, i + this.IMPORT_BATCH_SIZE);
+
+            const result = await API.jobs.import(batch.map(job => ({
+                localId: job.id,
+                ...this.toPayload(this.toFormData(job), job.jurisdiction)
+            })));
+
+            [...result.imported, ...result.duplicates].forEach(entry => {
+                const job = StorageService.getJob(entry.localId);
+                if (!job) return;
+
+                StorageService.saveJob({
+                    ...job,
+                    jobNumber: entry.jobNumber,
+                    serverId: entry.id,
+                    version: entry.version,
+                    syncedAt: new Date().toISOString(),
+                    pendingSync: false
+                });
+            });
+
+            summary.imported += result.imported.length;
+            summary.duplicates += result.duplicates.length;
+            summary.failed.push(...result.failed);
+        }
+
+        if (summary.failed.length === 0) {
+            this.skipImport(user);
+        }
+
+        return summary;
+    },
+
+    /**
+     * Don't offer the import again for this user
+     * Jobs left in the browser are still uploaded individually when saved.
+     * @param {Object} [user] - Signed-in user (defaults to current)
+     */
+    skipImport(user = AuthState.getUser()) {
+        if (user) {
+            localStorage.setItem(this.IMPORT_FLAG_PREFIX + user.id, new Date().toISOString());
+        }
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.JobSync = JobSync;
+}
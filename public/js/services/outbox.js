@@ -0,0 +1,409 @@
+/**
+ * Outbox Service
+ * Persistent queue (IndexedDB) of job, crew and vessel changes made while
+ * offline, replayed in order when the connection comes back.
+ *
+ * Each entry is one mutation of one record:
+ *   { seq, entity, action, localId, serverId, payload, baseVersion,
+ *     label, status, error, conflict, createdAt }
+ *
+ * Entries for the same record are replayed strictly in order. If the server
+ * reports a version conflict (409) the entry is kept as a `conflict` with
+ * the server's current record, and later entries for that record wait until
+ * the user keeps their version (overwrite) or takes the server's (discard).
+ * Other records carry on replaying.
+ */
+
+const Outbox = {
+    DB_NAME: 'iwc_outbox',
+    DB_VERSION: 1,
+    STORE: 'mutations',
+
+    // Retry while connected in case a request failed without an 'offline' event
+    RETRY_INTERVAL: 60000,
+
+    STATUS: {
+        PENDING: 'pending',
+        CONFLICT: 'conflict',
+        FAILED: 'failed'
+    },
+
+    db: null,
+    entries: [],          // In-memory mirror of the store, ordered by seq
+    listeners: [],
+    replaying: false,
+
+    // Entity handlers: execute(entry), plus optional onSynced / onDiscarded hooks
+    handlers: {
+        crew: {
+            execute(entry) {
+                switch (entry.action) {
+                    case 'create': return API.crew.create(entry.payload);
+                    case 'update': return API.crew.update(entry.serverId, entry.payload, entry.baseVersion);
+                    case 'delete': return API.crew.delete(entry.serverId);
+                }
+            }
+        },
+        vessel: {
+            execute(entry) {
+                switch (entry.action) {
+                    case 'create': return API.vessels.create(entry.payload);
+                    case 'update': return API.vessels.update(entry.serverId, entry.payload, entry.baseVersion);
+                    case 'delete': return API.vessels.delete(entry.serverId);
+                }
+            }
+        }
+    },
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    async init() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not available - offline changes will not be queued');
+            return;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            this.entries = await this.readAll();
+        } catch (error) {
+            console.warn('Could not open the offline outbox:', error);
+            return;
+        }
+
+        window.addEventListener('online', () => this.replay());
+        window.addEventListener('offline', () => this.notify());
+        setInterval(() => this.replay(), this.RETRY_INTERVAL);
+
+        if (typeof AuthState !== 'undefined') {
+            AuthState.onChange(user => {
+                if (user) this.replay();
+            });
+        }
+
+        this.notify();
+        this.replay();
+    },
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE)) {
+                    db.createObjectStore(this.STORE, { keyPath: 'seq', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Register the handler for an entity type
+     * @param {string} entity - 'job' | 'crew' | 'vessel'
+     * @param {Object} handler - { execute(entry), onSynced(entry, result, hasMore), onDiscarded(entry) }
+     */
+    registerHandler(entity, handler) {
+        this.handlers[entity] = handler;
+    },
+
+    isAvailable() {
+        return !!this.db;
+    },
+
+    // ============================================
+    // IndexedDB Helpers
+    // ============================================
+
+    /**
+     * Run a request against the store and resolve with its result
+     */
+    run(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.STORE, mode);
+            const request = operation(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    async readAll() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.seq - b.seq);
+    },
+
+    async put(entry) {
+        const seq = await this.run('readwrite', store => store.put(entry));
+        entry.seq = seq;
+
+        const index = this.entries.findIndex(e => e.seq === seq);
+        if (index >= 0) {
+            this.entries[index] = entry;
+        } else {
+            this.entries.push(entry);
+        }
+        return entry;
+    },
+
+    async remove(seq) {
+        await this.run('readwrite', store => store.delete(seq));
+        this.entries = this.entries.filter(e => e.seq !== seq);
+    },
+
+    // ============================================
+    // Queue
+    // ============================================
+
+    recordKey(entity, localId) {
+        return `${entity}:${localId}`;
+    },
+
+    /**
+     * Queued entries for one record, oldest first
+     */
+    getRecordEntries(entity, localId) {
+        return this.entries.filter(e => e.entity === entity && e.localId === localId);
+    },
+
+    /**
+     * Whether a record has changes waiting, so new changes must queue behind them
+     */
+    hasQueued(entity, localId) {
+        return this.getRecordEntries(entity, localId).length > 0;
+    },
+
+    /**
+     * Sync state of a record for display
+     * @returns {string|null} - 'conflict' | 'failed' | 'pending' | null
+     */
+    getState(entity, localId) {
+        const entries = this.getRecordEntries(entity, localId);
+        if (!entries.length) return null;
+        if (entries.some(e => e.status === this.STATUS.CONFLICT)) return this.STATUS.CONFLICT;
+        if (entries.some(e => e.status === this.STATUS.FAILED)) return this.STATUS.FAILED;
+        return this.STATUS.PENDING;
+    },
+
+    /**
+     * Entry counts by status
+     * @returns {{ pending: number, conflict: number, failed: number }}
+     */
+    getCounts() {
+        const counts = { pending: 0, conflict: 0, failed: 0 };
+        this.entries.forEach(e => counts[e.status]++);
+        return counts;
+    },
+
+    /**
+     * Queue a mutation
+     * Consecutive changes to a record that has not been sent yet are merged
+     * into one entry; deleting a record that never reached the server simply
+     * drops its queued entries.
+     *
+     * @param {Object} mutation
+     * @param {string} mutation.entity - 'job' | 'crew' | 'vessel'
+     * @param {string} mutation.action - 'create' | 'update' | 'delete'
+     * @param {string} mutation.localId - Stable client-side ID of the record
+     * @param {string} [mutation.serverId] - Server ID (update/delete)
+     * @param {Object} [mutation.payload] - Request body
+     * @param {number} [mutation.baseVersion] - Server version the change was made against
+     * @param {string} [mutation.label] - Human-readable description
+     * @returns {Promise<Object|null>} - Queued entry
+     */
+    async enqueue(mutation) {
+        if (!this.isAvailable()) {
+            throw new Error('Offline changes cannot be stored in this browser.');
+        }
+
+        const queued = this.getRecordEntries(mutation.entity, mutation.localId);
+        const last = queued[queued.length - 1];
+        const lastIsOpen = last && last.status === this.STATUS.PENDING && !this.replaying;
+
+        if (mutation.action === 'delete' && queued.length && queued[0].action === 'create' && !mutation.serverId) {
+            for (const entry of queued) await this.remove(entry.seq);
+            this.notify();
+            return null;
+        }
+
+        let entry;
+        if (lastIsOpen && mutation.action === 'update' && last.action !== 'delete') {
+            entry = await this.put({
+                ...last,
+                payload: { ...last.payload, ...mutation.payload },
+                label: mutation.label || last.label
+            });
+        } else {
+            entry = await this.put({
+                entity: mutation.entity,
+                action: mutation.action,
+                localId: mutation.localId,
+                serverId: mutation.serverId || null,
+                payload: mutation.payload || null,
+                baseVersion: mutation.baseVersion ?? null,
+                label: mutation.label || '',
+                status: this.STATUS.PENDING,
+                error: null,
+                conflict: null,
+                createdAt: new Date().toISOString()
+            });
+        }
+
+        this.notify();
+        return entry;
+    },
+
+    // ============================================
+    // Replay
+    // ============================================
+
+    canReplay() {
+        return this.isAvailable() &&
+            navigator.onLine !== false &&
+            typeof AuthState !== 'undefined' &&
+            AuthState.isAuthenticated();
+    },
+
+    /**
+     * Send queued mutations in order
+     * Stops at the first network failure; a conflict or error only holds
+     * back later entries for the same record.
+     */
+    async replay() {
+        if (this.replaying || !this.canReplay() || !this.entries.length) return;
+
+        this.replaying = true;
+        const held = new Set();
+
+        try {
+            for (const { seq } of [...this.entries]) {
+                // Re-read: earlier replays may have filled in serverId / baseVersion
+                const entry = this.entries.find(e => e.seq === seq);
+                if (!entry) continue;
+
+                const key = this.recordKey(entry.entity, entry.localId);
+
+                if (entry.status !== this.STATUS.PENDING || held.has(key)) {
+                    held.add(key);
+                    continue;
+                }
+
+                const handler = this.handlers[entry.entity];
+                let result;
+
+                try {
+                    result = await handler.execute(entry);
+                } catch (error) {
+                    if (error.isNetworkError) break;
+
+                    if (entry.action === 'delete' && error.status === 404) {
+                        result = null;
+                    } else {
+                        await this.markFailed(entry, error);
+                        held.add(key);
+                        continue;
+                    }
+                }
+
+                await this.remove(entry.seq);
+                await this.applyResult(entry, result);
+
+                const hasMore = this.hasQueued(entry.entity, entry.localId);
+                handler.onSynced?.(entry, result, hasMore);
+            }
+        } finally {
+            this.replaying = false;
+            this.notify();
+        }
+    },
+
+    /**
+     * Record why an entry could not be applied
+     */
+    async markFailed(entry, error) {
+        if (error.isConflict && error.data?.current) {
+            entry.status = this.STATUS.CONFLICT;
+            entry.conflict = {
+                current: error.data.current,
+                currentVersion: error.data.currentVersion
+            };
+        } else {
+            entry.status = this.STATUS.FAILED;
+        }
+        entry.error = error.data?.message || error.message;
+        await this.put(entry);
+    },
+
+    /**
+     * Point later entries for the same record at the server copy
+     */
+    async applyResult(entry, result) {
+        if (!result?.id) return;
+
+        for (const next of this.getRecordEntries(entry.entity, entry.localId)) {
+            await this.put({
+                ...next,
+                serverId: result.id,
+                baseVersion: result.version ?? next.baseVersion
+            });
+        }
+    },
+
+    // ============================================
+    // Conflict Resolution
+    // ============================================
+
+    /**
+     * Resolve a conflicted or failed entry
+     * @param {number} seq - Entry sequence number
+     * @param {string} resolution - 'overwrite' (keep mine / retry) or 'discard' (take the server's)
+     */
+    async resolve(seq, resolution) {
+        const entry = this.entries.find(e => e.seq === seq);
+        if (!entry) return;
+
+        if (resolution === 'overwrite') {
+            await this.put({
+                ...entry,
+                baseVersion: entry.conflict?.currentVersion ?? entry.baseVersion,
+                status: this.STATUS.PENDING,
+                error: null,
+                conflict: null
+            });
+            this.notify();
+            await this.replay();
+            return;
+        }
+
+        // Discard this change and everything queued after it for the record
+        const later = this.getRecordEntries(entry.entity, entry.localId).filter(e => e.seq >= entry.seq);
+        for (const e of later) await this.remove(e.seq);
+
+        this.handlers[entry.entity].onDiscarded?.(entry);
+        this.notify();
+        await this.replay();
+    },
+
+    // ============================================
+    // Listeners
+    // ============================================
+
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    },
+
+    notify() {
+        this.listeners.forEach(callback => callback(this.entries));
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.Outbox = Outbox;
+}
@@ -0,0 +1,235 @@
+/**
+ * Register Sync Service
+ * Keeps the organisation's crew register and vessel list in step with the
+ * job form, queueing changes in the Outbox (IndexedDB) while offline.
+ *
+ * A crew member is saved when an ADAS number is entered against their name,
+ * and a vessel when it is picked from the vessel search. Both registers are
+ * cached in localStorage so records can be matched, and the version they
+ * were changed against sent, without a connection. Only values that differ
+ * from the register are sent; blank values never clear it. Shared vessels
+ * are read-only and are left unchanged.
+ */
+
+const RegisterSync = {
+    // Vessels cached per organisation (GET /api/vessels returns 50 by default)
+    VESSEL_LIMIT: 500,
+
+    // Per entity: cache key, API endpoints, how records are matched and
+    // labelled, and the matched fields that are never sent as changes
+    REGISTERS: {
+        crew: {
+            storageKey: 'iwc_crew_register',
+            endpoint: 'crew',
+            keyFields: ['name'],
+            getKey: record => record.name?.trim().toLowerCase() || null,
+            describe: record => record.name
+        },
+        vessel: {
+            storageKey: 'iwc_vessel_register',
+            endpoint: 'vessels',
+            keyFields: ['imoNumber'],
+            getKey: record => record.imoNumber
+                ? `imo:${record.imoNumber}`
+                : record.vesselName?.trim().toLowerCase() || null,
+            describe: record => [record.vesselName, record.imoNumber && `IMO ${record.imoNumber}`].filter(Boolean).join(' - ')
+        }
+    },
+
+    // Set while changes are queued, so the cache is reloaded once they are sent
+    awaitingReplay: false,
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    init() {
+        if (typeof AuthState !== 'undefined') {
+            AuthState.onChange(user => {
+                if (user) this.refresh();
+            });
+        }
+
+        if (typeof Outbox !== 'undefined') {
+            Outbox.onChange(entries => {
+                if (this.awaitingReplay && !entries.some(entry => this.REGISTERS[entry.entity])) {
+                    this.awaitingReplay = false;
+                    this.refresh();
+                }
+            });
+        }
+
+        this.refresh();
+    },
+
+    /**
+     * Whether offline changes can be queued for replay
+     * @returns {boolean}
+     */
+    canQueue() {
+        return typeof Outbox !== 'undefined' && Outbox.isAvailable();
+    },
+
+    /**
+     * Whether crew or vessel changes are waiting in the outbox
+     * @returns {boolean}
+     */
+    hasQueuedChanges() {
+        return this.canQueue() && Outbox.entries.some(entry => this.REGISTERS[entry.entity]);
+    },
+
+    // ============================================
+    // Cache
+    // ============================================
+
+    /**
+     * Reload the cached registers from the server
+     * Skipped while changes are queued, so records saved offline are not
+     * forgotten before they reach the server.
+     */
+    async refresh() {
+        if (!JobSync.isOnline()) return;
+
+        if (this.hasQueuedChanges()) {
+            this.awaitingReplay = true;
+            return;
+        }
+
+        try {
+            const [crew, vessels] = await Promise.all([
+                API.crew.list(),
+                API.vessels.list({ limit: this.VESSEL_LIMIT })
+            ]);
+            this.setCached('crew', crew);
+            this.setCached('vessel', vessels);
+        } catch (error) {
+            console.warn('Could not load the crew register and vessel list:', error);
+        }
+    },
+
+    getCached(entity) {
+        const data = localStorage.getItem(this.REGISTERS[entity].storageKey);
+        return data ? JSON.parse(data) : [];
+    },
+
+    setCached(entity, records) {
+        localStorage.setItem(this.REGISTERS[entity].storageKey, JSON.stringify(records));
+    },
+
+    /**
+     * Find a cached record by its match key (crew name, vessel IMO or name)
+     * @param {string} entity - 'crew' | 'vessel'
+     * @param {string} key - From REGISTERS[entity].getKey
+     * @returns {Object|undefined}
+     */
+    find(entity, key) {
+        const { getKey } = this.REGISTERS[entity];
+        return this.getCached(entity).find(record => getKey(record) === key);
+    },
+
+    /**
+     * Add or replace a record in the cache
+     */
+    cache(entity, record) {
+        const { getKey } = this.REGISTERS[entity];
+        const key = getKey(record);
+        const records = this.getCached(entity).filter(cached => getKey(cached) !== key);
+        this.setCached(entity, [...records, record]);
+    },
+
+    // ============================================
+    // Save
+    // ============================================
+
+    /**
+     * Values that would change a register record
+     * Blank values are dropped so they never clear what is stored, and a
+     * matched record keeps its key fields (e.g. the crew name as stored).
+     * @param {string} entity - 'crew' | 'vessel'
+     * @param {Object} values - Record fields
+     * @param {Object} [existing] - Cached record
+     * @returns {Object}
+     */
+    getChanges(entity, values, existing) {
+        const { keyFields } = this.REGISTERS[entity];
+
+        return Object.fromEntries(
+            Object.entries(values).filter(([key, value]) =>
+                value !== null && value !== undefined && value !== '' &&
+                !(existing && (keyFields.includes(key) || value === existing[key])))
+        );
+    },
+
+    /**
+     * Save a record to its register, or queue the change while offline
+     * @param {string} entity - 'crew' | 'vessel'
+     * @param {Object} values - Crew: name, adasCertNumber; vessel: JobMapping.toVessel columns
+     * @returns {Promise<Object|null>} - Saved, queued or unchanged record, or null if
+     *   the record cannot be saved (unnamed, shared vessel, or offline without an outbox)
+     */
+    async save(entity, values) {
+        const key = this.REGISTERS[entity].getKey(values);
+        if (!key) return null;
+
+        const existing = this.find(entity, key);
+        if (entity === 'vessel' && existing?.id && !existing.organizationId) return null;
+
+        const changes = this.getChanges(entity, values, existing);
+        if (existing && !Object.keys(changes).length) return existing;
+
+        // Records only saved offline so far have no server ID yet
+        const localId = existing?.id || existing?.localId || `new:${key}`;
+
+        if (!JobSync.isOnline() || (this.canQueue() && Outbox.hasQueued(entity, localId))) {
+            return this.queueSave(entity, existing, localId, changes);
+        }
+
+        const api = API[this.REGISTERS[entity].endpoint];
+        let record;
+
+        try {
+            record = existing?.id
+                ? await api.update(existing.id, changes, existing.version)
+                : await api.create(changes);
+        } catch (error) {
+            // Network failure: send it once the connection is back
+            if (error.isNetworkError) {
+                return this.queueSave(entity, existing, localId, changes);
+            }
+            throw error;
+        }
+
+        this.cache(entity, record);
+        return record;
+    },
+
+    /**
+     * Queue a change for replay and apply it to the cache
+     * @returns {Promise<Object|null>} - Cached record, or null if it cannot be queued
+     */
+    async queueSave(entity, existing, localId, changes) {
+        if (!this.canQueue()) return null;
+
+        const record = { ...(existing || { localId }), ...changes };
+        const update = !!existing?.id || Outbox.hasQueued(entity, localId);
+
+        await Outbox.enqueue({
+            entity,
+            action: update ? 'update' : 'create',
+            localId,
+            serverId: existing?.id,
+            payload: changes,
+            baseVersion: existing?.version,
+            label: this.REGISTERS[entity].describe(record)
+        });
+
+        this.awaitingReplay = true;
+        this.cache(entity, record);
+        return record;
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.RegisterSync = RegisterSync;
+}
@@ -1,14 +1,14 @@
 /**
  * Storage Service
  * Handles LocalStorage operations for jobs and vessels
+ * (jobs are cached here by JobSync when signed in)
  */
 
 const StorageService = {
     KEYS: {
         JOBS: 'iwc_jobs',
         VESSELS: 'iwc_vessels',
-        SETTINGS: 'iwc_settings',
-        JOB_COUNTER: 'iwc_job_counter'
+        SETTINGS: 'iwc_settings'
     },
 
     /**
@@ -49,6 +49,14 @@ const StorageService = {
         return data ? JSON.parse(data) : [];
     },
 
+    /**
+     * Replace all saved jobs (used when refreshing the cache from the server)
+     * @param {Array} jobs - Jobs to store
+     */
+    setJobs(jobs) {
+        localStorage.setItem(this.KEYS.JOBS, JSON.stringify(jobs));
+    },
+
     /**
      * Get a specific job by ID
      * @param {string} id - Job ID
@@ -119,17 +127,6 @@ const StorageService = {
         ) || null;
     },
 
-    /**
-     * Get and increment job counter
-     * @returns {number} - Next job number
-     */
-    getNextJobNumber() {
-        let counter = parseInt(localStorage.getItem(this.KEYS.JOB_COUNTER)) || 12134;
-        counter++;
-        localStorage.setItem(this.KEYS.JOB_COUNTER, counter.toString());
-        return counter;
-    },
-
     /**
      * Generate unique ID
      * @returns {string} - UUID
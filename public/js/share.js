@@ -0,0 +1,223 @@
+/**
+ * Shared Package Page
+ * What a client or regulator sees when they open a share link
+ * (/share/<token>): the job summary, the shared documents read-only, and a
+ * form to acknowledge receipt or approve with conditions. No sign-in; the
+ * token in the URL is the credential.
+ */
+
+const SharePage = {
+    token: null,
+    shared: null,
+    documentType: null,
+
+    RESPONSE_LABELS: {
+        ACKNOWLEDGED: 'Receipt acknowledged',
+        APPROVED_WITH_CONDITIONS: 'Approved with conditions'
+    },
+
+    async init() {
+        this.token = decodeURIComponent(window.location.pathname.split('/').filter(Boolean).pop() || '');
+
+        try {
+            this.shared = await API.share.get(this.token);
+        } catch (error) {
+            this.renderError(error.status === 410 || error.status === 404
+                ? error.message
+                : 'This package could not be loaded. Please try again later.');
+            return;
+        }
+
+        this.render();
+        if (this.shared.documents.length) {
+            this.showDocument(this.shared.documents[0].type);
+        }
+    },
+
+    renderError(message) {
+        document.getElementById('shareMain').innerHTML = `
+            <div class="share-card">
+                <h2>Link unavailable</h2>
+                <p>${this.escapeHtml(message)}</p>
+            </div>
+        `;
+    },
+
+    render() {
+        const { job, documents, expiresAt, sharedAt, recipientName } = this.shared;
+        const vessel = job.vessel
+            ? `${job.vessel.vesselName}${job.vessel.imoNumber ? ` (IMO ${job.vessel.imoNumber})` : ''}`
+            : '-';
+
+        document.title = `${job.jobNumber} - Shared Package - IWC Approval Portal`;
+        document.getElementById('shareSubtitle').textContent =
+            `Shared by ${job.organization?.name || 'the IWC Approval Portal'}${recipientName ? ` with ${recipientName}` : ''}`;
+
+        document.getElementById('shareMain').innerHTML = `
+            <div class="share-card">
+                <dl class="share-summary">
+                    <dt>Job</dt><dd>${this.escapeHtml(job.jobNumber)}</dd>
+                    <dt>Vessel</dt><dd>${this.escapeHtml(vessel)}</dd>
+                    <dt>Client</dt><dd>${this.escapeHtml(job.clientName || '-')}</dd>
+                    <dt>Location</dt><dd>${this.escapeHtml(job.cleaningLocation || '-')}</dd>
+                    <dt>Jurisdiction</dt><dd>${this.escapeHtml(job.jurisdiction || '-')}</dd>
+                    <dt>Proposed dates</dt><dd>${this.formatDay(job.proposedStartDate)}${job.proposedEndDate ? ` to ${this.formatDay(job.proposedEndDate)}` : ''}</dd>
+                    <dt>Shared</dt><dd>${this.formatDate(sharedAt)} (link expires ${this.formatDate(expiresAt)})</dd>
+                </dl>
+            </div>
+
+            <div class="share-card">
+                <div class="review-tabs" id="shareTabs">
+                    ${documents.map(doc => `
+                        <button class="tab-btn" data-type="${doc.type}">${doc.type} v${doc.version}</button>
+                    `).join('')}
+                </div>
+                <iframe class="share-document-frame" id="shareFrame" sandbox title="Shared document"></iframe>
+            </div>
+
+            <div class="share-card">
+                <h2>Your response</h2>
+                <div id="shareResponses"></div>
+                <form id="shareResponseForm" class="share-response-form">
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label for="shareName">Your name</label>
+                            <input type="text" id="shareName" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="shareOrganization">Organisation</label>
+                            <input type="text" id="shareOrganization">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label><input type="radio" name="shareResponseType" value="ACKNOWLEDGED" checked> Acknowledge receipt</label>
+                        <label><input type="radio" name="shareResponseType" value="APPROVED_WITH_CONDITIONS"> Approve with conditions</label>
+                    </div>
+                    <div class="form-group" id="shareConditionsGroup" hidden>
+                        <label for="shareConditions">Conditions</label>
+                        <textarea id="shareConditions" rows="4"></textarea>
+                    </div>
+                    <button type="submit" class="btn btn-primary" id="shareSubmitBtn">Send Response</button>
+                </form>
+            </div>
+        `;
+
+        this.renderResponses();
+
+        document.querySelectorAll('#shareTabs [data-type]').forEach(button => {
+            button.addEventListener('click', () => this.showDocument(button.dataset.type));
+        });
+        document.querySelectorAll('input[name="shareResponseType"]').forEach(input => {
+            input.addEventListener('change', () => {
+                document.getElementById('shareConditionsGroup').hidden = this.getResponseType() !== 'APPROVED_WITH_CONDITIONS';
+            });
+        });
+        document.getElementById('shareResponseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.respond();
+        });
+    },
+
+    renderResponses() {
+        const responses = this.shared.responses;
+
+        document.getElementById('shareResponses').innerHTML = responses.length ? `
+            <ul class="share-responses">
+                ${responses.map(response => `
+                    <li>
+                        <strong>${this.RESPONSE_LABELS[response.type]}</strong>
+                        by ${this.escapeHtml(response.name)}${response.organization ? ` (${this.escapeHtml(response.organization)})` : ''},
+                        ${this.formatDate(response.createdAt)}
+                        ${response.conditions ? `<div class="share-conditions">${this.escapeHtml(response.conditions).replace(/\n/g, '<br>')}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '';
+    },
+
+    /**
+     * Load a shared document into the frame
+     * Documents carry their own styles, so they are shown in a sandboxed frame.
+     * @param {string} type - Document type
+     */
+    async showDocument(type) {
+        this.documentType = type;
+        document.querySelectorAll('#shareTabs [data-type]').forEach(button => {
+            button.classList.toggle('active', button.dataset.type === type);
+        });
+
+        const frame = document.getElementById('shareFrame');
+        try {
+            const doc = await API.share.getDocument(this.token, type);
+            if (this.documentType === type) {
+                frame.srcdoc = doc.content || '';
+            }
+        } catch (error) {
+            if (error.status === 410) {
+                this.renderError(error.message);
+                return;
+            }
+            frame.srcdoc = `<p>${this.escapeHtml(`Could not load the ${type}.`)}</p>`;
+        }
+    },
+
+    getResponseType() {
+        return document.querySelector('input[name="shareResponseType"]:checked')?.value;
+    },
+
+    async respond() {
+        const button = document.getElementById('shareSubmitBtn');
+        const response = {
+            type: this.getResponseType(),
+            name: document.getElementById('shareName').value.trim(),
+            organization: document.getElementById('shareOrganization').value.trim(),
+            conditions: document.getElementById('shareConditions').value.trim()
+        };
+
+        if (response.type !== 'APPROVED_WITH_CONDITIONS') {
+            delete response.conditions;
+        } else if (!response.conditions) {
+            alert('Please enter the conditions of your approval.');
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            this.shared.responses.push(await API.share.respond(this.token, response));
+            this.renderResponses();
+            document.getElementById('shareConditions').value = '';
+            alert('Thank you. Your response has been sent.');
+        } catch (error) {
+            alert(`Could not send your response: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    formatDate(date) {
+        return date ? new Date(date).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        }) : '-';
+    },
+
+    formatDay(date) {
+        return date ? new Date(date).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' }) : '-';
+    },
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => SharePage.init());
@@ -0,0 +1,175 @@
+/**
+ * Decompression Tables Module
+ * Air no-decompression limits (DCIEM and US Navy) and a validator that checks
+ * the planned dive parameters (maxDepth, bottomTime, decoProfile) against them.
+ * References: DCIEM Diving Manual Table 1 (Air); US Navy Diving Manual Rev 7
+ * Table 9-7 (No-Decompression Limits)
+ */
+
+const DecompressionTables = {
+    /**
+     * No-decompression limits for air, by table
+     * Each row is the deepest depth it covers and the limit in minutes
+     * (null = no limit). Depths are metres for DCIEM and feet for US Navy,
+     * as printed in the source tables.
+     */
+    TABLES: {
+        DCIEM: {
+            name: 'DCIEM Air Table 1',
+            unit: 'm',
+            limits: [
+                { depth: 6, limit: null },
+                { depth: 9, limit: 300 },
+                { depth: 12, limit: 150 },
+                { depth: 15, limit: 75 },
+                { depth: 18, limit: 50 },
+                { depth: 21, limit: 35 },
+                { depth: 24, limit: 25 },
+                { depth: 27, limit: 20 },
+                { depth: 30, limit: 15 },
+                { depth: 33, limit: 12 },
+                { depth: 36, limit: 10 },
+                { depth: 39, limit: 8 },
+                { depth: 42, limit: 7 },
+                { depth: 45, limit: 6 },
+                { depth: 48, limit: 5 },
+                { depth: 51, limit: 5 },
+                { depth: 54, limit: 4 }
+            ]
+        },
+        USN: {
+            name: 'US Navy Rev 7 Air No-Decompression Limits',
+            unit: 'ft',
+            limits: [
+                { depth: 20, limit: null },
+                { depth: 25, limit: 1102 },
+                { depth: 30, limit: 371 },
+                { depth: 35, limit: 232 },
+                { depth: 40, limit: 163 },
+                { depth: 45, limit: 125 },
+                { depth: 50, limit: 92 },
+                { depth: 55, limit: 74 },
+                { depth: 60, limit: 63 },
+                { depth: 70, limit: 48 },
+                { depth: 80, limit: 39 },
+                { depth: 90, limit: 33 },
+                { depth: 100, limit: 25 },
+                { depth: 110, limit: 20 },
+                { depth: 120, limit: 15 },
+                { depth: 130, limit: 12 },
+                { depth: 140, limit: 10 },
+                { depth: 150, limit: 8 },
+                { depth: 160, limit: 7 },
+                { depth: 170, limit: 6 },
+                { depth: 180, limit: 6 },
+                { depth: 190, limit: 5 }
+            ]
+        }
+    },
+
+    DEFAULT_TABLE: 'DCIEM',
+
+    FEET_PER_METRE: 3.28084,
+
+    // decoProfile value that plans no decompression stops
+    NO_DECOMPRESSION: 'No Deco',
+
+    /**
+     * Look up the no-decompression limit for a depth
+     * Uses the next deeper row when the depth falls between rows, as the
+     * tables require.
+     * @param {number} depth - Depth in metres
+     * @param {string} [tableId] - DCIEM or USN
+     * @returns {Object|null} - { table, tableName, tableDepth, unit, limit }, or null
+     *   when the depth is beyond the table
+     */
+    getLimit(depth, tableId = this.DEFAULT_TABLE) {
+        const table = this.TABLES[tableId] || this.TABLES[this.DEFAULT_TABLE];
+        const tableDepth = table.unit === 'ft' ? depth * this.FEET_PER_METRE : depth;
+        // Round off floating point error so 12 m does not read as the next row
+        const row = table.limits.find(entry => entry.depth >= Math.round(tableDepth * 100) / 100);
+
+        if (!row) return null;
+
+        return {
+            table: this.TABLES[tableId] ? tableId : this.DEFAULT_TABLE,
+            tableName: table.name,
+            tableDepth: row.depth,
+            unit: table.unit,
+            limit: row.limit
+        };
+    },
+
+    /**
+     * Check the planned dive parameters against the no-decompression limit
+     * Nitrox dives are checked at their equivalent air depth when one is given
+     * (ScenarioLogic.determineGas).
+     * @param {Object} data - Form data (maxDepth, bottomTime, decoProfile, gasType,
+     *   equivalentAirDepth)
+     * @param {string} [tableId] - DCIEM or USN (from the jurisdiction's features.decompressionTable)
+     * @returns {Object} - { applicable, limit, requiresStops, summary, warnings }
+     */
+    validate(data, tableId = this.DEFAULT_TABLE) {
+        const depth = parseFloat(data.maxDepth);
+        const gas = data.gasType || 'Air';
+        const result = { applicable: false, limit: null, requiresStops: false, summary: '-', warnings: [] };
+
+        if (!depth || depth <= 0) {
+            return result;
+        }
+
+        const ead = gas === 'Nitrox' ? data.equivalentAirDepth : undefined;
+
+        if (gas !== 'Air' && (ead === undefined || ead === null)) {
+            result.summary = `Air tables do not apply to ${gas}`;
+            return result;
+        }
+
+        const limit = this.getLimit(ead ?? depth, tableId);
+        const at = ead !== undefined ? `${depth} m (EAD ${ead} m)` : `${depth} m`;
+        const noDeco = (data.decoProfile || this.NO_DECOMPRESSION) === this.NO_DECOMPRESSION;
+        result.applicable = true;
+        result.limit = limit;
+
+        if (!limit) {
+            const table = this.TABLES[tableId] || this.TABLES[this.DEFAULT_TABLE];
+            result.requiresStops = true;
+            result.summary = `${at} is beyond the ${table.name}`;
+            result.warnings.push(`Planned depth ${at} is beyond the ${table.name}: surface-supplied mixed gas or a specialist dive plan is required`);
+            return result;
+        }
+
+        const source = `${limit.tableName}, ${limit.tableDepth} ${limit.unit} row`;
+
+        if (limit.limit === null) {
+            result.summary = `No limit at ${at}`;
+            return result;
+        }
+
+        result.summary = `${limit.limit} min at ${at}`;
+        const bottomTime = parseInt(data.bottomTime);
+
+        // "Unlimited" on the form means dives stay within the limit, so only
+        // a planned time in minutes can exceed it
+        if (!isNaN(bottomTime) && bottomTime > limit.limit) {
+            result.requiresStops = true;
+            result.warnings.push(`Bottom time ${bottomTime} min at ${at} exceeds the no-decompression limit of ${limit.limit} min (${source})`);
+        }
+
+        if (result.requiresStops && noDeco) {
+            result.warnings.push('"No Decompression Required" is selected but this depth and bottom time require decompression stops - reduce the bottom time or plan the stops');
+        }
+
+        return result;
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.DecompressionTables = DecompressionTables;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DecompressionTables;
+}
@@ -0,0 +1,367 @@
+/**
+ * Dive Log Module
+ * Records the dives actually made on the current job and shows where each
+ * one departed from the dive plan (depth, bottom time, gas, decompression).
+ * Exports the log as a dive record sheet.
+ */
+
+const DiveLog = {
+    GAS_TYPES: ['Air', 'Nitrox', 'Mixed Gas'],
+
+    jobId: null,
+    log: null,
+    editing: null,
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    createModal() {
+        if (document.getElementById('diveLogModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'diveLogModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="diveLogOverlay"></div>
+            <div class="modal-content divelog-modal">
+                <div class="modal-header">
+                    <h2>🤿 Dive Log</h2>
+                    <button class="modal-close" id="diveLogCloseBtn">×</button>
+                </div>
+                <div class="modal-body" id="diveLogBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" id="diveLogCloseFooterBtn">Close</button>
+                    <button class="btn btn-secondary" id="diveLogAddBtn">Log Dive</button>
+                    <button class="btn btn-primary" id="diveLogExportBtn">Export Dive Sheet</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('diveLogOverlay').addEventListener('click', () => this.close());
+        document.getElementById('diveLogCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('diveLogCloseFooterBtn').addEventListener('click', () => this.close());
+        document.getElementById('diveLogAddBtn').addEventListener('click', () => this.showForm(null));
+        document.getElementById('diveLogExportBtn').addEventListener('click', () => this.export());
+    },
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    /**
+     * Open the dive log for a job
+     * @param {string} jobId - Server job ID
+     */
+    async open(jobId) {
+        this.createModal();
+        this.jobId = jobId;
+
+        if (!await this.load()) return;
+
+        document.getElementById('diveLogModal').classList.add('active');
+    },
+
+    close() {
+        document.getElementById('diveLogModal')?.classList.remove('active');
+    },
+
+    /**
+     * Load the log and re-render
+     * @returns {Promise<boolean>} - Whether it loaded
+     */
+    async load() {
+        try {
+            this.log = await API.jobs.getDiveLog(this.jobId);
+        } catch (error) {
+            alert(`Could not load the dive log: ${error.data?.message || error.message}`);
+            return false;
+        }
+
+        this.editing = null;
+        this.render();
+        return true;
+    },
+
+    render() {
+        const { plan, dives, summary } = this.log;
+        const body = document.getElementById('diveLogBody');
+
+        body.innerHTML = `
+            <div class="info-box">
+                <strong>Dive plan:</strong>
+                ${plan.maxDepth !== null ? `${plan.maxDepth} m max` : 'no max depth set'},
+                ${plan.bottomTime !== null ? `${plan.bottomTime} min bottom time` : `${this.escapeHtml(plan.bottomTimeText || 'unlimited')} bottom time`},
+                ${this.escapeHtml(plan.decompressionProfile)}, ${this.escapeHtml(plan.breathingGas)}
+            </div>
+            ${summary.flagged
+                ? `<div class="warning-message">⚠️ ${summary.flagged} of ${summary.dives} dives departed from the dive plan</div>`
+                : ''}
+
+            <div id="diveLogForm"></div>
+
+            ${dives.length ? `
+                <table class="divelog-dives">
+                    <thead>
+                        <tr><th>#</th><th>Diver</th><th>Left surface</th><th>Depth</th><th>Bottom</th><th>Total</th><th>Gas</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${dives.map(dive => this.renderDive(dive)).join('')}
+                    </tbody>
+                </table>
+            ` : '<p>No dives logged for this job yet.</p>'}
+        `;
+
+        body.querySelectorAll('.divelog-dive').forEach(row => {
+            const dive = dives.find(d => d.id === row.dataset.id);
+            row.querySelector('.divelog-edit').addEventListener('click', () => this.showForm(dive));
+            row.querySelector('.divelog-delete').addEventListener('click', () => this.remove(dive));
+        });
+    },
+
+    renderDive(dive) {
+        return `
+            <tr class="divelog-dive ${dive.flags.length ? 'divelog-flagged' : ''}" data-id="${dive.id}">
+                <td>${dive.diveNumber}</td>
+                <td>${this.escapeHtml(dive.diverName)}<div class="help-text">Sup. ${this.escapeHtml(dive.supervisorName)}</div></td>
+                <td>${this.formatDate(dive.leftSurfaceAt)}</td>
+                <td>${dive.maxDepth} m</td>
+                <td>${dive.bottomTimeMinutes} min</td>
+                <td>${dive.totalTimeMinutes} min</td>
+                <td>${this.escapeHtml(dive.breathingGas)}${dive.decompression ? `<div class="help-text">Deco: ${this.escapeHtml(dive.decompression)}</div>` : ''}</td>
+                <td>
+                    <button type="button" class="btn btn-secondary btn-small divelog-edit">Edit</button>
+                    <button type="button" class="btn btn-danger btn-small divelog-delete">🗑️</button>
+                </td>
+            </tr>
+            ${dive.flags.length ? `
+                <tr class="divelog-flags-row">
+                    <td></td>
+                    <td colspan="7">${dive.flags.map(flag => `⚠️ ${this.escapeHtml(flag.message)}`).join('<br>')}</td>
+                </tr>
+            ` : ''}
+        `;
+    },
+
+    // ============================================
+    // Log & Edit
+    // ============================================
+
+    /**
+     * Show the dive form
+     * @param {Object|null} dive - Dive to edit, or null for a new dive
+     */
+    showForm(dive) {
+        const { crew, plan } = this.log;
+        const container = document.getElementById('diveLogForm');
+        const supervisor = dive
+            ? dive.supervisorId
+            : crew.find(member => member.role === 'DIVE_SUPERVISOR')?.id;
+        const gas = dive?.breathingGas || this.GAS_TYPES.find(type => type.toLowerCase() === plan.breathingGas.toLowerCase()) || 'Air';
+        const crewOptions = selected => crew.map(member => `
+            <option value="${member.id}" ${member.id === selected ? 'selected' : ''}>${this.escapeHtml(member.name)}${member.role ? '' : ' (not on this job)'}</option>
+        `).join('');
+
+        this.editing = dive;
+        container.innerHTML = `
+            <div class="divelog-form">
+                <h3>${dive ? `Edit dive ${dive.diveNumber}` : 'Log a dive'}</h3>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="dlDiver">Diver</label>
+                        <select id="dlDiver">
+                            <option value="">Select diver</option>
+                            ${crewOptions(dive?.diverId)}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="dlSupervisor">Supervisor</label>
+                        <select id="dlSupervisor">
+                            <option value="">Other (name below)</option>
+                            ${crewOptions(supervisor)}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="dlSupervisorName">Supervisor name (if not in crew)</label>
+                        <input type="text" id="dlSupervisorName" value="${dive && !dive.supervisorId ? this.escapeHtml(dive.supervisorName) : ''}">
+                    </div>
+                </div>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="dlLeftSurface">Left surface</label>
+                        <input type="datetime-local" id="dlLeftSurface" value="${PreCleanInspection.toDateTimeValue(dive?.leftSurfaceAt)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="dlReachedBottom">Reached bottom</label>
+                        <input type="datetime-local" id="dlReachedBottom" value="${PreCleanInspection.toDateTimeValue(dive?.reachedBottomAt)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="dlLeftBottom">Left bottom</label>
+                        <input type="datetime-local" id="dlLeftBottom" value="${PreCleanInspection.toDateTimeValue(dive?.leftBottomAt)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="dlReachedSurface">Reached surface</label>
+                        <input type="datetime-local" id="dlReachedSurface" value="${PreCleanInspection.toDateTimeValue(dive?.reachedSurfaceAt)}">
+                    </div>
+                </div>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="dlMaxDepth">Max depth (m)</label>
+                        <input type="number" id="dlMaxDepth" min="0" step="0.1" value="${dive?.maxDepth ?? ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="dlGas">Breathing gas</label>
+                        <select id="dlGas">
+                            ${this.GAS_TYPES.map(type => `<option value="${type}" ${type === gas ? 'selected' : ''}>${type}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="dlDecompression">Decompression done</label>
+                        <input type="text" id="dlDecompression" value="${this.escapeHtml(dive?.decompression || '')}" placeholder="None, or e.g. 3 min at 3 m">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="dlTask">Task</label>
+                    <input type="text" id="dlTask" value="${this.escapeHtml(dive?.task || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="dlNotes">Notes</label>
+                    <textarea id="dlNotes" rows="2">${this.escapeHtml(dive?.notes || '')}</textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" id="dlCancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="dlSave">${dive ? 'Save Dive' : 'Log Dive'}</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('dlCancel').addEventListener('click', () => {
+            this.editing = null;
+            container.innerHTML = '';
+        });
+        document.getElementById('dlSave').addEventListener('click', () => this.save());
+        container.scrollIntoView({ behavior: 'smooth' });
+    },
+
+    /**
+     * Read the dive form into a request body
+     * @returns {Object}
+     */
+    collect() {
+        const value = id => document.getElementById(id).value;
+        const time = id => value(id) ? new Date(value(id)).toISOString() : null;
+        const supervisorId = value('dlSupervisor');
+
+        return {
+            diverId: value('dlDiver') || null,
+            supervisorId: supervisorId || null,
+            supervisorName: supervisorId ? null : value('dlSupervisorName'),
+            leftSurfaceAt: time('dlLeftSurface'),
+            reachedBottomAt: time('dlReachedBottom'),
+            leftBottomAt: time('dlLeftBottom'),
+            reachedSurfaceAt: time('dlReachedSurface'),
+            maxDepth: value('dlMaxDepth'),
+            breathingGas: value('dlGas'),
+            decompression: value('dlDecompression'),
+            task: value('dlTask'),
+            notes: value('dlNotes')
+        };
+    },
+
+    async save() {
+        const data = this.collect();
+        const dive = this.editing;
+        let saved;
+
+        try {
+            saved = dive
+                ? await API.jobs.updateDive(this.jobId, dive.id, data, dive.version)
+                : await API.jobs.logDive(this.jobId, data);
+        } catch (error) {
+            if (error.isConflict && error.data?.current) {
+                if (!confirm('This dive was changed by someone else since you opened it. Overwrite their changes with yours?')) {
+                    return;
+                }
+                this.editing = { ...dive, version: error.data.currentVersion };
+                return this.save();
+            }
+            alert(`Could not save the dive: ${error.data?.message || error.data?.error || error.message}`);
+            return;
+        }
+
+        await this.load();
+
+        if (saved.flags.length) {
+            alert(`Dive saved. It departed from the dive plan:\n\n${saved.flags.map(flag => `- ${flag.message}`).join('\n')}`);
+        } else {
+            FormEnhancements.showNotification('Dive saved', 'success');
+        }
+    },
+
+    async remove(dive) {
+        if (!confirm(`Delete dive ${dive.diveNumber} (${dive.diverName})? Only delete dives logged in error.`)) return;
+
+        try {
+            await API.jobs.deleteDive(this.jobId, dive.id);
+        } catch (error) {
+            alert(`Could not delete the dive: ${error.data?.message || error.message}`);
+            return;
+        }
+
+        await this.load();
+    },
+
+    // ============================================
+    // Export
+    // ============================================
+
+    /**
+     * Generate the dive record sheet and download it
+     */
+    async export() {
+        if (!this.log?.dives.length) {
+            alert('Log at least one dive before exporting the dive sheet.');
+            return;
+        }
+
+        const button = document.getElementById('diveLogExportBtn');
+        button.disabled = true;
+
+        try {
+            const generated = await API.jobs.exportDiveLog(this.jobId);
+            const stored = await API.jobs.getDocument(this.jobId, generated.id);
+
+            const url = URL.createObjectURL(new Blob([stored.content], { type: stored.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = stored.filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(`Could not export the dive sheet: ${error.data?.message || error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    formatDate(date) {
+        return PreCleanInspection.formatDate(date);
+    },
+
+    escapeHtml(text) {
+        return PreCleanInspection.escapeHtml(text);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.DiveLog = DiveLog;
+}
@@ -0,0 +1,197 @@
+/**
+ * Dive Team Rules Module
+ * Checks the dive team entered on the form (supervisor, diver1, diver2,
+ * tender) against the minimum team composition of an occupational diving
+ * standard for the planned depth and site type.
+ * References: AS/NZS 2299.1:2015 Occupational diving operations;
+ * OSHA 29 CFR 1910 Subpart T (Commercial Diving Operations);
+ * IMCA D 014 International code of practice for offshore diving
+ */
+
+const DiveTeamRules = {
+    /**
+     * Minimum team composition by standard
+     * Diver 1 is the working diver and Diver 2 the standby diver.
+     * medicOnSite / chamberOnSite apply when the planned depth is deeper than
+     * `depth` metres, or when decompression is planned and the depth is deeper
+     * than `decompressionDepth` (null = never). chamberMaxTravelMinutes is the
+     * furthest a chamber may be otherwise (null = no limit).
+     */
+    RULE_SETS: {
+        AS2299: {
+            name: 'AS/NZS 2299.1',
+            standbyDiver: true,
+            tender: true,
+            supervisorMayDive: false,
+            certification: 'ADAS',
+            medicOnSite: { depth: 30, decompressionDepth: 0 },
+            chamberOnSite: { depth: 30, decompressionDepth: 0 },
+            chamberMaxTravelMinutes: 120
+        },
+        OSHA: {
+            name: 'OSHA 29 CFR 1910 Subpart T',
+            standbyDiver: true,
+            tender: true,
+            supervisorMayDive: true,
+            certification: null,
+            medicOnSite: { depth: null, decompressionDepth: null },
+            // 1910.423: chamber at the dive location deeper than 100 fsw, or
+            // outside the no-decompression limits deeper than 40 fsw
+            chamberOnSite: { depth: 30, decompressionDepth: 12 },
+            chamberMaxTravelMinutes: null
+        },
+        IMCA: {
+            name: 'IMCA D 014',
+            standbyDiver: true,
+            tender: true,
+            supervisorMayDive: false,
+            certification: null,
+            medicOnSite: { depth: 30, decompressionDepth: 0 },
+            chamberOnSite: { depth: 50, decompressionDepth: 0 },
+            chamberMaxTravelMinutes: 360
+        }
+    },
+
+    DEFAULT_RULE_SET: 'AS2299',
+
+    // Client sites that require a dive medic on site whatever the depth
+    MEDIC_SITE_TYPES: {
+        defence: 'Defence / Babcock sites',
+        anzac: 'ANZAC class propeller operations',
+        navy: 'Navy prime sites'
+    },
+
+    // decoProfile value that plans no decompression stops
+    NO_DECOMPRESSION: 'No Deco',
+
+    // chamberTravel value for a chamber at the dive location
+    CHAMBER_ON_SITE: 0,
+
+    /**
+     * Get the people filling each team position
+     * @param {Object} data - Form data
+     * @returns {Array<Object>} - { key, position, name, cert } for each filled slot
+     */
+    getTeam(data) {
+        return [
+            { key: 'diveSupervisor', position: 'Dive Supervisor' },
+            { key: 'diver1', position: 'Working Diver (Diver 1)' },
+            { key: 'diver2', position: 'Standby Diver (Diver 2)' },
+            { key: 'diveTender', position: 'Dive Tender' }
+        ]
+            .map(slot => ({
+                ...slot,
+                name: (data[slot.key] || '').trim(),
+                cert: (data[`${slot.key}ADAS`] || '').trim()
+            }))
+            .filter(member => member.name);
+    },
+
+    /**
+     * Whether a depth/decompression threshold applies to the plan
+     * @param {Object} threshold - { depth, decompressionDepth }
+     * @param {number} depth - Planned depth in metres
+     * @param {boolean} decompression - Decompression planned
+     * @returns {boolean}
+     */
+    thresholdApplies(threshold, depth, decompression) {
+        if (!threshold) return false;
+        if (threshold.depth !== null && depth > threshold.depth) return true;
+        return decompression && threshold.decompressionDepth !== null && depth > threshold.decompressionDepth;
+    },
+
+    /**
+     * Check the dive team against a rule set
+     * Blocking issues must be fixed before the SWMS is generated; the rest
+     * are advisory.
+     * @param {Object} data - Form data (team slots, maxDepth, decoProfile,
+     *   siteType, onSiteMedic, chamberTravel)
+     * @param {string} [ruleSetId] - AS2299, OSHA or IMCA (from the jurisdiction's features.diveTeamRules)
+     * @returns {Object} - { ruleSet, ruleSetName, issues: [{ code, message, blocking }], blocking }
+     */
+    validate(data, ruleSetId = this.DEFAULT_RULE_SET) {
+        const id = this.RULE_SETS[ruleSetId] ? ruleSetId : this.DEFAULT_RULE_SET;
+        const rules = this.RULE_SETS[id];
+        const team = this.getTeam(data);
+        const depth = parseFloat(data.maxDepth) || 0;
+        const decompression = (data.decoProfile || this.NO_DECOMPRESSION) !== this.NO_DECOMPRESSION;
+        const issues = [];
+        const block = (code, message) => issues.push({ code, message: `${message} (${rules.name})`, blocking: true });
+        const advise = (code, message) => issues.push({ code, message: `${message} (${rules.name})`, blocking: false });
+        const has = key => team.some(member => member.key === key);
+
+        if (!has('diveSupervisor')) {
+            block('supervisor_missing', 'A dive supervisor must be named for every diving operation');
+        }
+        if (!has('diver1')) {
+            block('diver_missing', 'A working diver (Diver 1) must be named');
+        }
+        if (rules.standbyDiver && !has('diver2')) {
+            block('standby_missing', 'A standby diver (Diver 2) must be on the surface, dressed and ready to enter the water');
+        }
+
+        if (rules.tender && !has('diveTender')) {
+            block('tender_missing', 'A dive tender must be named to tend the working diver');
+        }
+
+        // One person cannot fill two positions
+        const seen = new Map();
+        team.forEach(member => {
+            const name = member.name.toLowerCase();
+            if (!seen.has(name)) {
+                seen.set(name, member);
+                return;
+            }
+            const other = seen.get(name);
+            const supervisorDiving = other.key === 'diveSupervisor' && (member.key === 'diver1' || member.key === 'diver2');
+            if (supervisorDiving && rules.supervisorMayDive) {
+                advise('supervisor_diving', `${member.name} is both the dive supervisor and ${member.position}; another supervisor must take over while they are in the water`);
+            } else {
+                block('duplicate_member', `${member.name} cannot be both ${other.position} and ${member.position}`);
+            }
+        });
+
+        if (rules.certification) {
+            team.filter(member => !member.cert).forEach(member => {
+                advise('certification_missing', `No ${rules.certification} certificate number recorded for ${member.name} (${member.position})`);
+            });
+        }
+
+        // On-site dive medic
+        const medicSite = this.MEDIC_SITE_TYPES[data.siteType];
+        if (data.onSiteMedic !== 'yes') {
+            if (this.thresholdApplies(rules.medicOnSite, depth, decompression)) {
+                block('medic_required', `An on-site dive medic is required for ${decompression ? 'decompression dives' : `dives deeper than ${rules.medicOnSite.depth} m`}`);
+            } else if (medicSite) {
+                issues.push({ code: 'medic_required', message: `An on-site dive medic is required at ${medicSite}`, blocking: true });
+            }
+        }
+
+        // Recompression chamber proximity
+        const chamberTravel = parseInt(data.chamberTravel);
+        if (!isNaN(chamberTravel) && chamberTravel !== this.CHAMBER_ON_SITE) {
+            if (this.thresholdApplies(rules.chamberOnSite, depth, decompression)) {
+                block('chamber_on_site', `A recompression chamber must be at the dive location for ${decompression ? 'decompression dives' : `dives deeper than ${rules.chamberOnSite.depth} m`}`);
+            } else if (rules.chamberMaxTravelMinutes !== null && chamberTravel > rules.chamberMaxTravelMinutes) {
+                block('chamber_too_far', `The nearest recompression chamber must be within ${rules.chamberMaxTravelMinutes / 60} hours of the dive site`);
+            }
+        }
+
+        return {
+            ruleSet: id,
+            ruleSetName: rules.name,
+            issues,
+            blocking: issues.some(issue => issue.blocking)
+        };
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.DiveTeamRules = DiveTeamRules;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiveTeamRules;
+}
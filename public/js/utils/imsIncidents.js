@@ -0,0 +1,476 @@
+/**
+ * IMS Incidents Module
+ * Records suspected invasive marine species detections for the current job.
+ * Reporting a detection stops work on the job; the module then walks the user
+ * through notifying the regulator within the jurisdiction's window and
+ * resolving the incident once the regulator directs work to resume.
+ */
+
+const ImsIncidents = {
+    HULL_LOCATIONS: [
+        'Flat bottom',
+        'Vertical sides',
+        'Boot top / waterline',
+        'Bow thruster tunnel',
+        'Stern thruster tunnel',
+        'Sea chest',
+        'Propeller',
+        'Rudder',
+        'Bilge keels',
+        'Anodes',
+        'Stern tube / shaft'
+    ],
+
+    METHODS: [
+        { value: 'phone', label: 'Phone' },
+        { value: 'email', label: 'Email' },
+        { value: 'other', label: 'Other' }
+    ],
+
+    MAX_PHOTOS: 20,
+
+    jobId: null,
+    data: null,
+    photos: [],
+    onJobChanged: null,
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    createModal() {
+        if (document.getElementById('imsModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'imsModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="imsOverlay"></div>
+            <div class="modal-content ims-modal">
+                <div class="modal-header">
+                    <h2>🦠 IMS Incidents</h2>
+                    <button class="modal-close" id="imsCloseBtn">×</button>
+                </div>
+                <div class="modal-body" id="imsBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" id="imsCloseFooterBtn">Close</button>
+                    <button class="btn btn-primary" id="imsReportBtn">Report Detection</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('imsOverlay').addEventListener('click', () => this.close());
+        document.getElementById('imsCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('imsCloseFooterBtn').addEventListener('click', () => this.close());
+        document.getElementById('imsReportBtn').addEventListener('click', () => this.showReportForm());
+    },
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    /**
+     * Open the incidents for a job
+     * @param {string} jobId - Server job ID
+     * @param {Object} [options]
+     * @param {Function} [options.onJobChanged] - Called with { id, version, workStoppedAt, workStopReason }
+     *   when reporting or resolving an incident stops or resumes work on the job
+     */
+    async open(jobId, options = {}) {
+        this.createModal();
+        this.jobId = jobId;
+        this.onJobChanged = options.onJobChanged || null;
+
+        if (!await this.load()) return;
+
+        document.getElementById('imsModal').classList.add('active');
+    },
+
+    close() {
+        document.getElementById('imsModal')?.classList.remove('active');
+    },
+
+    /**
+     * Load the incidents and re-render
+     * @returns {Promise<boolean>} - Whether they loaded
+     */
+    async load() {
+        try {
+            this.data = await API.jobs.getImsIncidents(this.jobId);
+        } catch (error) {
+            alert(`Could not load the IMS incidents: ${error.data?.message || error.message}`);
+            return false;
+        }
+
+        this.render();
+        return true;
+    },
+
+    render() {
+        const { incidents, job, contacts, notificationHours } = this.data;
+        const body = document.getElementById('imsBody');
+        const hotline = contacts.hotline || {};
+
+        body.innerHTML = `
+            ${job.workStoppedAt
+                ? `<div class="warning-message">⛔ Work stopped ${this.formatDate(job.workStoppedAt)}${job.workStopReason ? ` - ${this.escapeHtml(job.workStopReason)}` : ''}</div>`
+                : ''}
+
+            <div class="info-box ims-hotline">
+                <strong>${this.escapeHtml(hotline.name || contacts.regulator.name || 'Regulator')}</strong>
+                ${hotline.phone ? ` - <a href="tel:${this.escapeHtml(hotline.phone)}">${this.escapeHtml(hotline.phone)}</a>` : ''}
+                ${hotline.instruction ? `<br>${this.escapeHtml(hotline.instruction)}` : ''}
+                <br>Notify within ${notificationHours} hours of detection.
+                ${contacts.protocol ? `<p class="help-text">${this.escapeHtml(contacts.protocol)}</p>` : ''}
+            </div>
+
+            <div id="imsReportForm"></div>
+
+            ${incidents.length
+                ? incidents.slice().reverse().map(incident => this.renderIncident(incident)).join('')
+                : '<p>No IMS incidents recorded for this job.</p>'}
+        `;
+
+        body.querySelectorAll('.ims-incident').forEach(el => this.bindIncident(el));
+    },
+
+    renderIncident(incident) {
+        return `
+            <div class="ims-incident ${incident.open ? 'ims-open' : ''}" data-id="${incident.id}">
+                <div class="ims-incident-header">
+                    <h4>${this.escapeHtml(incident.suspectedSpecies)} - ${this.escapeHtml(incident.hullLocation)}</h4>
+                    <span>${incident.open ? 'Open' : `Resolved ${this.formatDate(incident.resolvedAt)}`}</span>
+                </div>
+                <p>Detected ${this.formatDate(incident.detectedAt)}${incident.reportedBy ? ` by ${this.escapeHtml(incident.reportedBy.name || incident.reportedBy.email)}` : ''}</p>
+                ${incident.locationDescription ? `<p>${this.escapeHtml(incident.locationDescription)}</p>` : ''}
+                ${incident.description ? `<p>${this.escapeHtml(incident.description)}</p>` : ''}
+                ${this.renderNotificationStatus(incident)}
+                ${incident.resolution ? `<p><strong>Resolution:</strong> ${this.escapeHtml(incident.resolution)}</p>` : ''}
+
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary btn-small ims-generate">Generate Notification</button>
+                    ${!incident.notifiedAt ? '<button type="button" class="btn btn-secondary btn-small ims-notified">Record Notification</button>' : ''}
+                    ${incident.open && incident.notifiedAt ? '<button type="button" class="btn btn-secondary btn-small ims-resolve">Resolve</button>' : ''}
+                </div>
+                <div class="ims-inline-form"></div>
+
+                <details class="ims-trail">
+                    <summary>Trail (${(incident.events || []).length})</summary>
+                    <ul>
+                        ${(incident.events || []).map(event => `
+                            <li>${this.formatDate(event.createdAt)} - ${this.describeEvent(event)}${event.user ? ` (${this.escapeHtml(event.user.name || event.user.email)})` : ''}</li>
+                        `).join('')}
+                    </ul>
+                </details>
+            </div>
+        `;
+    },
+
+    renderNotificationStatus(incident) {
+        if (incident.notifiedAt) {
+            const via = [incident.notificationMethod, incident.notifiedContact].filter(Boolean).map(v => this.escapeHtml(v)).join(', ');
+            const text = `Regulator notified ${this.formatDate(incident.notifiedAt)}${via ? ` (${via})` : ''}${incident.notificationReference ? ` - ref ${this.escapeHtml(incident.notificationReference)}` : ''}`;
+            return incident.notifiedInTime
+                ? `<div class="info-box">✅ ${text}</div>`
+                : `<div class="warning-message">⚠️ Late - ${text}</div>`;
+        }
+
+        const text = `Notify the regulator by ${this.formatDate(incident.notificationDueAt)}`;
+        return incident.notificationOverdue
+            ? `<div class="warning-message">⚠️ Overdue - ${text}</div>`
+            : `<div class="info-box">📅 ${text}</div>`;
+    },
+
+    describeEvent(event) {
+        const details = event.details || {};
+        switch (event.type) {
+            case 'detected':
+                return 'Detection reported, work stopped';
+            case 'updated':
+                return `Details updated${details.fields?.length ? `: ${details.fields.join(', ')}` : ''}`;
+            case 'notification_generated':
+                return 'Notification generated';
+            case 'notified':
+                return `Regulator notified${details.method ? ` by ${this.escapeHtml(details.method)}` : ''}${details.notifiedInTime === false ? ' (late)' : ''}`;
+            case 'resolved':
+                return 'Resolved';
+            default:
+                return this.escapeHtml(event.type);
+        }
+    },
+
+    bindIncident(el) {
+        const incident = this.data.incidents.find(i => i.id === el.dataset.id);
+        const form = el.querySelector('.ims-inline-form');
+
+        el.querySelector('.ims-generate').addEventListener('click', (e) => this.generate(incident, e.target));
+        el.querySelector('.ims-notified')?.addEventListener('click', () => this.showNotifiedForm(incident, form));
+        el.querySelector('.ims-resolve')?.addEventListener('click', () => this.showResolveForm(incident, form));
+    },
+
+    // ============================================
+    // Report Detection
+    // ============================================
+
+    showReportForm() {
+        const container = document.getElementById('imsReportForm');
+        if (container.innerHTML) {
+            container.scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
+
+        this.photos = [];
+        container.innerHTML = `
+            <div class="ims-report">
+                <h3>Report suspected IMS</h3>
+                <p class="help-text">Reporting a detection stops work on this job until the incident is resolved.</p>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="imsDetectedAt">Detected</label>
+                        <input type="datetime-local" id="imsDetectedAt" value="${PreCleanInspection.toDateTimeValue(new Date())}">
+                    </div>
+                    <div class="form-group">
+                        <label for="imsHullLocation">Hull location</label>
+                        <input type="text" id="imsHullLocation" list="imsHullLocations">
+                        <datalist id="imsHullLocations">
+                            ${this.HULL_LOCATIONS.map(location => `<option value="${location}">`).join('')}
+                        </datalist>
+                    </div>
+                    <div class="form-group">
+                        <label for="imsSpecies">Suspected species</label>
+                        <input type="text" id="imsSpecies">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="imsLocationDescription">Location details</label>
+                    <input type="text" id="imsLocationDescription">
+                </div>
+                <div class="form-group">
+                    <label for="imsDescription">Description</label>
+                    <textarea id="imsDescription" rows="3"></textarea>
+                </div>
+                <div class="form-group">
+                    <label for="imsActionsTaken">Actions taken</label>
+                    <textarea id="imsActionsTaken" rows="2"></textarea>
+                </div>
+                <div class="preclean-photos" id="imsPhotos"></div>
+                <input type="file" id="imsPhotoInput" accept="image/*" multiple>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" id="imsReportCancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="imsReportSubmit">Report &amp; Stop Work</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('imsPhotoInput').addEventListener('change', (e) => this.addPhotos(e.target.files));
+        document.getElementById('imsReportCancel').addEventListener('click', () => {
+            container.innerHTML = '';
+        });
+        document.getElementById('imsReportSubmit').addEventListener('click', () => this.report());
+    },
+
+    renderPhotos() {
+        const container = document.getElementById('imsPhotos');
+
+        container.innerHTML = this.photos.map((photo, index) => `
+            <div class="preclean-photo" data-index="${index}">
+                <img src="${photo.image}" alt="">
+                <input type="text" class="ims-photo-caption" value="${this.escapeHtml(photo.caption || '')}" placeholder="Caption">
+                <button type="button" class="btn btn-secondary btn-small ims-photo-remove">Remove</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.preclean-photo').forEach(el => {
+            const index = Number(el.dataset.index);
+            el.querySelector('.ims-photo-caption').addEventListener('input', (e) => {
+                this.photos[index].caption = e.target.value;
+            });
+            el.querySelector('.ims-photo-remove').addEventListener('click', () => {
+                this.photos.splice(index, 1);
+                this.renderPhotos();
+            });
+        });
+    },
+
+    async addPhotos(files) {
+        for (const file of Array.from(files || [])) {
+            if (!file.type.startsWith('image/')) continue;
+
+            if (this.photos.length >= this.MAX_PHOTOS) {
+                alert(`At most ${this.MAX_PHOTOS} photos can be attached.`);
+                break;
+            }
+
+            try {
+                this.photos.push({ image: await PostCleanReport.resizeImage(file), caption: '' });
+            } catch (error) {
+                alert(`Could not read ${file.name}.`);
+            }
+        }
+
+        document.getElementById('imsPhotoInput').value = '';
+        this.renderPhotos();
+    },
+
+    async report() {
+        const value = id => document.getElementById(id).value;
+        const detectedAt = value('imsDetectedAt');
+        const button = document.getElementById('imsReportSubmit');
+        button.disabled = true;
+
+        try {
+            const created = await API.jobs.createImsIncident(this.jobId, {
+                detectedAt: detectedAt ? new Date(detectedAt).toISOString() : null,
+                hullLocation: value('imsHullLocation'),
+                suspectedSpecies: value('imsSpecies'),
+                locationDescription: value('imsLocationDescription'),
+                description: value('imsDescription'),
+                actionsTaken: value('imsActionsTaken'),
+                photos: this.photos
+            });
+
+            this.photos = [];
+            this.notifyJobChanged(created.job);
+            await this.load();
+            FormEnhancements.showNotification('IMS detection reported - work on this job is stopped', 'info');
+        } catch (error) {
+            alert(`Could not report the detection: ${error.data?.message || error.data?.error || error.message}`);
+            button.disabled = false;
+        }
+    },
+
+    // ============================================
+    // Notification & Resolution
+    // ============================================
+
+    /**
+     * Generate the notification document, download it and open the email
+     */
+    async generate(incident, button) {
+        button.disabled = true;
+
+        try {
+            const { document: generated, email } = await API.jobs.generateImsNotification(this.jobId, incident.id);
+            const stored = await API.jobs.getDocument(this.jobId, generated.id);
+
+            const url = URL.createObjectURL(new Blob([stored.content], { type: stored.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = stored.filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            if (email.to.length) {
+                const params = new URLSearchParams({ subject: email.subject, body: email.body });
+                if (email.cc.length) params.set('cc', email.cc.join(','));
+                window.location.href = `mailto:${email.to.join(',')}?${params.toString().replace(/\+/g, '%20')}`;
+            }
+
+            await this.load();
+        } catch (error) {
+            alert(`Could not generate the notification: ${error.data?.message || error.message}`);
+            button.disabled = false;
+        }
+    },
+
+    showNotifiedForm(incident, container) {
+        const hotline = this.data.contacts.hotline || {};
+
+        container.innerHTML = `
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Method</label>
+                    <select class="ims-method">
+                        ${this.METHODS.map(method => `<option value="${method.value}">${method.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Contact</label>
+                    <input type="text" class="ims-contact" value="${this.escapeHtml(hotline.phone || '')}">
+                </div>
+                <div class="form-group">
+                    <label>Reference</label>
+                    <input type="text" class="ims-reference">
+                </div>
+                <div class="form-group">
+                    <label>Notified</label>
+                    <input type="datetime-local" class="ims-notified-at" value="${PreCleanInspection.toDateTimeValue(new Date())}">
+                </div>
+            </div>
+            <button type="button" class="btn btn-primary btn-small ims-save">Record Notification</button>
+        `;
+
+        container.querySelector('.ims-save').addEventListener('click', async (e) => {
+            const notifiedAt = container.querySelector('.ims-notified-at').value;
+            e.target.disabled = true;
+
+            try {
+                await API.jobs.recordImsNotification(this.jobId, incident.id, {
+                    method: container.querySelector('.ims-method').value,
+                    contact: container.querySelector('.ims-contact').value,
+                    reference: container.querySelector('.ims-reference').value,
+                    notifiedAt: notifiedAt ? new Date(notifiedAt).toISOString() : null
+                });
+                await this.load();
+                FormEnhancements.showNotification('Regulator notification recorded', 'success');
+            } catch (error) {
+                alert(`Could not record the notification: ${error.data?.message || error.data?.error || error.message}`);
+                e.target.disabled = false;
+            }
+        });
+    },
+
+    showResolveForm(incident, container) {
+        container.innerHTML = `
+            <div class="form-group">
+                <label>Resolution</label>
+                <textarea class="ims-resolution" rows="2" placeholder="Regulator's direction, e.g. cleared to resume with capture"></textarea>
+            </div>
+            <button type="button" class="btn btn-primary btn-small ims-save">Resolve Incident</button>
+        `;
+
+        container.querySelector('.ims-save').addEventListener('click', async (e) => {
+            e.target.disabled = true;
+
+            try {
+                const resolved = await API.jobs.resolveImsIncident(this.jobId, incident.id, container.querySelector('.ims-resolution').value);
+                this.notifyJobChanged(resolved.job);
+                await this.load();
+                FormEnhancements.showNotification(
+                    resolved.workResumed ? 'Incident resolved - work on this job can resume' : 'Incident resolved',
+                    'success'
+                );
+            } catch (error) {
+                alert(`Could not resolve the incident: ${error.data?.message || error.data?.error || error.message}`);
+                e.target.disabled = false;
+            }
+        });
+    },
+
+    notifyJobChanged(job) {
+        if (job && this.onJobChanged) {
+            this.onJobChanged(job);
+        }
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    formatDate(date) {
+        return PreCleanInspection.formatDate(date);
+    },
+
+    escapeHtml(text) {
+        return PreCleanInspection.escapeHtml(text);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ImsIncidents = ImsIncidents;
+}
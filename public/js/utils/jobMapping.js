@@ -0,0 +1,375 @@
+/**
+ * Job Mapping
+ * Converts between the job form (App.getFormData) and the stored Job,
+ * Vessel and JobCrew records
+ * Shared by the browser (JobSync) and the server (routes, document generator)
+ *
+ * Every form field with a database home is listed here. Fields without one
+ * (e.g. recentPortCalls, afcProductName, foulingDescription) are carried by
+ * Job.formDataSnapshot. When a job is loaded, stored record values take
+ * precedence over the snapshot; empty values fall back to the snapshot.
+ */
+
+const JobMapping = {
+    // Form field <-> Job column
+    JOB_FIELDS: [
+        { field: 'clientName', column: 'clientName' },
+        { field: 'proposedStartDate', column: 'proposedStartDate', type: 'date' },
+        { field: 'cleaningLocation', column: 'cleaningLocation' },
+
+        { field: 'afcType', column: 'afcType' },
+        { field: 'afcCondition', column: 'afcCondition' },
+        { field: 'noProhibitedBiocides', column: 'noProhibitedBiocides', type: 'boolean', default: true },
+        { field: 'biofoulingOrigin', column: 'biofoulingOrigin' },
+        { field: 'foulingRating', column: 'foulingRating', type: 'integer' },
+        { field: 'foulingCover', column: 'foulingCover', type: 'cover' },
+
+        { field: 'scopeHull', column: 'scopeHull', type: 'boolean', default: true },
+        { field: 'scopeNicheAreas', column: 'scopeNicheAreas', type: 'boolean' },
+        { field: 'scopePropeller', column: 'scopePropeller', type: 'boolean' },
+
+        { field: 'maxDepth', column: 'maxDepth', type: 'integer' },
+        { field: 'bottomTime', column: 'bottomTime' },
+        { field: 'decoProfile', column: 'decompressionProfile' },
+        { field: 'gasType', column: 'breathingGas' },
+
+        { field: 'clientContact', column: 'clientContactName' },
+        { field: 'clientPhone', column: 'clientContactPhone' },
+        { field: 'simopsContact', column: 'simOpsContactName' },
+        { field: 'simopsPhone', column: 'simOpsContactPhone' },
+        { field: 'emergencyAssembly', column: 'emergencyAssemblyPoint' },
+        { field: 'onSiteMedic', column: 'onSiteDiveMedic', type: 'yesno' },
+
+        { field: 'siteType', column: 'siteType', default: 'standard' },
+        { field: 'requiresPTW', column: 'ptwRequired', type: 'boolean' },
+        { field: 'requiresIsolation', column: 'isolationRequired', type: 'boolean' },
+        { field: 'requiresSiteInduction', column: 'siteInductionRequired', type: 'boolean' },
+        { field: 'requiresSecurityClearance', column: 'securityClearance', type: 'boolean' }
+    ],
+
+    // Form field <-> Vessel column
+    VESSEL_FIELDS: [
+        { field: 'vesselName', column: 'vesselName' },
+        { field: 'imoNumber', column: 'imoNumber' },
+        { field: 'mmsiNumber', column: 'mmsi' },
+        { field: 'vesselType', column: 'vesselType' },
+        { field: 'vesselLOA', column: 'loa', type: 'measurement' },
+        { field: 'vesselBeam', column: 'beam', type: 'measurement' },
+        { field: 'vesselFlag', column: 'flagState' },
+        { field: 'grossTonnage', column: 'grossTonnage', type: 'float' }
+    ],
+
+    // Personnel slots on the form <-> JobCrew role (name and ADAS number from CrewMember)
+    CREW_SLOTS: [
+        { field: 'diveSupervisor', certField: 'diveSupervisorADAS', role: 'DIVE_SUPERVISOR' },
+        { field: 'diver1', certField: 'diver1ADAS', role: 'DIVER' },
+        { field: 'diver2', certField: 'diver2ADAS', role: 'DIVER' },
+        { field: 'diveTender', certField: 'diveTenderADAS', role: 'DIVE_TENDER' }
+    ],
+
+    // Checkbox groups stored as a JSON object on one Job column
+    FIELD_GROUPS: [
+        { column: 'equipment', matches: field => field.startsWith('equip') || field === 'otherEquipment' },
+        { column: 'additionalActivities', matches: field => field.startsWith('activity') }
+    ],
+
+    // Fouling cover bands offered on the form (percent, inclusive)
+    COVER_BANDS: [
+        { value: '0', min: 0, max: 0 },
+        { value: '1-5', min: 1, max: 5 },
+        { value: '6-15', min: 6, max: 15 },
+        { value: '16-40', min: 16, max: 40 },
+        { value: '41-100', min: 41, max: 100 }
+    ],
+
+    // Value conversion per field type: form value -> column, column -> form value, empty form value
+    TYPES: {
+        string: {
+            toColumn: value => (value === '' || value == null ? null : String(value)),
+            toField: value => String(value),
+            empty: ''
+        },
+        integer: {
+            toColumn: value => {
+                const number = parseInt(value);
+                return isNaN(number) ? null : number;
+            },
+            toField: value => String(value),
+            empty: ''
+        },
+        float: {
+            toColumn: value => {
+                const number = parseFloat(value);
+                return isNaN(number) ? null : number;
+            },
+            toField: value => String(value),
+            empty: ''
+        },
+        // Percent cover: the form picks a band ('16-40'), the column stores a
+        // percentage (the band's lower bound, or a measured value from an inspection)
+        cover: {
+            toColumn: value => {
+                const number = parseInt(value);
+                return isNaN(number) ? null : number;
+            },
+            toField: value => JobMapping.getCoverBand(value),
+            empty: ''
+        },
+        // Numeric form inputs that use 0 for "not entered"
+        measurement: {
+            toColumn: value => parseFloat(value) || null,
+            toField: value => Number(value),
+            empty: 0
+        },
+        date: {
+            toColumn: value => value || null,
+            toField: value => new Date(value).toISOString().split('T')[0],
+            empty: ''
+        },
+        boolean: {
+            toColumn: value => !!value,
+            toField: value => !!value,
+            empty: false
+        },
+        yesno: {
+            toColumn: value => value === 'yes',
+            toField: value => (value ? 'yes' : 'no'),
+            empty: 'no'
+        }
+    },
+
+    // ============================================
+    // Form -> Records
+    // ============================================
+
+    /**
+     * Convert form data into the records it is stored as
+     * @param {Object} formData - App.getFormData() output
+     * @returns {{ job: Object, vessel: Object|null, crew: Array<Object> }}
+     */
+    toRecords(formData) {
+        return {
+            job: this.toJob(formData),
+            vessel: this.toVessel(formData),
+            crew: this.toCrew(formData)
+        };
+    },
+
+    /**
+     * Job columns for a form
+     * Job number and jurisdiction are not form-mapped and are left to the caller.
+     * @param {Object} formData - Form data
+     * @returns {Object}
+     */
+    toJob(formData) {
+        const job = this.mapToColumns(this.JOB_FIELDS, formData);
+
+        job.proposedEndDate = this.getEndDate(formData);
+
+        this.FIELD_GROUPS.forEach(group => {
+            job[group.column] = Object.fromEntries(
+                Object.entries(formData).filter(([field]) => group.matches(field))
+            );
+        });
+
+        return job;
+    },
+
+    /**
+     * Vessel columns for a form
+     * @param {Object} formData - Form data
+     * @returns {Object|null} - Null if no vessel is named
+     */
+    toVessel(formData) {
+        if (!String(formData.vesselName || '').trim()) return null;
+        return this.mapToColumns(this.VESSEL_FIELDS, formData);
+    },
+
+    /**
+     * Crew named on a form, in slot order
+     * @param {Object} formData - Form data
+     * @returns {Array<{ role: string, name: string, adasCertNumber: string|null }>}
+     */
+    toCrew(formData) {
+        return this.CREW_SLOTS
+            .filter(slot => String(formData[slot.field] || '').trim())
+            .map(slot => ({
+                role: slot.role,
+                name: String(formData[slot.field]).trim(),
+                adasCertNumber: this.TYPES.string.toColumn(formData[slot.certField])
+            }));
+    },
+
+    /**
+     * Last day of the job from start date and estimated duration
+     * @param {Object} formData - Form data
+     * @returns {string|null} - YYYY-MM-DD
+     */
+    getEndDate(formData) {
+        if (!formData.proposedStartDate) return null;
+
+        const days = Math.max(parseInt(formData.estimatedDuration) || 1, 1);
+        const end = new Date(formData.proposedStartDate);
+        if (isNaN(end.getTime())) return null;
+
+        end.setUTCDate(end.getUTCDate() + days - 1);
+        return end.toISOString().split('T')[0];
+    },
+
+    mapToColumns(fields, formData) {
+        const record = {};
+        fields.forEach(def => {
+            record[def.column] = this.getType(def).toColumn(formData[def.field]);
+        });
+        return record;
+    },
+
+    // ============================================
+    // Records -> Form
+    // ============================================
+
+    /**
+     * Build form data from a stored job
+     * Accepts full jobs (with vessel and crewAssignments.crewMember) as well as
+     * partial selections; anything missing comes from the snapshot.
+     * @param {Object} job - Job record
+     * @returns {Object} - Form data
+     */
+    fromJob(job) {
+        const snapshot = this.isObject(job.formDataSnapshot) ? job.formDataSnapshot : {};
+        const formData = { ...this.getEmptyForm(), ...snapshot };
+
+        this.mapToFields(this.JOB_FIELDS, job, formData);
+
+        if (job.vessel) {
+            this.mapToFields(this.VESSEL_FIELDS, job.vessel, formData);
+        }
+
+        if (Array.isArray(job.crewAssignments)) {
+            this.crewToFields(job.crewAssignments, snapshot, formData);
+        }
+
+        this.FIELD_GROUPS.forEach(group => {
+            if (!this.isObject(job[group.column])) return;
+            Object.entries(job[group.column])
+                .filter(([field]) => group.matches(field))
+                .forEach(([field, value]) => { formData[field] = value; });
+        });
+
+        if (!this.isSet(snapshot.estimatedDuration)) {
+            const duration = this.getDuration(job.proposedStartDate, job.proposedEndDate);
+            if (duration) formData.estimatedDuration = String(duration);
+        }
+
+        if (job.jobNumber) formData.jobNumber = job.jobNumber;
+
+        return formData;
+    },
+
+    /**
+     * Put assigned crew back into their form slots
+     * Slots sharing a role (diver1/diver2) keep the order they were saved in.
+     */
+    crewToFields(assignments, snapshot, formData) {
+        const roles = [...new Set(this.CREW_SLOTS.map(slot => slot.role))];
+
+        roles.forEach(role => {
+            const slots = this.CREW_SLOTS.filter(slot => slot.role === role);
+            const slotIndex = member => {
+                const index = slots.findIndex(slot => snapshot[slot.field] === member.name);
+                return index < 0 ? slots.length : index;
+            };
+
+            const members = assignments
+                .filter(assignment => assignment.role === role && assignment.crewMember)
+                .map(assignment => assignment.crewMember)
+                .sort((a, b) => slotIndex(a) - slotIndex(b));
+
+            slots.forEach((slot, index) => {
+                const member = members[index];
+                if (!member) return;
+
+                formData[slot.field] = member.name;
+                if (this.isSet(member.adasCertNumber)) {
+                    formData[slot.certField] = member.adasCertNumber;
+                }
+            });
+        });
+    },
+
+    /**
+     * Form values for every mapped field when nothing has been entered
+     * @returns {Object}
+     */
+    getEmptyForm() {
+        const formData = {};
+
+        [...this.JOB_FIELDS, ...this.VESSEL_FIELDS].forEach(def => {
+            formData[def.field] = 'default' in def ? def.default : this.getType(def).empty;
+        });
+
+        this.CREW_SLOTS.forEach(slot => {
+            formData[slot.field] = '';
+            formData[slot.certField] = '';
+        });
+
+        return formData;
+    },
+
+    /**
+     * Form band for a percent cover
+     * @param {number} percent - Percent cover (0-100)
+     * @returns {string} - Band value, or '' if out of range
+     */
+    getCoverBand(percent) {
+        const cover = Number(percent);
+        const band = this.COVER_BANDS.find(b => cover >= b.min && cover <= b.max);
+        return band ? band.value : '';
+    },
+
+    /**
+     * Days covered by a start and end date (inclusive)
+     * @returns {number|null}
+     */
+    getDuration(start, end) {
+        if (!start || !end) return null;
+
+        const days = Math.round((new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000)) + 1;
+        return days >= 1 ? days : null;
+    },
+
+    mapToFields(fields, record, formData) {
+        fields.forEach(def => {
+            const value = record[def.column];
+            if (this.isSet(value)) {
+                formData[def.field] = this.getType(def).toField(value);
+            }
+        });
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    getType(def) {
+        return this.TYPES[def.type || 'string'];
+    },
+
+    isSet(value) {
+        return value !== null && value !== undefined && value !== '';
+    },
+
+    isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.JobMapping = JobMapping;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobMapping;
+}
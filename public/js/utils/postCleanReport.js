@@ -0,0 +1,394 @@
+/**
+ * Post-Clean Report Module
+ * Records the post-clean inspection for the current job and generates the
+ * report document for the regulator
+ */
+
+const PostCleanReport = {
+    FOULING_RATINGS: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+
+    // Photos are downscaled before upload to keep reports within request limits
+    PHOTO_MAX_DIMENSION: 1600,
+    PHOTO_QUALITY: 0.8,
+    MAX_PHOTOS: 20,
+
+    jobId: null,
+    report: null,
+    photos: [],
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    createModal() {
+        if (document.getElementById('postCleanModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'postCleanModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="postCleanOverlay"></div>
+            <div class="modal-content postclean-modal">
+                <div class="modal-header">
+                    <h2>🧽 Post-Clean Report</h2>
+                    <button class="modal-close" id="postCleanCloseBtn">×</button>
+                </div>
+                <div class="modal-body" id="postCleanBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" id="postCleanCloseFooterBtn">Close</button>
+                    <button class="btn btn-secondary" id="postCleanSaveBtn">Save</button>
+                    <button class="btn btn-primary" id="postCleanGenerateBtn">Save &amp; Generate Report</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('postCleanOverlay').addEventListener('click', () => this.close());
+        document.getElementById('postCleanCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('postCleanCloseFooterBtn').addEventListener('click', () => this.close());
+        document.getElementById('postCleanSaveBtn').addEventListener('click', () => this.save());
+        document.getElementById('postCleanGenerateBtn').addEventListener('click', () => this.generate());
+    },
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    /**
+     * Open the report for a job
+     * @param {string} jobId - Server job ID
+     */
+    async open(jobId) {
+        this.createModal();
+
+        try {
+            this.report = await API.jobs.getPostCleanReport(jobId);
+        } catch (error) {
+            alert(`Could not load the post-clean report: ${error.data?.message || error.message}`);
+            return;
+        }
+
+        this.jobId = jobId;
+        this.photos = [...(this.report.photos || [])];
+        this.render();
+        document.getElementById('postCleanModal').classList.add('active');
+    },
+
+    close() {
+        document.getElementById('postCleanModal')?.classList.remove('active');
+    },
+
+    render() {
+        const report = this.report;
+        const body = document.getElementById('postCleanBody');
+
+        body.innerHTML = `
+            ${this.renderDueDate(report)}
+
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="pcActualStart">Works started</label>
+                    <input type="date" id="pcActualStart" value="${this.toDateValue(report.actualStartDate)}">
+                </div>
+                <div class="form-group">
+                    <label for="pcActualEnd">Works completed</label>
+                    <input type="date" id="pcActualEnd" value="${this.toDateValue(report.actualEndDate)}">
+                </div>
+            </div>
+
+            <h3 class="postclean-heading">Areas cleaned</h3>
+            <table class="postclean-areas">
+                <thead>
+                    <tr><th>Area</th><th>In scope</th><th>Cleaned</th><th>Final FR</th><th>Notes</th></tr>
+                </thead>
+                <tbody id="pcAreas">
+                    ${(report.areas || []).map(area => this.renderArea(area)).join('')}
+                </tbody>
+            </table>
+            <button type="button" class="btn btn-secondary btn-small" id="pcAddArea">+ Add area</button>
+
+            <h3 class="postclean-heading">Capture</h3>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="pcWasteVolume">Captured waste volume (L)</label>
+                    <input type="number" id="pcWasteVolume" min="0" step="0.1" value="${report.capturedWasteVolume ?? ''}">
+                </div>
+                <div class="form-group">
+                    <label for="pcFilterMicron">Filter used (micron)</label>
+                    <input type="number" id="pcFilterMicron" min="1" step="1" value="${report.filterMicron ?? ''}">
+                    ${this.renderFilterHint()}
+                </div>
+            </div>
+
+            <h3 class="postclean-heading">Invasive marine species</h3>
+            <label class="checkbox-label">
+                <input type="checkbox" id="pcImsObserved" ${report.imsObserved ? 'checked' : ''}>
+                Suspected invasive marine species observed
+            </label>
+            <div class="form-group">
+                <label for="pcImsObservations">Observations</label>
+                <textarea id="pcImsObservations" rows="3">${this.escapeHtml(report.imsObservations || '')}</textarea>
+            </div>
+
+            <h3 class="postclean-heading">Photos</h3>
+            <div class="postclean-photos" id="pcPhotos"></div>
+            <input type="file" id="pcPhotoInput" accept="image/*" multiple>
+
+            <div class="form-group">
+                <label for="pcComments">Comments</label>
+                <textarea id="pcComments" rows="3">${this.escapeHtml(report.comments || '')}</textarea>
+            </div>
+
+            <label class="checkbox-label">
+                <input type="checkbox" id="pcCompleted" ${report.completedAt ? 'checked' : ''}>
+                Report is complete
+            </label>
+        `;
+
+        this.renderPhotos();
+
+        document.getElementById('pcAddArea').addEventListener('click', () => {
+            document.getElementById('pcAreas').insertAdjacentHTML('beforeend', this.renderArea({
+                area: 'other', label: '', scoped: false, cleaned: true, finalFoulingRating: null, notes: ''
+            }));
+        });
+        document.getElementById('pcPhotoInput').addEventListener('change', (e) => this.addPhotos(e.target.files));
+    },
+
+    renderDueDate(report) {
+        if (report.completedAt) {
+            return `<div class="info-box">✅ Completed ${this.formatDate(report.completedAt)}</div>`;
+        }
+        if (!report.dueDate) return '';
+
+        const text = `Due ${this.formatDate(report.dueDate)} (${report.reportDays} days after the clean)`;
+        return report.overdue
+            ? `<div class="warning-message">⚠️ Overdue - ${text}</div>`
+            : `<div class="info-box">📅 ${text}</div>`;
+    },
+
+    renderArea(area) {
+        const custom = area.area === 'other';
+        const ratings = this.FOULING_RATINGS.map(value => `
+            <option value="${value}" ${area.finalFoulingRating === value ? 'selected' : ''}>FR ${value}</option>
+        `).join('');
+
+        return `
+            <tr class="postclean-area" data-area="${this.escapeHtml(area.area)}" data-scoped="${area.scoped ? 'true' : 'false'}">
+                <td>${custom
+                    ? `<input type="text" class="pc-area-label" value="${this.escapeHtml(area.label)}" placeholder="Area">`
+                    : `<span class="pc-area-label">${this.escapeHtml(area.label)}</span>`}</td>
+                <td>${area.scoped ? 'Yes' : 'No'}</td>
+                <td><input type="checkbox" class="pc-area-cleaned" ${area.cleaned ? 'checked' : ''}></td>
+                <td>
+                    <select class="pc-area-rating">
+                        <option value="">-</option>
+                        ${ratings}
+                    </select>
+                </td>
+                <td><input type="text" class="pc-area-notes" value="${this.escapeHtml(area.notes || '')}"></td>
+            </tr>
+        `;
+    },
+
+    renderFilterHint() {
+        const micron = typeof JurisdictionConfig !== 'undefined'
+            ? JurisdictionConfig.getValue('scenarioLogic.captureStandard.filterMicron', null)
+            : null;
+        return micron ? `<small class="help-text">Capture standard: ${micron} micron or finer</small>` : '';
+    },
+
+    renderPhotos() {
+        const container = document.getElementById('pcPhotos');
+
+        container.innerHTML = this.photos.map((photo, index) => `
+            <div class="postclean-photo" data-index="${index}">
+                <img src="${photo.image}" alt="">
+                <input type="text" class="pc-photo-caption" value="${this.escapeHtml(photo.caption || '')}" placeholder="Caption">
+                <button type="button" class="btn btn-secondary btn-small pc-photo-remove">Remove</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.postclean-photo').forEach(el => {
+            const index = Number(el.dataset.index);
+            el.querySelector('.pc-photo-caption').addEventListener('input', (e) => {
+                this.photos[index].caption = e.target.value;
+            });
+            el.querySelector('.pc-photo-remove').addEventListener('click', () => {
+                this.photos.splice(index, 1);
+                this.renderPhotos();
+            });
+        });
+    },
+
+    // ============================================
+    // Photos
+    // ============================================
+
+    async addPhotos(files) {
+        for (const file of Array.from(files || [])) {
+            if (!file.type.startsWith('image/')) continue;
+
+            if (this.photos.length >= this.MAX_PHOTOS) {
+                alert(`At most ${this.MAX_PHOTOS} photos can be attached.`);
+                break;
+            }
+
+            try {
+                this.photos.push({ image: await this.resizeImage(file), caption: '', area: null });
+            } catch (error) {
+                alert(`Could not read ${file.name}.`);
+            }
+        }
+
+        document.getElementById('pcPhotoInput').value = '';
+        this.renderPhotos();
+    },
+
+    /**
+     * Read an image as a JPEG data URL no larger than PHOTO_MAX_DIMENSION
+     * @param {File} file - Image file
+     * @returns {Promise<string>}
+     */
+    resizeImage(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(reader.error);
+            reader.onload = () => {
+                const img = new Image();
+                img.onerror = reject;
+                img.onload = () => {
+                    const scale = Math.min(1, this.PHOTO_MAX_DIMENSION / Math.max(img.width, img.height));
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(img.width * scale);
+                    canvas.height = Math.round(img.height * scale);
+                    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL('image/jpeg', this.PHOTO_QUALITY));
+                };
+                img.src = reader.result;
+            };
+            reader.readAsDataURL(file);
+        });
+    },
+
+    // ============================================
+    // Save & Generate
+    // ============================================
+
+    /**
+     * Read the modal into a request body
+     * @returns {Object}
+     */
+    collect() {
+        const value = id => document.getElementById(id).value;
+        const areas = Array.from(document.querySelectorAll('#pcAreas .postclean-area')).map(row => {
+            const labelEl = row.querySelector('.pc-area-label');
+            const rating = row.querySelector('.pc-area-rating').value;
+            return {
+                area: row.dataset.area,
+                label: labelEl.value ?? labelEl.textContent,
+                scoped: row.dataset.scoped === 'true',
+                cleaned: row.querySelector('.pc-area-cleaned').checked,
+                finalFoulingRating: rating === '' ? null : Number(rating),
+                notes: row.querySelector('.pc-area-notes').value
+            };
+        }).filter(area => area.area !== 'other' || area.label.trim());
+
+        return {
+            actualStartDate: value('pcActualStart') || null,
+            actualEndDate: value('pcActualEnd') || null,
+            areas,
+            capturedWasteVolume: value('pcWasteVolume'),
+            filterMicron: value('pcFilterMicron'),
+            imsObserved: document.getElementById('pcImsObserved').checked,
+            imsObservations: value('pcImsObservations'),
+            photos: this.photos,
+            comments: value('pcComments'),
+            completed: document.getElementById('pcCompleted').checked
+        };
+    },
+
+    /**
+     * Save the report
+     * @returns {Promise<boolean>} - Whether it was saved
+     */
+    async save() {
+        const data = this.collect();
+
+        try {
+            this.report = await API.jobs.savePostCleanReport(this.jobId, data, this.report.version);
+        } catch (error) {
+            if (error.isConflict && error.data?.current) {
+                if (!confirm('This report was changed by someone else since you opened it. Overwrite their changes with yours?')) {
+                    return false;
+                }
+                this.report.version = error.data.currentVersion;
+                return this.save();
+            }
+            alert(`Could not save the post-clean report: ${error.data?.message || error.message}`);
+            return false;
+        }
+
+        this.photos = [...(this.report.photos || [])];
+        this.render();
+        FormEnhancements.showNotification('Post-clean report saved', 'success');
+        return true;
+    },
+
+    /**
+     * Save, generate the report document and download it
+     */
+    async generate() {
+        if (!await this.save()) return;
+
+        const button = document.getElementById('postCleanGenerateBtn');
+        button.disabled = true;
+
+        try {
+            const generated = await API.jobs.generatePostCleanReport(this.jobId);
+            const stored = await API.jobs.getDocument(this.jobId, generated.id);
+
+            const url = URL.createObjectURL(new Blob([stored.content], { type: stored.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = stored.filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(`Could not generate the post-clean report: ${error.data?.message || error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    toDateValue(date) {
+        return date ? new Date(date).toISOString().split('T')[0] : '';
+    },
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    },
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.PostCleanReport = PostCleanReport;
+}
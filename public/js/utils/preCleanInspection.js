@@ -0,0 +1,418 @@
+/**
+ * Pre-Clean Inspection Module
+ * Records the pre-clean inspection for the current job, zone by zone, and
+ * generates the inspection report for the regulator. Completing the
+ * inspection updates the job's fouling rating and cover on the server.
+ */
+
+const PreCleanInspection = {
+    FOULING_RATINGS: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+
+    AFC_CONDITIONS: [
+        { value: 'sound', label: 'Sound condition - within service life' },
+        { value: 'worn', label: 'Worn but functional' },
+        { value: 'damaged', label: 'Damaged / compromised' },
+        { value: 'unknown', label: 'Unknown' }
+    ],
+
+    MAX_PHOTOS: 20,
+
+    jobId: null,
+    inspection: null,
+    photos: [],
+    onApplied: null,
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    createModal() {
+        if (document.getElementById('preCleanModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'preCleanModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="preCleanOverlay"></div>
+            <div class="modal-content preclean-modal">
+                <div class="modal-header">
+                    <h2>🔍 Pre-Clean Inspection</h2>
+                    <button class="modal-close" id="preCleanCloseBtn">×</button>
+                </div>
+                <div class="modal-body" id="preCleanBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" id="preCleanCloseFooterBtn">Close</button>
+                    <button class="btn btn-secondary" id="preCleanSaveBtn">Save</button>
+                    <button class="btn btn-primary" id="preCleanGenerateBtn">Save &amp; Generate Report</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('preCleanOverlay').addEventListener('click', () => this.close());
+        document.getElementById('preCleanCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('preCleanCloseFooterBtn').addEventListener('click', () => this.close());
+        document.getElementById('preCleanSaveBtn').addEventListener('click', () => this.save());
+        document.getElementById('preCleanGenerateBtn').addEventListener('click', () => this.generate());
+    },
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    /**
+     * Open the inspection for a job
+     * @param {string} jobId - Server job ID
+     * @param {Object} [options]
+     * @param {Function} [options.onApplied] - Called with { version, foulingRating, foulingCover, riskLevel }
+     *   when a completed inspection updates the job
+     */
+    async open(jobId, options = {}) {
+        this.createModal();
+
+        try {
+            this.inspection = await API.jobs.getPreCleanInspection(jobId);
+        } catch (error) {
+            alert(`Could not load the pre-clean inspection: ${error.data?.message || error.message}`);
+            return;
+        }
+
+        this.jobId = jobId;
+        this.onApplied = options.onApplied || null;
+        this.photos = [...(this.inspection.photos || [])];
+        this.render();
+        document.getElementById('preCleanModal').classList.add('active');
+    },
+
+    close() {
+        document.getElementById('preCleanModal')?.classList.remove('active');
+    },
+
+    render() {
+        const inspection = this.inspection;
+        const body = document.getElementById('preCleanBody');
+        const conditions = this.AFC_CONDITIONS.map(condition => `
+            <option value="${condition.value}" ${inspection.afcCondition === condition.value ? 'selected' : ''}>${condition.label}</option>
+        `).join('');
+
+        body.innerHTML = `
+            ${this.renderWindow(inspection)}
+
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="piInspectedAt">Inspected</label>
+                    <input type="datetime-local" id="piInspectedAt" value="${this.toDateTimeValue(inspection.inspectedAt)}">
+                </div>
+                <div class="form-group">
+                    <label for="piInspectorName">Inspector</label>
+                    <input type="text" id="piInspectorName" value="${this.escapeHtml(inspection.inspectorName || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="piInspectorOrganisation">Organisation</label>
+                    <input type="text" id="piInspectorOrganisation" value="${this.escapeHtml(inspection.inspectorOrganisation || '')}">
+                </div>
+            </div>
+
+            <h3 class="preclean-heading">Fouling by zone</h3>
+            <table class="preclean-zones">
+                <thead>
+                    <tr><th>Zone</th><th>FR</th><th>Cover (%)</th><th>Observations</th></tr>
+                </thead>
+                <tbody id="piZones">
+                    ${(inspection.zones || []).map(zone => this.renderZone(zone)).join('')}
+                </tbody>
+            </table>
+            <button type="button" class="btn btn-secondary btn-small" id="piAddZone">+ Add zone</button>
+            ${inspection.summary
+                ? `<p class="help-text preclean-summary">Highest recorded: FR ${inspection.summary.foulingRating}${inspection.summary.foulingCover !== null ? `, ${inspection.summary.foulingCover}% cover` : ''}. Completing the inspection sets these on the job.</p>`
+                : ''}
+
+            <h3 class="preclean-heading">Anti-fouling coating</h3>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="piAfcCondition">Condition</label>
+                    <select id="piAfcCondition">
+                        <option value="">Not assessed</option>
+                        ${conditions}
+                    </select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="piAfcObservations">Observations</label>
+                <textarea id="piAfcObservations" rows="2">${this.escapeHtml(inspection.afcObservations || '')}</textarea>
+            </div>
+
+            <h3 class="preclean-heading">Invasive marine species</h3>
+            <label class="checkbox-label">
+                <input type="checkbox" id="piImsSuspected" ${inspection.imsSuspected ? 'checked' : ''}>
+                Suspected invasive marine species found
+            </label>
+            <div class="form-group">
+                <label for="piImsObservations">Observations</label>
+                <textarea id="piImsObservations" rows="3">${this.escapeHtml(inspection.imsObservations || '')}</textarea>
+            </div>
+
+            <h3 class="preclean-heading">Photos</h3>
+            <div class="preclean-photos" id="piPhotos"></div>
+            <input type="file" id="piPhotoInput" accept="image/*" multiple>
+
+            <div class="form-group">
+                <label for="piComments">Comments</label>
+                <textarea id="piComments" rows="3">${this.escapeHtml(inspection.comments || '')}</textarea>
+            </div>
+
+            <label class="checkbox-label">
+                <input type="checkbox" id="piCompleted" ${inspection.completedAt ? 'checked' : ''}>
+                Inspection is complete
+            </label>
+        `;
+
+        this.renderPhotos();
+
+        document.getElementById('piAddZone').addEventListener('click', () => {
+            document.getElementById('piZones').insertAdjacentHTML('beforeend', this.renderZone({
+                zone: 'other', label: '', niche: false, foulingRating: null, foulingCover: null, notes: ''
+            }));
+        });
+        document.getElementById('piPhotoInput').addEventListener('change', (e) => this.addPhotos(e.target.files));
+    },
+
+    renderWindow(inspection) {
+        if (inspection.completedAt) {
+            return `<div class="info-box">✅ Completed ${this.formatDate(inspection.completedAt)}</div>`;
+        }
+        if (!inspection.latestDate) return '';
+
+        const text = `Inspect by ${this.formatDate(inspection.latestDate)} (${inspection.inspectionHours} hours before the clean)`;
+        return inspection.late
+            ? `<div class="warning-message">⚠️ Late - ${text}</div>`
+            : `<div class="info-box">📅 ${text}</div>`;
+    },
+
+    renderZone(zone) {
+        const custom = zone.zone === 'other';
+        const ratings = this.FOULING_RATINGS.map(value => `
+            <option value="${value}" ${zone.foulingRating === value ? 'selected' : ''}>FR ${value}</option>
+        `).join('');
+
+        return `
+            <tr class="preclean-zone ${zone.niche ? 'preclean-niche' : ''}" data-zone="${this.escapeHtml(zone.zone)}">
+                <td>${custom
+                    ? `<input type="text" class="pi-zone-label" value="${this.escapeHtml(zone.label)}" placeholder="Zone">`
+                    : `<span class="pi-zone-label">${this.escapeHtml(zone.label)}</span>`}</td>
+                <td>
+                    <select class="pi-zone-rating">
+                        <option value="">-</option>
+                        ${ratings}
+                    </select>
+                </td>
+                <td><input type="number" class="pi-zone-cover" min="0" max="100" step="1" value="${zone.foulingCover ?? ''}"></td>
+                <td><input type="text" class="pi-zone-notes" value="${this.escapeHtml(zone.notes || '')}"></td>
+            </tr>
+        `;
+    },
+
+    renderPhotos() {
+        const container = document.getElementById('piPhotos');
+        const zones = this.getZoneOptions();
+
+        container.innerHTML = this.photos.map((photo, index) => `
+            <div class="preclean-photo" data-index="${index}">
+                <img src="${photo.image}" alt="">
+                <select class="pi-photo-zone">
+                    <option value="">Zone</option>
+                    ${zones.map(zone => `<option value="${this.escapeHtml(zone.zone)}" ${photo.zone === zone.zone ? 'selected' : ''}>${this.escapeHtml(zone.label)}</option>`).join('')}
+                </select>
+                <input type="text" class="pi-photo-caption" value="${this.escapeHtml(photo.caption || '')}" placeholder="Caption">
+                <button type="button" class="btn btn-secondary btn-small pi-photo-remove">Remove</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.preclean-photo').forEach(el => {
+            const index = Number(el.dataset.index);
+            el.querySelector('.pi-photo-zone').addEventListener('change', (e) => {
+                this.photos[index].zone = e.target.value || null;
+            });
+            el.querySelector('.pi-photo-caption').addEventListener('input', (e) => {
+                this.photos[index].caption = e.target.value;
+            });
+            el.querySelector('.pi-photo-remove').addEventListener('click', () => {
+                this.photos.splice(index, 1);
+                this.renderPhotos();
+            });
+        });
+    },
+
+    /**
+     * Zones photos can be tagged with (the standard zones; added zones are described in the caption)
+     */
+    getZoneOptions() {
+        return (this.inspection.zones || []).filter(zone => zone.zone !== 'other');
+    },
+
+    // ============================================
+    // Photos
+    // ============================================
+
+    async addPhotos(files) {
+        for (const file of Array.from(files || [])) {
+            if (!file.type.startsWith('image/')) continue;
+
+            if (this.photos.length >= this.MAX_PHOTOS) {
+                alert(`At most ${this.MAX_PHOTOS} photos can be attached.`);
+                break;
+            }
+
+            try {
+                // Same downscaling as the post-clean report
+                this.photos.push({ image: await PostCleanReport.resizeImage(file), caption: '', zone: null });
+            } catch (error) {
+                alert(`Could not read ${file.name}.`);
+            }
+        }
+
+        document.getElementById('piPhotoInput').value = '';
+        this.renderPhotos();
+    },
+
+    // ============================================
+    // Save & Generate
+    // ============================================
+
+    /**
+     * Read the modal into a request body
+     * @returns {Object}
+     */
+    collect() {
+        const value = id => document.getElementById(id).value;
+        const zones = Array.from(document.querySelectorAll('#piZones .preclean-zone')).map(row => {
+            const labelEl = row.querySelector('.pi-zone-label');
+            const rating = row.querySelector('.pi-zone-rating').value;
+            const cover = row.querySelector('.pi-zone-cover').value;
+            return {
+                zone: row.dataset.zone,
+                label: labelEl.value ?? labelEl.textContent,
+                niche: row.classList.contains('preclean-niche'),
+                foulingRating: rating === '' ? null : Number(rating),
+                foulingCover: cover === '' ? null : Number(cover),
+                notes: row.querySelector('.pi-zone-notes').value
+            };
+        }).filter(zone => zone.zone !== 'other' || zone.label.trim());
+
+        const inspectedAt = value('piInspectedAt');
+
+        return {
+            inspectedAt: inspectedAt ? new Date(inspectedAt).toISOString() : null,
+            inspectorName: value('piInspectorName'),
+            inspectorOrganisation: value('piInspectorOrganisation'),
+            zones,
+            afcCondition: value('piAfcCondition'),
+            afcObservations: value('piAfcObservations'),
+            imsSuspected: document.getElementById('piImsSuspected').checked,
+            imsObservations: value('piImsObservations'),
+            photos: this.photos,
+            comments: value('piComments'),
+            completed: document.getElementById('piCompleted').checked
+        };
+    },
+
+    /**
+     * Save the inspection
+     * @returns {Promise<boolean>} - Whether it was saved
+     */
+    async save() {
+        const data = this.collect();
+        let saved;
+
+        try {
+            saved = await API.jobs.savePreCleanInspection(this.jobId, data, this.inspection.version);
+        } catch (error) {
+            if (error.isConflict && error.data?.current) {
+                if (!confirm('This inspection was changed by someone else since you opened it. Overwrite their changes with yours?')) {
+                    return false;
+                }
+                this.inspection.version = error.data.currentVersion;
+                return this.save();
+            }
+            alert(`Could not save the pre-clean inspection: ${error.data?.message || error.message}`);
+            return false;
+        }
+
+        const { appliedToJob, ...inspection } = saved;
+        this.inspection = inspection;
+        this.photos = [...(inspection.photos || [])];
+        this.render();
+        FormEnhancements.showNotification('Pre-clean inspection saved', 'success');
+
+        if (appliedToJob && this.onApplied) {
+            this.onApplied(appliedToJob);
+        }
+        return true;
+    },
+
+    /**
+     * Save, generate the report document and download it
+     */
+    async generate() {
+        if (!await this.save()) return;
+
+        const button = document.getElementById('preCleanGenerateBtn');
+        button.disabled = true;
+
+        try {
+            const generated = await API.jobs.generatePreCleanInspection(this.jobId);
+            const stored = await API.jobs.getDocument(this.jobId, generated.id);
+
+            const url = URL.createObjectURL(new Blob([stored.content], { type: stored.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = stored.filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(`Could not generate the pre-clean inspection report: ${error.data?.message || error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    /**
+     * Format a date for a datetime-local input (local time)
+     */
+    toDateTimeValue(date) {
+        if (!date) return '';
+
+        const d = new Date(date);
+        const pad = n => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    },
+
+    formatDate(date) {
+        return new Date(date).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    },
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.PreCleanInspection = PreCleanInspection;
+}
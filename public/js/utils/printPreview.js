@@ -70,8 +70,7 @@ const PrintPreview = {
             { btnId: 'btnPrintSWMS', docType: 'swms', docName: 'Safe Work Method Statement' },
             { btnId: 'btnPrintERP', docType: 'erp', docName: 'Emergency Response Plan' },
             { btnId: 'btnPrintWMS', docType: 'wms', docName: 'Work Method Statement' },
-            { btnId: 'btnPrintWHSMP', docType: 'whsmp', docName: 'WHS Management Plan' },
-            { btnId: 'btnGeneratePDF', docType: 'pdf', docName: 'PDF Package' }
+            { btnId: 'btnPrintWHSMP', docType: 'whsmp', docName: 'WHS Management Plan' }
         ];
         
         buttonMappings.forEach(({ btnId, docType, docName }) => {
@@ -152,8 +151,7 @@ const PrintPreview = {
             'swms': 'swms-template',
             'erp': 'erp-template',
             'wms': 'wms-template',
-            'whsmp': 'whsmp-template',
-            'pdf': 'wms-template'  // Default for PDF
+            'whsmp': 'whsmp-template'
         };
         return templates[docType] || 'wms-template';
     },
@@ -0,0 +1,564 @@
+/**
+ * Review Screen Module
+ * The supervisor review queue (jobs pending approval in the organisation)
+ * and the review of one job: its form data and generated documents side by
+ * side, with comment threads anchored to form or document sections.
+ * Authors open the same screen for their job to reply to and resolve the
+ * threads before resubmitting it.
+ */
+
+const ReviewScreen = {
+    queue: [],
+    job: null,
+    formData: null,
+    documents: [],
+    documentContent: {},
+    threads: [],
+    tab: 'form',
+    draftAnchor: null,
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    init() {
+        document.getElementById('btnReviewQueue')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.getElementById('userMenuDropdown')?.classList.remove('active');
+            this.openQueue();
+        });
+
+        // The queue is only offered to reviewers
+        this.updateMenu();
+        AuthState.onChange(() => this.updateMenu());
+    },
+
+    updateMenu() {
+        const item = document.getElementById('btnReviewQueue');
+        if (item) item.hidden = !this.isReviewer();
+    },
+
+    /**
+     * Whether the signed-in user may approve/reject packages in the current
+     * organisation (see organizations.REVIEWER_ROLES)
+     * @returns {boolean}
+     */
+    isReviewer() {
+        return typeof UserMenu !== 'undefined' && !!UserMenu.organization?.canReview;
+    },
+
+    createModal() {
+        if (document.getElementById('reviewModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'reviewModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="reviewOverlay"></div>
+            <div class="modal-content review-modal">
+                <div class="modal-header">
+                    <h2 id="reviewTitle">✅ Review Queue</h2>
+                    <button class="modal-close" id="reviewCloseBtn">×</button>
+                </div>
+                <div class="modal-body" id="reviewBody"></div>
+                <div class="modal-footer" id="reviewFooter"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('reviewOverlay').addEventListener('click', () => this.close());
+        document.getElementById('reviewCloseBtn').addEventListener('click', () => this.close());
+    },
+
+    close() {
+        document.getElementById('reviewModal')?.classList.remove('active');
+    },
+
+    // ============================================
+    // Queue
+    // ============================================
+
+    /**
+     * Open the jobs awaiting review
+     */
+    async openQueue() {
+        this.createModal();
+
+        try {
+            this.queue = (await API.review.getQueue()).jobs;
+        } catch (error) {
+            alert(`Could not load the review queue: ${error.data?.message || error.message}`);
+            return;
+        }
+
+        this.job = null;
+        this.renderQueue();
+        document.getElementById('reviewModal').classList.add('active');
+    },
+
+    renderQueue() {
+        document.getElementById('reviewTitle').textContent = '✅ Review Queue';
+
+        document.getElementById('reviewBody').innerHTML = this.queue.length ? `
+            <table class="review-queue">
+                <thead>
+                    <tr><th>Job</th><th>Vessel</th><th>Client</th><th>Submitted by</th><th>Waiting since</th><th>Open comments</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.queue.map(job => `
+                        <tr>
+                            <td><strong>${this.escapeHtml(job.jobNumber)}</strong></td>
+                            <td>${this.escapeHtml(job.vessel?.vesselName || '-')}</td>
+                            <td>${this.escapeHtml(job.clientName || '-')}</td>
+                            <td>${this.escapeHtml(job.user?.name || job.user?.email || '-')}${job.ownJob ? ' <span class="help-text">(you)</span>' : ''}</td>
+                            <td>${this.formatDate(job.submittedAt || job.updatedAt)}</td>
+                            <td>${job.openThreads || '-'}</td>
+                            <td><button class="btn btn-small btn-primary" data-job-id="${job.id}">Review</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="empty-state">No jobs are waiting for review.</p>';
+
+        document.getElementById('reviewFooter').innerHTML = `
+            <button class="btn btn-secondary" id="reviewCloseFooterBtn">Close</button>
+        `;
+
+        document.querySelectorAll('#reviewBody [data-job-id]').forEach(button => {
+            button.addEventListener('click', () => this.openJob(button.dataset.jobId));
+        });
+        document.getElementById('reviewCloseFooterBtn').addEventListener('click', () => this.close());
+    },
+
+    // ============================================
+    // Job Review
+    // ============================================
+
+    /**
+     * Open the review of one job (reviewers), or its review comments (authors)
+     * @param {string} jobId - Server job ID
+     */
+    async openJob(jobId) {
+        this.createModal();
+
+        try {
+            const [job, { threads }] = await Promise.all([
+                API.jobs.get(jobId),
+                API.jobs.getReviewThreads(jobId)
+            ]);
+            this.job = job;
+            this.threads = threads;
+        } catch (error) {
+            alert(`Could not load the job: ${error.data?.message || error.message}`);
+            return;
+        }
+
+        this.formData = JobMapping.fromJob(this.job);
+        // Latest version of each HTML document (the job lists newest first per type)
+        this.documents = this.job.documents.filter((doc, i, list) =>
+            doc.mimeType === 'text/html' && (i === 0 || list[i - 1].type !== doc.type));
+        this.documentContent = {};
+        this.tab = 'form';
+        this.draftAnchor = null;
+
+        this.renderJob();
+        document.getElementById('reviewModal').classList.add('active');
+    },
+
+    /**
+     * Whether the signed-in user can open threads and sign off this job
+     * @returns {boolean}
+     */
+    canReview() {
+        return this.isReviewer() && this.job?.status === 'PENDING_APPROVAL';
+    },
+
+    renderJob() {
+        const job = this.job;
+        const open = this.threads.filter(thread => !thread.resolved).length;
+
+        document.getElementById('reviewTitle').textContent =
+            `✅ ${job.jobNumber} · ${job.vessel?.vesselName || 'No vessel'}`;
+
+        document.getElementById('reviewBody').innerHTML = `
+            <div class="review-summary">
+                <span class="review-status">${job.status.replace(/_/g, ' ')}</span>
+                Submitted by ${this.escapeHtml(job.user?.name || job.user?.email || 'unknown')}
+                ${job.submittedAt ? `on ${this.formatDate(job.submittedAt)}` : ''}
+                · ${open ? `<strong>${open} open comment${open === 1 ? '' : 's'}</strong>` : 'No open comments'}
+            </div>
+            ${!this.canReview() && open ? `
+                <div class="warning-message">⚠️ Resolve every open comment before resubmitting this job for approval.</div>
+            ` : ''}
+            <div class="review-layout">
+                <div class="review-content">
+                    <div class="review-tabs">
+                        <button class="tab-btn ${this.tab === 'form' ? 'active' : ''}" data-review-tab="form">Form</button>
+                        ${this.documents.map(doc => `
+                            <button class="tab-btn ${this.tab === doc.id ? 'active' : ''}" data-review-tab="${doc.id}">${this.escapeHtml(doc.type)} v${doc.version}</button>
+                        `).join('')}
+                    </div>
+                    <div class="review-pane" id="reviewPane"></div>
+                </div>
+                <div class="review-threads">
+                    <div id="reviewDraft"></div>
+                    <div id="reviewThreadList"></div>
+                </div>
+            </div>
+        `;
+
+        document.querySelectorAll('#reviewBody [data-review-tab]').forEach(button => {
+            button.addEventListener('click', () => this.switchTab(button.dataset.reviewTab));
+        });
+
+        this.renderFooter();
+        this.renderPane();
+        this.renderDraft();
+        this.renderThreads();
+    },
+
+    renderFooter() {
+        const footer = document.getElementById('reviewFooter');
+
+        footer.innerHTML = `
+            ${this.isReviewer() ? '<button class="btn btn-secondary" id="reviewBackBtn">Back to Queue</button>' : ''}
+            ${this.canReview() ? `
+                <textarea id="reviewDecisionComments" rows="2" placeholder="Review comments (required)"></textarea>
+                <button class="btn btn-secondary" id="reviewRejectBtn">Return to Author</button>
+                <button class="btn btn-primary" id="reviewApproveBtn">Approve</button>
+            ` : '<button class="btn btn-secondary" id="reviewCloseFooterBtn">Close</button>'}
+        `;
+
+        document.getElementById('reviewBackBtn')?.addEventListener('click', () => this.openQueue());
+        document.getElementById('reviewCloseFooterBtn')?.addEventListener('click', () => this.close());
+        document.getElementById('reviewRejectBtn')?.addEventListener('click', () => this.decide('reject'));
+        document.getElementById('reviewApproveBtn')?.addEventListener('click', () => this.decide('approve'));
+    },
+
+    async switchTab(tab) {
+        this.tab = tab;
+        document.querySelectorAll('#reviewBody [data-review-tab]').forEach(button => {
+            button.classList.toggle('active', button.dataset.reviewTab === tab);
+        });
+        await this.renderPane();
+    },
+
+    async renderPane() {
+        const pane = document.getElementById('reviewPane');
+        const tab = this.tab;
+
+        if (tab === 'form') {
+            pane.innerHTML = this.renderFormData();
+        } else {
+            pane.innerHTML = '<p class="empty-state">Loading document…</p>';
+            const content = await this.loadDocument(tab);
+            // Another tab was chosen while the document loaded
+            if (this.tab !== tab) return;
+            if (content === null) {
+                pane.innerHTML = '<p class="empty-state">Could not load the document.</p>';
+                return;
+            }
+            pane.innerHTML = this.renderDocument(tab, content);
+
+            // Generated documents carry their own styles, so they are shown in a
+            // sandboxed frame rather than in the page
+            pane.querySelector('iframe').srcdoc = content;
+        }
+
+        pane.querySelectorAll('[data-anchor]').forEach(button => {
+            button.addEventListener('click', () => this.startThread(JSON.parse(button.dataset.anchor)));
+        });
+    },
+
+    /**
+     * Fetch a document's content (cached for the job being reviewed)
+     * @param {string} documentId - Document ID
+     * @returns {Promise<string|null>}
+     */
+    async loadDocument(documentId) {
+        if (!(documentId in this.documentContent)) {
+            try {
+                const document = await API.jobs.getDocument(this.job.id, documentId);
+                this.documentContent[documentId] = document.content || '';
+            } catch (error) {
+                return null;
+            }
+        }
+        return this.documentContent[documentId];
+    },
+
+    /**
+     * Comment count and button for an anchor
+     */
+    renderAnchorActions(anchor) {
+        const count = this.threads.filter(thread => this.matchesAnchor(thread, anchor)).length;
+        return `
+            ${count ? `<span class="review-anchor-count">💬 ${count}</span>` : ''}
+            ${this.canReview() ? `<button class="btn btn-small btn-secondary" data-anchor="${this.escapeHtml(JSON.stringify(anchor))}">Comment</button>` : ''}
+        `;
+    },
+
+    matchesAnchor(thread, anchor) {
+        return thread.anchorType === anchor.anchorType
+            && thread.anchor === anchor.anchor
+            && (anchor.anchorType === 'FORM_SECTION' || thread.documentId === anchor.documentId);
+    },
+
+    /**
+     * Form data grouped by the sections of the job form
+     * Labels and options are read from the form on the page.
+     */
+    renderFormData() {
+        return ReviewSections.FORM_SECTIONS.map(section => {
+            const fieldset = document.querySelector(`[data-review-section="${section.key}"]`);
+            const fields = fieldset
+                ? [...fieldset.querySelectorAll('input[id], select[id], textarea[id]')]
+                    .map(input => this.describeField(fieldset, input))
+                    .filter(Boolean)
+                : [];
+            const anchor = { anchorType: 'FORM_SECTION', anchor: section.key };
+
+            return `
+                <section class="review-section">
+                    <div class="review-section-header">
+                        <h3>${this.escapeHtml(section.label)}</h3>
+                        ${this.renderAnchorActions(anchor)}
+                    </div>
+                    ${fields.length ? `
+                        <dl class="review-fields">
+                            ${fields.map(field => `<dt>${this.escapeHtml(field.label)}</dt><dd>${field.html}</dd>`).join('')}
+                        </dl>
+                    ` : '<p class="help-text">Nothing entered.</p>'}
+                </section>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Label and display value of one form field, or null if it is empty
+     */
+    describeField(fieldset, input) {
+        const value = this.formData[input.id];
+        if (value === undefined || value === null || value === '' || value === false) return null;
+
+        const label = (fieldset.querySelector(`label[for="${input.id}"]`) || input.closest('label'))
+            ?.textContent.replace(/\s+/g, ' ').trim() || input.id;
+
+        if (input.type === 'file') {
+            return String(value).startsWith('data:image/')
+                ? { label, html: `<img class="review-image" src="${this.escapeHtml(value)}" alt="${this.escapeHtml(label)}">` }
+                : null;
+        }
+        if (input.type === 'checkbox') {
+            return { label, html: 'Yes' };
+        }
+        if (input.tagName === 'SELECT') {
+            const option = [...input.options].find(opt => opt.value === String(value));
+            return { label, html: this.escapeHtml(option ? option.textContent.trim() : String(value)) };
+        }
+        return { label, html: this.escapeHtml(String(value)).replace(/\n/g, '<br>') };
+    },
+
+    renderDocument(documentId, content) {
+        const doc = this.documents.find(d => d.id === documentId);
+        const sections = ReviewSections.getDocumentSections(content);
+
+        return `
+            <div class="review-document">
+                <iframe class="review-document-frame" sandbox title="${this.escapeHtml(doc.type)}"></iframe>
+                <div class="review-document-sections">
+                    <h3>Sections</h3>
+                    ${sections.length ? sections.map(heading => `
+                        <div class="review-section-header">
+                            <span>${this.escapeHtml(heading)}</span>
+                            ${this.renderAnchorActions({ anchorType: 'DOCUMENT_SECTION', anchor: heading, documentId })}
+                        </div>
+                    `).join('') : '<p class="help-text">This document has no sections.</p>'}
+                </div>
+            </div>
+        `;
+    },
+
+    // ============================================
+    // Threads
+    // ============================================
+
+    startThread(anchor) {
+        this.draftAnchor = anchor;
+        this.renderDraft();
+        document.getElementById('reviewDraftBody')?.focus();
+    },
+
+    renderDraft() {
+        const draft = document.getElementById('reviewDraft');
+        const anchor = this.draftAnchor;
+
+        if (!anchor) {
+            draft.innerHTML = '';
+            return;
+        }
+
+        const doc = this.documents.find(d => d.id === anchor.documentId);
+        draft.innerHTML = `
+            <div class="review-thread review-thread-draft">
+                <div class="review-thread-location">${this.escapeHtml(ReviewSections.describeAnchor({
+                    ...anchor,
+                    documentType: doc?.type,
+                    document: doc
+                }))}</div>
+                <textarea id="reviewDraftBody" rows="3" placeholder="What needs to change?"></textarea>
+                <div class="review-thread-actions">
+                    <button class="btn btn-small btn-secondary" id="reviewDraftCancelBtn">Cancel</button>
+                    <button class="btn btn-small btn-primary" id="reviewDraftPostBtn">Post Comment</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('reviewDraftCancelBtn').addEventListener('click', () => this.startThread(null));
+        document.getElementById('reviewDraftPostBtn').addEventListener('click', () => this.postThread());
+    },
+
+    async postThread() {
+        const body = document.getElementById('reviewDraftBody').value.trim();
+        if (!body) {
+            alert('Enter a comment.');
+            return;
+        }
+
+        try {
+            const thread = await API.jobs.openReviewThread(this.job.id, { ...this.draftAnchor, body });
+            this.threads.push(thread);
+        } catch (error) {
+            alert(`Could not post the comment: ${error.data?.error || error.message}`);
+            return;
+        }
+
+        this.draftAnchor = null;
+        this.renderJob();
+    },
+
+    renderThreads() {
+        const list = document.getElementById('reviewThreadList');
+
+        if (!this.threads.length) {
+            list.innerHTML = '<p class="empty-state">No review comments.</p>';
+            return;
+        }
+
+        // Open threads first, each group oldest first
+        const threads = [...this.threads].sort((a, b) => Number(a.resolved) - Number(b.resolved));
+
+        list.innerHTML = threads.map(thread => `
+            <div class="review-thread ${thread.resolved ? 'resolved' : ''}" data-thread-id="${thread.id}">
+                <div class="review-thread-location">${this.escapeHtml(thread.location)}</div>
+                ${thread.comments.map(comment => `
+                    <div class="review-comment">
+                        <div class="review-comment-meta">
+                            ${this.escapeHtml(comment.user?.name || comment.user?.email || 'Unknown')} · ${this.formatDate(comment.createdAt)}
+                        </div>
+                        <div class="review-comment-body">${this.escapeHtml(comment.body).replace(/\n/g, '<br>')}</div>
+                    </div>
+                `).join('')}
+                ${thread.resolved ? `
+                    <div class="help-text">✓ Resolved by ${this.escapeHtml(thread.resolvedBy?.name || thread.resolvedBy?.email || 'unknown')} · ${this.formatDate(thread.resolvedAt)}</div>
+                ` : ''}
+                <textarea class="review-reply" rows="2" placeholder="Reply…"></textarea>
+                <div class="review-thread-actions">
+                    <button class="btn btn-small btn-secondary" data-action="reply">Reply</button>
+                    ${thread.resolved
+                        ? (this.isReviewer() ? '<button class="btn btn-small btn-secondary" data-action="reopen">Reopen</button>' : '')
+                        : '<button class="btn btn-small btn-primary" data-action="resolve">Resolve</button>'}
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-thread-id]').forEach(element => {
+            element.querySelectorAll('[data-action]').forEach(button => {
+                button.addEventListener('click', () => this.updateThread(element, button.dataset.action));
+            });
+        });
+    },
+
+    /**
+     * Reply to, resolve or reopen a thread
+     * @param {HTMLElement} element - Thread element
+     * @param {string} action - reply, resolve or reopen
+     */
+    async updateThread(element, action) {
+        const threadId = element.dataset.threadId;
+        let thread;
+
+        try {
+            if (action === 'reply') {
+                const body = element.querySelector('.review-reply').value.trim();
+                if (!body) {
+                    alert('Enter a reply.');
+                    return;
+                }
+                thread = await API.jobs.replyReviewThread(this.job.id, threadId, body);
+            } else if (action === 'resolve') {
+                thread = await API.jobs.resolveReviewThread(this.job.id, threadId);
+            } else {
+                thread = await API.jobs.reopenReviewThread(this.job.id, threadId);
+            }
+        } catch (error) {
+            alert(`Could not update the comment: ${error.data?.error || error.message}`);
+            return;
+        }
+
+        this.threads = this.threads.map(existing => existing.id === thread.id ? thread : existing);
+        this.renderJob();
+    },
+
+    // ============================================
+    // Decision
+    // ============================================
+
+    /**
+     * Approve the job, or return it to its author as a draft
+     * @param {string} decision - approve or reject
+     */
+    async decide(decision) {
+        const comments = document.getElementById('reviewDecisionComments').value.trim();
+        if (!comments) {
+            alert('Review comments are required.');
+            return;
+        }
+
+        const open = this.threads.filter(thread => !thread.resolved).length;
+        if (decision === 'approve' && open && !confirm(`${open} comment${open === 1 ? ' is' : 's are'} still open. Approve anyway?`)) {
+            return;
+        }
+
+        try {
+            await API.jobs.review(this.job.id, decision, comments);
+        } catch (error) {
+            alert(`Could not record the review: ${error.data?.error || error.message}`);
+            return;
+        }
+
+        FormEnhancements?.showNotification?.(
+            decision === 'approve' ? `${this.job.jobNumber} approved` : `${this.job.jobNumber} returned to its author`,
+            'success'
+        );
+        await this.openQueue();
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    formatDate(date) {
+        return PreCleanInspection.formatDate(date);
+    },
+
+    escapeHtml(text) {
+        return PreCleanInspection.escapeHtml(text);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ReviewScreen = ReviewScreen;
+}
@@ -0,0 +1,107 @@
+/**
+ * Review Sections Module
+ * The parts of a job a supervisor can anchor a review comment to: the
+ * sections of the job form, and the sections (h2 headings) of a generated
+ * HTML document.
+ * Shared by the browser (ReviewScreen) and the server (reviewThreads)
+ */
+
+const ReviewSections = {
+    ANCHOR_TYPES: ['FORM_SECTION', 'DOCUMENT_SECTION'],
+
+    // Job form sections, in form order (data-review-section on each fieldset)
+    FORM_SECTIONS: [
+        { key: 'jurisdiction', label: 'Operating Jurisdiction' },
+        { key: 'jobDetails', label: 'Job Details' },
+        { key: 'vessel', label: 'Vessel Details' },
+        { key: 'afc', label: 'Anti-Fouling Coating (AFC)' },
+        { key: 'vesselHistory', label: 'Vessel History & Operating Profile' },
+        { key: 'scope', label: 'Scope of Work' },
+        { key: 'diveTeam', label: 'Dive Team & Personnel' },
+        { key: 'diveParameters', label: 'Dive Parameters' },
+        { key: 'equipment', label: 'Equipment Selection' },
+        { key: 'contacts', label: 'Client & Site Contacts' },
+        { key: 'siteRequirements', label: 'Site-Specific Requirements' },
+        { key: 'activities', label: 'Additional Activities & Hazards' },
+        { key: 'biofouling', label: 'Preliminary Biofouling Assessment' },
+        { key: 'requirements', label: 'Determined Requirements' },
+        { key: 'images', label: 'Images' },
+        { key: 'author', label: 'Document Author' }
+    ],
+
+    // Longest section heading kept on an anchor
+    MAX_HEADING_LENGTH: 200,
+
+    /**
+     * Get a form section by key
+     * @param {string} key - Section key
+     * @returns {Object|null} - { key, label }
+     */
+    getFormSection(key) {
+        return this.FORM_SECTIONS.find(section => section.key === key) || null;
+    },
+
+    /**
+     * Turn heading markup into plain text
+     * @param {string} html - Heading inner HTML
+     * @returns {string}
+     */
+    headingText(html) {
+        return String(html || '')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;|&#x27;/g, "'")
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, this.MAX_HEADING_LENGTH);
+    },
+
+    /**
+     * Section headings of a generated HTML document, in document order
+     * Repeated headings (e.g. on a cover page and in the body) are listed once.
+     * @param {string} html - Document content
+     * @returns {Array<string>}
+     */
+    getDocumentSections(html) {
+        const headings = [];
+        const pattern = /<h2\b[^>]*>([\s\S]*?)<\/h2>/gi;
+        let match;
+
+        while ((match = pattern.exec(String(html || ''))) !== null) {
+            const text = this.headingText(match[1]);
+            if (text && !headings.includes(text)) {
+                headings.push(text);
+            }
+        }
+
+        return headings;
+    },
+
+    /**
+     * Human-readable location of a thread
+     * @param {Object} thread - { anchorType, anchor, documentType, document }
+     * @returns {string}
+     */
+    describeAnchor(thread) {
+        if (thread.anchorType === 'FORM_SECTION') {
+            return `Form › ${this.getFormSection(thread.anchor)?.label || thread.anchor}`;
+        }
+
+        const version = thread.document?.version ? ` v${thread.document.version}` : '';
+        return `${thread.documentType || 'Document'}${version} › ${thread.anchor}`;
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.ReviewSections = ReviewSections;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewSections;
+}
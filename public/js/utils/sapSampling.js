@@ -0,0 +1,322 @@
+/**
+ * SAP Sampling Module
+ * Records the water samples taken under the Sampling and Analysis Plan (SAP)
+ * for the current job and their laboratory results, and shows each
+ * downstream sample's pass/fail against the jurisdiction's thresholds.
+ * The overall result sets the "Chemical contamination standard is met"
+ * checklist row and the results appendix of the PDF package.
+ */
+
+const SapSampling = {
+    jobId: null,
+    results: null,
+    editing: null,
+    onChanged: null,
+
+    STATUS_TEXT: {
+        pass: '✅ Chemical contamination standard met',
+        fail: '❌ Chemical contamination standard not met',
+        pending: '⏳ Results pending'
+    },
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    createModal() {
+        if (document.getElementById('sapModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'sapModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="sapOverlay"></div>
+            <div class="modal-content sap-modal">
+                <div class="modal-header">
+                    <h2>🧪 SAP Sampling</h2>
+                    <button class="modal-close" id="sapCloseBtn">×</button>
+                </div>
+                <div class="modal-body" id="sapBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" id="sapCloseFooterBtn">Close</button>
+                    <button class="btn btn-primary" id="sapAddBtn">Record Sample</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('sapOverlay').addEventListener('click', () => this.close());
+        document.getElementById('sapCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('sapCloseFooterBtn').addEventListener('click', () => this.close());
+        document.getElementById('sapAddBtn').addEventListener('click', () => this.showForm(null));
+    },
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    /**
+     * Open the SAP samples for a job
+     * @param {string} jobId - Server job ID
+     * @param {Object} [options]
+     * @param {Function} [options.onChanged] - Called with the job's samples after each change
+     */
+    async open(jobId, options = {}) {
+        this.createModal();
+        this.jobId = jobId;
+        this.onChanged = options.onChanged || null;
+
+        if (!await this.load()) return;
+
+        document.getElementById('sapModal').classList.add('active');
+    },
+
+    close() {
+        document.getElementById('sapModal')?.classList.remove('active');
+    },
+
+    /**
+     * Load the samples and re-render
+     * @returns {Promise<boolean>} - Whether they loaded
+     */
+    async load() {
+        try {
+            this.results = await API.jobs.getSapSamples(this.jobId);
+        } catch (error) {
+            alert(`Could not load the SAP samples: ${error.data?.message || error.message}`);
+            return false;
+        }
+
+        this.editing = null;
+        this.render();
+        if (this.onChanged) {
+            this.onChanged(this.results.samples);
+        }
+        return true;
+    },
+
+    render() {
+        const { status, thresholds, background, samples, summary } = this.results;
+        const body = document.getElementById('sapBody');
+        const limit = (value, unit) => value !== null && value !== undefined ? `${value} ${unit}` : 'not set';
+
+        body.innerHTML = `
+            <div class="info-box">
+                <strong>${this.escapeHtml(thresholds.name)}</strong>:
+                dissolved copper ${limit(thresholds.dissolvedCopperUgL, 'µg/L')},
+                dissolved zinc ${limit(thresholds.dissolvedZincUgL, 'µg/L')},
+                TSS no more than ${limit(thresholds.tssIncreaseMgL, 'mg/L')} above upstream.
+                ${summary.upstream
+                    ? `Upstream background: Cu ${background.dissolvedCopperUgL ?? '-'} µg/L, Zn ${background.dissolvedZincUgL ?? '-'} µg/L, TSS ${background.tssMgL ?? '-'} mg/L.`
+                    : 'Record an upstream sample as the background.'}
+            </div>
+            <div class="sap-status sap-status-${status}">
+                ${this.STATUS_TEXT[status]}
+                ${summary.downstream ? `(${summary.passed} passed, ${summary.failed} failed of ${summary.downstream} downstream samples)` : ''}
+            </div>
+
+            <div id="sapForm"></div>
+
+            ${samples.length ? `
+                <table class="sap-samples">
+                    <thead>
+                        <tr><th>Sampled</th><th>Location</th><th>Position</th><th>Cu (µg/L)</th><th>Zn (µg/L)</th><th>TSS (mg/L)</th><th>Lab ref.</th><th>Result</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${samples.map(sample => this.renderSample(sample)).join('')}
+                    </tbody>
+                </table>
+            ` : '<p>No samples recorded for this job yet.</p>'}
+        `;
+
+        body.querySelectorAll('.sap-sample').forEach(row => {
+            const sample = samples.find(s => s.id === row.dataset.id);
+            row.querySelector('.sap-edit').addEventListener('click', () => this.showForm(sample));
+            row.querySelector('.sap-delete').addEventListener('click', () => this.remove(sample));
+        });
+    },
+
+    renderSample(sample) {
+        const value = field => sample[field] !== null ? sample[field] : '-';
+        const result = {
+            reference: 'Reference',
+            pass: '<span class="sap-result-pass">Pass</span>',
+            fail: '<span class="sap-result-fail">Fail</span>',
+            pending: '<span class="sap-result-pending">Pending</span>'
+        }[sample.result];
+        const notes = [
+            ...sample.exceedances.map(message => `❌ ${this.escapeHtml(message)}`),
+            ...(sample.missing.length ? [`⏳ Not recorded: ${sample.missing.map(name => this.escapeHtml(name)).join(', ')}`] : [])
+        ];
+
+        return `
+            <tr class="sap-sample ${sample.result === 'fail' ? 'sap-failed' : ''}" data-id="${sample.id}">
+                <td>${this.formatDate(sample.sampledAt)}</td>
+                <td>${this.escapeHtml(sample.location)}</td>
+                <td>${sample.position === 'UPSTREAM' ? 'Upstream' : 'Downstream'}</td>
+                <td>${value('dissolvedCopperUgL')}</td>
+                <td>${value('dissolvedZincUgL')}</td>
+                <td>${value('tssMgL')}</td>
+                <td>${sample.labReference ? this.escapeHtml(sample.labReference) : '-'}</td>
+                <td>${result}</td>
+                <td>
+                    <button type="button" class="btn btn-secondary btn-small sap-edit">Edit</button>
+                    <button type="button" class="btn btn-danger btn-small sap-delete">🗑️</button>
+                </td>
+            </tr>
+            ${notes.length ? `
+                <tr class="sap-notes-row">
+                    <td colspan="9">${notes.join('<br>')}</td>
+                </tr>
+            ` : ''}
+        `;
+    },
+
+    // ============================================
+    // Record & Edit
+    // ============================================
+
+    /**
+     * Show the sample form
+     * @param {Object|null} sample - Sample to edit, or null for a new sample
+     */
+    showForm(sample) {
+        const container = document.getElementById('sapForm');
+        const number = (id, label, field) => `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <input type="number" id="${id}" min="0" step="any" value="${sample?.[field] ?? ''}">
+            </div>
+        `;
+        const position = sample?.position || (this.results.summary.upstream ? 'DOWNSTREAM' : 'UPSTREAM');
+
+        this.editing = sample;
+        container.innerHTML = `
+            <div class="sap-form">
+                <h3>${sample ? 'Edit sample' : 'Record sample'}</h3>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="sapLocation">Sample location</label>
+                        <input type="text" id="sapLocation" value="${this.escapeHtml(sample?.location || '')}" placeholder="e.g. 50 m down-current of the stern">
+                    </div>
+                    <div class="form-group">
+                        <label for="sapSampled">Sampled</label>
+                        <input type="datetime-local" id="sapSampled" value="${PreCleanInspection.toDateTimeValue(sample?.sampledAt || new Date())}">
+                    </div>
+                    <div class="form-group">
+                        <label for="sapPosition">Position</label>
+                        <select id="sapPosition">
+                            <option value="UPSTREAM" ${position === 'UPSTREAM' ? 'selected' : ''}>Upstream (background)</option>
+                            <option value="DOWNSTREAM" ${position === 'DOWNSTREAM' ? 'selected' : ''}>Downstream</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="sapLabReference">Lab reference</label>
+                        <input type="text" id="sapLabReference" value="${this.escapeHtml(sample?.labReference || '')}" placeholder="Certificate of analysis no.">
+                    </div>
+                </div>
+                <h4>Results</h4>
+                <div class="form-grid">
+                    ${number('sapCopper', 'Dissolved copper (µg/L)', 'dissolvedCopperUgL')}
+                    ${number('sapZinc', 'Dissolved zinc (µg/L)', 'dissolvedZincUgL')}
+                    ${number('sapTss', 'TSS (mg/L)', 'tssMgL')}
+                </div>
+                <div class="form-group">
+                    <label for="sapNotes">Notes</label>
+                    <textarea id="sapNotes" rows="2">${this.escapeHtml(sample?.notes || '')}</textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" id="sapCancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="sapSave">${sample ? 'Save Sample' : 'Record Sample'}</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('sapCancel').addEventListener('click', () => {
+            this.editing = null;
+            container.innerHTML = '';
+        });
+        document.getElementById('sapSave').addEventListener('click', () => this.save());
+        container.scrollIntoView({ behavior: 'smooth' });
+    },
+
+    /**
+     * Read the sample form into a request body
+     * @returns {Object}
+     */
+    collect() {
+        const value = id => document.getElementById(id).value;
+
+        return {
+            location: value('sapLocation'),
+            sampledAt: value('sapSampled') ? new Date(value('sapSampled')).toISOString() : null,
+            position: value('sapPosition'),
+            dissolvedCopperUgL: value('sapCopper'),
+            dissolvedZincUgL: value('sapZinc'),
+            tssMgL: value('sapTss'),
+            labReference: value('sapLabReference'),
+            notes: value('sapNotes')
+        };
+    },
+
+    async save() {
+        const data = this.collect();
+        const sample = this.editing;
+        let saved;
+
+        try {
+            saved = sample
+                ? await API.jobs.updateSapSample(this.jobId, sample.id, data, sample.version)
+                : await API.jobs.recordSapSample(this.jobId, data);
+        } catch (error) {
+            if (error.isConflict && error.data?.current) {
+                if (!confirm('This sample was changed by someone else since you opened it. Overwrite their changes with yours?')) {
+                    return;
+                }
+                this.editing = { ...sample, version: error.data.currentVersion };
+                return this.save();
+            }
+            alert(`Could not save the sample: ${error.data?.message || error.data?.error || error.message}`);
+            return;
+        }
+
+        await this.load();
+
+        if (saved.result === 'fail') {
+            alert(`Sample saved. It exceeds the thresholds:\n\n${saved.exceedances.map(message => `- ${message}`).join('\n')}`);
+        } else {
+            FormEnhancements.showNotification('Sample saved', 'success');
+        }
+    },
+
+    async remove(sample) {
+        if (!confirm(`Delete the ${sample.position.toLowerCase()} sample taken ${this.formatDate(sample.sampledAt)}? Only delete samples entered in error.`)) return;
+
+        try {
+            await API.jobs.deleteSapSample(this.jobId, sample.id);
+        } catch (error) {
+            alert(`Could not delete the sample: ${error.data?.message || error.message}`);
+            return;
+        }
+
+        await this.load();
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    formatDate(date) {
+        return PreCleanInspection.formatDate(date);
+    },
+
+    escapeHtml(text) {
+        return PreCleanInspection.escapeHtml(text);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SapSampling = SapSampling;
+}
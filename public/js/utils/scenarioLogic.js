@@ -133,6 +133,61 @@ const ScenarioLogic = {
         };
     },
 
+    // Enriched air (Nitrox) planning limits
+    NITROX_DEFAULT_O2: 32,
+    NITROX_MIN_O2: 22,
+    NITROX_MAX_O2: 40,
+    PPO2_LIMITS: [1.4, 1.6],
+
+    /**
+     * Determine the gas plan for the dive parameters
+     * For Nitrox: maximum operating depth (MOD) for the O2 percentage and ppO2
+     * limit, and the equivalent air depth (EAD) to use with the air tables.
+     * Depths in metres of sea water (10 m = 1 bar).
+     * @param {Object} data - Form data (gasType, maxDepth, nitroxO2, ppO2Limit)
+     * @returns {Object} - Gas plan determination
+     */
+    determineGas(data) {
+        const gasType = data.gasType || 'Air';
+        const depth = parseFloat(data.maxDepth) || null;
+        const warnings = [];
+
+        if (gasType !== 'Nitrox') {
+            return { gasType, isNitrox: false, mod: null, ead: null, warnings };
+        }
+
+        const o2 = parseFloat(data.nitroxO2) || this.NITROX_DEFAULT_O2;
+        if (o2 < this.NITROX_MIN_O2 || o2 > this.NITROX_MAX_O2) {
+            warnings.push(`Nitrox O2 ${o2}% is outside the ${this.NITROX_MIN_O2}-${this.NITROX_MAX_O2}% range for enriched air diving`);
+        }
+
+        const ppO2Limit = this.PPO2_LIMITS.includes(parseFloat(data.ppO2Limit)) ? parseFloat(data.ppO2Limit) : this.PPO2_LIMITS[0];
+        const fO2 = o2 / 100;
+
+        // Round MOD down and EAD up so both err on the safe side
+        const mod = Math.floor((ppO2Limit / fO2 - 1) * 100) / 10;
+        const ead = depth ? Math.max(0, Math.ceil(((depth + 10) * (1 - fO2) / 0.79 - 10) * 10) / 10) : null;
+        const ppO2AtDepth = depth ? Math.round(fO2 * (depth / 10 + 1) * 100) / 100 : null;
+        const exceedsMod = !!depth && depth > mod;
+
+        if (exceedsMod) {
+            warnings.push(`Max depth ${depth}m exceeds the MOD of ${mod}m for EAN${o2} at ppO2 ${ppO2Limit} bar (ppO2 ${ppO2AtDepth} bar at depth)`);
+        }
+
+        return {
+            gasType,
+            isNitrox: true,
+            o2,
+            mix: `EAN${o2}`,
+            ppO2Limit,
+            mod,
+            ead,
+            ppO2AtDepth,
+            exceedsMod,
+            warnings
+        };
+    },
+
     /**
      * Get checklist items based on cleaning pathway
      * @param {Object} data - Form data
@@ -162,8 +217,8 @@ const ScenarioLogic = {
             {
                 timing: 'Prior to in-water clean',
                 criteria: 'A pre-clean inspection report to satisfy the documentation requirements',
-                status: 'To be completed',
-                statusClass: 'pending'
+                status: data.preCleanInspectionCompleted ? 'Completed' : 'To be completed',
+                statusClass: data.preCleanInspectionCompleted ? 'confirmed' : 'pending'
             },
             {
                 timing: 'Prior to in-water clean',
@@ -196,19 +251,24 @@ const ScenarioLogic = {
         }
 
         if (determination.sapRequired) {
+            // Follows the SAP sampling results (see evaluateSapResults)
+            const sapStatus = {
+                pass: { status: 'Met', statusClass: 'confirmed' },
+                fail: { status: 'Not met', statusClass: 'incomplete' }
+            }[data.sapResult] || { status: 'To be verified', statusClass: 'pending' };
+
             baseChecklist.push({
                 timing: 'During clean',
                 criteria: 'Chemical contamination standard is met',
-                status: 'To be verified',
-                statusClass: 'pending'
+                ...sapStatus
             });
         }
 
         baseChecklist.push({
             timing: 'After clean',
             criteria: 'Post clean inspection report is completed',
-            status: 'To be completed',
-            statusClass: 'pending'
+            status: data.postCleanReportCompleted ? 'Completed' : 'To be completed',
+            statusClass: data.postCleanReportCompleted ? 'confirmed' : 'pending'
         });
 
         baseChecklist.push({
@@ -243,6 +303,101 @@ const ScenarioLogic = {
             return 'QAP00129FUS-002 – In-Water Hull Cleaning Sampling and Analysis Plan (SAP) – Vessels under 35m';
         }
         return 'QAP00129aFUS-001 – In-Water Hull Cleaning Sampling and Analysis Plan (SAP)';
+    },
+
+    // SAP thresholds when the jurisdiction does not set sapThresholds
+    SAP_DEFAULT_THRESHOLDS: {
+        name: 'ANZG (2018) marine guideline values, 95% species protection',
+        dissolvedCopperUgL: 1.3,
+        dissolvedZincUgL: 8,
+        tssIncreaseMgL: 10
+    },
+
+    /**
+     * Evaluate SAP water sampling results against the jurisdiction thresholds
+     * Upstream samples are the reference. Each downstream sample passes when
+     * its dissolved copper and zinc are within the threshold (or no higher
+     * than the upstream background, where that already exceeds it) and its
+     * TSS is no more than tssIncreaseMgL above the upstream TSS.
+     * @param {Array<Object>} samples - { id, location, sampledAt, position (UPSTREAM|DOWNSTREAM),
+     *   dissolvedCopperUgL, dissolvedZincUgL, tssMgL, labReference }
+     * @param {Object} [thresholds] - Jurisdiction scenarioLogic.sapThresholds
+     * @returns {Object} - { status (pass|fail|pending), thresholds, background, samples, summary }
+     */
+    evaluateSapResults(samples = [], thresholds = this.SAP_DEFAULT_THRESHOLDS) {
+        const limits = thresholds || this.SAP_DEFAULT_THRESHOLDS;
+        const upstream = samples.filter(sample => sample.position === 'UPSTREAM');
+        const mean = field => {
+            const values = upstream.map(sample => sample[field]).filter(value => value !== null && value !== undefined);
+            return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 100) / 100 : null;
+        };
+        const background = {
+            dissolvedCopperUgL: mean('dissolvedCopperUgL'),
+            dissolvedZincUgL: mean('dissolvedZincUgL'),
+            tssMgL: mean('tssMgL')
+        };
+        const metals = [
+            { field: 'dissolvedCopperUgL', label: 'Dissolved copper', unit: 'µg/L' },
+            { field: 'dissolvedZincUgL', label: 'Dissolved zinc', unit: 'µg/L' }
+        ];
+
+        const evaluated = [...samples]
+            .sort((a, b) => new Date(a.sampledAt) - new Date(b.sampledAt))
+            .map(sample => {
+                if (sample.position !== 'DOWNSTREAM') {
+                    return { ...sample, result: 'reference', exceedances: [], missing: [] };
+                }
+
+                const exceedances = [];
+                const missing = [];
+
+                metals.forEach(({ field, label, unit }) => {
+                    const limit = limits[field];
+                    if (limit === null || limit === undefined) return;
+
+                    const value = sample[field];
+                    if (value === null || value === undefined) {
+                        missing.push(label);
+                    } else if (value > limit && !(background[field] !== null && value <= background[field])) {
+                        exceedances.push(`${label} ${value} ${unit} exceeds ${limit} ${unit}${background[field] !== null ? ` and the upstream ${background[field]} ${unit}` : ''}`);
+                    }
+                });
+
+                if (limits.tssIncreaseMgL !== null && limits.tssIncreaseMgL !== undefined) {
+                    if (sample.tssMgL === null || sample.tssMgL === undefined) {
+                        missing.push('TSS');
+                    } else if (background.tssMgL === null) {
+                        missing.push('upstream TSS');
+                    } else if (sample.tssMgL - background.tssMgL > limits.tssIncreaseMgL) {
+                        exceedances.push(`TSS ${sample.tssMgL} mg/L is more than ${limits.tssIncreaseMgL} mg/L above the upstream ${background.tssMgL} mg/L`);
+                    }
+                }
+
+                const result = exceedances.length ? 'fail' : (missing.length ? 'pending' : 'pass');
+                return { ...sample, result, exceedances, missing };
+            });
+
+        const downstream = evaluated.filter(sample => sample.position === 'DOWNSTREAM');
+        let status = 'pending';
+        if (downstream.some(sample => sample.result === 'fail')) {
+            status = 'fail';
+        } else if (downstream.length && downstream.every(sample => sample.result === 'pass')) {
+            status = 'pass';
+        }
+
+        return {
+            status,
+            thresholds: limits,
+            background,
+            samples: evaluated,
+            summary: {
+                samples: evaluated.length,
+                upstream: upstream.length,
+                downstream: downstream.length,
+                passed: downstream.filter(sample => sample.result === 'pass').length,
+                failed: downstream.filter(sample => sample.result === 'fail').length
+            }
+        };
     }
 };
 
@@ -251,3 +406,7 @@ if (typeof window !== 'undefined') {
     window.ScenarioLogic = ScenarioLogic;
 }
 
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioLogic;
+}
@@ -0,0 +1,267 @@
+/**
+ * Share Links Module
+ * Read-only links to the current job's WMS, SWMS, ERP and WHSMP for
+ * clients and regulators who have no account: creating, copying and
+ * revoking them, and seeing who viewed each link and how they responded.
+ */
+
+const ShareLinks = {
+    jobId: null,
+    links: [],
+
+    DOCUMENT_TYPES: ['WMS', 'SWMS', 'ERP', 'WHSMP'],
+
+    STATE_LABELS: {
+        active: 'Active',
+        expired: 'Expired',
+        revoked: 'Revoked'
+    },
+
+    RESPONSE_LABELS: {
+        ACKNOWLEDGED: 'Receipt acknowledged',
+        APPROVED_WITH_CONDITIONS: 'Approved with conditions'
+    },
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    createModal() {
+        if (document.getElementById('shareLinksModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'shareLinksModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="shareLinksOverlay"></div>
+            <div class="modal-content share-links-modal">
+                <div class="modal-header">
+                    <h2>🔗 Share Links</h2>
+                    <button class="modal-close" id="shareLinksCloseBtn">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="info-box">
+                        Share the latest generated documents read-only with a client or regulator.
+                        They need no account; every view is recorded, and they can acknowledge
+                        receipt or approve with conditions.
+                    </div>
+                    <form id="shareLinkForm" class="share-link-form">
+                        <div class="form-grid">
+                            <div class="form-group">
+                                <label for="shareRecipientName">Recipient</label>
+                                <input type="text" id="shareRecipientName" placeholder="e.g. Fremantle Ports">
+                            </div>
+                            <div class="form-group">
+                                <label for="shareRecipientEmail">Recipient email</label>
+                                <input type="email" id="shareRecipientEmail">
+                            </div>
+                            <div class="form-group">
+                                <label for="shareExpiresInDays">Expires after</label>
+                                <select id="shareExpiresInDays">
+                                    <option value="7">7 days</option>
+                                    <option value="14" selected>14 days</option>
+                                    <option value="30">30 days</option>
+                                    <option value="90">90 days</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-group share-link-types">
+                            ${this.DOCUMENT_TYPES.map(type => `
+                                <label><input type="checkbox" name="shareDocumentType" value="${type}" checked> ${type}</label>
+                            `).join('')}
+                        </div>
+                        <button type="submit" class="btn btn-primary" id="shareLinkCreateBtn">Create Link</button>
+                    </form>
+                    <div id="shareLinksList"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" id="shareLinksCloseFooterBtn">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('shareLinksOverlay').addEventListener('click', () => this.close());
+        document.getElementById('shareLinksCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('shareLinksCloseFooterBtn').addEventListener('click', () => this.close());
+        document.getElementById('shareLinkForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.create();
+        });
+    },
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    /**
+     * Open the share links for a job
+     * @param {string} jobId - Server job ID
+     */
+    async open(jobId) {
+        this.createModal();
+        this.jobId = jobId;
+
+        if (!await this.load()) return;
+
+        document.getElementById('shareLinksModal').classList.add('active');
+    },
+
+    close() {
+        document.getElementById('shareLinksModal')?.classList.remove('active');
+    },
+
+    /**
+     * Load the links and re-render
+     * @returns {Promise<boolean>} - Whether they loaded
+     */
+    async load() {
+        try {
+            this.links = (await API.jobs.getShareLinks(this.jobId)).shareLinks;
+        } catch (error) {
+            alert(`Could not load the share links: ${error.data?.message || error.message}`);
+            return false;
+        }
+
+        this.render();
+        return true;
+    },
+
+    render() {
+        const list = document.getElementById('shareLinksList');
+
+        if (!this.links.length) {
+            list.innerHTML = '<p class="empty-state">This job has not been shared yet.</p>';
+            return;
+        }
+
+        list.innerHTML = this.links.map(link => this.renderLink(link)).join('');
+
+        list.querySelectorAll('[data-copy]').forEach(button => {
+            button.addEventListener('click', () => this.copy(button.dataset.copy));
+        });
+        list.querySelectorAll('[data-revoke]').forEach(button => {
+            button.addEventListener('click', () => this.revoke(button.dataset.revoke));
+        });
+    },
+
+    renderLink(link) {
+        const recipient = [link.recipientName, link.recipientEmail].filter(Boolean).join(' · ') || 'No recipient named';
+        const lastView = link.views[0];
+
+        return `
+            <div class="share-link share-link-${link.state}">
+                <div class="share-link-header">
+                    <strong>${this.escapeHtml(recipient)}</strong>
+                    <span class="share-link-state">${this.STATE_LABELS[link.state]}</span>
+                </div>
+                <div class="help-text">
+                    ${link.documents.map(doc => `${doc.type} v${doc.version}`).join(', ')}
+                    · shared by ${this.escapeHtml(link.createdBy?.name || link.createdBy?.email || 'unknown')} ${this.formatDate(link.createdAt)}
+                    · ${link.state === 'revoked'
+                        ? `revoked by ${this.escapeHtml(link.revokedBy?.name || link.revokedBy?.email || 'unknown')} ${this.formatDate(link.revokedAt)}`
+                        : `expire${link.state === 'expired' ? 'd' : 's'} ${this.formatDate(link.expiresAt)}`}
+                </div>
+                <div class="help-text">
+                    ${link.viewCount ? `👁 ${link.viewCount} view${link.viewCount === 1 ? '' : 's'}, last ${this.formatDate(lastView.viewedAt)}${lastView.documentType ? ` (${lastView.documentType})` : ''}` : 'Not viewed yet'}
+                </div>
+                ${link.responses.length ? `
+                    <ul class="share-responses">
+                        ${link.responses.map(response => `
+                            <li>
+                                <strong>${this.RESPONSE_LABELS[response.type]}</strong>
+                                by ${this.escapeHtml(response.name)}${response.organization ? ` (${this.escapeHtml(response.organization)})` : ''},
+                                ${this.formatDate(response.createdAt)}
+                                ${response.conditions ? `<div class="share-conditions">${this.escapeHtml(response.conditions).replace(/\n/g, '<br>')}</div>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${link.state === 'active' ? `
+                    <div class="share-link-actions">
+                        ${link.url ? `
+                            <input type="text" readonly value="${this.escapeHtml(link.url)}" aria-label="Share link">
+                            <button class="btn btn-small btn-secondary" data-copy="${this.escapeHtml(link.url)}">Copy</button>
+                        ` : ''}
+                        <button class="btn btn-small btn-secondary" data-revoke="${link.id}">Revoke</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    // ============================================
+    // Actions
+    // ============================================
+
+    async create() {
+        const documentTypes = [...document.querySelectorAll('input[name="shareDocumentType"]:checked')]
+            .map(input => input.value);
+
+        if (!documentTypes.length) {
+            alert('Choose at least one document to share.');
+            return;
+        }
+
+        const button = document.getElementById('shareLinkCreateBtn');
+        button.disabled = true;
+
+        try {
+            const link = await API.jobs.createShareLink(this.jobId, {
+                recipientName: document.getElementById('shareRecipientName').value.trim(),
+                recipientEmail: document.getElementById('shareRecipientEmail').value.trim(),
+                expiresInDays: parseInt(document.getElementById('shareExpiresInDays').value),
+                documentTypes
+            });
+            this.links.unshift(link);
+            this.render();
+            document.getElementById('shareRecipientName').value = '';
+            document.getElementById('shareRecipientEmail').value = '';
+            await this.copy(link.url);
+        } catch (error) {
+            alert(`Could not create the link: ${error.data?.error || error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    async copy(url) {
+        try {
+            await navigator.clipboard.writeText(url);
+            FormEnhancements?.showNotification?.('Share link copied to clipboard', 'success');
+        } catch (error) {
+            prompt('Copy the share link:', url);
+        }
+    },
+
+    async revoke(linkId) {
+        if (!confirm('Revoke this link? Anyone who has it will no longer be able to open the documents.')) return;
+
+        try {
+            const link = await API.jobs.revokeShareLink(this.jobId, linkId);
+            this.links = this.links.map(existing => existing.id === link.id ? link : existing);
+            this.render();
+        } catch (error) {
+            alert(`Could not revoke the link: ${error.data?.error || error.message}`);
+            await this.load();
+        }
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    formatDate(date) {
+        return PreCleanInspection.formatDate(date);
+    },
+
+    escapeHtml(text) {
+        return PreCleanInspection.escapeHtml(text);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ShareLinks = ShareLinks;
+}
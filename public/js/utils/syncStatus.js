@@ -0,0 +1,217 @@
+/**
+ * Sync Status Module
+ * Shows queued offline changes and lets the user resolve sync conflicts
+ */
+
+const SyncStatus = {
+    ACTION_LABELS: {
+        create: 'New',
+        update: 'Changes to',
+        delete: 'Delete'
+    },
+
+    ENTITY_LABELS: {
+        job: 'job',
+        crew: 'crew member',
+        vessel: 'vessel'
+    },
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    init() {
+        this.createIndicator();
+        this.createModal();
+
+        Outbox.onChange(() => this.update());
+        window.addEventListener('online', () => this.update());
+        window.addEventListener('offline', () => this.update());
+
+        this.update();
+    },
+
+    createIndicator() {
+        if (document.getElementById('syncIndicator')) return;
+
+        const indicator = document.createElement('button');
+        indicator.id = 'syncIndicator';
+        indicator.type = 'button';
+        indicator.className = 'sync-indicator';
+        indicator.addEventListener('click', () => this.openModal());
+        document.body.appendChild(indicator);
+    },
+
+    createModal() {
+        if (document.getElementById('syncModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'syncModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="syncOverlay"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>🔄 Offline Changes</h2>
+                    <button class="modal-close" id="syncCloseBtn">×</button>
+                </div>
+                <div class="modal-body" id="syncList"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-primary" id="syncRetryBtn">Sync Now</button>
+                    <button class="btn btn-secondary" id="syncCloseFooterBtn">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('syncOverlay').addEventListener('click', () => this.closeModal());
+        document.getElementById('syncCloseBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('syncCloseFooterBtn').addEventListener('click', () => this.closeModal());
+        document.getElementById('syncRetryBtn').addEventListener('click', () => Outbox.replay());
+    },
+
+    // ============================================
+    // Indicator
+    // ============================================
+
+    update() {
+        const indicator = document.getElementById('syncIndicator');
+        if (!indicator) return;
+
+        const counts = Outbox.getCounts();
+        const total = counts.pending + counts.conflict + counts.failed;
+        const offline = navigator.onLine === false;
+
+        let text = '';
+        let state = '';
+
+        if (counts.conflict || counts.failed) {
+            const problems = counts.conflict + counts.failed;
+            text = `⚠️ ${problems} change${problems === 1 ? '' : 's'} need${problems === 1 ? 's' : ''} attention`;
+            state = 'sync-conflict';
+        } else if (offline) {
+            text = total ? `📴 Offline · ${total} change${total === 1 ? '' : 's'} waiting` : '📴 Offline';
+            state = 'sync-offline';
+        } else if (total) {
+            text = `🔄 Syncing ${total} change${total === 1 ? '' : 's'}...`;
+            state = 'sync-pending';
+        }
+
+        indicator.textContent = text;
+        indicator.className = `sync-indicator ${state}${text ? ' visible' : ''}`;
+
+        if (document.getElementById('syncModal')?.classList.contains('active')) {
+            this.renderList();
+        }
+    },
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    openModal() {
+        this.renderList();
+        document.getElementById('syncModal').classList.add('active');
+    },
+
+    closeModal() {
+        document.getElementById('syncModal').classList.remove('active');
+    },
+
+    renderList() {
+        const listEl = document.getElementById('syncList');
+        const entries = Outbox.entries;
+
+        if (entries.length === 0) {
+            listEl.innerHTML = '<p class="empty-state">All changes are synced.</p>';
+            return;
+        }
+
+        listEl.innerHTML = entries.map(entry => `
+            <div class="sync-entry sync-${entry.status}" data-seq="${entry.seq}">
+                <div class="sync-entry-main">
+                    <div class="sync-entry-title">
+                        ${this.ACTION_LABELS[entry.action]} ${this.ENTITY_LABELS[entry.entity] || entry.entity}: ${this.escapeHtml(entry.label || 'Untitled')}
+                    </div>
+                    <div class="sync-entry-meta">
+                        Saved ${this.formatTime(entry.createdAt)} • ${this.describeStatus(entry)}
+                    </div>
+                    ${entry.error ? `<div class="sync-entry-error">${this.escapeHtml(entry.error)}</div>` : ''}
+                </div>
+                ${this.renderActions(entry)}
+            </div>
+        `).join('');
+
+        // Bind events using event delegation
+        listEl.querySelectorAll('.sync-entry').forEach(row => {
+            const seq = Number(row.dataset.seq);
+
+            row.querySelector('.sync-keep-btn')?.addEventListener('click', () => Outbox.resolve(seq, 'overwrite'));
+            row.querySelector('.sync-discard-btn')?.addEventListener('click', () => {
+                if (confirm('Discard this change (and any later changes to the same record) and keep the server version?')) {
+                    Outbox.resolve(seq, 'discard');
+                }
+            });
+        });
+    },
+
+    renderActions(entry) {
+        if (entry.status === Outbox.STATUS.CONFLICT) {
+            return `
+                <div class="sync-entry-actions">
+                    <button class="btn btn-primary btn-small sync-keep-btn">Keep Mine</button>
+                    <button class="btn btn-secondary btn-small sync-discard-btn">Use Server Version</button>
+                </div>
+            `;
+        }
+        if (entry.status === Outbox.STATUS.FAILED) {
+            return `
+                <div class="sync-entry-actions">
+                    <button class="btn btn-primary btn-small sync-keep-btn">Retry</button>
+                    <button class="btn btn-secondary btn-small sync-discard-btn">Discard</button>
+                </div>
+            `;
+        }
+        return '';
+    },
+
+    describeStatus(entry) {
+        if (entry.status === Outbox.STATUS.CONFLICT) {
+            const by = entry.conflict?.current?.updatedAt
+                ? ` on ${this.formatTime(entry.conflict.current.updatedAt)}`
+                : '';
+            return `Changed on the server${by} (version ${entry.conflict?.currentVersion}, yours was based on ${entry.baseVersion})`;
+        }
+        if (entry.status === Outbox.STATUS.FAILED) {
+            return 'Could not be saved';
+        }
+        return 'Waiting to sync';
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    formatTime(dateStr) {
+        if (!dateStr) return '';
+        return new Date(dateStr).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    },
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SyncStatus = SyncStatus;
+}
@@ -0,0 +1,521 @@
+/**
+ * Template Data Builder
+ * Turns form data into the data passed to the Handlebars templates
+ * Shared by the browser (App.prepareTemplateData) and the server document generator
+ */
+
+const TemplateData = {
+    /**
+     * Prepare template data with calculated fields
+     * @param {Object} formData - Form data (as returned by App.getFormData)
+     * @param {Object} options
+     * @param {Object} [options.jurisdiction] - Jurisdiction config
+     * @param {Object} [options.images] - { companyLogo, vesselImage, generalArrangement } data URLs
+     * @returns {Object} - Data for the Handlebars templates
+     */
+    build(formData, options = {}) {
+        const scenarioLogic = typeof ScenarioLogic !== 'undefined' ? ScenarioLogic : require('./scenarioLogic');
+        const images = options.images || {};
+        const determination = scenarioLogic.determine(formData);
+        const sapResults = this.buildSapResults(formData.sapSamples || [], options.jurisdiction, scenarioLogic);
+        const checklist = scenarioLogic.getChecklist({ ...formData, sapResult: sapResults.status }, determination);
+
+        // Build scope areas text - use custom scope if provided
+        let scopeAreasText;
+        let hasCustomScope = false;
+        
+        if (formData.customScopeOfWork) {
+            scopeAreasText = formData.customScopeOfWork;
+            hasCustomScope = true;
+        } else {
+            const scopeAreas = [];
+            if (formData.scopeHull) scopeAreas.push('hull plating and underwater surfaces');
+            if (formData.scopeNicheAreas) scopeAreas.push('niche areas');
+            if (formData.scopePropeller) scopeAreas.push('propeller');
+            scopeAreasText = scopeAreas.join(', ') || 'hull plating and underwater surfaces';
+        }
+
+        // Get additional hazards based on selected activities
+        const additionalHazards = this.getAdditionalHazards(formData);
+        const additionalActivities = this.getAdditionalActivitiesList(formData);
+
+        // Determine cleaning type text
+        let cleaningTypeText = 'full in-water hull clean with capture';
+        if (!determination.captureRequired) {
+            cleaningTypeText = 'in-water hull grooming';
+        }
+
+        // AFC type text
+        const afcTypeText = formData.afcType === 'biocidal' ? 'Biocidal' : 
+                           formData.afcType === 'non-biocidal' ? 'Non-biocidal' : 'Unknown';
+
+        // Jurisdiction config for template data
+        const jurisdiction = options.jurisdiction || null;
+        
+        // Operating profile compliance text - use jurisdiction-specific text if available
+        let operatingProfileCompliance = '';
+        if (jurisdiction && jurisdiction.complianceText) {
+            if (formData.biofoulingOrigin === 'regional') {
+                operatingProfileCompliance = jurisdiction.complianceText.regionalBiofouling || 
+                    "The vessel's operational history is confined to regional waters.";
+            } else if (formData.biofoulingOrigin === 'domestic') {
+                operatingProfileCompliance = jurisdiction.complianceText.domesticBiofouling || 
+                    "The vessel's operational history is largely confined to domestic waters.";
+            } else {
+                operatingProfileCompliance = jurisdiction.complianceText.internationalBiofouling || 
+                    "The vessel has operated in international waters, requiring full biosecurity assessment.";
+            }
+        } else {
+            // Fallback for when jurisdiction system is not loaded
+            if (formData.biofoulingOrigin === 'regional') {
+                operatingProfileCompliance = "The vessel's operational history is confined to regional waters, supporting alignment with WA state practices regarding biosecurity risk and AFC cleanliness assessments.";
+            } else if (formData.biofoulingOrigin === 'domestic') {
+                operatingProfileCompliance = "While the vessel's operational history is largely confined to domestic waters, visits to other states require elevated biosecurity controls as outlined in this WMS.";
+            } else {
+                operatingProfileCompliance = "The vessel has operated in international waters, requiring full biosecurity assessment and elevated controls as outlined in this WMS.";
+            }
+        }
+
+        // Get month and year for document headers
+        const proposedDate = formData.proposedStartDate ? new Date(formData.proposedStartDate) : new Date();
+        const months = ['January', 'February', 'March', 'April', 'May', 'June', 
+                       'July', 'August', 'September', 'October', 'November', 'December'];
+
+        return {
+            ...formData,
+            ...determination,
+            scopeAreasText,
+            hasCustomScope,
+            cleaningTypeText,
+            afcTypeText,
+            cleaningScenario: determination.scenario,
+            foulingTypeText: scenarioLogic.getFoulingTypeText(parseInt(formData.foulingRating) || 0),
+            sapDocument: scenarioLogic.getSapDocument(formData.vesselLOA),
+            sapResults,
+            checklistItems: checklist,
+            operatingProfileCompliance,
+            afsCertValid: !!formData.afcProductName,
+            afcWithinServiceLife: formData.afcCondition === 'sound',
+            currentYear: new Date().getFullYear(),
+            
+            // Images
+            companyLogo: images.companyLogo,
+            vesselImage: images.vesselImage,
+            generalArrangement: images.generalArrangement,
+            
+            // Date formatting for headers
+            proposedMonth: months[proposedDate.getMonth()],
+            proposedYear: proposedDate.getFullYear(),
+            
+            // Format dates for display
+            proposedStartDate: this.formatDateDisplay(formData.proposedStartDate),
+            afcApplicationDate: this.formatDateDisplay(formData.afcApplicationDate),
+            revisionDate: this.formatDateDisplay(formData.revisionDate),
+            
+            // Additional activities and hazards
+            additionalHazards,
+            additionalActivities,
+            hasAdditionalActivities: additionalActivities.length > 0,
+
+            // Personnel data for SWMS
+            personnel: this.buildPersonnelList(formData),
+            hasPersonnel: !!(formData.diveSupervisor || formData.diver1 || formData.diver2),
+            
+            // Dive parameters
+            maxDepth: formData.maxDepth || '12',
+            bottomTime: formData.bottomTime || 'Unlimited',
+            decoProfile: formData.decoProfile || 'No Deco',
+            gasType: formData.gasType || 'Air',
+            gasPlan: scenarioLogic.determineGas(formData),
+            
+            // Equipment selections for SWMS
+            equipment: this.buildEquipmentList(formData),
+            
+            // Client & Site contacts
+            clientContact: formData.clientContact,
+            clientPhone: formData.clientPhone,
+            simopsContact: formData.simopsContact,
+            simopsPhone: formData.simopsPhone,
+            emergencyAssembly: formData.emergencyAssembly,
+            onSiteMedic: formData.onSiteMedic === 'yes',
+            
+            // Site-specific data
+            siteType: formData.siteType,
+            siteTypeName: this.getSiteTypeName(formData.siteType),
+            isDefenceSite: formData.siteType === 'defence' || formData.siteType === 'anzac' || formData.siteType === 'navy',
+            isFPASite: formData.siteType === 'fpa',
+            requiresPTW: formData.requiresPTW,
+            requiresIsolation: formData.requiresIsolation,
+            requiresSiteInduction: formData.requiresSiteInduction,
+            requiresSecurityClearance: formData.requiresSecurityClearance,
+
+            // Jurisdiction data for templates
+            jurisdiction: jurisdiction,
+            jurisdictionId: jurisdiction?.id || 'AU-WA',
+            jurisdictionName: jurisdiction?.shortName || 'Western Australia',
+            jurisdictionFlag: jurisdiction?.flag || '🇦🇺',
+            
+            // Regulatory bodies (for easy access in templates)
+            primaryRegulator: jurisdiction?.regulatoryBodies?.primary?.name || 'DPIRD',
+            primaryRegulatorFull: jurisdiction?.regulatoryBodies?.primary?.fullName || 'Department of Primary Industries and Regional Development',
+            portAuthority: jurisdiction?.regulatoryBodies?.port?.name || 'FPA',
+            portAuthorityFull: jurisdiction?.regulatoryBodies?.port?.fullName || 'Fremantle Port Authority',
+            
+            // Emergency contacts
+            imsHotline: jurisdiction?.emergencyContacts?.imsHotline?.phone || '(08) 9368 3657',
+            imsHotlineName: jurisdiction?.emergencyContacts?.imsHotline?.name || 'DPIRD Marine Pest Hotline',
+            divingEmergencyPhone: jurisdiction?.emergencyContacts?.divingEmergency?.phone || '1800 088 200',
+            divingEmergencyName: jurisdiction?.emergencyContacts?.divingEmergency?.name || 'Diving Emergency Service (DES)',
+            portEmergencyPhone: jurisdiction?.emergencyContacts?.portEmergency?.phone || jurisdiction?.regulatoryBodies?.port?.emergencyPhone || '(08) 9430 3555',
+            
+            // Compliance text snippets
+            regulatoryAlignmentText: jurisdiction?.complianceText?.regulatoryAlignment || '',
+            highRiskNoteText: jurisdiction?.complianceText?.highRiskNote || '',
+            imsProtocolText: jurisdiction?.complianceText?.imsProtocol || '',
+            
+            // Features
+            preCleanInspectionHours: jurisdiction?.features?.preCleanInspectionHours || 48,
+            postCleanReportDays: jurisdiction?.features?.postCleanReportDays || 20
+        };
+    },
+
+    /**
+     * Get list of additional activities selected
+     */
+    getAdditionalActivitiesList(formData) {
+        const activities = [];
+        if (formData.activityConfinedSpace) activities.push('Confined Space Entry');
+        if (formData.activityHotWork) activities.push('Hot Work');
+        if (formData.activityWorkingAtHeights) activities.push('Working at Heights');
+        if (formData.activityCraneOps) activities.push('Crane/Lifting Operations');
+        if (formData.activityHazmat) activities.push('Hazardous Materials Handling');
+        if (formData.activityNightWork) activities.push('Night Work Operations');
+        if (formData.activityUnderwaterInspection) activities.push('Underwater Inspection/Survey');
+        if (formData.activityPropPolishing) activities.push('Propeller Polishing');
+        return activities;
+    },
+
+    /**
+     * Get additional hazards based on selected activities
+     */
+    getAdditionalHazards(formData) {
+        const hazards = [];
+
+        if (formData.activityConfinedSpace) {
+            hazards.push({
+                step: 'Confined Space Entry',
+                hazard: 'Oxygen deficiency / toxic atmosphere',
+                riskClass: 'risk-extreme',
+                riskRating: 'EXTREME',
+                controls: 'Atmospheric testing before entry, continuous monitoring, ventilation, rescue team on standby, confined space entry permit',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+            hazards.push({
+                step: 'Confined Space Entry',
+                hazard: 'Entrapment / difficult egress',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Entry/exit plan, rescue equipment readily available, communication maintained, trained personnel only',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+        }
+
+        if (formData.activityHotWork) {
+            hazards.push({
+                step: 'Hot Work',
+                hazard: 'Fire / explosion',
+                riskClass: 'risk-extreme',
+                riskRating: 'EXTREME',
+                controls: 'Hot work permit, fire watch, extinguisher on standby, combustibles cleared 11m radius, gas-free certification if near tanks',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+            hazards.push({
+                step: 'Hot Work',
+                hazard: 'Burns / UV exposure',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Welding PPE (helmet, gloves, apron), screens to protect others, appropriate clothing',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+            hazards.push({
+                step: 'Hot Work',
+                hazard: 'Fume inhalation',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Adequate ventilation, respiratory protection if required, fume extraction where possible',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+        }
+
+        if (formData.activityWorkingAtHeights) {
+            hazards.push({
+                step: 'Working at Heights',
+                hazard: 'Fall from height',
+                riskClass: 'risk-extreme',
+                riskRating: 'EXTREME',
+                controls: 'Fall arrest systems, guardrails, safety nets where applicable, 100% tie-off when exposed, pre-use harness inspection',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+            hazards.push({
+                step: 'Working at Heights',
+                hazard: 'Dropped objects',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Tool lanyards, barricade areas below, hard hat zones, housekeeping',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+        }
+
+        if (formData.activityCraneOps) {
+            hazards.push({
+                step: 'Crane/Lifting Operations',
+                hazard: 'Struck by falling load',
+                riskClass: 'risk-extreme',
+                riskRating: 'EXTREME',
+                controls: 'Certified crane operator, dogman/rigger, exclusion zones, lift plan for critical lifts, pre-lift inspection',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+            hazards.push({
+                step: 'Crane/Lifting Operations',
+                hazard: 'Crushing between load and structure',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Never stand under suspended loads, tag lines for load control, clear communication signals',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+        }
+
+        if (formData.activityHazmat) {
+            hazards.push({
+                step: 'Hazardous Materials Handling',
+                hazard: 'Chemical exposure / burns',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'SDS reviewed, appropriate PPE (gloves, goggles, suit), spill kit available, proper storage, trained personnel',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+            hazards.push({
+                step: 'Hazardous Materials Handling',
+                hazard: 'Environmental contamination',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Secondary containment, spill response procedures, proper disposal methods, environmental monitoring',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+        }
+
+        if (formData.activityNightWork) {
+            hazards.push({
+                step: 'Night Work Operations',
+                hazard: 'Poor visibility / inadequate lighting',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Adequate task lighting, head torches for divers, reflective vests, well-lit access routes',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+            hazards.push({
+                step: 'Night Work Operations',
+                hazard: 'Fatigue / reduced alertness',
+                riskClass: 'risk-medium',
+                riskRating: 'MEDIUM',
+                controls: 'Fatigue management plan, adequate rest periods, buddy system, shift rotation, caffeine availability',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+        }
+
+        if (formData.activityUnderwaterInspection) {
+            hazards.push({
+                step: 'Underwater Inspection',
+                hazard: 'Reduced visibility / disorientation',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Adequate underwater lighting, lifeline/umbilical, surface monitoring, abort dive if visibility unsafe',
+                residualClass: 'risk-medium',
+                residualRating: 'MEDIUM'
+            });
+            hazards.push({
+                step: 'Underwater Inspection',
+                hazard: 'Contact with vessel machinery/hazards',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Vessel systems isolated and locked out, clear communication with vessel crew, dive plan briefing',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+        }
+
+        if (formData.activityPropPolishing) {
+            hazards.push({
+                step: 'Propeller Polishing',
+                hazard: 'Rotating tool injury',
+                riskClass: 'risk-high',
+                riskRating: 'HIGH',
+                controls: 'Training in powered tool use, two-hand operation, guards in place, emergency stop accessible',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+            hazards.push({
+                step: 'Propeller Polishing',
+                hazard: 'Propeller movement during work',
+                riskClass: 'risk-extreme',
+                riskRating: 'EXTREME',
+                controls: 'Propulsion system locked out/tagged out, bridge confirmation, shaft brake engaged if available',
+                residualClass: 'risk-low',
+                residualRating: 'LOW'
+            });
+        }
+
+        return hazards;
+    },
+
+    /**
+     * Format date for display
+     */
+    formatDateDisplay(dateString) {
+        if (!dateString) return '';
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-AU', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric'
+        });
+    },
+
+    /**
+     * Evaluate the job's SAP sampling results against the jurisdiction thresholds
+     * Sample times are shown in the jurisdiction's timezone.
+     * @param {Array<Object>} samples - SAP samples recorded against the job
+     * @param {Object|null} jurisdiction - Jurisdiction config
+     * @param {Object} scenarioLogic - ScenarioLogic module
+     * @returns {Object} - ScenarioLogic.evaluateSapResults() result with `sampled` on each sample
+     */
+    buildSapResults(samples, jurisdiction, scenarioLogic) {
+        const results = scenarioLogic.evaluateSapResults(samples, jurisdiction?.scenarioLogic?.sapThresholds);
+        const timeZone = jurisdiction?.timezone || 'UTC';
+
+        return {
+            ...results,
+            timeZone,
+            samples: results.samples.map(sample => ({
+                ...sample,
+                sampled: new Date(sample.sampledAt).toLocaleString('en-AU', {
+                    timeZone,
+                    day: '2-digit',
+                    month: '2-digit',
+                    year: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    hour12: false
+                })
+            }))
+        };
+    },
+
+    /**
+     * Build personnel list for SWMS
+     */
+    buildPersonnelList(formData) {
+        const personnel = [];
+        
+        if (formData.diveSupervisor) {
+            personnel.push({
+                name: formData.diveSupervisor,
+                position: 'Dive Supervisor',
+                company: 'Franmarine',
+                adasCert: formData.diveSupervisorADAS || ''
+            });
+        }
+        
+        if (formData.diver1) {
+            personnel.push({
+                name: formData.diver1,
+                position: 'Diver 1',
+                company: 'Franmarine',
+                adasCert: formData.diver1ADAS || ''
+            });
+        }
+        
+        if (formData.diver2) {
+            personnel.push({
+                name: formData.diver2,
+                position: 'Diver 2',
+                company: 'Franmarine',
+                adasCert: formData.diver2ADAS || ''
+            });
+        }
+        
+        if (formData.diveTender) {
+            personnel.push({
+                name: formData.diveTender,
+                position: 'Dive Tender',
+                company: 'Franmarine',
+                adasCert: formData.diveTenderADAS || ''
+            });
+        }
+        
+        return personnel;
+    },
+
+    /**
+     * Build equipment list for SWMS
+     */
+    buildEquipmentList(formData) {
+        return {
+            divePanel: formData.equipDivePanel,
+            umbilicals: formData.equipUmbilicals,
+            diveHats: formData.equipDiveHats,
+            comms: formData.equipComms,
+            bailout: formData.equipBailout,
+            recovery: formData.equipRecovery,
+            compressor: formData.equipCompressor,
+            firstAid: formData.equipFirstAid,
+            oxyviva: formData.equipOxyviva,
+            stretcher: formData.equipStretcher,
+            diveFlag: formData.equipDiveFlag,
+            hpWasher: formData.equipHPWasher,
+            bigBoy: formData.equipBigBoy,
+            rov: formData.equipROV,
+            brushCart: formData.equipBrushCart,
+            filterUnit: formData.equipFilterUnit,
+            other: formData.otherEquipment
+        };
+    },
+
+    /**
+     * Get site type display name
+     */
+    getSiteTypeName(siteType) {
+        const names = {
+            'standard': 'Standard Commercial Port',
+            'defence': 'Defence / Babcock (FBW/FBE/AMC)',
+            'anzac': 'ANZAC Class Frigates',
+            'fpa': 'Fremantle Ports Authority',
+            'dpworld': 'DP World / Svitzer',
+            'navy': 'Navy Primes'
+        };
+        return names[siteType] || 'Standard Commercial Port';
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.TemplateData = TemplateData;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateData;
+}
@@ -0,0 +1,92 @@
+/**
+ * Template Helpers
+ * Custom Handlebars helpers used by the document templates
+ * Shared by the browser (Templates) and the server document generator
+ */
+
+const TemplateHelpers = {
+    /**
+     * Register the helpers on a Handlebars instance
+     * @param {Object} Handlebars - Handlebars runtime (browser global or require('handlebars'))
+     */
+    register(Handlebars) {
+        // Equals helper
+        Handlebars.registerHelper('eq', function(a, b) {
+            return a === b;
+        });
+        
+        // Not equals helper
+        Handlebars.registerHelper('neq', function(a, b) {
+            return a !== b;
+        });
+        
+        // Greater than helper
+        Handlebars.registerHelper('gt', function(a, b) {
+            return a > b;
+        });
+        
+        // Less than helper
+        Handlebars.registerHelper('lt', function(a, b) {
+            return a < b;
+        });
+        
+        // And helper
+        Handlebars.registerHelper('and', function() {
+            const args = Array.prototype.slice.call(arguments, 0, -1);
+            return args.every(Boolean);
+        });
+        
+        // Or helper
+        Handlebars.registerHelper('or', function() {
+            const args = Array.prototype.slice.call(arguments, 0, -1);
+            return args.some(Boolean);
+        });
+
+        // Format date helper (DD/MM/YYYY)
+        Handlebars.registerHelper('formatDate', function(dateString) {
+            if (!dateString) return '';
+            const date = new Date(dateString);
+            return date.toLocaleDateString('en-AU', {
+                day: '2-digit',
+                month: '2-digit',
+                year: 'numeric'
+            });
+        });
+
+        // Format date long (e.g., "9 January 2026")
+        Handlebars.registerHelper('formatDateLong', function(dateString) {
+            if (!dateString) return '';
+            const date = new Date(dateString);
+            return date.toLocaleDateString('en-AU', {
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric'
+            });
+        });
+        
+        // Current year helper
+        Handlebars.registerHelper('currentYear', function() {
+            return new Date().getFullYear();
+        });
+        
+        // JSON stringify helper (for debugging)
+        Handlebars.registerHelper('json', function(context) {
+            return JSON.stringify(context, null, 2);
+        });
+        
+        // Default value helper
+        Handlebars.registerHelper('default', function(value, defaultValue) {
+            return value || defaultValue;
+        });
+    }
+};
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.TemplateHelpers = TemplateHelpers;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateHelpers;
+}
@@ -1,6 +1,8 @@
 /**
  * User Menu Module
  * Handles Dashboard and My Jobs navigation
+ * (jobs are read from the JobSync cache and refreshed from the server)
+ * and the organisation the jobs, crew and vessels are shared with
  */
 
 const UserMenu = {
@@ -11,6 +13,15 @@ const UserMenu = {
     init() {
         this.createModals();
         this.bindEvents();
+        
+        // Refresh sync badges as queued changes are replayed
+        if (typeof Outbox !== 'undefined') {
+            Outbox.onChange(() => {
+                if (document.getElementById('myJobsModal')?.classList.contains('active')) {
+                    this.renderJobsList();
+                }
+            });
+        }
         console.log('👤 UserMenu initialized');
     },
     
@@ -51,6 +62,25 @@ const UserMenu = {
                     <button class="modal-close" id="dashboardCloseBtn">×</button>
                 </div>
                 <div class="modal-body">
+                    <div class="dashboard-section organization-section" id="organizationSection" hidden>
+                        <h3>👥 Organisation</h3>
+                        <div class="organization-header">
+                            <select id="organizationSelect" aria-label="Organisation"></select>
+                            <span class="organization-role" id="organizationRole"></span>
+                        </div>
+                        <div id="organizationMembers" class="organization-members"></div>
+                        <form id="organizationMemberForm" class="organization-member-form" hidden>
+                            <input type="email" id="organizationMemberEmail" placeholder="Colleague's email (they must have signed in once)" required>
+                            <select id="organizationMemberRole" aria-label="Role">
+                                <option value="MEMBER">Member</option>
+                                <option value="SUPERVISOR">Supervisor</option>
+                                <option value="ADMIN">Admin</option>
+                                <option value="OWNER">Owner</option>
+                            </select>
+                            <button type="submit" class="btn btn-secondary btn-small">➕ Add</button>
+                        </form>
+                    </div>
+                    
                     <div class="dashboard-stats">
                         <div class="stat-card">
                             <div class="stat-value" id="statTotalJobs">0</div>
@@ -104,6 +134,11 @@ const UserMenu = {
             this.closeDashboard();
             this.openMyJobs();
         });
+        document.getElementById('organizationSelect').addEventListener('change', (e) => this.switchOrganization(e.target.value));
+        document.getElementById('organizationMemberForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addMember();
+        });
     },
     
     createMyJobsModal() {
@@ -163,11 +198,16 @@ const UserMenu = {
     // Dashboard
     // ============================================
     
-    openDashboard() {
+    async openDashboard() {
+        // Show cached jobs straight away, then refresh from the server
         this.updateDashboardStats();
         this.updateRecentJobs();
         document.getElementById('dashboardModal').classList.add('active');
         document.getElementById('userMenuDropdown')?.classList.remove('active');
+        
+        await Promise.all([this.refreshJobs(), this.loadOrganization()]);
+        this.updateDashboardStats();
+        this.updateRecentJobs();
     },
     
     closeDashboard() {
@@ -213,7 +253,7 @@ const UserMenu = {
                 <div class="job-card-main">
                     <div class="job-card-title">${this.escapeHtml(job.vesselName || 'Untitled Job')}</div>
                     <div class="job-card-meta">
-                        ${job.jobNumber ? `#${job.jobNumber}` : ''} 
+                        ${job.jobNumber ? `#${this.escapeHtml(job.jobNumber)}` : ''} 
                         ${job.clientName ? `• ${this.escapeHtml(job.clientName)}` : ''}
                     </div>
                 </div>
@@ -229,14 +269,192 @@ const UserMenu = {
         });
     },
     
+    // ============================================
+    // Organisation
+    // ============================================
+    
+    ROLE_LABELS: {
+        OWNER: 'Owner',
+        ADMIN: 'Admin',
+        SUPERVISOR: 'Supervisor',
+        MEMBER: 'Member'
+    },
+    
+    /**
+     * Load the user's organisations and the current one's members (when signed in)
+     */
+    async loadOrganization() {
+        const section = document.getElementById('organizationSection');
+        
+        this.organization = null;
+        
+        if (typeof AuthState === 'undefined' || !AuthState.isAuthenticated()) {
+            section.hidden = true;
+            this.updateReviewMenu();
+            return;
+        }
+        
+        try {
+            // The list forgets a chosen organisation the user has left before the current one is loaded
+            const organizations = await API.organizations.list();
+            const current = await API.organizations.getCurrent();
+            this.renderOrganization(organizations, current);
+            section.hidden = false;
+        } catch (error) {
+            console.warn('Could not load organisation:', error.message);
+            section.hidden = true;
+        }
+        
+        this.updateReviewMenu();
+    },
+    
+    /**
+     * The review queue follows the user's role in the current organisation
+     */
+    updateReviewMenu() {
+        if (typeof ReviewScreen !== 'undefined') {
+            ReviewScreen.updateMenu();
+        }
+    },
+    
+    renderOrganization(organizations, current) {
+        this.organization = current;
+        
+        const select = document.getElementById('organizationSelect');
+        select.innerHTML = organizations.map(org => `
+            <option value="${org.id}" ${org.id === current.id ? 'selected' : ''}>${this.escapeHtml(org.name)}</option>
+        `).join('');
+        select.disabled = organizations.length < 2;
+        
+        document.getElementById('organizationRole').textContent = `Your role: ${this.ROLE_LABELS[current.role] || current.role}`;
+        document.getElementById('organizationMemberForm').hidden = !current.canManage;
+        
+        const listEl = document.getElementById('organizationMembers');
+        
+        listEl.innerHTML = current.members.map(member => {
+            const name = member.user.name || member.user.email;
+            const isSelf = member.id === current.membershipId;
+            const roleControl = current.canManage && !isSelf
+                ? `<select class="organization-member-role" aria-label="Role for ${this.escapeHtml(name)}">
+                        ${Object.entries(this.ROLE_LABELS).map(([role, label]) => `
+                            <option value="${role}" ${role === member.role ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>`
+                : `<span class="organization-member-badge">${this.ROLE_LABELS[member.role] || member.role}</span>`;
+            const removeLabel = isSelf ? 'Leave' : 'Remove';
+            
+            return `
+                <div class="organization-member" data-membership-id="${member.id}" data-name="${this.escapeHtml(name)}" data-self="${isSelf}">
+                    <div class="organization-member-name">
+                        ${this.escapeHtml(name)}${isSelf ? ' (you)' : ''}
+                        ${member.user.name ? `<span class="organization-member-email">${this.escapeHtml(member.user.email)}</span>` : ''}
+                    </div>
+                    ${roleControl}
+                    ${current.canManage || isSelf ? `<button class="btn btn-secondary btn-small organization-member-remove">${removeLabel}</button>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        listEl.querySelectorAll('.organization-member').forEach(row => {
+            row.querySelector('.organization-member-role')?.addEventListener('change', (e) => {
+                this.changeMemberRole(row.dataset.membershipId, e.target.value);
+            });
+            row.querySelector('.organization-member-remove')?.addEventListener('click', () => {
+                this.removeMember(row.dataset.membershipId, row.dataset.name, row.dataset.self === 'true');
+            });
+        });
+    },
+    
+    /**
+     * Work in another organisation
+     * Cached server jobs belong to the previous organisation, so they are
+     * dropped and the page reloads; changes still waiting to sync must be
+     * sent first.
+     */
+    switchOrganization(id) {
+        if (typeof Outbox !== 'undefined' && Outbox.entries.length) {
+            FormEnhancements?.showNotification?.('Some changes have not synced yet. Reconnect and let them sync before switching organisation.', 'error');
+            document.getElementById('organizationSelect').value = this.organization?.id || '';
+            return;
+        }
+        
+        API.setOrganizationId(id);
+        StorageService.setJobs(StorageService.getJobs().filter(job => !job.serverId));
+        window.location.reload();
+    },
+    
+    async addMember() {
+        const emailInput = document.getElementById('organizationMemberEmail');
+        const role = document.getElementById('organizationMemberRole').value;
+        
+        try {
+            await API.organizations.addMember(emailInput.value.trim(), role);
+        } catch (error) {
+            FormEnhancements?.showNotification?.(`Could not add member: ${error.data?.error || error.message}`, 'error');
+            return;
+        }
+        
+        emailInput.value = '';
+        await this.loadOrganization();
+        FormEnhancements?.showNotification?.('Member added', 'success');
+    },
+    
+    async changeMemberRole(membershipId, role) {
+        try {
+            await API.organizations.updateMember(membershipId, role);
+            FormEnhancements?.showNotification?.('Role updated', 'success');
+        } catch (error) {
+            FormEnhancements?.showNotification?.(`Could not change role: ${error.data?.error || error.message}`, 'error');
+        }
+        
+        await this.loadOrganization();
+    },
+    
+    async removeMember(membershipId, name, isSelf) {
+        const message = isSelf
+            ? `Leave ${this.organization?.name || 'this organisation'}? You will no longer see its jobs, crew or vessels.`
+            : `Remove ${name} from ${this.organization?.name || 'this organisation'}? The jobs they created stay with the organisation.`;
+        
+        if (!confirm(message)) {
+            return;
+        }
+        
+        try {
+            await API.organizations.removeMember(membershipId);
+        } catch (error) {
+            FormEnhancements?.showNotification?.(`Could not remove member: ${error.data?.error || error.message}`, 'error');
+            return;
+        }
+        
+        if (isSelf) {
+            this.switchOrganization(null);
+            return;
+        }
+        
+        await this.loadOrganization();
+        FormEnhancements?.showNotification?.('Member removed', 'success');
+    },
+    
     // ============================================
     // My Jobs
     // ============================================
     
-    openMyJobs() {
+    async openMyJobs() {
         this.renderJobsList();
         document.getElementById('myJobsModal').classList.add('active');
         document.getElementById('userMenuDropdown')?.classList.remove('active');
+        
+        await this.refreshJobs();
+        this.renderJobsList();
+    },
+    
+    /**
+     * Reload jobs from the server into the local cache (when signed in)
+     */
+    async refreshJobs() {
+        if (typeof JobSync !== 'undefined') {
+            await JobSync.list();
+        }
     },
     
     closeMyJobs() {
@@ -289,9 +507,11 @@ const UserMenu = {
                         ${job.jobNumber ? `<span class="job-tag">Job #${job.jobNumber}</span>` : ''}
                         ${job.clientName ? `<span class="job-client">${this.escapeHtml(job.clientName)}</span>` : ''}
                         ${job.imoNumber ? `<span class="job-imo">IMO: ${job.imoNumber}</span>` : ''}
+                        ${this.renderSyncBadge(job)}
+                        ${job.workStoppedAt ? '<span class="job-sync-badge job-work-stopped">⛔ Work stopped (IMS)</span>' : ''}
                     </div>
                     <div class="job-card-dates">
-                        Created: ${this.formatDate(job.createdAt)} • Updated: ${this.formatDate(job.updatedAt)}
+                        Created: ${this.formatDate(job.createdAt)}${job.createdBy ? ` by ${this.escapeHtml(job.createdBy)}` : ''} • Updated: ${this.formatDate(job.updatedAt)}
                     </div>
                 </div>
                 <div class="job-card-actions">
@@ -328,6 +548,15 @@ const UserMenu = {
         });
     },
     
+    renderSyncBadge(job) {
+        const badges = {
+            pending: '<span class="job-sync-badge sync-pending">⏳ Pending sync</span>',
+            failed: '<span class="job-sync-badge sync-failed">⚠️ Sync failed</span>',
+            conflict: '<span class="job-sync-badge sync-conflict">⚠️ Sync conflict</span>'
+        };
+        return badges[JobSync.getSyncState(job)] || '';
+    },
+    
     filterJobs() {
         this.renderJobsList();
     },
@@ -349,32 +578,41 @@ const UserMenu = {
         }
     },
     
-    duplicateJob(id) {
+    async duplicateJob(id) {
         const job = StorageService?.getJob?.(id);
         if (!job) return;
         
-        // Create a copy with new ID and updated timestamps
-        const newJob = {
-            ...job,
-            id: StorageService.generateId(),
-            jobNumber: null, // Will be auto-generated
-            vesselName: `${job.vesselName || 'Job'} (Copy)`,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+        // Save the copy as a new job (a new number is assigned by the server)
+        const formData = {
+            ...JobSync.toFormData(job),
+            jobNumber: '',
+            vesselName: `${job.vesselName || 'Job'} (Copy)`
         };
         
-        StorageService.saveJob(newJob);
+        try {
+            await JobSync.save(formData, {}, { jurisdiction: job.jurisdiction });
+        } catch (error) {
+            FormEnhancements?.showNotification?.(`Could not duplicate job: ${error.message}`, 'error');
+            return;
+        }
+        
         this.renderJobsList();
         
         FormEnhancements?.showNotification?.('Job duplicated successfully', 'success');
     },
     
-    deleteJob(id, name) {
+    async deleteJob(id, name) {
         if (!confirm(`Are you sure you want to delete "${name}"? This cannot be undone.`)) {
             return;
         }
         
-        StorageService?.deleteJob?.(id);
+        try {
+            await JobSync.remove(id);
+        } catch (error) {
+            FormEnhancements?.showNotification?.(`Could not delete job: ${error.message}`, 'error');
+            return;
+        }
+        
         this.renderJobsList();
         this.updateDashboardStats();
         this.updateRecentJobs();
@@ -0,0 +1,359 @@
+/**
+ * Waste Tracking Module
+ * Records the waste captured on the current job (filter bags, solids,
+ * effluent processed), its disposal and any filtered effluent discharged,
+ * and shows where a record is incomplete or outside the capture standard or
+ * trade effluent limits. Exports the records as a disposal summary.
+ */
+
+const WasteTracking = {
+    jobId: null,
+    waste: null,
+    editing: null,
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    createModal() {
+        if (document.getElementById('wasteModal')) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'wasteModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" id="wasteOverlay"></div>
+            <div class="modal-content waste-modal">
+                <div class="modal-header">
+                    <h2>🛢️ Waste &amp; Effluent</h2>
+                    <button class="modal-close" id="wasteCloseBtn">×</button>
+                </div>
+                <div class="modal-body" id="wasteBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" id="wasteCloseFooterBtn">Close</button>
+                    <button class="btn btn-secondary" id="wasteAddBtn">Record Waste</button>
+                    <button class="btn btn-primary" id="wasteExportBtn">Export Disposal Summary</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        // Bind events (CSP-compliant)
+        document.getElementById('wasteOverlay').addEventListener('click', () => this.close());
+        document.getElementById('wasteCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('wasteCloseFooterBtn').addEventListener('click', () => this.close());
+        document.getElementById('wasteAddBtn').addEventListener('click', () => this.showForm(null));
+        document.getElementById('wasteExportBtn').addEventListener('click', () => this.export());
+    },
+
+    // ============================================
+    // Modal
+    // ============================================
+
+    /**
+     * Open the waste records for a job
+     * @param {string} jobId - Server job ID
+     */
+    async open(jobId) {
+        this.createModal();
+        this.jobId = jobId;
+
+        if (!await this.load()) return;
+
+        document.getElementById('wasteModal').classList.add('active');
+    },
+
+    close() {
+        document.getElementById('wasteModal')?.classList.remove('active');
+    },
+
+    /**
+     * Load the records and re-render
+     * @returns {Promise<boolean>} - Whether they loaded
+     */
+    async load() {
+        try {
+            this.waste = await API.jobs.getWaste(this.jobId);
+        } catch (error) {
+            alert(`Could not load the waste records: ${error.data?.message || error.message}`);
+            return false;
+        }
+
+        this.editing = null;
+        this.render();
+        return true;
+    },
+
+    render() {
+        const { requirements, records, totals } = this.waste;
+        const body = document.getElementById('wasteBody');
+        const limits = requirements.tradeEffluent;
+
+        body.innerHTML = `
+            <div class="info-box">
+                <strong>Capture ${requirements.captureRequired ? 'required' : 'not required'}</strong>
+                for this job${requirements.filterMicron ? `; capture standard ${requirements.filterMicron} micron filtration` : ''}.
+                ${limits ? `Discharges need a ${this.escapeHtml(limits.approval || 'trade effluent approval')} reference and pH, TSS, copper and zinc results.` : ''}
+            </div>
+            ${totals.flagged
+                ? `<div class="warning-message">⚠️ ${totals.flagged} of ${totals.records} records are incomplete or outside the requirements</div>`
+                : ''}
+
+            <div id="wasteForm"></div>
+
+            ${records.length ? `
+                <table class="waste-records">
+                    <thead>
+                        <tr><th>Collected</th><th>Bags</th><th>Solids</th><th>Effluent</th><th>Disposal</th><th>Discharged</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${records.map(record => this.renderRecord(record)).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Total</th>
+                            <th>${totals.filterBags}</th>
+                            <th>${totals.solidsMassKg} kg</th>
+                            <th>${totals.effluentVolumeL} L</th>
+                            <th>${totals.disposalOutstanding ? `${totals.disposalOutstanding} outstanding` : ''}</th>
+                            <th>${totals.dischargeVolumeL} L</th>
+                            <th></th>
+                        </tr>
+                    </tfoot>
+                </table>
+            ` : '<p>No waste recorded for this job yet.</p>'}
+        `;
+
+        body.querySelectorAll('.waste-record').forEach(row => {
+            const record = records.find(r => r.id === row.dataset.id);
+            row.querySelector('.waste-edit').addEventListener('click', () => this.showForm(record));
+            row.querySelector('.waste-delete').addEventListener('click', () => this.remove(record));
+        });
+    },
+
+    renderRecord(record) {
+        const amount = (value, unit) => value !== null ? `${value}${unit}` : '-';
+
+        return `
+            <tr class="waste-record ${record.flags.length ? 'waste-flagged' : ''}" data-id="${record.id}">
+                <td>${this.formatDate(record.collectedAt)}</td>
+                <td>${amount(record.filterBags, '')}</td>
+                <td>${amount(record.solidsMassKg, ' kg')}</td>
+                <td>${amount(record.effluentVolumeL, ' L')}${record.filterMicron !== null ? `<div class="help-text">${record.filterMicron} µm</div>` : ''}</td>
+                <td>${record.disposalFacility ? this.escapeHtml(record.disposalFacility) : '-'}${record.manifestNumber ? `<div class="help-text">Manifest ${this.escapeHtml(record.manifestNumber)}</div>` : ''}</td>
+                <td>${amount(record.dischargeVolumeL, ' L')}</td>
+                <td>
+                    <button type="button" class="btn btn-secondary btn-small waste-edit">Edit</button>
+                    <button type="button" class="btn btn-danger btn-small waste-delete">🗑️</button>
+                </td>
+            </tr>
+            ${record.flags.length ? `
+                <tr class="waste-flags-row">
+                    <td colspan="7">${record.flags.map(flag => `⚠️ ${this.escapeHtml(flag.message)}`).join('<br>')}</td>
+                </tr>
+            ` : ''}
+        `;
+    },
+
+    // ============================================
+    // Record & Edit
+    // ============================================
+
+    /**
+     * Show the waste form
+     * @param {Object|null} record - Record to edit, or null for a new record
+     */
+    showForm(record) {
+        const { requirements } = this.waste;
+        const container = document.getElementById('wasteForm');
+        const number = (id, label, field, step = 'any') => `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <input type="number" id="${id}" min="0" step="${step}" value="${record?.[field] ?? ''}">
+            </div>
+        `;
+        const text = (id, label, field, placeholder = '') => `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <input type="text" id="${id}" value="${this.escapeHtml(record?.[field] || '')}" placeholder="${placeholder}">
+            </div>
+        `;
+
+        this.editing = record;
+        container.innerHTML = `
+            <div class="waste-form">
+                <h3>${record ? 'Edit waste record' : 'Record captured waste'}</h3>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="wtCollected">Collected</label>
+                        <input type="datetime-local" id="wtCollected" value="${PreCleanInspection.toDateTimeValue(record?.collectedAt || new Date())}">
+                    </div>
+                    ${number('wtFilterBags', 'Filter bags', 'filterBags', '1')}
+                    ${number('wtSolids', 'Solids (kg)', 'solidsMassKg')}
+                    ${number('wtEffluent', 'Effluent processed (L)', 'effluentVolumeL')}
+                    <div class="form-group">
+                        <label for="wtMicron">Filtration (micron)</label>
+                        <input type="number" id="wtMicron" min="0" step="1" value="${record ? (record.filterMicron ?? '') : (requirements.filterMicron ?? '')}">
+                    </div>
+                </div>
+                <h4>Disposal</h4>
+                <div class="form-grid">
+                    ${text('wtFacility', 'Disposal facility', 'disposalFacility', 'Licensed waste facility')}
+                    ${text('wtManifest', 'Manifest number', 'manifestNumber')}
+                    <div class="form-group">
+                        <label for="wtDisposed">Disposed</label>
+                        <input type="datetime-local" id="wtDisposed" value="${PreCleanInspection.toDateTimeValue(record?.disposedAt)}">
+                    </div>
+                </div>
+                <h4>Effluent discharge</h4>
+                <div class="form-grid">
+                    ${number('wtDischarge', 'Volume discharged (L)', 'dischargeVolumeL')}
+                    ${text('wtDischargePoint', 'Discharge point', 'dischargePoint', 'e.g. Sewer connection, wharf 3')}
+                    ${text('wtApproval', requirements.tradeEffluent?.approval ? `${this.escapeHtml(requirements.tradeEffluent.approval)} ref.` : 'Discharge approval ref.', 'dischargeApproval')}
+                    ${number('wtPh', 'pH', 'dischargePh')}
+                    ${number('wtTss', 'TSS (mg/L)', 'dischargeTssMgL')}
+                    ${number('wtCopper', 'Copper (mg/L)', 'dischargeCopperMgL')}
+                    ${number('wtZinc', 'Zinc (mg/L)', 'dischargeZincMgL')}
+                </div>
+                <div class="form-group">
+                    <label for="wtNotes">Notes</label>
+                    <textarea id="wtNotes" rows="2">${this.escapeHtml(record?.notes || '')}</textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" id="wtCancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="wtSave">${record ? 'Save Record' : 'Record Waste'}</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('wtCancel').addEventListener('click', () => {
+            this.editing = null;
+            container.innerHTML = '';
+        });
+        document.getElementById('wtSave').addEventListener('click', () => this.save());
+        container.scrollIntoView({ behavior: 'smooth' });
+    },
+
+    /**
+     * Read the waste form into a request body
+     * @returns {Object}
+     */
+    collect() {
+        const value = id => document.getElementById(id).value;
+        const time = id => value(id) ? new Date(value(id)).toISOString() : null;
+
+        return {
+            collectedAt: time('wtCollected'),
+            filterBags: value('wtFilterBags'),
+            solidsMassKg: value('wtSolids'),
+            effluentVolumeL: value('wtEffluent'),
+            filterMicron: value('wtMicron'),
+            disposalFacility: value('wtFacility'),
+            manifestNumber: value('wtManifest'),
+            disposedAt: time('wtDisposed'),
+            dischargeVolumeL: value('wtDischarge'),
+            dischargePoint: value('wtDischargePoint'),
+            dischargeApproval: value('wtApproval'),
+            dischargePh: value('wtPh'),
+            dischargeTssMgL: value('wtTss'),
+            dischargeCopperMgL: value('wtCopper'),
+            dischargeZincMgL: value('wtZinc'),
+            notes: value('wtNotes')
+        };
+    },
+
+    async save() {
+        const data = this.collect();
+        const record = this.editing;
+        let saved;
+
+        try {
+            saved = record
+                ? await API.jobs.updateWaste(this.jobId, record.id, data, record.version)
+                : await API.jobs.recordWaste(this.jobId, data);
+        } catch (error) {
+            if (error.isConflict && error.data?.current) {
+                if (!confirm('This record was changed by someone else since you opened it. Overwrite their changes with yours?')) {
+                    return;
+                }
+                this.editing = { ...record, version: error.data.currentVersion };
+                return this.save();
+            }
+            alert(`Could not save the waste record: ${error.data?.message || error.data?.error || error.message}`);
+            return;
+        }
+
+        await this.load();
+
+        if (saved.flags.length) {
+            alert(`Waste record saved. It needs attention:\n\n${saved.flags.map(flag => `- ${flag.message}`).join('\n')}`);
+        } else {
+            FormEnhancements.showNotification('Waste record saved', 'success');
+        }
+    },
+
+    async remove(record) {
+        if (!confirm(`Delete the waste record collected ${this.formatDate(record.collectedAt)}? Only delete records entered in error.`)) return;
+
+        try {
+            await API.jobs.deleteWaste(this.jobId, record.id);
+        } catch (error) {
+            alert(`Could not delete the waste record: ${error.data?.message || error.message}`);
+            return;
+        }
+
+        await this.load();
+    },
+
+    // ============================================
+    // Export
+    // ============================================
+
+    /**
+     * Generate the disposal summary and download it
+     */
+    async export() {
+        if (!this.waste?.records.length) {
+            alert('Record captured waste before exporting the disposal summary.');
+            return;
+        }
+
+        const button = document.getElementById('wasteExportBtn');
+        button.disabled = true;
+
+        try {
+            const generated = await API.jobs.exportWaste(this.jobId);
+            const stored = await API.jobs.getDocument(this.jobId, generated.id);
+
+            const url = URL.createObjectURL(new Blob([stored.content], { type: stored.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = stored.filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(`Could not export the disposal summary: ${error.data?.message || error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    formatDate(date) {
+        return PreCleanInspection.formatDate(date);
+    },
+
+    escapeHtml(text) {
+        return PreCleanInspection.escapeHtml(text);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.WasteTracking = WasteTracking;
+}
@@ -21,6 +21,11 @@ const jobRoutes = require('./routes/jobs');
 const crewRoutes = require('./routes/crew');
 const vesselRoutes = require('./routes/vessels');
 const userRoutes = require('./routes/users');
+const organizationRoutes = require('./routes/organizations');
+const reviewRoutes = require('./routes/review');
+const shareRoutes = require('./routes/share');
+const documentRoutes = require('./routes/documents');
+const fileRoutes = require('./routes/files');
 const externalApiRoutes = require('./routes/externalApis');
 
 // Import services
@@ -80,7 +85,7 @@ if (process.env.NODE_ENV !== 'test') {
     app.use(morgan('dev'));
 }
 
-// Body parsing
+// Body parsing (files are uploaded as multipart/form-data to the attachment routes)
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -139,6 +144,11 @@ app.use('/api/jobs', jobRoutes);
 app.use('/api/crew', crewRoutes);
 app.use('/api/vessels', vesselRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/files', fileRoutes);
 
 // External API routes (Marinesia, AISStream)
 app.use('/api', externalApiRoutes);
@@ -191,6 +201,11 @@ app.get('/api/health', (req, res) => {
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Shared job packages for clients and regulators (no sign-in)
+app.get('/share/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/share.html'));
+});
+
 // SPA fallback - serve index.html for any unmatched routes
 app.get('*', (req, res) => {
     if (req.path.startsWith('/api/')) {
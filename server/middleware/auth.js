@@ -4,6 +4,7 @@
  */
 
 const { clerkClient } = require('@clerk/express');
+const organizations = require('../services/organizations');
 
 /**
  * Require authentication - returns 401 if not logged in
@@ -79,6 +80,49 @@ async function syncUser(req, res, next) {
     }
 }
 
+/**
+ * Resolve the organisation the request works in (after syncUser)
+ * Uses the X-Organization-Id header, or the user's first organisation
+ * (a personal one is created on their first request).
+ * Sets req.membership (with its role) and req.organization.
+ */
+async function syncOrganization(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ 
+            error: 'Authentication required',
+            message: 'Your account could not be loaded. Please sign in again.'
+        });
+    }
+    
+    try {
+        const membership = await organizations.resolveMembership(
+            req.prisma, req.user, req.get(organizations.ORGANIZATION_HEADER)
+        );
+        
+        req.membership = membership;
+        req.organization = membership.organization;
+        next();
+        
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Require a membership that may sign off jobs in the current organisation
+ * (run after syncOrganization)
+ */
+function requireReviewer(req, res, next) {
+    if (!organizations.canReview(req.membership)) {
+        return res.status(403).json({ 
+            error: 'Access denied',
+            message: `Required organisation role: ${organizations.REVIEWER_ROLES.join(' or ')}`
+        });
+    }
+    
+    next();
+}
+
 /**
  * Require specific role(s)
  * @param {...string} roles - Allowed roles (e.g., 'ADMIN', 'SUPERVISOR')
@@ -143,6 +187,8 @@ function requireOwnership(req, res, next) {
 module.exports = {
     requireAuth,
     syncUser,
+    syncOrganization,
+    requireReviewer,
     requireRole,
     optionalAuth,
     requireOwnership
@@ -5,11 +5,17 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth, syncUser } = require('../middleware/auth');
+const { requireAuth, syncUser, syncOrganization } = require('../middleware/auth');
+const concurrency = require('../services/concurrency');
+const scheduling = require('../services/crewScheduling');
+const attachments = require('../services/attachments');
+const organizations = require('../services/organizations');
 
-// All crew routes require authentication and user sync
+// All crew routes require authentication and user sync, and work on the
+// organisation's crew register
 router.use(requireAuth);
 router.use(syncUser);
+router.use(syncOrganization);
 
 // ============================================
 // List & Search Crew
@@ -17,14 +23,14 @@ router.use(syncUser);
 
 /**
  * GET /api/crew
- * List all crew members for current user
+ * List all crew members in the current organisation
  */
 router.get('/', async (req, res, next) => {
     try {
         const { search, active, position } = req.query;
         
         const where = {
-            userId: req.user.id
+            organizationId: req.organization.id
         };
         
         if (active !== undefined) {
@@ -67,7 +73,7 @@ router.get('/:id', async (req, res, next) => {
         const member = await req.prisma.crewMember.findFirst({
             where: {
                 id: req.params.id,
-                userId: req.user.id
+                organizationId: req.organization.id
             },
             include: {
                 jobAssignments: {
@@ -92,6 +98,7 @@ router.get('/:id', async (req, res, next) => {
             return res.status(404).json({ error: 'Crew member not found' });
         }
         
+        concurrency.setETag(res, member);
         res.json(member);
         
     } catch (error) {
@@ -99,6 +106,45 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/crew/:id/availability
+ * Jobs the crew member is committed to between ?from and ?to
+ * (defaults to the next 30 days; cancelled jobs are excluded)
+ */
+router.get('/:id/availability', async (req, res, next) => {
+    try {
+        const member = await req.prisma.crewMember.findFirst({
+            where: {
+                id: req.params.id,
+                organizationId: req.organization.id
+            },
+            select: { id: true, name: true, position: true }
+        });
+        
+        if (!member) {
+            return res.status(404).json({ error: 'Crew member not found' });
+        }
+        
+        const from = req.query.from ? new Date(req.query.from) : undefined;
+        const to = req.query.to ? new Date(req.query.to) : undefined;
+        
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        
+        if (from && to && to < from) {
+            return res.status(400).json({ error: 'Invalid date range', message: '"to" must not be before "from"' });
+        }
+        
+        const availability = await scheduling.getAvailability(req.prisma, member.id, { from, to });
+        
+        res.json({ crewMember: member, ...availability });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ============================================
 // Create & Update Crew
 // ============================================
@@ -132,6 +178,7 @@ router.post('/', async (req, res, next) => {
         
         const member = await req.prisma.crewMember.create({
             data: {
+                organizationId: req.organization.id,
                 userId: req.user.id,
                 name: name.trim(),
                 email: email?.trim() || null,
@@ -163,16 +210,21 @@ router.post('/', async (req, res, next) => {
  */
 router.put('/:id', async (req, res, next) => {
     try {
-        // Check ownership
         const existing = await req.prisma.crewMember.findFirst({
-            where: { id: req.params.id, userId: req.user.id }
+            where: { id: req.params.id, organizationId: req.organization.id }
         });
         
         if (!existing) {
             return res.status(404).json({ error: 'Crew member not found' });
         }
         
-        const data = { ...req.body };
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (!concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, existing, expectedVersion);
+        }
+        
+        // Ownership and the creator cannot be changed here
+        const { version, organizationId, userId, ...data } = req.body;
         
         // Parse dates
         const dateFields = ['adasCertExpiry', 'diveMedicalExpiry', 'firstAidExpiry', 'o2AdminExpiry'];
@@ -182,11 +234,17 @@ router.put('/:id', async (req, res, next) => {
             }
         });
         
-        const member = await req.prisma.crewMember.update({
-            where: { id: req.params.id },
-            data
+        const updated = await concurrency.updateIfVersion(req.prisma.crewMember, existing, data);
+        
+        const member = await req.prisma.crewMember.findUnique({
+            where: { id: existing.id }
         });
         
+        if (!updated) {
+            return concurrency.sendConflict(res, member, expectedVersion);
+        }
+        
+        concurrency.setETag(res, member);
         res.json(member);
         
     } catch (error) {
@@ -196,18 +254,42 @@ router.put('/:id', async (req, res, next) => {
 
 /**
  * DELETE /api/crew/:id
- * Delete a crew member
+ * Delete a crew member (its creator, or an organisation owner/admin)
  */
 router.delete('/:id', async (req, res, next) => {
     try {
+        const member = await req.prisma.crewMember.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true, userId: true }
+        });
+        
+        if (!member) {
+            return res.status(404).json({ error: 'Crew member not found' });
+        }
+        
+        if (!organizations.canDelete(req.membership, member)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the person who added this crew member or an organisation owner/admin can delete it'
+            });
+        }
+        
+        // Attachment records go with the crew member; their stored files are removed after
+        const files = await req.prisma.attachment.findMany({
+            where: { crewMemberId: member.id },
+            select: attachments.FILE_KEYS
+        });
+        
         const result = await req.prisma.crewMember.deleteMany({
-            where: { id: req.params.id, userId: req.user.id }
+            where: { id: member.id }
         });
         
         if (result.count === 0) {
             return res.status(404).json({ error: 'Crew member not found' });
         }
         
+        await attachments.removeFiles(files);
+        
         res.json({ success: true, message: 'Crew member deleted' });
         
     } catch (error) {
@@ -215,6 +297,96 @@ router.delete('/:id', async (req, res, next) => {
     }
 });
 
+// ============================================
+// Attachments
+// ============================================
+
+/**
+ * GET /api/crew/:id/attachments
+ * List files attached to a crew member (newest first) with signed download URLs
+ * Query: ?category=MEDICAL_CERTIFICATE to filter
+ */
+router.get('/:id/attachments', async (req, res, next) => {
+    try {
+        const member = await req.prisma.crewMember.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true }
+        });
+        
+        if (!member) {
+            return res.status(404).json({ error: 'Crew member not found' });
+        }
+        
+        const list = await req.prisma.attachment.findMany({
+            where: {
+                crewMemberId: member.id,
+                ...(req.query.category && { category: attachments.parseCategory('crew', req.query.category) })
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+        
+        res.json(await attachments.describeAttachments(list));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/crew/:id/attachments
+ * Upload files to a crew member, e.g. medical and dive certificates
+ * multipart/form-data: files (one or more), category (MEDICAL_CERTIFICATE,
+ * DIVE_CERTIFICATE, PHOTO, OTHER), caption
+ */
+router.post('/:id/attachments', async (req, res, next) => {
+    try {
+        const member = await req.prisma.crewMember.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true }
+        });
+        
+        if (!member) {
+            return res.status(404).json({ error: 'Crew member not found' });
+        }
+        
+        const files = await attachments.receiveFiles(req, res);
+        const fields = attachments.normalizeFields('crew', req.body);
+        const created = await attachments.storeAttachments(req.prisma, 'crew', member.id, files, fields, req.user);
+        
+        res.status(201).json(await attachments.describeAttachments(created));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/crew/:id/attachments/:attachmentId
+ * Delete an attachment and its stored files
+ */
+router.delete('/:id/attachments/:attachmentId', async (req, res, next) => {
+    try {
+        const attachment = await req.prisma.attachment.findFirst({
+            where: {
+                id: req.params.attachmentId,
+                crewMember: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+        
+        await req.prisma.attachment.delete({ where: { id: attachment.id } });
+        await attachments.removeFiles([attachment]);
+        
+        res.json({ success: true, message: 'Attachment deleted' });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ============================================
 // Bulk Operations
 // ============================================
@@ -222,6 +394,8 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * POST /api/crew/bulk
  * Create or update multiple crew members
+ * Members that already exist are updated only if their `version` (when sent)
+ * still matches; otherwise they are reported as conflicts with the current record.
  */
 router.post('/bulk', async (req, res, next) => {
     try {
@@ -239,27 +413,30 @@ router.post('/bulk', async (req, res, next) => {
             // Check if exists by name (case-insensitive)
             const existing = await req.prisma.crewMember.findFirst({
                 where: {
-                    userId: req.user.id,
+                    organizationId: req.organization.id,
                     name: { equals: member.name.trim(), mode: 'insensitive' }
                 }
             });
             
             if (existing) {
-                // Update existing
-                const updated = await req.prisma.crewMember.update({
-                    where: { id: existing.id },
-                    data: {
+                // Update existing, unless someone else saved it since the client loaded it
+                const updated = concurrency.matchesVersion(concurrency.parseVersion(member.version), existing) &&
+                    await concurrency.updateIfVersion(req.prisma.crewMember, existing, {
                         position: member.position || existing.position,
                         adasCertNumber: member.adasCertNumber || existing.adasCertNumber,
                         phone: member.phone || existing.phone,
                         email: member.email || existing.email
-                    }
+                    });
+                
+                results.push({
+                    action: updated ? 'updated' : 'conflict',
+                    member: await req.prisma.crewMember.findUnique({ where: { id: existing.id } })
                 });
-                results.push({ action: 'updated', member: updated });
             } else {
                 // Create new
                 const created = await req.prisma.crewMember.create({
                     data: {
+                        organizationId: req.organization.id,
                         userId: req.user.id,
                         name: member.name.trim(),
                         position: member.position || 'Diver',
@@ -291,7 +468,7 @@ router.get('/check/expiring', async (req, res, next) => {
         
         const expiring = await req.prisma.crewMember.findMany({
             where: {
-                userId: req.user.id,
+                organizationId: req.organization.id,
                 isActive: true,
                 OR: [
                     { adasCertExpiry: { lte: futureDate } },
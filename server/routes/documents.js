@@ -0,0 +1,56 @@
+/**
+ * Documents API Routes
+ * Document output for forms that have not been saved as a job yet
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, syncUser } = require('../middleware/auth');
+const TemplateData = require('../../public/js/utils/templateData');
+const documentGenerator = require('../services/documentGenerator');
+const pdfPackage = require('../services/pdfPackage');
+
+// All routes require authentication and user sync
+router.use(requireAuth);
+router.use(syncUser);
+
+// ============================================
+// PDF Package
+// ============================================
+
+/**
+ * POST /api/documents/package
+ * Build the merged PDF notification package from the current form
+ * Body: { formData, jurisdiction, images: { companyLogo, vesselImage, generalArrangement } }
+ */
+router.post('/package', async (req, res, next) => {
+    try {
+        const { formData, jurisdiction, images } = req.body;
+
+        if (!formData || typeof formData !== 'object') {
+            return res.status(400).json({ error: 'formData is required' });
+        }
+
+        const diveTeam = documentGenerator.checkDiveTeam(formData, jurisdiction);
+        if (diveTeam.blocking) {
+            return documentGenerator.sendDiveTeamFailure(res, diveTeam);
+        }
+
+        const data = TemplateData.build(formData, {
+            jurisdiction: documentGenerator.getJurisdiction(jurisdiction),
+            images: images || {}
+        });
+
+        const pdf = await pdfPackage.generatePackage(data);
+        const filename = `${formData.jobNumber || 'IWC'}-Notification-Package.pdf`;
+
+        res.set('Content-Type', 'application/pdf');
+        res.attachment(filename);
+        res.send(pdf);
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
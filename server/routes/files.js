@@ -0,0 +1,58 @@
+/**
+ * Files API Routes
+ * Signed downloads of files kept by the local disk storage driver
+ * (server/services/fileStorageLocal.js). The signature in the URL is the
+ * credential, so these routes need no sign-in; links come from the
+ * attachment endpoints and expire after STORAGE_URL_TTL_SECONDS.
+ */
+
+const express = require('express');
+const router = express.Router();
+const fileStorage = require('../services/fileStorage');
+
+// ============================================
+// Signed Downloads
+// ============================================
+
+/**
+ * GET /api/files/:key
+ * Download a stored file
+ * Query: expires, filename, type, signature (as issued by getSignedUrl)
+ */
+router.get('/*', async (req, res, next) => {
+    try {
+        const storage = fileStorage.getStorage();
+        const key = req.params[0];
+        
+        // Only the local driver serves files itself; S3 URLs go to the bucket
+        if (!storage.verifySignedUrl) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        
+        if (!storage.verifySignedUrl(key, req.query)) {
+            return res.status(403).json({ error: 'Link invalid or expired' });
+        }
+        
+        let body;
+        try {
+            body = await storage.get(key);
+        } catch (error) {
+            if (error.code === 'NotFound') {
+                return res.status(404).json({ error: 'File not found' });
+            }
+            throw error;
+        }
+        
+        res.set({
+            'Content-Type': req.query.type || 'application/octet-stream',
+            'Content-Disposition': fileStorage.contentDisposition(req.query.filename),
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.send(body);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,15 +1,61 @@
 /**
  * Jobs API Routes
- * CRUD operations for IWC jobs
+ * CRUD operations for IWC jobs, their status workflow and autosave
+ * The features of a job (documents, inspections, dive log, ...) have their
+ * own routers in server/routes/jobs/, mounted below.
  */
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth, syncUser } = require('../middleware/auth');
+const { requireAuth, syncUser, syncOrganization, requireReviewer } = require('../middleware/auth');
+const workflow = require('../services/jobWorkflow');
+const revisions = require('../services/jobRevisions');
+const concurrency = require('../services/concurrency');
+const numbering = require('../services/jobNumbering');
+const documents = require('../services/documentGenerator');
+const jobQuery = require('../services/jobQuery');
+const scheduling = require('../services/crewScheduling');
+const compliance = require('../services/crewCompliance');
+const jobRecords = require('../services/jobRecords');
+const attachments = require('../services/attachments');
+const organizations = require('../services/organizations');
+const reviewThreads = require('../services/reviewThreads');
+const { findReadableJob, findJobDetail } = require('./jobs/lookup');
 
-// All job routes require authentication and user sync
+// Import the routers for each feature of a job
+const reviewThreadRoutes = require('./jobs/reviewThreads');
+const revisionRoutes = require('./jobs/revisions');
+const documentRoutes = require('./jobs/documents');
+const preCleanRoutes = require('./jobs/preCleanInspection');
+const postCleanRoutes = require('./jobs/postCleanReport');
+const imsIncidentRoutes = require('./jobs/imsIncidents');
+const diveLogRoutes = require('./jobs/diveLog');
+const wasteRoutes = require('./jobs/waste');
+const sapSampleRoutes = require('./jobs/sapSamples');
+const attachmentRoutes = require('./jobs/attachments');
+const shareLinkRoutes = require('./jobs/shareLinks');
+
+// Largest batch accepted by POST /api/jobs/import
+const MAX_IMPORT_JOBS = 500;
+
+// All job routes require authentication and user sync, and work on the
+// organisation's jobs
 router.use(requireAuth);
 router.use(syncUser);
+router.use(syncOrganization);
+
+// Features of a job, each in its own router (server/routes/jobs/)
+router.use('/:id/review-threads', reviewThreadRoutes);
+router.use('/:id/revisions', revisionRoutes);
+router.use('/:id/documents', documentRoutes);
+router.use('/:id/pre-clean-inspection', preCleanRoutes);
+router.use('/:id/post-clean-report', postCleanRoutes);
+router.use('/:id/ims-incidents', imsIncidentRoutes);
+router.use('/:id/dive-log', diveLogRoutes);
+router.use('/:id/waste', wasteRoutes);
+router.use('/:id/sap-samples', sapSampleRoutes);
+router.use('/:id/attachments', attachmentRoutes);
+router.use('/:id/share-links', shareLinkRoutes);
 
 // ============================================
 // List & Search Jobs
@@ -17,67 +63,33 @@ router.use(syncUser);
 
 /**
  * GET /api/jobs
- * List all jobs for current user
+ * List, filter and sort the current organisation's jobs
+ *
+ * Filters: status, jurisdiction, riskLevel (comma-separated lists), search,
+ *          port, startFrom, startTo, imo, crewMemberId, documentType, hasDocuments
+ * Sorting: sort=field,-field (default -createdAt)
+ * Paging:  limit (max 100) with cursor=<nextCursor>, or offset
+ * Payload: lean summaries; include=vessel,crew,documents,snapshot to expand
  */
 router.get('/', async (req, res, next) => {
     try {
-        const { status, search, limit = 50, offset = 0 } = req.query;
-        
-        const where = {
-            userId: req.user.id
-        };
-        
-        if (status) {
-            where.status = status;
-        }
-        
-        if (search) {
-            where.OR = [
-                { jobNumber: { contains: search, mode: 'insensitive' } },
-                { clientName: { contains: search, mode: 'insensitive' } },
-                { vessel: { vesselName: { contains: search, mode: 'insensitive' } } }
-            ];
-        }
+        const { args, where, limit, offset } = jobQuery.buildJobListQuery(req.query, req.membership);
         
-        const [jobs, total] = await Promise.all([
-            req.prisma.job.findMany({
-                where,
-                include: {
-                    vessel: {
-                        select: {
-                            id: true,
-                            vesselName: true,
-                            imoNumber: true,
-                            vesselType: true
-                        }
-                    },
-                    crewAssignments: {
-                        include: {
-                            crewMember: {
-                                select: {
-                                    id: true,
-                                    name: true,
-                                    position: true
-                                }
-                            }
-                        }
-                    },
-                    _count: {
-                        select: { documents: true }
-                    }
-                },
-                orderBy: { createdAt: 'desc' },
-                take: parseInt(limit),
-                skip: parseInt(offset)
-            }),
+        const [rows, total] = await Promise.all([
+            req.prisma.job.findMany(args),
             req.prisma.job.count({ where })
         ]);
         
+        const hasMore = rows.length > limit;
+        const jobs = hasMore ? rows.slice(0, limit) : rows;
+        
         res.json({
             jobs,
             total,
-            limit: parseInt(limit),
-            offset: parseInt(offset)
+            limit,
+            offset: req.query.cursor ? null : offset,
+            hasMore,
+            nextCursor: hasMore ? jobs[jobs.length - 1].id : null
         });
         
     } catch (error) {
@@ -94,16 +106,22 @@ router.get('/:id', async (req, res, next) => {
         const job = await req.prisma.job.findFirst({
             where: {
                 id: req.params.id,
-                userId: req.user.id
+                organizationId: req.organization.id
             },
             include: {
+                user: {
+                    select: { id: true, name: true, email: true }
+                },
                 vessel: true,
                 crewAssignments: {
                     include: {
                         crewMember: true
                     }
                 },
-                documents: true
+                documents: {
+                    select: documents.DOCUMENT_SUMMARY,
+                    orderBy: [{ type: 'asc' }, { version: 'desc' }]
+                }
             }
         });
         
@@ -111,6 +129,7 @@ router.get('/:id', async (req, res, next) => {
             return res.status(404).json({ error: 'Job not found' });
         }
         
+        concurrency.setETag(res, job);
         res.json(job);
         
     } catch (error) {
@@ -125,116 +144,133 @@ router.get('/:id', async (req, res, next) => {
 /**
  * POST /api/jobs
  * Create a new job
+ * The vessel and crew may be given as IDs (vesselId, crewIds) or as the
+ * records named on the form (vessel, crew - see JobMapping.toRecords).
  */
 router.post('/', async (req, res, next) => {
     try {
-        const {
-            vesselId,
-            jurisdiction,
-            clientName,
-            proposedStartDate,
-            proposedEndDate,
-            cleaningLocation,
-            portName,
-            berthWharf,
-            afcType,
-            afcCondition,
-            afcExpiryDate,
-            foulingRating,
-            foulingCover,
-            biofoulingOrigin,
-            noProhibitedBiocides,
-            scopeHull,
-            scopeNicheAreas,
-            scopePropeller,
-            scopeSeaChests,
-            maxDepth,
-            bottomTime,
-            decompressionProfile,
-            breathingGas,
-            equipment,
-            clientContactName,
-            clientContactPhone,
-            simOpsContactName,
-            simOpsContactPhone,
-            siteType,
-            ptwRequired,
-            isolationRequired,
-            siteInductionRequired,
-            securityClearance,
-            emergencyAssemblyPoint,
-            onSiteDiveMedic,
-            highRiskActivities,
-            additionalActivities,
-            siteSpecificHazards,
-            formDataSnapshot,
-            crewIds
-        } = req.body;
+        const { jurisdiction, proposedStartDate, proposedEndDate } = req.body;
         
-        // Generate job number
-        const jobNumber = await generateJobNumber(req.prisma, jurisdiction);
-        
-        // Create job
-        const job = await req.prisma.job.create({
-            data: {
-                jobNumber,
-                userId: req.user.id,
-                vesselId,
-                jurisdiction: jurisdiction || 'AU-WA',
-                clientName,
-                proposedStartDate: proposedStartDate ? new Date(proposedStartDate) : null,
-                proposedEndDate: proposedEndDate ? new Date(proposedEndDate) : null,
-                cleaningLocation,
-                portName,
-                berthWharf,
-                afcType,
-                afcCondition,
-                afcExpiryDate: afcExpiryDate ? new Date(afcExpiryDate) : null,
-                foulingRating: foulingRating ? parseInt(foulingRating) : 0,
-                foulingCover: foulingCover ? parseInt(foulingCover) : 0,
-                biofoulingOrigin,
-                noProhibitedBiocides: noProhibitedBiocides !== false,
-                scopeHull: scopeHull !== false,
-                scopeNicheAreas: scopeNicheAreas !== false,
-                scopePropeller: !!scopePropeller,
-                scopeSeaChests: !!scopeSeaChests,
-                maxDepth: maxDepth ? parseInt(maxDepth) : null,
-                bottomTime,
-                decompressionProfile,
-                breathingGas,
-                equipment,
-                clientContactName,
-                clientContactPhone,
-                simOpsContactName,
-                simOpsContactPhone,
-                siteType,
-                ptwRequired: !!ptwRequired,
-                isolationRequired: !!isolationRequired,
-                siteInductionRequired: !!siteInductionRequired,
-                securityClearance: !!securityClearance,
-                emergencyAssemblyPoint,
-                onSiteDiveMedic: !!onSiteDiveMedic,
-                highRiskActivities,
-                additionalActivities,
-                siteSpecificHazards,
-                formDataSnapshot,
-                // Create crew assignments if provided
-                crewAssignments: crewIds?.length ? {
-                    create: crewIds.map(crew => ({
-                        crewMemberId: crew.id,
-                        role: crew.role || 'DIVER'
-                    }))
-                } : undefined
-            },
-            include: {
-                vessel: true,
-                crewAssignments: {
-                    include: { crewMember: true }
-                }
+        // Check the assigned crew are not already booked on these dates
+        const crewConflicts = await scheduling.findCrewConflicts(req.prisma, {
+            crewMemberIds: await jobRecords.findCrewMemberIds(req.prisma, req.membership, req.body),
+            start: proposedStartDate,
+            end: proposedEndDate
+        });
+        
+        if (scheduling.isBlocking(crewConflicts)) {
+            return scheduling.sendCrewConflict(res, crewConflicts);
+        }
+        
+        // Use the number reserved by the client, or allocate one now
+        const reserved = numbering.parseJobNumber(req.body.jobNumber);
+        const jobNumber = reserved || await numbering.generateJobNumber(req.prisma, {
+            organizationId: req.organization.id,
+            jurisdiction
+        });
+        
+        // The reservation is consumed, and the vessel and crew named on the
+        // form are saved, only if the job is created
+        const job = await req.prisma.$transaction(async (tx) => {
+            if (reserved && !await numbering.claimReservation(tx, req.membership, reserved)) {
+                return null;
             }
+            
+            const records = await jobRecords.resolveJobRecords(tx, req.membership, req.body);
+            
+            return tx.job.create({
+                data: buildJobCreateData({ ...req.body, ...records }, req.membership, jobNumber),
+                include: {
+                    vessel: true,
+                    crewAssignments: {
+                        include: { crewMember: true }
+                    }
+                }
+            });
+        });
+        
+        if (!job) {
+            return res.status(400).json({
+                error: 'Invalid job number',
+                message: `Job number ${jobNumber} is not reserved by you (reservations expire after ${numbering.RESERVATION_TTL_DAYS} days). Reserve a new number or omit it to have one assigned.`
+            });
+        }
+        
+        await revisions.recordRevision(req.prisma, job, req.user, 'create');
+        
+        concurrency.setETag(res, job);
+        res.status(201).json({ ...job, crewConflicts });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/numbers/reserve
+ * Reserve the next job number for a jurisdiction
+ * The number is held for the current user until a job is created with it.
+ */
+router.post('/numbers/reserve', async (req, res, next) => {
+    try {
+        const reservation = await numbering.reserveJobNumber(req.prisma, req.membership, {
+            jurisdiction: req.body.jurisdiction
         });
         
-        res.status(201).json(job);
+        res.status(201).json({
+            jobNumber: reservation.jobNumber,
+            jurisdiction: reservation.jurisdiction,
+            reservedAt: reservation.createdAt
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/import
+ * One-time import of jobs saved in the browser before they were synced
+ * Body: { jobs: [{ localId, jobNumber, ...job fields, formDataSnapshot }] }
+ * Jobs already in the organisation (same number and the same form) are reported
+ * as duplicates instead of being imported again; a different job under a
+ * number that is taken is imported under a new number.
+ */
+router.post('/import', async (req, res, next) => {
+    try {
+        const { jobs } = req.body;
+        
+        if (!Array.isArray(jobs)) {
+            return res.status(400).json({ error: 'jobs must be an array' });
+        }
+        
+        if (jobs.length > MAX_IMPORT_JOBS) {
+            return res.status(400).json({ error: `Import at most ${MAX_IMPORT_JOBS} jobs at a time` });
+        }
+        
+        const result = { imported: [], duplicates: [], failed: [] };
+        
+        // One at a time so numbering and duplicate checks see earlier imports
+        for (const entry of jobs) {
+            // crewIds reference server crew records, so they are not imported;
+            // crew named on the form are matched by name instead
+            const { localId, crewIds, ...body } = entry || {};
+            
+            try {
+                const { job, duplicate, renumbered } = await importJob(req, body);
+                const summary = { localId, id: job.id, jobNumber: job.jobNumber, version: job.version };
+                
+                if (duplicate) {
+                    result.duplicates.push(summary);
+                } else {
+                    result.imported.push({ ...summary, renumbered });
+                }
+            } catch (error) {
+                result.failed.push({ localId, jobNumber: body.jobNumber, error: error.message });
+            }
+        }
+        
+        res.json(result);
         
     } catch (error) {
         next(error);
@@ -247,16 +283,28 @@ router.post('/', async (req, res, next) => {
  */
 router.put('/:id', async (req, res, next) => {
     try {
-        // Check ownership
         const existing = await req.prisma.job.findFirst({
-            where: { id: req.params.id, userId: req.user.id }
+            where: { id: req.params.id, organizationId: req.organization.id }
         });
         
         if (!existing) {
             return res.status(404).json({ error: 'Job not found' });
         }
         
-        const { crewIds, ...data } = req.body;
+        workflow.assertEditable(existing);
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (!concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, await findJobDetail(req.prisma, existing.id), expectedVersion);
+        }
+        
+        // Status, workflow timestamps and the work stop only change through their own endpoints;
+        // ownership, the creator and the job number cannot be changed at all. The vessel and
+        // crew are linked once the update has claimed the job.
+        const {
+            vessel, crew, vesselId, crewIds, status, submittedAt, approvedAt, completedAt, version, riskLevel,
+            workStoppedAt, workStopReason, id, organizationId, userId, jobNumber, createdAt, ...data
+        } = req.body;
         
         // Parse dates if provided
         if (data.proposedStartDate) data.proposedStartDate = new Date(data.proposedStartDate);
@@ -268,40 +316,77 @@ router.put('/:id', async (req, res, next) => {
         if (data.foulingCover) data.foulingCover = parseInt(data.foulingCover);
         if (data.maxDepth) data.maxDepth = parseInt(data.maxDepth);
         
-        const job = await req.prisma.job.update({
-            where: { id: req.params.id },
-            data: {
-                ...data,
-                updatedAt: new Date()
-            },
-            include: {
-                vessel: true,
-                crewAssignments: {
-                    include: { crewMember: true }
-                }
-            }
-        });
+        data.riskLevel = jobQuery.getRiskLevel({ ...existing, ...data });
         
-        // Update crew assignments if provided
-        if (crewIds !== undefined) {
-            // Delete existing assignments
-            await req.prisma.jobCrew.deleteMany({
-                where: { jobId: job.id }
+        // Re-check crew bookings when the crew or the dates change
+        let crewConflicts = [];
+        let crewMemberIds = await jobRecords.findCrewMemberIds(req.prisma, req.membership, req.body);
+        
+        if (crewMemberIds !== undefined || 'proposedStartDate' in data || 'proposedEndDate' in data) {
+            crewMemberIds = crewMemberIds || (await req.prisma.jobCrew.findMany({
+                where: { jobId: existing.id },
+                select: { crewMemberId: true }
+            })).map(assignment => assignment.crewMemberId);
+            
+            crewConflicts = await scheduling.findCrewConflicts(req.prisma, {
+                crewMemberIds,
+                start: 'proposedStartDate' in data ? data.proposedStartDate : existing.proposedStartDate,
+                end: 'proposedEndDate' in data ? data.proposedEndDate : existing.proposedEndDate,
+                excludeJobId: existing.id
             });
             
-            // Create new assignments
-            if (crewIds?.length) {
-                await req.prisma.jobCrew.createMany({
-                    data: crewIds.map(crew => ({
-                        jobId: job.id,
-                        crewMemberId: crew.id,
-                        role: crew.role || 'DIVER'
-                    }))
+            if (scheduling.isBlocking(crewConflicts)) {
+                return scheduling.sendCrewConflict(res, crewConflicts);
+            }
+        }
+        
+        // The version-guarded update claims the job first, so a conflicting save
+        // links and creates no vessel or crew records
+        const saved = await req.prisma.$transaction(async (tx) => {
+            if (!await concurrency.updateIfVersion(tx.job, existing, { ...data, updatedAt: new Date() })) {
+                return false;
+            }
+            
+            // Link the vessel and crew named on the form
+            const records = await jobRecords.resolveJobRecords(tx, req.membership, req.body);
+            
+            if (records.vesselId !== undefined) {
+                await tx.job.update({
+                    where: { id: existing.id },
+                    data: { vesselId: records.vesselId }
+                });
+            }
+            
+            // Replace crew assignments if provided
+            if (records.crewIds !== undefined) {
+                await tx.jobCrew.deleteMany({
+                    where: { jobId: existing.id }
                 });
+                
+                if (records.crewIds.length) {
+                    await tx.jobCrew.createMany({
+                        data: records.crewIds.map(crew => ({
+                            jobId: existing.id,
+                            crewMemberId: crew.id,
+                            role: crew.role || 'DIVER'
+                        }))
+                    });
+                }
             }
+            
+            return true;
+        });
+        
+        if (!saved) {
+            return concurrency.sendConflict(res, await findJobDetail(req.prisma, existing.id), expectedVersion);
         }
         
-        res.json(job);
+        const job = await findJobDetail(req.prisma, existing.id);
+        
+        await revisions.recordRevision(req.prisma, job, req.user, 'update');
+        
+        concurrency.setETag(res, job);
+        res.json({ ...job, crewConflicts });
         
     } catch (error) {
         next(error);
@@ -310,31 +395,164 @@ router.put('/:id', async (req, res, next) => {
 
 /**
  * PATCH /api/jobs/:id/status
- * Update job status
+ * Update job status (organisation members; approve/reject go through /review)
  */
 router.patch('/:id/status', async (req, res, next) => {
     try {
-        const { status } = req.body;
+        const { status, reason } = req.body;
         
-        const validStatuses = ['DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
-        if (!validStatuses.includes(status)) {
+        if (!workflow.JOB_STATUSES.includes(status)) {
             return res.status(400).json({ error: 'Invalid status' });
         }
         
-        const job = await req.prisma.job.updateMany({
-            where: { id: req.params.id, userId: req.user.id },
-            data: {
-                status,
-                ...(status === 'PENDING_APPROVAL' && { submittedAt: new Date() }),
-                ...(status === 'COMPLETED' && { completedAt: new Date() })
+        const existing = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true, status: true, workStoppedAt: true, workStopReason: true }
+        });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        if (workflow.isReviewTransition(existing.status, status)) {
+            return res.status(403).json({ 
+                error: 'Supervisor sign-off required',
+                message: 'Use POST /api/jobs/:id/review to approve or reject a submitted job'
+            });
+        }
+        
+        // Crew certifications must be valid for the whole job before it is submitted
+        if (status === 'PENDING_APPROVAL' && workflow.canTransition(existing.status, status)) {
+            const result = await compliance.checkStoredJob(req.prisma, existing.id);
+            if (!result.compliant) {
+                return compliance.sendComplianceFailure(res, result);
             }
+            
+            // Review comments from a rejected submission must be resolved first
+            const openThreads = await reviewThreads.findOpenThreads(req.prisma, existing.id);
+            if (openThreads.length) {
+                return reviewThreads.sendUnresolvedFailure(res, openThreads);
+            }
+        }
+        
+        const { job, transition } = await workflow.transitionJob(
+            req.prisma, existing, status, req.user, reason
+        );
+        
+        res.json({ 
+            success: true, 
+            status: job.status, 
+            job, 
+            transition,
+            allowedTransitions: workflow.getAllowedTransitions(job.status)
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/review
+ * Approve or reject a submitted job in the organisation (organisation reviewers only)
+ * Body: { decision: 'approve' | 'reject', comments }
+ */
+router.post('/:id/review', requireReviewer, async (req, res, next) => {
+    try {
+        const { decision, comments } = req.body;
+        
+        if (!['approve', 'reject'].includes(decision)) {
+            return res.status(400).json({ error: 'Decision must be "approve" or "reject"' });
+        }
+        
+        if (typeof comments !== 'string' || !comments.trim()) {
+            return res.status(400).json({ error: 'Review comments are required' });
+        }
+        
+        const existing = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true, status: true, userId: true }
         });
         
-        if (job.count === 0) {
+        if (!existing) {
             return res.status(404).json({ error: 'Job not found' });
         }
         
-        res.json({ success: true, status });
+        if (await workflow.isOwnSubmission(req.prisma, existing, req.user)) {
+            return res.status(403).json({
+                error: 'Independent sign-off required',
+                message: 'A job cannot be approved or rejected by the person who created or submitted it'
+            });
+        }
+        
+        if (existing.status !== 'PENDING_APPROVAL') {
+            return res.status(409).json({ 
+                error: `Only jobs pending approval can be reviewed (current status: ${existing.status})` 
+            });
+        }
+        
+        const targetStatus = decision === 'approve' ? 'APPROVED' : 'DRAFT';
+        
+        const { job, transition } = await workflow.transitionJob(
+            req.prisma, existing, targetStatus, req.user, comments
+        );
+        
+        res.json({ success: true, status: job.status, job, transition });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs/:id/transitions
+ * Status history for a job
+ */
+router.get('/:id/transitions', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const transitions = await req.prisma.jobStatusTransition.findMany({
+            where: { jobId: job.id },
+            include: {
+                user: {
+                    select: { id: true, name: true, email: true, role: true }
+                }
+            },
+            orderBy: { createdAt: 'asc' }
+        });
+        
+        res.json({
+            job,
+            allowedTransitions: workflow.getAllowedTransitions(job.status),
+            transitions
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs/:id/compliance
+ * Check assigned crew certifications against the job dates
+ * (the same check that gates submission for approval)
+ */
+router.get('/:id/compliance', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const result = await compliance.checkStoredJob(req.prisma, job.id);
+        
+        res.json(result);
         
     } catch (error) {
         next(error);
@@ -343,18 +561,42 @@ router.patch('/:id/status', async (req, res, next) => {
 
 /**
  * DELETE /api/jobs/:id
- * Delete a job
+ * Delete a job (its creator, or an organisation owner/admin)
  */
 router.delete('/:id', async (req, res, next) => {
     try {
+        const job = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true, userId: true }
+        });
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        if (!organizations.canDelete(req.membership, job)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the person who created this job or an organisation owner/admin can delete it'
+            });
+        }
+        
+        // Attachment records go with the job; their stored files are removed after
+        const files = await req.prisma.attachment.findMany({
+            where: { jobId: job.id },
+            select: attachments.FILE_KEYS
+        });
+        
         const result = await req.prisma.job.deleteMany({
-            where: { id: req.params.id, userId: req.user.id }
+            where: { id: job.id }
         });
         
         if (result.count === 0) {
             return res.status(404).json({ error: 'Job not found' });
         }
         
+        await attachments.removeFiles(files);
+        
         res.json({ success: true, message: 'Job deleted' });
         
     } catch (error) {
@@ -374,12 +616,41 @@ router.post('/:id/autosave', async (req, res, next) => {
     try {
         const { formDataSnapshot } = req.body;
         
-        await req.prisma.job.updateMany({
-            where: { id: req.params.id, userId: req.user.id },
-            data: { formDataSnapshot }
+        const existing = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id }
         });
         
-        res.json({ success: true, savedAt: new Date().toISOString() });
+        if (!existing) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        workflow.assertEditable(existing);
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (!concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, await findJobDetail(req.prisma, existing.id), expectedVersion);
+        }
+        
+        const updated = await concurrency.updateIfVersion(req.prisma.job, existing, {
+            formDataSnapshot,
+            riskLevel: jobQuery.getRiskLevel({ ...existing, formDataSnapshot })
+        });
+        
+        if (!updated) {
+            return concurrency.sendConflict(res, await findJobDetail(req.prisma, existing.id), expectedVersion);
+        }
+        
+        const job = await findJobDetail(req.prisma, existing.id);
+        
+        const revision = await revisions.recordRevision(req.prisma, job, req.user, 'autosave');
+        
+        concurrency.setETag(res, job);
+        res.json({ 
+            success: true, 
+            savedAt: new Date().toISOString(),
+            version: job.version,
+            revisionNumber: revision?.revisionNumber || null
+        });
         
     } catch (error) {
         next(error);
@@ -391,31 +662,188 @@ router.post('/:id/autosave', async (req, res, next) => {
 // ============================================
 
 /**
- * Generate a unique job number
- * Format: FUS-{JURISDICTION}-{YEAR}-{SEQ}
+ * Build the Prisma create data for a new job from a request body
+ * (owned by the member's organisation, with the member as its creator)
  */
-async function generateJobNumber(prisma, jurisdiction = 'WA') {
-    const year = new Date().getFullYear();
-    const prefix = `FUS-${year}`;
+function buildJobCreateData(body, membership, jobNumber) {
+    const {
+        vesselId,
+        jurisdiction,
+        clientName,
+        proposedStartDate,
+        proposedEndDate,
+        cleaningLocation,
+        portName,
+        berthWharf,
+        afcType,
+        afcCondition,
+        afcExpiryDate,
+        foulingRating,
+        foulingCover,
+        biofoulingOrigin,
+        noProhibitedBiocides,
+        scopeHull,
+        scopeNicheAreas,
+        scopePropeller,
+        scopeSeaChests,
+        maxDepth,
+        bottomTime,
+        decompressionProfile,
+        breathingGas,
+        equipment,
+        clientContactName,
+        clientContactPhone,
+        simOpsContactName,
+        simOpsContactPhone,
+        siteType,
+        ptwRequired,
+        isolationRequired,
+        siteInductionRequired,
+        securityClearance,
+        emergencyAssemblyPoint,
+        onSiteDiveMedic,
+        highRiskActivities,
+        additionalActivities,
+        siteSpecificHazards,
+        formDataSnapshot,
+        crewIds
+    } = body;
     
-    // Find the highest existing job number for this year
-    const lastJob = await prisma.job.findFirst({
-        where: {
-            jobNumber: { startsWith: prefix }
-        },
-        orderBy: { jobNumber: 'desc' }
-    });
+    return {
+        jobNumber,
+        organizationId: membership.organizationId,
+        userId: membership.userId,
+        vesselId,
+        jurisdiction: jurisdiction || 'AU-WA',
+        clientName,
+        proposedStartDate: proposedStartDate ? new Date(proposedStartDate) : null,
+        proposedEndDate: proposedEndDate ? new Date(proposedEndDate) : null,
+        cleaningLocation,
+        portName,
+        berthWharf,
+        afcType,
+        afcCondition,
+        afcExpiryDate: afcExpiryDate ? new Date(afcExpiryDate) : null,
+        foulingRating: foulingRating === null ? null : parseInt(foulingRating) || 0,
+        foulingCover: foulingCover === null ? null : parseInt(foulingCover) || 0,
+        biofoulingOrigin,
+        noProhibitedBiocides: noProhibitedBiocides !== false,
+        scopeHull: scopeHull !== false,
+        scopeNicheAreas: scopeNicheAreas !== false,
+        scopePropeller: !!scopePropeller,
+        scopeSeaChests: !!scopeSeaChests,
+        maxDepth: maxDepth ? parseInt(maxDepth) : null,
+        bottomTime,
+        decompressionProfile,
+        breathingGas,
+        equipment,
+        clientContactName,
+        clientContactPhone,
+        simOpsContactName,
+        simOpsContactPhone,
+        siteType,
+        ptwRequired: !!ptwRequired,
+        isolationRequired: !!isolationRequired,
+        siteInductionRequired: !!siteInductionRequired,
+        securityClearance: !!securityClearance,
+        emergencyAssemblyPoint,
+        onSiteDiveMedic: !!onSiteDiveMedic,
+        highRiskActivities,
+        additionalActivities,
+        siteSpecificHazards,
+        formDataSnapshot,
+        riskLevel: jobQuery.getRiskLevel({ ...body, jobNumber }),
+        // Create crew assignments if provided
+        crewAssignments: crewIds?.length ? {
+            create: crewIds.map(crew => ({
+                crewMemberId: crew.id,
+                role: crew.role || 'DIVER'
+            }))
+        } : undefined
+    };
+}
+
+/**
+ * Serialise a JSON value with object keys sorted, so stored JSON (whose key
+ * order the database does not keep) can be compared with a request body
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Import one browser job, keeping its number when it is free in the organisation
+ * A job with the same number is only treated as this one (a duplicate) if
+ * it has the same form; the number alone can be shared by unrelated jobs
+ * saved offline on different devices.
+ * @returns {Promise<{job: Object, duplicate: boolean, renumbered: boolean}>}
+ */
+async function importJob(req, body) {
+    let jobNumber = numbering.parseJobNumber(body.jobNumber);
+    let renumbered = false;
+    let reserved = false;
     
-    let sequence = 1;
-    if (lastJob) {
-        const match = lastJob.jobNumber.match(/-(\d+)$/);
-        if (match) {
-            sequence = parseInt(match[1]) + 1;
+    if (jobNumber) {
+        const existing = await req.prisma.job.findUnique({
+            where: { organizationId_jobNumber: { organizationId: req.organization.id, jobNumber } },
+            select: { id: true, jobNumber: true, version: true, formDataSnapshot: true }
+        });
+        
+        if (existing && body.formDataSnapshot &&
+            canonicalJson(existing.formDataSnapshot) === canonicalJson(body.formDataSnapshot)) {
+            const { formDataSnapshot, ...job } = existing;
+            return { job, duplicate: true, renumbered: false };
         }
+        
+        const reservation = await req.prisma.jobNumberReservation.findFirst({
+            where: { jobNumber, OR: [{ organizationId: req.organization.id }, { organizationId: null }] }
+        });
+        
+        if (existing || (reservation && reservation.userId !== req.user.id)) {
+            // Number belongs to another job or someone else's reservation
+            jobNumber = null;
+            renumbered = true;
+        } else {
+            reserved = !!reservation;
+        }
+    }
+    
+    if (!jobNumber) {
+        jobNumber = await numbering.generateJobNumber(req.prisma, {
+            organizationId: req.organization.id,
+            jurisdiction: body.jurisdiction
+        });
     }
     
-    return `${prefix}-${sequence.toString().padStart(4, '0')}`;
+    const job = await req.prisma.$transaction(async (tx) => {
+        if (reserved) {
+            await numbering.claimReservation(tx, req.membership, jobNumber);
+        }
+        
+        const records = await jobRecords.resolveJobRecords(tx, req.membership, body);
+        
+        return tx.job.create({
+            data: buildJobCreateData({ ...body, ...records }, req.membership, jobNumber),
+            include: {
+                vessel: true,
+                crewAssignments: {
+                    include: { crewMember: true }
+                }
+            }
+        });
+    });
+    
+    await revisions.recordRevision(req.prisma, job, req.user, 'import');
+    
+    return { job, duplicate: false, renumbered };
 }
 
 module.exports = router;
-
@@ -0,0 +1,121 @@
+/**
+ * Job Attachment API Routes
+ * Files attached to a job, with signed download URLs
+ * Mounted by jobs.js at /api/jobs/:id/attachments, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const attachments = require('../../services/attachments');
+const { findReadableJob } = require('./lookup');
+
+// ============================================
+// Attachments
+// ============================================
+
+/**
+ * GET /api/jobs/:id/attachments
+ * List files attached to a job (newest first) with signed download URLs
+ * Query: ?category=PHOTO to filter
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const list = await req.prisma.attachment.findMany({
+            where: {
+                jobId: job.id,
+                ...(req.query.category && { category: attachments.parseCategory('job', req.query.category) })
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+        
+        res.json(await attachments.describeAttachments(list));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/attachments
+ * Upload files to a job (organisation members)
+ * multipart/form-data: files (one or more), category (PHOTO, AFS_CERTIFICATE,
+ * GA_DRAWING, OTHER), caption
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const job = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true }
+        });
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const files = await attachments.receiveFiles(req, res);
+        const fields = attachments.normalizeFields('job', req.body);
+        const created = await attachments.storeAttachments(req.prisma, 'job', job.id, files, fields, req.user);
+        
+        res.status(201).json(await attachments.describeAttachments(created));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs/:id/attachments/:attachmentId
+ * Get one attachment with fresh signed download URLs
+ */
+router.get('/:attachmentId', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        const attachment = job && await req.prisma.attachment.findFirst({
+            where: { id: req.params.attachmentId, jobId: job.id }
+        });
+        
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+        
+        res.json(await attachments.describeAttachment(attachment));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/jobs/:id/attachments/:attachmentId
+ * Delete an attachment and its stored files (organisation members)
+ */
+router.delete('/:attachmentId', async (req, res, next) => {
+    try {
+        const attachment = await req.prisma.attachment.findFirst({
+            where: {
+                id: req.params.attachmentId,
+                job: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+        
+        await req.prisma.attachment.delete({ where: { id: attachment.id } });
+        await attachments.removeFiles([attachment]);
+        
+        res.json({ success: true, message: 'Attachment deleted' });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
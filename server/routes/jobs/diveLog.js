@@ -0,0 +1,258 @@
+/**
+ * Dive Log API Routes
+ * Dives made on a job, checked against its dive plan, and the dive record sheet
+ * Mounted by jobs.js at /api/jobs/:id/dive-log, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const concurrency = require('../../services/concurrency');
+const diveLog = require('../../services/diveLog');
+const { HttpError } = require('../../services/httpError');
+const { findReadableJob } = require('./lookup');
+
+// ============================================
+// Dive Log
+// ============================================
+
+/**
+ * GET /api/jobs/:id/dive-log
+ * List the dives made on a job, each checked against the job's dive plan,
+ * with the crew the diver and supervisor can be chosen from
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findDiveLogJob(req.prisma, readable.id);
+        const crew = await req.prisma.crewMember.findMany({
+            where: { organizationId: job.organizationId, isActive: true },
+            select: { id: true, name: true, position: true },
+            orderBy: { name: 'asc' }
+        });
+        const assigned = new Map(job.crewAssignments.map(assignment => [assignment.crewMemberId, assignment.role]));
+        
+        res.json({
+            ...diveLog.describeLog(job, job.diveLog),
+            crew: crew.map(member => ({ ...member, role: assigned.get(member.id) || null }))
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/dive-log
+ * Log a dive (organisation members, once the job is approved)
+ * The supervisor defaults to the job's assigned dive supervisor.
+ * Body: { diverId, supervisorId | supervisorName, leftSurfaceAt, reachedBottomAt,
+ *         leftBottomAt, reachedSurfaceAt, maxDepth, breathingGas, decompression, task, notes }
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const owned = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true }
+        });
+        
+        if (!owned) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findDiveLogJob(req.prisma, owned.id);
+        
+        if (!diveLog.isLoggable(job)) {
+            return res.status(409).json({
+                error: 'Job not ready',
+                message: `Dives can be logged once the job is ${diveLog.LOGGABLE_STATUSES.join(', ').toLowerCase()} (currently ${job.status}).`
+            });
+        }
+        
+        const data = {
+            ...diveLog.normalizeDive(req.body),
+            ...await resolveDiveCrew(req, job, {
+                diverId: req.body.diverId,
+                supervisorId: req.body.supervisorId,
+                supervisorName: req.body.supervisorName
+            })
+        };
+        
+        if (!data.diverId) {
+            return res.status(400).json({ error: 'diverId is required' });
+        }
+        
+        const dive = await req.prisma.diveLogEntry.create({
+            data: { ...data, jobId: job.id, recordedById: req.user.id }
+        });
+        
+        concurrency.setETag(res, dive);
+        res.status(201).json(diveLog.describeDive(dive, diveLog.getDivePlan(job)));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/jobs/:id/dive-log/:diveId
+ * Correct a logged dive (organisation members)
+ */
+router.put('/:diveId', async (req, res, next) => {
+    try {
+        const existing = await req.prisma.diveLogEntry.findFirst({
+            where: {
+                id: req.params.diveId,
+                job: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Dive not found' });
+        }
+        
+        const job = await findDiveLogJob(req.prisma, existing.jobId);
+        const plan = diveLog.getDivePlan(job);
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (!concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, diveLog.describeDive(existing, plan), expectedVersion);
+        }
+        
+        const crewFields = ['diverId', 'supervisorId', 'supervisorName'].filter(field => field in req.body);
+        const data = {
+            ...diveLog.normalizeDive(req.body, existing),
+            ...(crewFields.length ? await resolveDiveCrew(req, job, {
+                diverId: 'diverId' in req.body ? req.body.diverId : existing.diverId,
+                supervisorId: req.body.supervisorId,
+                supervisorName: req.body.supervisorName
+            }) : {})
+        };
+        
+        if (!await concurrency.updateIfVersion(req.prisma.diveLogEntry, existing, data)) {
+            const current = await req.prisma.diveLogEntry.findUnique({ where: { id: existing.id } });
+            return concurrency.sendConflict(res, diveLog.describeDive(current, plan), expectedVersion);
+        }
+        
+        const dive = await req.prisma.diveLogEntry.findUnique({ where: { id: existing.id } });
+        
+        concurrency.setETag(res, dive);
+        res.json(diveLog.describeDive(dive, plan));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/jobs/:id/dive-log/:diveId
+ * Remove a dive logged in error (organisation members)
+ */
+router.delete('/:diveId', async (req, res, next) => {
+    try {
+        const result = await req.prisma.diveLogEntry.deleteMany({
+            where: {
+                id: req.params.diveId,
+                job: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (result.count === 0) {
+            return res.status(404).json({ error: 'Dive not found' });
+        }
+        
+        res.json({ success: true, message: 'Dive deleted' });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/dive-log/export
+ * Render the dive record sheet and save it as a new DIVE_LOG document version
+ */
+router.post('/export', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findDiveLogJob(req.prisma, readable.id);
+        
+        if (job.diveLog.length === 0) {
+            return res.status(409).json({ error: 'No dives logged' });
+        }
+        
+        const document = await diveLog.generateLog(req.prisma, job, job.diveLog, req.user);
+        
+        res.status(201).json(document);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Load a job with its vessel, crew and dive log
+ */
+function findDiveLogJob(prisma, id) {
+    return prisma.job.findUnique({
+        where: { id },
+        include: {
+            vessel: true,
+            crewAssignments: {
+                include: { crewMember: true }
+            },
+            diveLog: true
+        }
+    });
+}
+
+/**
+ * Resolve the diver and supervisor of a dive against the organisation's crew register
+ * Without a supervisor, the job's assigned dive supervisor is used.
+ * @returns {Promise<Object>} - { diverId, diverName, supervisorId, supervisorName }
+ * @throws {HttpError} - If a crew member is not found or there is no supervisor
+ */
+async function resolveDiveCrew(req, job, { diverId, supervisorId, supervisorName }) {
+    const findMember = async (id, role) => {
+        const member = await req.prisma.crewMember.findFirst({
+            where: { id, organizationId: req.organization.id },
+            select: { id: true, name: true }
+        });
+        if (!member) {
+            throw new HttpError(`${role} not found in your organisation's crew`);
+        }
+        return member;
+    };
+    
+    const diver = diverId ? await findMember(diverId, 'Diver') : null;
+    
+    let supervisor = supervisorId ? await findMember(supervisorId, 'Supervisor') : null;
+    if (!supervisor && !supervisorName?.trim()) {
+        supervisor = job.crewAssignments.find(assignment => assignment.role === 'DIVE_SUPERVISOR')?.crewMember || null;
+    }
+    
+    if (!supervisor && !supervisorName?.trim()) {
+        throw new HttpError('A dive supervisor is required (assign one to the job or name them on the dive)');
+    }
+    
+    return {
+        ...(diver ? { diverId: diver.id, diverName: diver.name } : {}),
+        supervisorId: supervisor?.id || null,
+        supervisorName: supervisor?.name || supervisorName.trim()
+    };
+}
+
+module.exports = router;
@@ -0,0 +1,194 @@
+/**
+ * Job Document API Routes
+ * Package documents generated from a job and stored as versions
+ * Mounted by jobs.js at /api/jobs/:id/documents, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { DocumentType } = require('@prisma/client');
+const documents = require('../../services/documentGenerator');
+const pdfPackage = require('../../services/pdfPackage');
+const { findReadableJob, findJobDetail } = require('./lookup');
+
+// ============================================
+// Generated Documents
+// ============================================
+
+/**
+ * POST /api/jobs/:id/documents/generate
+ * Render package documents from the stored job and save them as new versions
+ * A SWMS is refused with 409 while the dive team has blocking issues.
+ * Body: { documents: ['wms', 'swms', 'erp', 'whsmp', 'email'] } (default: all)
+ */
+router.post('/generate', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const names = Array.isArray(req.body.documents) && req.body.documents.length
+            ? req.body.documents
+            : documents.DOCUMENT_NAMES;
+        const unknown = names.filter(name => !documents.DOCUMENT_NAMES.includes(name));
+        
+        if (unknown.length) {
+            return res.status(400).json({
+                error: 'Invalid documents',
+                message: `Unknown document(s): ${unknown.join(', ')}. Available: ${documents.DOCUMENT_NAMES.join(', ')}`
+            });
+        }
+        
+        const job = await findJobDetail(req.prisma, readable.id);
+        
+        if (names.includes('swms')) {
+            const diveTeam = documents.checkDiveTeam(documents.jobToFormData(job), job.jurisdiction);
+            if (diveTeam.blocking) {
+                return documents.sendDiveTeamFailure(res, diveTeam);
+            }
+        }
+        
+        const generated = await documents.generateDocuments(req.prisma, job, req.user, names);
+        
+        res.status(201).json({ documents: generated });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/documents/package
+ * Build the merged PDF notification package and save it as a new PACKAGE version
+ * Refused with 409 while the dive team has blocking issues (see /generate).
+ * Body: { images: { companyLogo, vesselImage, generalArrangement } } (optional, data URLs)
+ */
+router.post('/package', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findJobDetail(req.prisma, readable.id);
+        
+        // The package includes the SWMS
+        const diveTeam = documents.checkDiveTeam(documents.jobToFormData(job), job.jurisdiction);
+        if (diveTeam.blocking) {
+            return documents.sendDiveTeamFailure(res, diveTeam);
+        }
+        
+        const document = await pdfPackage.generateJobPackage(req.prisma, job, req.user, req.body.images);
+        
+        res.status(201).json(document);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs/:id/documents
+ * List generated documents (newest version first, without content)
+ * Query: ?type=WMS to filter, ?latest=true for the latest version of each type
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const { latest } = req.query;
+        const type = req.query.type ? String(req.query.type).toUpperCase() : null;
+        
+        if (type && !Object.values(DocumentType).includes(type)) {
+            return res.status(400).json({
+                error: `Invalid type: ${req.query.type}. Allowed: ${Object.values(DocumentType).join(', ')}`
+            });
+        }
+        
+        let list = await req.prisma.document.findMany({
+            where: {
+                jobId: job.id,
+                ...(type && { type })
+            },
+            orderBy: [{ type: 'asc' }, { version: 'desc' }],
+            select: documents.DOCUMENT_SUMMARY
+        });
+        
+        if (latest === 'true') {
+            list = list.filter((doc, i) => i === 0 || list[i - 1].type !== doc.type);
+        }
+        
+        res.json({ documents: list });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs/:id/documents/:documentId
+ * Get a generated document including its content
+ */
+router.get('/:documentId', async (req, res, next) => {
+    try {
+        const document = await findJobDocument(req);
+        
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        
+        res.json(document);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs/:id/documents/:documentId/download
+ * Download a generated document as a file
+ */
+router.get('/:documentId/download', async (req, res, next) => {
+    try {
+        const document = await findJobDocument(req);
+        
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        
+        res.set('Content-Type', document.mimeType);
+        res.attachment(document.filename);
+        res.send(document.mimeType.startsWith('text/')
+            ? document.content
+            : Buffer.from(document.content || '', 'base64'));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Find a generated document on a job the current user may read
+ */
+async function findJobDocument(req) {
+    const job = await findReadableJob(req);
+    if (!job) return null;
+    
+    return req.prisma.document.findFirst({
+        where: { id: req.params.documentId, jobId: job.id },
+        include: { generatedBy: { select: { id: true, name: true, email: true } } }
+    });
+}
+
+module.exports = router;
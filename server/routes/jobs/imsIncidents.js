@@ -0,0 +1,356 @@
+/**
+ * IMS Incident API Routes
+ * Suspected invasive marine species detections on a job: the work stop,
+ * the regulator notification and the resolution
+ * Mounted by jobs.js at /api/jobs/:id/ims-incidents, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const concurrency = require('../../services/concurrency');
+const ims = require('../../services/imsIncidents');
+const { findReadableJob } = require('./lookup');
+
+// Relations returned with every IMS incident
+const INCIDENT_INCLUDE = {
+    reportedBy: { select: { id: true, name: true, email: true } },
+    events: {
+        include: { user: { select: { id: true, name: true, email: true } } },
+        orderBy: { createdAt: 'asc' }
+    }
+};
+
+// ============================================
+// IMS Incidents
+// ============================================
+
+/**
+ * GET /api/jobs/:id/ims-incidents
+ * List the job's IMS incidents with their trails, the work stop state and
+ * who to notify in the job's jurisdiction
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findIncidentJob(req.prisma, readable.id);
+        
+        res.json({
+            incidents: job.imsIncidents.map(incident => ims.describeIncident(incident)),
+            job: getWorkStop(job),
+            contacts: ims.getRegulatorContacts(job),
+            notificationHours: ims.getNotificationHours(job)
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/ims-incidents
+ * Record a suspected IMS detection (organisation members) and stop work on the job
+ * Body: { detectedAt, hullLocation, locationDescription, suspectedSpecies,
+ *         description, actionsTaken, photos }
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const job = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true, status: true, jurisdiction: true, workStoppedAt: true }
+        });
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        if (job.status === 'CANCELLED') {
+            return res.status(409).json({ error: 'Job cancelled' });
+        }
+        
+        const data = ims.normalizeIncident(req.body, true);
+        
+        const incident = await req.prisma.imsIncident.create({
+            data: {
+                ...data,
+                notificationDueAt: ims.getNotificationDueAt(job, data.detectedAt),
+                jobId: job.id,
+                reportedById: req.user.id
+            }
+        });
+        
+        await ims.recordEvent(req.prisma, incident.id, req.user, 'detected', {
+            detectedAt: incident.detectedAt,
+            hullLocation: incident.hullLocation,
+            suspectedSpecies: incident.suspectedSpecies
+        });
+        await ims.stopWork(req.prisma, job, incident);
+        
+        res.status(201).json(await findIncidentResponse(req.prisma, job.id, incident.id));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/jobs/:id/ims-incidents/:incidentId
+ * Update the details of an open incident (organisation members)
+ */
+router.put('/:incidentId', async (req, res, next) => {
+    try {
+        const existing = await findOwnedIncident(req);
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        
+        if (existing.resolvedAt) {
+            return res.status(409).json({
+                error: 'Incident resolved',
+                message: 'Resolved incidents are part of the notification record and cannot be changed.'
+            });
+        }
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (!concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, ims.describeIncident(existing), expectedVersion);
+        }
+        
+        const data = ims.normalizeIncident(req.body);
+        
+        if (data.detectedAt) {
+            data.notificationDueAt = ims.getNotificationDueAt(existing.job, data.detectedAt);
+        }
+        
+        if (!await concurrency.updateIfVersion(req.prisma.imsIncident, existing, data)) {
+            const current = await findIncident(req.prisma, existing.jobId, existing.id);
+            return concurrency.sendConflict(res, ims.describeIncident(current), expectedVersion);
+        }
+        
+        await ims.recordEvent(req.prisma, existing.id, req.user, 'updated', {
+            fields: Object.keys(data).filter(field => field !== 'notificationDueAt')
+        });
+        
+        res.json(await findIncidentResponse(req.prisma, existing.jobId, existing.id));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/ims-incidents/:incidentId/notification
+ * Render the regulator notification, save it as a new IMS_NOTIFICATION
+ * document version and return a ready-to-send email
+ */
+router.post('/:incidentId/notification', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const incident = await findIncident(req.prisma, readable.id, req.params.incidentId);
+        
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        
+        const job = await findIncidentJob(req.prisma, readable.id);
+        const { document, email } = await ims.generateNotification(req.prisma, job, incident, req.user);
+        
+        await ims.recordEvent(req.prisma, incident.id, req.user, 'notification_generated', {
+            documentId: document.id,
+            to: email.to
+        });
+        
+        res.status(201).json({ document, email });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/ims-incidents/:incidentId/notified
+ * Record that the regulator was notified (organisation members, once per incident)
+ * Body: { method: 'phone' | 'email' | 'other', contact, reference, notifiedAt }
+ */
+router.post('/:incidentId/notified', async (req, res, next) => {
+    try {
+        const existing = await findOwnedIncident(req);
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        
+        if (existing.notifiedAt) {
+            return res.status(409).json({
+                error: 'Already notified',
+                message: `The regulator notification was recorded at ${existing.notifiedAt.toISOString()}.`
+            });
+        }
+        
+        const data = ims.normalizeNotification(req.body, existing);
+        
+        // Conditional on no notification being recorded in the meantime
+        const result = await req.prisma.imsIncident.updateMany({
+            where: { id: existing.id, notifiedAt: null },
+            data: { ...data, version: { increment: 1 } }
+        });
+        
+        if (result.count === 0) {
+            return res.status(409).json({ error: 'Already notified' });
+        }
+        
+        await ims.recordEvent(req.prisma, existing.id, req.user, 'notified', {
+            notifiedAt: data.notifiedAt,
+            method: data.notificationMethod,
+            contact: data.notifiedContact,
+            reference: data.notificationReference,
+            notifiedInTime: data.notifiedAt <= existing.notificationDueAt
+        });
+        
+        res.json(await findIncidentResponse(req.prisma, existing.jobId, existing.id));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/ims-incidents/:incidentId/resolve
+ * Record the regulator's direction and close the incident (organisation members)
+ * Work on the job resumes once no incident on it is open.
+ * Body: { resolution }
+ */
+router.post('/:incidentId/resolve', async (req, res, next) => {
+    try {
+        const existing = await findOwnedIncident(req);
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        
+        if (existing.resolvedAt) {
+            return res.status(409).json({ error: 'Incident already resolved' });
+        }
+        
+        if (!existing.notifiedAt) {
+            return res.status(409).json({
+                error: 'Regulator not notified',
+                message: 'Record the regulator notification before resolving the incident.'
+            });
+        }
+        
+        const resolution = req.body.resolution?.trim();
+        
+        if (!resolution) {
+            return res.status(400).json({ error: 'Resolution is required (e.g. the regulator\'s direction to resume)' });
+        }
+        
+        const result = await req.prisma.imsIncident.updateMany({
+            where: { id: existing.id, resolvedAt: null },
+            data: { resolvedAt: new Date(), resolution, version: { increment: 1 } }
+        });
+        
+        if (result.count === 0) {
+            return res.status(409).json({ error: 'Incident already resolved' });
+        }
+        
+        await ims.recordEvent(req.prisma, existing.id, req.user, 'resolved', { resolution });
+        const workResumed = await ims.resumeWorkIfClear(req.prisma, existing.jobId);
+        
+        res.json({
+            ...await findIncidentResponse(req.prisma, existing.jobId, existing.id),
+            workResumed
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Load a job with its vessel, crew and IMS incidents (oldest first, with trails)
+ */
+function findIncidentJob(prisma, id) {
+    return prisma.job.findUnique({
+        where: { id },
+        include: {
+            vessel: true,
+            crewAssignments: {
+                include: { crewMember: true }
+            },
+            imsIncidents: {
+                include: INCIDENT_INCLUDE,
+                orderBy: { detectedAt: 'asc' }
+            }
+        }
+    });
+}
+
+/**
+ * Load an incident on a job
+ */
+function findIncident(prisma, jobId, incidentId) {
+    return prisma.imsIncident.findFirst({
+        where: { id: incidentId, jobId },
+        include: INCIDENT_INCLUDE
+    });
+}
+
+/**
+ * Load an incident on one of the current organisation's jobs (with the job's jurisdiction)
+ */
+function findOwnedIncident(req) {
+    return req.prisma.imsIncident.findFirst({
+        where: {
+            id: req.params.incidentId,
+            job: { id: req.params.id, organizationId: req.organization.id }
+        },
+        include: {
+            ...INCIDENT_INCLUDE,
+            job: { select: { id: true, jurisdiction: true } }
+        }
+    });
+}
+
+/**
+ * Work stop state of a job (with the version so clients can keep editing)
+ */
+function getWorkStop(job) {
+    return {
+        id: job.id,
+        version: job.version,
+        workStoppedAt: job.workStoppedAt,
+        workStopReason: job.workStopReason
+    };
+}
+
+/**
+ * An incident as returned after a change, with the job's work stop state
+ */
+async function findIncidentResponse(prisma, jobId, incidentId) {
+    const [incident, job] = await Promise.all([
+        findIncident(prisma, jobId, incidentId),
+        prisma.job.findUnique({
+            where: { id: jobId },
+            select: { id: true, version: true, workStoppedAt: true, workStopReason: true }
+        })
+    ]);
+    
+    return { ...ims.describeIncident(incident), job: getWorkStop(job) };
+}
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Job Lookups
+ * Loaders shared by the job routers (jobs.js and the feature routers in this
+ * directory). Jobs are only found in the request's organisation.
+ */
+
+/**
+ * Find a job the current user may read (any job in their organisation)
+ */
+function findReadableJob(req) {
+    return req.prisma.job.findFirst({
+        where: {
+            id: req.params.id,
+            organizationId: req.organization.id
+        },
+        select: { id: true, jobNumber: true, status: true }
+    });
+}
+
+/**
+ * Load a job with the relations returned by create/update
+ */
+function findJobDetail(prisma, id) {
+    return prisma.job.findUnique({
+        where: { id },
+        include: {
+            vessel: true,
+            crewAssignments: {
+                include: { crewMember: true }
+            },
+            preCleanInspection: {
+                select: { id: true, completedAt: true }
+            },
+            postCleanReport: {
+                select: { id: true, completedAt: true }
+            },
+            sapSamples: true
+        }
+    });
+}
+
+module.exports = {
+    findReadableJob,
+    findJobDetail
+};
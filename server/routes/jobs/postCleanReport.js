@@ -0,0 +1,166 @@
+/**
+ * Post-Clean Report API Routes
+ * The report of a completed clean and its generated document
+ * Mounted by jobs.js at /api/jobs/:id/post-clean-report, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const concurrency = require('../../services/concurrency');
+const postClean = require('../../services/postCleanReport');
+const { findReadableJob } = require('./lookup');
+
+// ============================================
+// Post-Clean Report
+// ============================================
+
+/**
+ * GET /api/jobs/:id/post-clean-report
+ * Get the post-clean report with its due date
+ * Before anything is recorded, returns an empty report with the scoped areas.
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findPostCleanJob(req.prisma, readable.id);
+        
+        concurrency.setETag(res, job.postCleanReport);
+        res.json(postClean.describeReport(job, job.postCleanReport));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/jobs/:id/post-clean-report
+ * Create or update the post-clean report (organisation members, once the job is approved)
+ * Body: { actualStartDate, actualEndDate, areas, capturedWasteVolume, filterMicron,
+ *         imsObserved, imsObservations, photos, comments, completed }
+ */
+router.put('/', async (req, res, next) => {
+    try {
+        const owned = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true }
+        });
+        
+        if (!owned) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findPostCleanJob(req.prisma, owned.id);
+        const existing = job.postCleanReport;
+        
+        if (!postClean.isReportable(job)) {
+            return res.status(409).json({
+                error: 'Job not ready',
+                message: `A post-clean report can be recorded once the job is ${postClean.REPORTABLE_STATUSES.join(', ').toLowerCase()} (currently ${job.status}).`
+            });
+        }
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (existing && !concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, existing, expectedVersion);
+        }
+        
+        const data = postClean.normalizeReport(req.body);
+        
+        if (req.body.completed !== undefined) {
+            const merged = { ...existing, ...data };
+            
+            if (req.body.completed && (!merged.actualStartDate || !merged.actualEndDate)) {
+                return res.status(400).json({
+                    error: 'Report incomplete',
+                    message: 'Record the actual start and end dates before completing the report.'
+                });
+            }
+            
+            data.completedAt = req.body.completed ? (existing?.completedAt || new Date()) : null;
+        }
+        
+        data.preparedById = req.user.id;
+        
+        let report;
+        
+        if (existing) {
+            if (!await concurrency.updateIfVersion(req.prisma.postCleanReport, existing, data)) {
+                const current = await findPostCleanJob(req.prisma, job.id);
+                return concurrency.sendConflict(res, current.postCleanReport, expectedVersion);
+            }
+            
+            report = (await findPostCleanJob(req.prisma, job.id)).postCleanReport;
+        } else {
+            report = await req.prisma.postCleanReport.create({
+                data: {
+                    areas: postClean.getDefaultAreas(job),
+                    ...data,
+                    jobId: job.id
+                },
+                include: { preparedBy: { select: { id: true, name: true, email: true } } }
+            });
+        }
+        
+        concurrency.setETag(res, report);
+        res.status(existing ? 200 : 201).json(postClean.describeReport(job, report));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/post-clean-report/generate
+ * Render the post-clean report and save it as a new POST_CLEAN document version
+ */
+router.post('/generate', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findPostCleanJob(req.prisma, readable.id);
+        
+        if (!job.postCleanReport) {
+            return res.status(404).json({ error: 'Post-clean report not found' });
+        }
+        
+        const document = await postClean.generateReport(req.prisma, job, job.postCleanReport, req.user);
+        
+        res.status(201).json(document);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Load a job with its vessel, crew and post-clean report
+ */
+function findPostCleanJob(prisma, id) {
+    return prisma.job.findUnique({
+        where: { id },
+        include: {
+            vessel: true,
+            crewAssignments: {
+                include: { crewMember: true }
+            },
+            postCleanReport: {
+                include: { preparedBy: { select: { id: true, name: true, email: true } } }
+            }
+        }
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,216 @@
+/**
+ * Pre-Clean Inspection API Routes
+ * The hull inspection recorded before a clean, whose zone findings update
+ * the job's fouling assessment
+ * Mounted by jobs.js at /api/jobs/:id/pre-clean-inspection, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const concurrency = require('../../services/concurrency');
+const revisions = require('../../services/jobRevisions');
+const jobQuery = require('../../services/jobQuery');
+const preClean = require('../../services/preCleanInspection');
+const { HttpError } = require('../../services/httpError');
+const { findReadableJob, findJobDetail } = require('./lookup');
+
+// ============================================
+// Pre-Clean Inspection
+// ============================================
+
+/**
+ * GET /api/jobs/:id/pre-clean-inspection
+ * Get the pre-clean inspection with its inspection window
+ * Before anything is recorded, returns an empty inspection with every hull zone.
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findPreCleanJob(req.prisma, readable.id);
+        
+        concurrency.setETag(res, job.preCleanInspection);
+        res.json(preClean.describeInspection(job, job.preCleanInspection));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/jobs/:id/pre-clean-inspection
+ * Create or update the pre-clean inspection (organisation members, while the job is a draft)
+ * Body: { inspectedAt, inspectorName, inspectorOrganisation, zones, afcCondition,
+ *         afcObservations, imsSuspected, imsObservations, photos, comments, completed }
+ * Once completed, the worst zone fouling rating and cover are written to the job
+ * (returned in appliedToJob with the job's new version).
+ */
+router.put('/', async (req, res, next) => {
+    try {
+        const owned = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true }
+        });
+        
+        if (!owned) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findPreCleanJob(req.prisma, owned.id);
+        const existing = job.preCleanInspection;
+        
+        if (!preClean.isInspectable(job)) {
+            return res.status(409).json({
+                error: 'Job not inspectable',
+                message: `A pre-clean inspection is recorded before the job is submitted for sign-off, while it is ${preClean.INSPECTABLE_STATUSES.join(', ').toLowerCase()} (currently ${job.status}).`
+            });
+        }
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (existing && !concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, existing, expectedVersion);
+        }
+        
+        const data = preClean.normalizeInspection(req.body);
+        
+        if (req.body.completed !== undefined) {
+            const reasons = req.body.completed
+                ? preClean.getIncompleteReasons({ zones: preClean.getDefaultZones(), ...existing, ...data })
+                : [];
+            
+            if (reasons.length) {
+                return res.status(400).json({
+                    error: 'Inspection incomplete',
+                    message: reasons.join(' ')
+                });
+            }
+            
+            data.completedAt = req.body.completed ? (existing?.completedAt || new Date()) : null;
+        }
+        
+        data.preparedById = req.user.id;
+        
+        let inspection;
+        
+        if (existing) {
+            if (!await concurrency.updateIfVersion(req.prisma.preCleanInspection, existing, data)) {
+                const current = await findPreCleanJob(req.prisma, job.id);
+                return concurrency.sendConflict(res, current.preCleanInspection, expectedVersion);
+            }
+            
+            inspection = (await findPreCleanJob(req.prisma, job.id)).preCleanInspection;
+        } else {
+            inspection = await req.prisma.preCleanInspection.create({
+                data: {
+                    zones: preClean.getDefaultZones(),
+                    ...data,
+                    jobId: job.id
+                },
+                include: { preparedBy: { select: { id: true, name: true, email: true } } }
+            });
+        }
+        
+        const appliedToJob = inspection.completedAt
+            ? await applyInspectionRatings(req.prisma, job, inspection, req.user)
+            : null;
+        
+        concurrency.setETag(res, inspection);
+        res.status(existing ? 200 : 201).json({
+            ...preClean.describeInspection(job, inspection),
+            appliedToJob
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/pre-clean-inspection/generate
+ * Render the pre-clean inspection report and save it as a new PRE_CLEAN document version
+ */
+router.post('/generate', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findPreCleanJob(req.prisma, readable.id);
+        
+        if (!job.preCleanInspection) {
+            return res.status(404).json({ error: 'Pre-clean inspection not found' });
+        }
+        
+        const document = await preClean.generateReport(req.prisma, job, job.preCleanInspection, req.user);
+        
+        res.status(201).json(document);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Load a job with its vessel, crew and pre-clean inspection
+ */
+function findPreCleanJob(prisma, id) {
+    return prisma.job.findUnique({
+        where: { id },
+        include: {
+            vessel: true,
+            crewAssignments: {
+                include: { crewMember: true }
+            },
+            preCleanInspection: {
+                include: { preparedBy: { select: { id: true, name: true, email: true } } }
+            }
+        }
+    });
+}
+
+/**
+ * Replace a job's preliminary fouling assessment with a completed inspection's
+ * worst zone rating and cover, and re-derive its risk level
+ * @returns {Promise<Object|null>} - Updated job fields, or null if nothing changed
+ * @throws {HttpError} - 409 if the job was changed since it was loaded
+ */
+async function applyInspectionRatings(prisma, job, inspection, user) {
+    const summary = preClean.summarizeZones(inspection.zones);
+    if (!summary) return null;
+    
+    const data = { foulingRating: summary.foulingRating };
+    if (summary.foulingCover !== null) data.foulingCover = summary.foulingCover;
+    
+    if (Object.entries(data).every(([field, value]) => job[field] === value)) {
+        return null;
+    }
+    
+    data.riskLevel = jobQuery.getRiskLevel({ ...job, ...data });
+    
+    if (!await concurrency.updateIfVersion(prisma.job, job, data)) {
+        throw new HttpError('The job was changed while the inspection was saved, so its fouling rating was not updated. Reload and save the inspection again.', 409);
+    }
+    
+    const updated = await findJobDetail(prisma, job.id);
+    await revisions.recordRevision(prisma, updated, user, 'inspection');
+    
+    return {
+        id: updated.id,
+        version: updated.version,
+        foulingRating: updated.foulingRating,
+        foulingCover: updated.foulingCover,
+        riskLevel: updated.riskLevel
+    };
+}
+
+module.exports = router;
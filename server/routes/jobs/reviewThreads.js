@@ -0,0 +1,139 @@
+/**
+ * Job Review Thread API Routes
+ * Comment threads a reviewer opens on a job pending approval, and the
+ * replies that resolve them
+ * Mounted by jobs.js at /api/jobs/:id/review-threads, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { requireReviewer } = require('../../middleware/auth');
+const reviewThreads = require('../../services/reviewThreads');
+const { findReadableJob } = require('./lookup');
+
+// ============================================
+// Review Comments
+// ============================================
+
+/**
+ * GET /api/jobs/:id/review-threads
+ * Review comment threads on a job, oldest first
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const threads = await reviewThreads.listThreads(req.prisma, job.id);
+        
+        res.json({
+            job,
+            threads,
+            open: threads.filter(thread => !thread.resolved).length
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/review-threads
+ * Open a comment thread on a job pending approval (organisation reviewers only)
+ * Body: { anchorType: 'FORM_SECTION' | 'DOCUMENT_SECTION', anchor, documentId, body }
+ */
+router.post('/', requireReviewer, async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const thread = await reviewThreads.openThread(req.prisma, job, req.user, req.body);
+        
+        res.status(201).json(thread);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/review-threads/:threadId/comments
+ * Reply to a thread (organisation members); a reply reopens a resolved thread
+ * Body: { body }
+ */
+router.post('/:threadId/comments', async (req, res, next) => {
+    try {
+        const thread = await findReviewThread(req);
+        
+        if (!thread) {
+            return res.status(404).json({ error: 'Review thread not found' });
+        }
+        
+        res.status(201).json(await reviewThreads.reply(req.prisma, thread, req.user, req.body.body));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/review-threads/:threadId/resolve
+ * Mark a thread resolved (organisation members)
+ */
+router.post('/:threadId/resolve', async (req, res, next) => {
+    try {
+        const thread = await findReviewThread(req);
+        
+        if (!thread) {
+            return res.status(404).json({ error: 'Review thread not found' });
+        }
+        
+        res.json(await reviewThreads.setResolved(req.prisma, thread, req.user, true));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/review-threads/:threadId/reopen
+ * Reopen a resolved thread (organisation reviewers only)
+ */
+router.post('/:threadId/reopen', requireReviewer, async (req, res, next) => {
+    try {
+        const thread = await findReviewThread(req);
+        
+        if (!thread) {
+            return res.status(404).json({ error: 'Review thread not found' });
+        }
+        
+        res.json(await reviewThreads.setResolved(req.prisma, thread, req.user, false));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Find a review thread on a job the current user may read
+ */
+async function findReviewThread(req) {
+    const job = await findReadableJob(req);
+    if (!job) return null;
+    
+    return req.prisma.reviewThread.findFirst({
+        where: { id: req.params.threadId, jobId: job.id }
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * Job Revision API Routes
+ * The revisions recorded on every save of a job, and field-level diffs between them
+ * Mounted by jobs.js at /api/jobs/:id/revisions, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const revisions = require('../../services/jobRevisions');
+const { findReadableJob } = require('./lookup');
+
+// ============================================
+// Revision History
+// ============================================
+
+/**
+ * GET /api/jobs/:id/revisions
+ * List revisions for a job (newest first, without snapshot data)
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const list = await req.prisma.jobRevision.findMany({
+            where: { jobId: job.id },
+            select: {
+                id: true,
+                revisionNumber: true,
+                source: true,
+                createdAt: true,
+                user: {
+                    select: { id: true, name: true, email: true }
+                }
+            },
+            orderBy: { revisionNumber: 'desc' }
+        });
+        
+        res.json({ jobId: job.id, jobNumber: job.jobNumber, revisions: list });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs/:id/revisions/diff?from=1&to=3
+ * Field-by-field comparison of two revisions
+ * Defaults: to = latest, from = revision before `to`
+ */
+router.get('/diff', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        let to = parseInt(req.query.to);
+        if (!to) {
+            const latest = await req.prisma.jobRevision.findFirst({
+                where: { jobId: job.id },
+                orderBy: { revisionNumber: 'desc' },
+                select: { revisionNumber: true }
+            });
+            to = latest?.revisionNumber;
+        }
+        const from = parseInt(req.query.from) || (to ? to - 1 : undefined);
+        
+        if (!from || !to) {
+            return res.status(400).json({ error: 'At least two revisions are required to compare' });
+        }
+        
+        const [before, after] = await Promise.all([
+            req.prisma.jobRevision.findUnique({
+                where: { jobId_revisionNumber: { jobId: job.id, revisionNumber: from } },
+                include: { user: { select: { id: true, name: true, email: true } } }
+            }),
+            req.prisma.jobRevision.findUnique({
+                where: { jobId_revisionNumber: { jobId: job.id, revisionNumber: to } },
+                include: { user: { select: { id: true, name: true, email: true } } }
+            })
+        ]);
+        
+        if (!before || !after) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        const { data: beforeData, ...fromMeta } = before;
+        const { data: afterData, ...toMeta } = after;
+        
+        res.json({
+            from: fromMeta,
+            to: toMeta,
+            changes: revisions.diffSnapshots(beforeData, afterData)
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs/:id/revisions/:revisionNumber
+ * Get a single revision including its snapshot
+ */
+router.get('/:revisionNumber', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const revision = await req.prisma.jobRevision.findUnique({
+            where: { 
+                jobId_revisionNumber: { 
+                    jobId: job.id, 
+                    revisionNumber: parseInt(req.params.revisionNumber) || 0 
+                } 
+            },
+            include: { user: { select: { id: true, name: true, email: true } } }
+        });
+        
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        res.json(revision);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
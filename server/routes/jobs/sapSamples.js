@@ -0,0 +1,165 @@
+/**
+ * SAP Sampling API Routes
+ * Water samples taken under a job's sampling and analysis plan, evaluated
+ * against the jurisdiction's thresholds
+ * Mounted by jobs.js at /api/jobs/:id/sap-samples, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const concurrency = require('../../services/concurrency');
+const sap = require('../../services/sapSampling');
+const { findReadableJob } = require('./lookup');
+
+// ============================================
+// SAP Sampling
+// ============================================
+
+/**
+ * GET /api/jobs/:id/sap-samples
+ * List the SAP water samples taken on a job, evaluated against the
+ * jurisdiction's thresholds, with the overall pass/fail status
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findSapJob(req.prisma, readable.id);
+        
+        res.json(sap.describeSamples(job, job.sapSamples));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/sap-samples
+ * Record a SAP water sample (organisation members, once the job is approved)
+ * Results can be left empty until the laboratory reports.
+ * Body: { location, sampledAt, position (UPSTREAM|DOWNSTREAM), dissolvedCopperUgL,
+ *         dissolvedZincUgL, tssMgL, labReference, notes }
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const owned = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true, status: true }
+        });
+        
+        if (!owned) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        if (!sap.isRecordable(owned)) {
+            return res.status(409).json({
+                error: 'Job not ready',
+                message: `Samples can be recorded once the job is ${sap.RECORDABLE_STATUSES.join(', ').toLowerCase()} (currently ${owned.status}).`
+            });
+        }
+        
+        const data = sap.normalizeSample(req.body);
+        
+        const sample = await req.prisma.sapSample.create({
+            data: {
+                ...data,
+                jobId: owned.id,
+                recordedById: req.user.id
+            }
+        });
+        
+        const job = await findSapJob(req.prisma, owned.id);
+        
+        concurrency.setETag(res, sample);
+        res.status(201).json(sap.describeSample(job, sample.id));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/jobs/:id/sap-samples/:sampleId
+ * Update a sample, e.g. with the laboratory results (organisation members)
+ */
+router.put('/:sampleId', async (req, res, next) => {
+    try {
+        const existing = await req.prisma.sapSample.findFirst({
+            where: {
+                id: req.params.sampleId,
+                job: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Sample not found' });
+        }
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (!concurrency.matchesVersion(expectedVersion, existing)) {
+            const job = await findSapJob(req.prisma, existing.jobId);
+            return concurrency.sendConflict(res, sap.describeSample(job, existing.id), expectedVersion);
+        }
+        
+        const data = sap.normalizeSample(req.body, existing);
+        
+        const updated = await concurrency.updateIfVersion(req.prisma.sapSample, existing, data);
+        
+        const job = await findSapJob(req.prisma, existing.jobId);
+        const sample = sap.describeSample(job, existing.id);
+        
+        if (!updated) {
+            return concurrency.sendConflict(res, sample, expectedVersion);
+        }
+        
+        concurrency.setETag(res, sample);
+        res.json(sample);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/jobs/:id/sap-samples/:sampleId
+ * Remove a sample entered in error (organisation members)
+ */
+router.delete('/:sampleId', async (req, res, next) => {
+    try {
+        const result = await req.prisma.sapSample.deleteMany({
+            where: {
+                id: req.params.sampleId,
+                job: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (result.count === 0) {
+            return res.status(404).json({ error: 'Sample not found' });
+        }
+        
+        res.json({ success: true, message: 'Sample deleted' });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Load a job with its SAP samples
+ */
+function findSapJob(prisma, id) {
+    return prisma.job.findUnique({
+        where: { id },
+        select: { id: true, status: true, jurisdiction: true, sapSamples: true }
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,116 @@
+/**
+ * Job Share Link API Routes
+ * Expiring read-only links to a job's documents for clients and regulators
+ * (opened through routes/share.js)
+ * Mounted by jobs.js at /api/jobs/:id/share-links, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const shareLinks = require('../../services/shareLinks');
+const { findReadableJob } = require('./lookup');
+
+// Relations returned with every share link
+const SHARE_LINK_INCLUDE = {
+    documents: { select: { id: true, type: true, version: true, generatedAt: true } },
+    createdBy: { select: { id: true, name: true, email: true } },
+    revokedBy: { select: { id: true, name: true, email: true } },
+    views: { orderBy: { viewedAt: 'desc' }, take: 20 },
+    responses: { orderBy: { createdAt: 'asc' } },
+    _count: { select: { views: true } }
+};
+
+// ============================================
+// Share Links
+// ============================================
+
+/**
+ * GET /api/jobs/:id/share-links
+ * Share links for a job, newest first, with their latest views and the
+ * recipients' responses
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const links = await req.prisma.shareLink.findMany({
+            where: { jobId: job.id },
+            include: SHARE_LINK_INCLUDE,
+            orderBy: { createdAt: 'desc' }
+        });
+        
+        res.json({ shareLinks: links.map(link => shareLinks.describeLink(link)) });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/share-links
+ * Share the latest WMS/SWMS/ERP/WHSMP read-only (organisation members)
+ * Body: { recipientName, recipientEmail, expiresInDays (default 14, max 90), documentTypes }
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const created = await shareLinks.createLink(req.prisma, job, req.user, req.body);
+        const link = await req.prisma.shareLink.findUnique({
+            where: { id: created.id },
+            include: SHARE_LINK_INCLUDE
+        });
+        
+        res.status(201).json(shareLinks.describeLink(link));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/share-links/:linkId/revoke
+ * Revoke a share link so it can no longer be opened (organisation members)
+ */
+router.post('/:linkId/revoke', async (req, res, next) => {
+    try {
+        const job = await findReadableJob(req);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const { count } = await req.prisma.shareLink.updateMany({
+            where: { id: req.params.linkId, jobId: job.id, revokedAt: null },
+            data: { revokedAt: new Date(), revokedById: req.user.id }
+        });
+        
+        const link = await req.prisma.shareLink.findFirst({
+            where: { id: req.params.linkId, jobId: job.id },
+            include: SHARE_LINK_INCLUDE
+        });
+        
+        if (!link) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        
+        if (!count) {
+            return res.status(409).json({ error: 'Share link already revoked' });
+        }
+        
+        res.json(shareLinks.describeLink(link));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
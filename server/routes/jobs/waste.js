@@ -0,0 +1,202 @@
+/**
+ * Waste Tracking API Routes
+ * Waste captured on a job, checked against the capture standard and trade
+ * effluent limits, and the disposal summary
+ * Mounted by jobs.js at /api/jobs/:id/waste, after its authentication.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const concurrency = require('../../services/concurrency');
+const waste = require('../../services/wasteTracking');
+const { findReadableJob } = require('./lookup');
+
+// ============================================
+// Waste Tracking
+// ============================================
+
+/**
+ * GET /api/jobs/:id/waste
+ * List the waste captured on a job, each record checked against the capture
+ * standard and trade effluent limits, with totals
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findWasteJob(req.prisma, readable.id);
+        
+        res.json(waste.describeWaste(job, job.wasteRecords));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/waste
+ * Record captured waste (organisation members, once the job is approved)
+ * The filtration defaults to the jurisdiction's capture standard.
+ * Body: { collectedAt, filterBags, solidsMassKg, effluentVolumeL, filterMicron,
+ *         disposalFacility, manifestNumber, disposedAt, dischargeVolumeL, dischargePoint,
+ *         dischargeApproval, dischargePh, dischargeTssMgL, dischargeCopperMgL,
+ *         dischargeZincMgL, notes }
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const owned = await req.prisma.job.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true }
+        });
+        
+        if (!owned) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findWasteJob(req.prisma, owned.id);
+        
+        if (!waste.isRecordable(job)) {
+            return res.status(409).json({
+                error: 'Job not ready',
+                message: `Waste can be recorded once the job is ${waste.RECORDABLE_STATUSES.join(', ').toLowerCase()} (currently ${job.status}).`
+            });
+        }
+        
+        const requirements = waste.getRequirements(job);
+        const data = waste.normalizeRecord(req.body);
+        
+        const record = await req.prisma.wasteRecord.create({
+            data: {
+                filterMicron: requirements.filterMicron,
+                ...data,
+                jobId: job.id,
+                recordedById: req.user.id
+            }
+        });
+        
+        concurrency.setETag(res, record);
+        res.status(201).json(waste.describeRecord(record, requirements));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/jobs/:id/waste/:recordId
+ * Update a waste record, e.g. with its disposal manifest (organisation members)
+ */
+router.put('/:recordId', async (req, res, next) => {
+    try {
+        const existing = await req.prisma.wasteRecord.findFirst({
+            where: {
+                id: req.params.recordId,
+                job: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Waste record not found' });
+        }
+        
+        const job = await findWasteJob(req.prisma, existing.jobId);
+        const requirements = waste.getRequirements(job);
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (!concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, waste.describeRecord(existing, requirements), expectedVersion);
+        }
+        
+        const data = waste.normalizeRecord(req.body, existing);
+        
+        if (!await concurrency.updateIfVersion(req.prisma.wasteRecord, existing, data)) {
+            const current = await req.prisma.wasteRecord.findUnique({ where: { id: existing.id } });
+            return concurrency.sendConflict(res, waste.describeRecord(current, requirements), expectedVersion);
+        }
+        
+        const record = await req.prisma.wasteRecord.findUnique({ where: { id: existing.id } });
+        
+        concurrency.setETag(res, record);
+        res.json(waste.describeRecord(record, requirements));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/jobs/:id/waste/:recordId
+ * Remove a waste record entered in error (organisation members)
+ */
+router.delete('/:recordId', async (req, res, next) => {
+    try {
+        const result = await req.prisma.wasteRecord.deleteMany({
+            where: {
+                id: req.params.recordId,
+                job: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (result.count === 0) {
+            return res.status(404).json({ error: 'Waste record not found' });
+        }
+        
+        res.json({ success: true, message: 'Waste record deleted' });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/waste/export
+ * Render the disposal summary and save it as a new WASTE_DISPOSAL document version
+ */
+router.post('/export', async (req, res, next) => {
+    try {
+        const readable = await findReadableJob(req);
+        
+        if (!readable) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const job = await findWasteJob(req.prisma, readable.id);
+        
+        if (job.wasteRecords.length === 0) {
+            return res.status(409).json({ error: 'No waste recorded' });
+        }
+        
+        const document = await waste.generateSummary(req.prisma, job, job.wasteRecords, req.user);
+        
+        res.status(201).json(document);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Load a job with its vessel, crew and waste records
+ */
+function findWasteJob(prisma, id) {
+    return prisma.job.findUnique({
+        where: { id },
+        include: {
+            vessel: true,
+            crewAssignments: {
+                include: { crewMember: true }
+            },
+            wasteRecords: true
+        }
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,212 @@
+/**
+ * Organisations API Routes
+ * The organisations a user belongs to, and member management
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, syncUser, syncOrganization } = require('../middleware/auth');
+const organizations = require('../services/organizations');
+
+// All routes require authentication and user sync
+router.use(requireAuth);
+router.use(syncUser);
+
+// ============================================
+// Organisations
+// ============================================
+
+/**
+ * GET /api/organizations
+ * Organisations the current user belongs to, with their role and which one
+ * requests work in (X-Organization-Id, or the first). An X-Organization-Id
+ * the user no longer belongs to is ignored here so clients can recover.
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        // Creates the personal organisation for a user without one
+        await organizations.resolveMembership(req.prisma, req.user);
+        
+        const memberships = await req.prisma.organizationMembership.findMany({
+            where: { userId: req.user.id },
+            include: { organization: true },
+            orderBy: { createdAt: 'asc' }
+        });
+        const requested = req.get(organizations.ORGANIZATION_HEADER);
+        const current = memberships.find(membership => membership.organizationId === requested) || memberships[0];
+        
+        res.json(memberships.map(membership => ({
+            ...organizations.describeOrganization(membership),
+            current: membership.id === current.id
+        })));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/organizations
+ * Create an organisation (the current user becomes its owner)
+ * Body: { name }
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const name = req.body.name?.trim();
+        
+        if (!name) {
+            return res.status(400).json({ error: 'Organisation name is required' });
+        }
+        
+        const membership = await req.prisma.organizationMembership.create({
+            data: {
+                role: 'OWNER',
+                user: { connect: { id: req.user.id } },
+                organization: { create: { name } }
+            },
+            include: { organization: true }
+        });
+        
+        res.status(201).json(organizations.describeOrganization(membership));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Current Organisation
+// ============================================
+
+/**
+ * GET /api/organizations/current
+ * The organisation requests work in, with its members
+ */
+router.get('/current', syncOrganization, async (req, res, next) => {
+    try {
+        const members = await req.prisma.organizationMembership.findMany({
+            where: { organizationId: req.organization.id },
+            include: { user: { select: organizations.MEMBER_USER_SELECT } },
+            orderBy: { createdAt: 'asc' }
+        });
+        
+        res.json({
+            ...organizations.describeOrganization(req.membership),
+            members
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/organizations/current
+ * Rename the current organisation (owners and admins)
+ * Body: { name }
+ */
+router.put('/current', syncOrganization, async (req, res, next) => {
+    try {
+        if (!organizations.canManage(req.membership)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only organisation owners and admins can change the organisation'
+            });
+        }
+        
+        const name = req.body.name?.trim();
+        
+        if (!name) {
+            return res.status(400).json({ error: 'Organisation name is required' });
+        }
+        
+        const organization = await req.prisma.organization.update({
+            where: { id: req.organization.id },
+            data: { name }
+        });
+        
+        res.json(organizations.describeOrganization({ ...req.membership, organization }));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Members
+// ============================================
+
+/**
+ * POST /api/organizations/current/members
+ * Add a user who has signed in before (owners and admins; only owners add owners)
+ * Body: { email, role: OWNER | ADMIN | MEMBER (default) }
+ */
+router.post('/current/members', syncOrganization, async (req, res, next) => {
+    try {
+        const member = await organizations.addMember(req.prisma, req.membership, req.body);
+        
+        res.status(201).json(member);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/organizations/current/members/:membershipId
+ * Change a member's role (owners and admins; only owners change owners)
+ * Body: { role }
+ */
+router.put('/current/members/:membershipId', syncOrganization, async (req, res, next) => {
+    try {
+        const membership = await findMembership(req);
+        
+        if (!membership) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        
+        const member = await organizations.changeRole(req.prisma, req.membership, membership, req.body.role);
+        
+        res.json(member);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/organizations/current/members/:membershipId
+ * Remove a member (owners and admins), or leave the organisation (own membership)
+ * The jobs, crew and vessels they created stay with the organisation.
+ */
+router.delete('/current/members/:membershipId', syncOrganization, async (req, res, next) => {
+    try {
+        const membership = await findMembership(req);
+        
+        if (!membership) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        
+        await organizations.removeMember(req.prisma, req.membership, membership);
+        
+        res.json({ success: true, message: 'Member removed' });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Find a membership of the current organisation
+ */
+function findMembership(req) {
+    return req.prisma.organizationMembership.findFirst({
+        where: { id: req.params.membershipId, organizationId: req.organization.id }
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,52 @@
+/**
+ * Review API Routes
+ * The supervisor review queue: jobs in the organisation awaiting sign-off
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, syncUser, syncOrganization, requireReviewer } = require('../middleware/auth');
+const jobQuery = require('../services/jobQuery');
+const reviewThreads = require('../services/reviewThreads');
+
+// All review routes require a reviewer in the organisation (OWNER, ADMIN or
+// SUPERVISOR membership) and work on its jobs
+router.use(requireAuth);
+router.use(syncUser);
+router.use(syncOrganization);
+router.use(requireReviewer);
+
+// ============================================
+// Review Queue
+// ============================================
+
+/**
+ * GET /api/review/queue
+ * Jobs pending approval in the current organisation, longest waiting first,
+ * with the number of open review comments on each
+ */
+router.get('/queue', async (req, res, next) => {
+    try {
+        const jobs = await req.prisma.job.findMany({
+            where: { organizationId: req.organization.id, status: 'PENDING_APPROVAL' },
+            select: jobQuery.SUMMARY_SELECT,
+            orderBy: [{ submittedAt: 'asc' }, { createdAt: 'asc' }]
+        });
+        
+        const openThreads = await reviewThreads.countOpenThreads(req.prisma, jobs.map(job => job.id));
+        
+        res.json({
+            jobs: jobs.map(job => ({
+                ...job,
+                openThreads: openThreads[job.id] || 0,
+                ownJob: job.user?.id === req.user.id
+            })),
+            total: jobs.length
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+/**
+ * Share API Routes
+ * Read-only access to a job's shared documents for clients and regulators
+ * (server/services/shareLinks.js). The signed token in the URL is the
+ * credential, so these routes need no sign-in; every view is recorded.
+ */
+
+const express = require('express');
+const router = express.Router();
+const shareLinks = require('../services/shareLinks');
+
+// Shared pages must not be cached by browsers or proxies once revoked
+router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+// ============================================
+// Shared Package
+// ============================================
+
+/**
+ * GET /api/share/:token
+ * The shared job summary, its documents (without content) and any responses
+ */
+router.get('/:token', async (req, res, next) => {
+    try {
+        const link = await shareLinks.findByToken(req.prisma, req.params.token);
+        
+        await shareLinks.recordView(req.prisma, link, req);
+        
+        res.json(shareLinks.describeShared(link));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/share/:token/documents/:type
+ * A shared document including its content
+ */
+router.get('/:token/documents/:type', async (req, res, next) => {
+    try {
+        const link = await shareLinks.findByToken(req.prisma, req.params.token);
+        const shared = link.documents.find(doc => doc.type === req.params.type.toUpperCase());
+        
+        if (!shared) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        
+        const document = await req.prisma.document.findUnique({
+            where: { id: shared.id },
+            select: { id: true, type: true, version: true, generatedAt: true, filename: true, content: true }
+        });
+        
+        await shareLinks.recordView(req.prisma, link, req, document.type);
+        
+        res.json(document);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/share/:token/responses
+ * Acknowledge receipt, or approve with conditions
+ * Body: { type: 'ACKNOWLEDGED' | 'APPROVED_WITH_CONDITIONS', name, organization, conditions }
+ */
+router.post('/:token/responses', async (req, res, next) => {
+    try {
+        const link = await shareLinks.findByToken(req.prisma, req.params.token);
+        const data = shareLinks.normalizeResponse(req.body);
+        
+        const response = await req.prisma.shareLinkResponse.create({
+            data: { ...data, shareLinkId: link.id, ipAddress: req.ip || null },
+            select: { id: true, type: true, name: true, organization: true, conditions: true, createdAt: true }
+        });
+        
+        res.status(201).json(response);
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
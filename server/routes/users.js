@@ -5,7 +5,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth, syncUser, requireRole } = require('../middleware/auth');
+const { requireAuth, syncUser, syncOrganization, requireRole } = require('../middleware/auth');
+const organizations = require('../services/organizations');
 
 // All routes require authentication and user sync
 router.use(requireAuth);
@@ -156,34 +157,46 @@ router.put('/settings', async (req, res, next) => {
 
 /**
  * GET /api/users/dashboard
- * Get dashboard statistics for current user
+ * Get dashboard statistics for the current user's organisation
  */
-router.get('/dashboard', async (req, res, next) => {
+router.get('/dashboard', syncOrganization, async (req, res, next) => {
     try {
-        const userId = req.user.id;
+        const organizationId = req.organization.id;
         
         // Get job counts by status
         const jobStats = await req.prisma.job.groupBy({
             by: ['status'],
-            where: { userId },
+            where: { organizationId },
             _count: true
         });
         
         // Get recent jobs
         const recentJobs = await req.prisma.job.findMany({
-            where: { userId },
+            where: { organizationId },
             orderBy: { updatedAt: 'desc' },
             take: 5,
             include: {
                 vessel: {
                     select: { vesselName: true }
+                },
+                user: {
+                    select: { id: true, name: true, email: true }
                 }
             }
         });
         
         // Get crew count
         const crewCount = await req.prisma.crewMember.count({
-            where: { userId, isActive: true }
+            where: { organizationId, isActive: true }
+        });
+        
+        // Get vessel and member counts
+        const vesselCount = await req.prisma.vessel.count({
+            where: { organizationId }
+        });
+        
+        const memberCount = await req.prisma.organizationMembership.count({
+            where: { organizationId }
         });
         
         // Get expiring certifications count
@@ -192,7 +205,7 @@ router.get('/dashboard', async (req, res, next) => {
         
         const expiringCerts = await req.prisma.crewMember.count({
             where: {
-                userId,
+                organizationId,
                 isActive: true,
                 OR: [
                     { adasCertExpiry: { lte: thirtyDaysFromNow } },
@@ -217,11 +230,14 @@ router.get('/dashboard', async (req, res, next) => {
         });
         
         res.json({
+            organization: organizations.describeOrganization(req.membership),
             jobs: statusCounts,
             totalJobs: Object.values(statusCounts).reduce((a, b) => a + b, 0),
             activeJobs: statusCounts.APPROVED + statusCounts.IN_PROGRESS,
             recentJobs,
             crewCount,
+            vesselCount,
+            memberCount,
             expiringCerts
         });
         
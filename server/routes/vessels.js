@@ -5,10 +5,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth, syncUser, optionalAuth } = require('../middleware/auth');
+const { requireAuth, syncUser, syncOrganization, optionalAuth } = require('../middleware/auth');
+const concurrency = require('../services/concurrency');
+const attachments = require('../services/attachments');
+const organizations = require('../services/organizations');
 
-// Apply syncUser to all routes that need user data
-const authAndSync = [requireAuth, syncUser];
+// Routes need the user and the organisation they work in (vessels belong to organisations)
+const authAndSync = [requireAuth, syncUser, syncOrganization];
 
 // ============================================
 // List & Search Vessels
@@ -16,18 +19,13 @@ const authAndSync = [requireAuth, syncUser];
 
 /**
  * GET /api/vessels
- * List vessels (user's saved vessels)
+ * List vessels (the organisation's saved vessels and shared vessels)
  */
-router.get('/', requireAuth, async (req, res, next) => {
+router.get('/', authAndSync, async (req, res, next) => {
     try {
         const { search, limit = 50 } = req.query;
         
-        const where = {
-            OR: [
-                { userId: req.user.id },
-                { userId: null } // Shared vessels
-            ]
-        };
+        const where = organizations.vesselAccess(req.organization.id);
         
         if (search) {
             where.AND = {
@@ -56,18 +54,17 @@ router.get('/', requireAuth, async (req, res, next) => {
  * GET /api/vessels/:id
  * Get single vessel by ID
  */
-router.get('/:id', requireAuth, async (req, res, next) => {
+router.get('/:id', authAndSync, async (req, res, next) => {
     try {
         const vessel = await req.prisma.vessel.findFirst({
             where: {
                 id: req.params.id,
-                OR: [
-                    { userId: req.user.id },
-                    { userId: null }
-                ]
+                ...organizations.vesselAccess(req.organization.id)
             },
             include: {
+                // Shared vessels are linked to other organisations' jobs too
                 jobs: {
+                    where: { organizationId: req.organization.id },
                     select: {
                         id: true,
                         jobNumber: true,
@@ -85,6 +82,7 @@ router.get('/:id', requireAuth, async (req, res, next) => {
             return res.status(404).json({ error: 'Vessel not found' });
         }
         
+        concurrency.setETag(res, vessel);
         res.json(vessel);
         
     } catch (error) {
@@ -96,12 +94,17 @@ router.get('/:id', requireAuth, async (req, res, next) => {
  * GET /api/vessels/imo/:imo
  * Get vessel by IMO number
  */
-router.get('/imo/:imo', requireAuth, async (req, res, next) => {
+router.get('/imo/:imo', authAndSync, async (req, res, next) => {
     try {
-        const vessel = await req.prisma.vessel.findUnique({
-            where: { imoNumber: req.params.imo },
+        const vessel = await req.prisma.vessel.findFirst({
+            where: {
+                imoNumber: req.params.imo,
+                ...organizations.vesselAccess(req.organization.id)
+            },
             include: {
+                // Shared vessels are linked to other organisations' jobs too
                 jobs: {
+                    where: { organizationId: req.organization.id },
                     select: {
                         id: true,
                         jobNumber: true,
@@ -131,9 +134,10 @@ router.get('/imo/:imo', requireAuth, async (req, res, next) => {
 
 /**
  * POST /api/vessels
- * Create or update a vessel (upsert by IMO)
+ * Create or update a vessel (upsert by IMO within the organisation)
+ * Updating an existing vessel checks If-Match / version like PUT /:id.
  */
-router.post('/', requireAuth, async (req, res, next) => {
+router.post('/', authAndSync, async (req, res, next) => {
     try {
         const {
             imoNumber,
@@ -164,7 +168,7 @@ router.post('/', requireAuth, async (req, res, next) => {
         }
         
         const data = {
-            userId: req.user.id,
+            organizationId: req.organization.id,
             vesselName: vesselName.trim(),
             imoNumber: imoNumber?.trim() || null,
             mmsi: mmsi?.trim() || null,
@@ -191,17 +195,42 @@ router.post('/', requireAuth, async (req, res, next) => {
         
         let vessel;
         
-        // If IMO provided, try to upsert
+        // If IMO provided, update the organisation's vessel with that number or create it
         if (imoNumber) {
-            vessel = await req.prisma.vessel.upsert({
-                where: { imoNumber: imoNumber.trim() },
-                update: data,
-                create: data
+            const existing = await req.prisma.vessel.findUnique({
+                where: { imoNumber: imoNumber.trim() }
             });
+            
+            // IMO numbers are unique, so another organisation's vessel cannot be taken over,
+            // and shared vessels are not changed by any one organisation
+            if (existing && existing.organizationId !== req.organization.id) {
+                return res.status(409).json({
+                    error: 'Vessel already registered',
+                    message: organizations.canAccessVessel(req.organization.id, existing)
+                        ? `IMO ${imoNumber.trim()} is a shared vessel and cannot be changed`
+                        : `IMO ${imoNumber.trim()} is registered to another organisation`
+                });
+            }
+            
+            if (existing) {
+                const expectedVersion = concurrency.getExpectedVersion(req);
+                
+                if (!concurrency.matchesVersion(expectedVersion, existing) ||
+                    !await concurrency.updateIfVersion(req.prisma.vessel, existing, data)) {
+                    return concurrency.sendConflict(
+                        res, await req.prisma.vessel.findUnique({ where: { id: existing.id } }), expectedVersion
+                    );
+                }
+                
+                vessel = await req.prisma.vessel.findUnique({ where: { id: existing.id } });
+            } else {
+                vessel = await req.prisma.vessel.create({ data: { ...data, userId: req.user.id } });
+            }
         } else {
-            vessel = await req.prisma.vessel.create({ data });
+            vessel = await req.prisma.vessel.create({ data: { ...data, userId: req.user.id } });
         }
         
+        concurrency.setETag(res, vessel);
         res.status(201).json(vessel);
         
     } catch (error) {
@@ -211,26 +240,25 @@ router.post('/', requireAuth, async (req, res, next) => {
 
 /**
  * PUT /api/vessels/:id
- * Update a vessel
+ * Update one of the organisation's vessels (shared vessels are read-only)
  */
-router.put('/:id', requireAuth, async (req, res, next) => {
+router.put('/:id', authAndSync, async (req, res, next) => {
     try {
-        // Check ownership
         const existing = await req.prisma.vessel.findFirst({
-            where: {
-                id: req.params.id,
-                OR: [
-                    { userId: req.user.id },
-                    { userId: null }
-                ]
-            }
+            where: { id: req.params.id, organizationId: req.organization.id }
         });
         
         if (!existing) {
-            return res.status(404).json({ error: 'Vessel not found' });
+            return res.status(404).json({ error: 'Vessel not found or not owned by your organisation' });
+        }
+        
+        const expectedVersion = concurrency.getExpectedVersion(req);
+        if (!concurrency.matchesVersion(expectedVersion, existing)) {
+            return concurrency.sendConflict(res, existing, expectedVersion);
         }
         
-        const data = { ...req.body };
+        // Ownership and the creator cannot be changed here
+        const { version, organizationId, userId, ...data } = req.body;
         
         // Parse dates
         const dateFields = ['afcAppliedDate', 'afcExpiryDate', 'lastCleaningDate'];
@@ -248,11 +276,17 @@ router.put('/:id', requireAuth, async (req, res, next) => {
             }
         });
         
-        const vessel = await req.prisma.vessel.update({
-            where: { id: req.params.id },
-            data
+        const updated = await concurrency.updateIfVersion(req.prisma.vessel, existing, data);
+        
+        const vessel = await req.prisma.vessel.findUnique({
+            where: { id: existing.id }
         });
         
+        if (!updated) {
+            return concurrency.sendConflict(res, vessel, expectedVersion);
+        }
+        
+        concurrency.setETag(res, vessel);
         res.json(vessel);
         
     } catch (error) {
@@ -262,18 +296,42 @@ router.put('/:id', requireAuth, async (req, res, next) => {
 
 /**
  * DELETE /api/vessels/:id
- * Delete a vessel (only if owned by user)
+ * Delete one of the organisation's vessels (its creator, or an organisation owner/admin)
  */
-router.delete('/:id', requireAuth, async (req, res, next) => {
+router.delete('/:id', authAndSync, async (req, res, next) => {
     try {
+        const vessel = await req.prisma.vessel.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true, userId: true }
+        });
+        
+        if (!vessel) {
+            return res.status(404).json({ error: 'Vessel not found or not owned by your organisation' });
+        }
+        
+        if (!organizations.canDelete(req.membership, vessel)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the person who added this vessel or an organisation owner/admin can delete it'
+            });
+        }
+        
+        // Attachment records go with the vessel; their stored files are removed after
+        const files = await req.prisma.attachment.findMany({
+            where: { vesselId: vessel.id },
+            select: attachments.FILE_KEYS
+        });
+        
         const result = await req.prisma.vessel.deleteMany({
-            where: { id: req.params.id, userId: req.user.id }
+            where: { id: vessel.id }
         });
         
         if (result.count === 0) {
-            return res.status(404).json({ error: 'Vessel not found or not owned by you' });
+            return res.status(404).json({ error: 'Vessel not found or not owned by your organisation' });
         }
         
+        await attachments.removeFiles(files);
+        
         res.json({ success: true, message: 'Vessel deleted' });
         
     } catch (error) {
@@ -281,6 +339,99 @@ router.delete('/:id', requireAuth, async (req, res, next) => {
     }
 });
 
+// ============================================
+// Attachments
+// ============================================
+
+/**
+ * GET /api/vessels/:id/attachments
+ * List files attached to a vessel (newest first) with signed download URLs
+ * Query: ?category=AFS_CERTIFICATE to filter
+ */
+router.get('/:id/attachments', authAndSync, async (req, res, next) => {
+    try {
+        const vessel = await req.prisma.vessel.findFirst({
+            where: {
+                id: req.params.id,
+                ...organizations.vesselAccess(req.organization.id)
+            },
+            select: { id: true }
+        });
+        
+        if (!vessel) {
+            return res.status(404).json({ error: 'Vessel not found' });
+        }
+        
+        const list = await req.prisma.attachment.findMany({
+            where: {
+                vesselId: vessel.id,
+                ...(req.query.category && { category: attachments.parseCategory('vessel', req.query.category) })
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+        
+        res.json(await attachments.describeAttachments(list));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/vessels/:id/attachments
+ * Upload files to one of the organisation's vessels
+ * multipart/form-data: files (one or more), category (PHOTO, AFS_CERTIFICATE,
+ * GA_DRAWING, OTHER), caption
+ */
+router.post('/:id/attachments', authAndSync, async (req, res, next) => {
+    try {
+        const vessel = await req.prisma.vessel.findFirst({
+            where: { id: req.params.id, organizationId: req.organization.id },
+            select: { id: true }
+        });
+        
+        if (!vessel) {
+            return res.status(404).json({ error: 'Vessel not found or not owned by your organisation' });
+        }
+        
+        const files = await attachments.receiveFiles(req, res);
+        const fields = attachments.normalizeFields('vessel', req.body);
+        const created = await attachments.storeAttachments(req.prisma, 'vessel', vessel.id, files, fields, req.user);
+        
+        res.status(201).json(await attachments.describeAttachments(created));
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/vessels/:id/attachments/:attachmentId
+ * Delete an attachment and its stored files (only on the organisation's vessels)
+ */
+router.delete('/:id/attachments/:attachmentId', authAndSync, async (req, res, next) => {
+    try {
+        const attachment = await req.prisma.attachment.findFirst({
+            where: {
+                id: req.params.attachmentId,
+                vessel: { id: req.params.id, organizationId: req.organization.id }
+            }
+        });
+        
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+        
+        await req.prisma.attachment.delete({ where: { id: attachment.id } });
+        await attachments.removeFiles([attachment]);
+        
+        res.json({ success: true, message: 'Attachment deleted' });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ============================================
 // External API Integration
 // ============================================
@@ -289,7 +440,7 @@ router.delete('/:id', requireAuth, async (req, res, next) => {
  * POST /api/vessels/lookup
  * Look up vessel from external API and optionally save
  */
-router.post('/lookup', requireAuth, async (req, res, next) => {
+router.post('/lookup', authAndSync, async (req, res, next) => {
     try {
         const { imoNumber, mmsi, vesselName, saveToDatabase } = req.body;
         
@@ -299,15 +450,16 @@ router.post('/lookup', requireAuth, async (req, res, next) => {
         let vessel = null;
         
         if (imoNumber) {
-            vessel = await req.prisma.vessel.findUnique({
-                where: { imoNumber }
+            vessel = await req.prisma.vessel.findFirst({
+                where: { imoNumber, ...organizations.vesselAccess(req.organization.id) }
             });
         }
         
         if (!vessel && vesselName) {
             vessel = await req.prisma.vessel.findFirst({
                 where: {
-                    vesselName: { contains: vesselName, mode: 'insensitive' }
+                    vesselName: { contains: vesselName, mode: 'insensitive' },
+                    ...organizations.vesselAccess(req.organization.id)
                 }
             });
         }
@@ -0,0 +1,289 @@
+/**
+ * Attachments
+ * Files uploaded against a job, vessel or crew member (AFS certificates,
+ * photos, GA drawings, medical certificates) as multipart/form-data instead
+ * of base64 strings in JSON bodies.
+ *
+ * Files are kept in the configured file storage (fileStorage.js), images get
+ * a JPEG thumbnail, and clients download through short-lived signed URLs
+ * rather than through the API.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const fileStorage = require('./fileStorage');
+const { HttpError } = require('./httpError');
+
+// Owners an attachment can belong to: the Attachment column, the storage key
+// prefix and the categories that make sense for it
+const OWNERS = {
+    job: {
+        field: 'jobId',
+        prefix: 'jobs',
+        categories: ['PHOTO', 'AFS_CERTIFICATE', 'GA_DRAWING', 'OTHER']
+    },
+    vessel: {
+        field: 'vesselId',
+        prefix: 'vessels',
+        categories: ['PHOTO', 'AFS_CERTIFICATE', 'GA_DRAWING', 'OTHER']
+    },
+    crew: {
+        field: 'crewMemberId',
+        prefix: 'crew',
+        categories: ['MEDICAL_CERTIFICATE', 'DIVE_CERTIFICATE', 'PHOTO', 'OTHER']
+    }
+};
+
+// Accepted uploads. Nothing a browser would run (HTML, SVG) is accepted,
+// since local downloads are served from the app's own origin.
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff'];
+const ALLOWED_TYPES = [...IMAGE_TYPES, 'application/pdf'];
+
+const MAX_FILES = 10;
+const DEFAULT_MAX_MB = 25;
+
+const THUMBNAIL_SIZE = 320;
+
+// ============================================
+// Upload
+// ============================================
+
+function getMaxBytes() {
+    return (parseFloat(process.env.ATTACHMENT_MAX_MB) || DEFAULT_MAX_MB) * 1024 * 1024;
+}
+
+/**
+ * Parse a multipart/form-data upload
+ * Files are sent in the `files` field (up to MAX_FILES) and held in memory
+ * until they are stored.
+ *
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @returns {Promise<Array<Object>>} - Multer files { originalname, mimetype, size, buffer }
+ * @throws {HttpError} - If the upload is too large or has no files
+ */
+function receiveFiles(req, res) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: getMaxBytes(), files: MAX_FILES },
+        defParamCharset: 'utf8'
+    }).array('files', MAX_FILES);
+
+    return new Promise((resolve, reject) => {
+        if (!req.is('multipart/form-data')) {
+            return reject(new HttpError('Send the files as multipart/form-data in the "files" field', 415));
+        }
+
+        upload(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                const message = error.code === 'LIMIT_FILE_SIZE'
+                    ? `Files can be up to ${getMaxBytes() / 1024 / 1024} MB`
+                    : `${error.message}${error.field ? ` (${error.field})` : ''}`;
+                return reject(new HttpError(message, status));
+            }
+            if (error) return reject(error);
+            if (!req.files?.length) {
+                return reject(new HttpError('No files uploaded (use the "files" field)'));
+            }
+            resolve(req.files);
+        });
+    });
+}
+
+/**
+ * Check a category applies to an owner
+ * @param {string} ownerType - job, vessel or crew
+ * @param {string} value - Category (any case)
+ * @returns {string} - AttachmentCategory
+ * @throws {HttpError} - If the category does not apply to the owner
+ */
+function parseCategory(ownerType, value) {
+    const { categories } = OWNERS[ownerType];
+    const category = String(value).toUpperCase();
+
+    if (!categories.includes(category)) {
+        throw new HttpError(`Invalid category: ${value}. Expected one of ${categories.join(', ')}`);
+    }
+    return category;
+}
+
+/**
+ * Read the category and caption sent with an upload
+ * @param {string} ownerType - job, vessel or crew
+ * @param {Object} body - Multipart text fields
+ * @returns {Object} - { category, caption }
+ * @throws {HttpError} - If the category does not apply to the owner
+ */
+function normalizeFields(ownerType, body = {}) {
+    return {
+        category: parseCategory(ownerType, body.category || 'OTHER'),
+        caption: String(body.caption ?? '').trim() || null
+    };
+}
+
+/**
+ * Check a file is an accepted type and its content matches, and make the
+ * thumbnail of an image
+ *
+ * @param {Object} file - Multer file
+ * @returns {Promise<Buffer|null>} - JPEG thumbnail (null for PDFs)
+ * @throws {HttpError} - If the file is not accepted
+ */
+async function inspectFile(file) {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+        throw new HttpError(`${file.originalname}: ${file.mimetype} files are not accepted. Upload images (JPEG, PNG, WebP, GIF, TIFF) or PDFs`, 415);
+    }
+
+    if (file.mimetype === 'application/pdf') {
+        if (file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+            throw new HttpError(`${file.originalname} is not a PDF`);
+        }
+        return null;
+    }
+
+    try {
+        return await sharp(file.buffer)
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+    } catch (error) {
+        throw new HttpError(`${file.originalname} is not a readable image`);
+    }
+}
+
+/**
+ * Store uploaded files and record them against an owner
+ * Every file is checked before anything is stored, so a rejected file
+ * leaves none of the upload behind.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} ownerType - job, vessel or crew
+ * @param {string} ownerId - Owner ID
+ * @param {Array<Object>} files - From receiveFiles()
+ * @param {Object} fields - From normalizeFields()
+ * @param {Object} user - Uploading user
+ * @returns {Promise<Array<Object>>} - Created Attachments
+ */
+async function storeAttachments(prisma, ownerType, ownerId, files, fields, user) {
+    const owner = OWNERS[ownerType];
+    const storage = fileStorage.getStorage();
+    const thumbnails = await Promise.all(files.map(inspectFile));
+    const stored = [];
+    const records = [];
+
+    try {
+        for (const [index, file] of files.entries()) {
+            const id = crypto.randomUUID();
+            const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+            const storageKey = `${owner.prefix}/${ownerId}/${id}${extension}`;
+            const thumbnailKey = thumbnails[index] ? `${owner.prefix}/${ownerId}/${id}-thumb.jpg` : null;
+
+            await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+            stored.push(storageKey);
+
+            if (thumbnailKey) {
+                await storage.put(thumbnailKey, thumbnails[index], { contentType: 'image/jpeg' });
+                stored.push(thumbnailKey);
+            }
+
+            records.push({
+                [owner.field]: ownerId,
+                ...fields,
+                filename: path.basename(file.originalname),
+                mimeType: file.mimetype,
+                size: file.size,
+                checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                storageKey,
+                thumbnailKey,
+                uploadedById: user.id
+            });
+        }
+
+        return await prisma.$transaction(records.map(data => prisma.attachment.create({ data })));
+    } catch (error) {
+        await removeKeys(stored);
+        throw error;
+    }
+}
+
+// ============================================
+// Download & Removal
+// ============================================
+
+/**
+ * Attachment as returned by the API, with signed download URLs
+ * @param {Object} attachment - Stored attachment
+ * @returns {Promise<Object>} - Without storage keys; { url, thumbnailUrl, urlExpiresAt }
+ */
+async function describeAttachment(attachment) {
+    const storage = fileStorage.getStorage();
+    const expiresIn = fileStorage.getUrlTtl();
+    const { storageKey, thumbnailKey, ...rest } = attachment;
+
+    const [url, thumbnailUrl] = await Promise.all([
+        storage.getSignedUrl(storageKey, { expiresIn, filename: attachment.filename, contentType: attachment.mimeType }),
+        thumbnailKey
+            ? storage.getSignedUrl(thumbnailKey, { expiresIn, contentType: 'image/jpeg' })
+            : null
+    ]);
+
+    return {
+        ...rest,
+        url,
+        thumbnailUrl,
+        urlExpiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+}
+
+/**
+ * Describe several attachments
+ * @param {Array<Object>} attachments - Stored attachments
+ * @returns {Promise<Array<Object>>}
+ */
+function describeAttachments(attachments) {
+    return Promise.all(attachments.map(describeAttachment));
+}
+
+/**
+ * Delete files from storage, logging rather than failing on errors (the
+ * records are already gone, so a leftover file is only wasted space)
+ * @param {Array<string>} keys - Storage keys
+ */
+async function removeKeys(keys) {
+    const storage = fileStorage.getStorage();
+
+    await Promise.all(keys.filter(Boolean).map(key => storage.remove(key).catch(error => {
+        console.error(`Could not remove stored file ${key}:`, error.message);
+    })));
+}
+
+/**
+ * Delete the stored files of attachments whose records were deleted
+ * (directly, or with their job, vessel or crew member)
+ * @param {Array<Object>} attachments - { storageKey, thumbnailKey }
+ */
+function removeFiles(attachments) {
+    return removeKeys(attachments.flatMap(attachment => [attachment.storageKey, attachment.thumbnailKey]));
+}
+
+// Fields to load before deleting an owner, for removeFiles()
+const FILE_KEYS = { storageKey: true, thumbnailKey: true };
+
+module.exports = {
+    OWNERS,
+    ALLOWED_TYPES,
+    FILE_KEYS,
+    receiveFiles,
+    parseCategory,
+    normalizeFields,
+    storeAttachments,
+    describeAttachment,
+    describeAttachments,
+    removeFiles
+};
@@ -0,0 +1,108 @@
+/**
+ * Optimistic Concurrency Helpers
+ * Version checks for job, crew and vessel updates
+ *
+ * Clients send the version they last saw either as an `If-Match` header
+ * (the ETag returned by the server, e.g. `"3"` or `W/"3"`) or as a
+ * `version` field in the request body. If it no longer matches the stored
+ * version the update is refused with 409 and the current server state.
+ */
+
+/**
+ * Read the version the client expects to be updating
+ * @param {Request} req - Express request
+ * @returns {number|null} - Expected version, or null if the client sent none
+ */
+function getExpectedVersion(req) {
+    const header = req.get('If-Match');
+
+    if (header && header.trim() !== '*') {
+        const match = header.match(/^(?:W\/)?"?(\d+)"?$/);
+        if (match) return parseInt(match[1]);
+    }
+
+    return parseVersion(req.body?.version);
+}
+
+/**
+ * Read a `version` field sent with a record (e.g. one entry of a bulk update)
+ * @param {*} value - Version sent by the client
+ * @returns {number|null} - Expected version, or null if none was sent
+ */
+function parseVersion(value) {
+    const version = parseInt(value);
+    return Number.isInteger(version) ? version : null;
+}
+
+/**
+ * Check the expected version against a stored record
+ * @param {number|null} expected - Version sent by client
+ * @param {Object} record - Stored record with a `version` field
+ * @returns {boolean} - True if the update may proceed
+ */
+function matchesVersion(expected, record) {
+    return expected === null || expected === record.version;
+}
+
+/**
+ * Format a record's version as an ETag value
+ * @param {Object} record - Record with a `version` field
+ * @returns {string}
+ */
+function toETag(record) {
+    return `"${record.version}"`;
+}
+
+/**
+ * Set the ETag header for a record
+ * @param {Response} res - Express response
+ * @param {Object} record - Record with a `version` field
+ */
+function setETag(res, record) {
+    if (record?.version !== undefined) {
+        res.set('ETag', toETag(record));
+    }
+}
+
+/**
+ * Update a record only if it still has the version that was checked, so a
+ * concurrent writer cannot be overwritten
+ * @param {Object} model - Prisma model delegate (e.g. prisma.job)
+ * @param {Object} record - Stored record with `id` and `version`
+ * @param {Object} data - Fields to update (the version is incremented)
+ * @returns {Promise<boolean>} - False if the record was changed in the meantime
+ */
+async function updateIfVersion(model, record, data) {
+    const result = await model.updateMany({
+        where: { id: record.id, version: record.version },
+        data: { ...data, version: { increment: 1 } }
+    });
+    return result.count > 0;
+}
+
+/**
+ * Send a 409 Conflict response with the current server state
+ * @param {Response} res - Express response
+ * @param {Object} current - Current server record
+ * @param {number|null} expected - Version the client tried to update
+ */
+function sendConflict(res, current, expected) {
+    setETag(res, current);
+    return res.status(409).json({
+        error: 'Conflict',
+        message: 'This record was changed by someone else since you loaded it. Merge your changes or overwrite using the current version.',
+        expectedVersion: expected,
+        currentVersion: current.version,
+        current
+    });
+}
+
+module.exports = {
+    getExpectedVersion,
+    parseVersion,
+    matchesVersion,
+    toETag,
+    setETag,
+    updateIfVersion,
+    sendConflict
+};
@@ -0,0 +1,169 @@
+/**
+ * Crew Certification Compliance
+ * Checks the certifications of a job's assigned crew before it is submitted
+ *
+ * Every certification a role requires must be on record and remain valid
+ * until the end of the job (proposedEndDate, or proposedStartDate for
+ * single-day jobs). Anything else is returned as a blocker.
+ */
+
+// Certifications tracked on CrewMember (expiry field and display name)
+const CERTIFICATIONS = {
+    adas: { field: 'adasCertExpiry', label: 'ADAS Certificate' },
+    diveMedical: { field: 'diveMedicalExpiry', label: 'Dive Medical' },
+    firstAid: { field: 'firstAidExpiry', label: 'First Aid' },
+    o2Admin: { field: 'o2AdminExpiry', label: 'O2 Administration' }
+};
+
+// Certifications required for each JobCrew role
+const ROLE_REQUIREMENTS = {
+    DIVE_SUPERVISOR: ['adas', 'diveMedical', 'firstAid', 'o2Admin'],
+    DIVER: ['adas', 'diveMedical', 'firstAid'],
+    DIVE_TENDER: ['firstAid', 'o2Admin'],
+    ROV_OPERATOR: [],
+    VESSEL_MASTER: [],
+    OTHER: []
+};
+
+const BLOCKER_REASONS = {
+    MISSING: 'MISSING',
+    EXPIRED: 'EXPIRED',
+    EXPIRES_DURING_JOB: 'EXPIRES_DURING_JOB'
+};
+
+/**
+ * Format a date as YYYY-MM-DD for messages
+ */
+function formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Date the crew's certifications must remain valid until
+ * @param {Object} job - Job with proposedStartDate / proposedEndDate
+ * @returns {Date}
+ */
+function getRequiredUntil(job) {
+    const date = job.proposedEndDate || job.proposedStartDate;
+    return date ? new Date(date) : new Date();
+}
+
+/**
+ * Check one certification of one crew member
+ * @returns {Object|null} - Blocker, or null if valid
+ */
+function checkCertification(assignment, key, requiredUntil, now) {
+    const { crewMember, role } = assignment;
+    const certification = CERTIFICATIONS[key];
+    const expiry = crewMember[certification.field] ? new Date(crewMember[certification.field]) : null;
+
+    let reason = null;
+    let message = null;
+
+    if (!expiry) {
+        reason = BLOCKER_REASONS.MISSING;
+        message = `${crewMember.name} has no ${certification.label} expiry on record`;
+    } else if (expiry < now) {
+        reason = BLOCKER_REASONS.EXPIRED;
+        message = `${crewMember.name}'s ${certification.label} expired on ${formatDate(expiry)}`;
+    } else if (expiry < requiredUntil) {
+        reason = BLOCKER_REASONS.EXPIRES_DURING_JOB;
+        message = `${crewMember.name}'s ${certification.label} expires on ${formatDate(expiry)}, before the job ends on ${formatDate(requiredUntil)}`;
+    }
+
+    if (!reason) return null;
+
+    return {
+        crewMemberId: crewMember.id,
+        crewMemberName: crewMember.name,
+        role,
+        certification: key,
+        label: certification.label,
+        expiry,
+        reason,
+        message
+    };
+}
+
+/**
+ * Check every assigned crew member against their role's required certifications
+ *
+ * @param {Object} job - Job with proposed dates and crewAssignments.crewMember
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {{ compliant: boolean, requiredUntil: Date, blockers: Array<Object> }}
+ */
+function checkJobCompliance(job, now = new Date()) {
+    const requiredUntil = getRequiredUntil(job);
+    const blockers = [];
+
+    (job.crewAssignments || []).forEach(assignment => {
+        const required = ROLE_REQUIREMENTS[assignment.role] || [];
+
+        required.forEach(key => {
+            const blocker = checkCertification(assignment, key, requiredUntil, now);
+            if (blocker) blockers.push(blocker);
+        });
+    });
+
+    return {
+        compliant: blockers.length === 0,
+        requiredUntil,
+        blockers
+    };
+}
+
+/**
+ * Load a job's crew and check their certifications
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - See checkJobCompliance
+ */
+async function checkStoredJob(prisma, jobId) {
+    const job = await prisma.job.findUnique({
+        where: { id: jobId },
+        select: {
+            proposedStartDate: true,
+            proposedEndDate: true,
+            crewAssignments: {
+                select: {
+                    role: true,
+                    crewMember: {
+                        select: {
+                            id: true,
+                            name: true,
+                            adasCertExpiry: true,
+                            diveMedicalExpiry: true,
+                            firstAidExpiry: true,
+                            o2AdminExpiry: true
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    return checkJobCompliance(job);
+}
+
+/**
+ * Send a 422 response listing the certification blockers
+ * @param {Response} res - Express response
+ * @param {Object} compliance - From checkJobCompliance
+ */
+function sendComplianceFailure(res, compliance) {
+    return res.status(422).json({
+        error: 'Certification requirements not met',
+        message: 'Resolve the crew certification issues before submitting this job for approval.',
+        requiredUntil: compliance.requiredUntil,
+        blockers: compliance.blockers
+    });
+}
+
+module.exports = {
+    CERTIFICATIONS,
+    ROLE_REQUIREMENTS,
+    BLOCKER_REASONS,
+    checkJobCompliance,
+    checkStoredJob,
+    sendComplianceFailure
+};
@@ -0,0 +1,191 @@
+/**
+ * Crew Scheduling
+ * Double-booking detection and availability for crew members
+ *
+ * A job occupies its crew from proposedStartDate to proposedEndDate (whole
+ * days, inclusive). Jobs without an end date occupy their start day only;
+ * jobs without a start date are not scheduled and never conflict.
+ *
+ * CREW_CONFLICT_MODE controls what happens when a job is saved with a
+ * double-booked crew member:
+ *   warn  - save the job and return the conflicts (default)
+ *   block - refuse the save with 409 and the conflicts
+ */
+
+const CONFLICT_MODES = ['warn', 'block'];
+const DEFAULT_CONFLICT_MODE = 'warn';
+
+// Statuses that no longer commit crew to a job
+const RELEASED_STATUSES = ['CANCELLED'];
+
+const DEFAULT_AVAILABILITY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job fields returned with conflicts and availability
+const JOB_SUMMARY = {
+    id: true,
+    jobNumber: true,
+    status: true,
+    clientName: true,
+    portName: true,
+    cleaningLocation: true,
+    proposedStartDate: true,
+    proposedEndDate: true,
+    vessel: {
+        select: { id: true, vesselName: true }
+    }
+};
+
+/**
+ * Get the configured conflict mode
+ * @returns {string} - 'warn' | 'block'
+ */
+function getConflictMode() {
+    const mode = String(process.env.CREW_CONFLICT_MODE || '').toLowerCase();
+    return CONFLICT_MODES.includes(mode) ? mode : DEFAULT_CONFLICT_MODE;
+}
+
+/**
+ * Whole-day window a job occupies
+ * @param {Date|string|null} start - Proposed start date
+ * @param {Date|string|null} end - Proposed end date
+ * @returns {{ from: Date, to: Date }|null} - Null if the job has no start date
+ */
+function getBookingWindow(start, end) {
+    if (!start) return null;
+
+    const from = new Date(start);
+    if (isNaN(from.getTime())) return null;
+    from.setUTCHours(0, 0, 0, 0);
+
+    let to = end ? new Date(end) : new Date(from);
+    if (isNaN(to.getTime()) || to < from) to = new Date(from);
+    to.setUTCHours(23, 59, 59, 999);
+
+    return { from, to };
+}
+
+/**
+ * Prisma filter for jobs that overlap a window and still commit their crew
+ * @param {{ from: Date, to: Date }} window - Booking window
+ * @returns {Object} - Prisma Job where
+ */
+function overlappingJobsWhere(window) {
+    return {
+        status: { notIn: RELEASED_STATUSES },
+        proposedStartDate: { lte: window.to },
+        OR: [
+            { proposedEndDate: { gte: window.from } },
+            { proposedEndDate: null, proposedStartDate: { gte: window.from } }
+        ]
+    };
+}
+
+/**
+ * Find other jobs that already have any of the given crew booked in the window
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} options
+ * @param {Array<string>} options.crewMemberIds - Crew being assigned
+ * @param {Date|string} options.start - Proposed start date of the job being saved
+ * @param {Date|string} [options.end] - Proposed end date of the job being saved
+ * @param {string} [options.excludeJobId] - The job being saved
+ * @returns {Promise<Array<Object>>} - [{ crewMemberId, crewMemberName, role, job }]
+ */
+async function findCrewConflicts(prisma, { crewMemberIds, start, end, excludeJobId }) {
+    const ids = [...new Set((crewMemberIds || []).filter(Boolean))];
+    const window = getBookingWindow(start, end);
+
+    if (!ids.length || !window) return [];
+
+    const assignments = await prisma.jobCrew.findMany({
+        where: {
+            crewMemberId: { in: ids },
+            job: {
+                ...overlappingJobsWhere(window),
+                ...(excludeJobId && { id: { not: excludeJobId } })
+            }
+        },
+        include: {
+            crewMember: { select: { id: true, name: true } },
+            job: { select: JOB_SUMMARY }
+        },
+        orderBy: { job: { proposedStartDate: 'asc' } }
+    });
+
+    return assignments.map(assignment => ({
+        crewMemberId: assignment.crewMember.id,
+        crewMemberName: assignment.crewMember.name,
+        role: assignment.role,
+        job: assignment.job
+    }));
+}
+
+/**
+ * Whether conflicts should stop the job from being saved
+ * @param {Array<Object>} conflicts - From findCrewConflicts
+ * @returns {boolean}
+ */
+function isBlocking(conflicts) {
+    return conflicts.length > 0 && getConflictMode() === 'block';
+}
+
+/**
+ * Send a 409 response listing the double-booked crew
+ * @param {Response} res - Express response
+ * @param {Array<Object>} conflicts - From findCrewConflicts
+ */
+function sendCrewConflict(res, conflicts) {
+    return res.status(409).json({
+        error: 'Crew double-booked',
+        message: 'One or more crew members are already assigned to another job on these dates.',
+        crewConflicts: conflicts
+    });
+}
+
+/**
+ * List the jobs a crew member is committed to within a date range
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} crewMemberId - Crew member
+ * @param {Object} [range]
+ * @param {Date} [range.from] - Start of range (default today)
+ * @param {Date} [range.to] - End of range (default 30 days after from)
+ * @returns {Promise<{ from: Date, to: Date, available: boolean, jobs: Array<Object> }>}
+ */
+async function getAvailability(prisma, crewMemberId, { from, to } = {}) {
+    const start = from || new Date();
+    const end = to || new Date(start.getTime() + DEFAULT_AVAILABILITY_DAYS * DAY_MS);
+    const window = getBookingWindow(start, end);
+
+    const assignments = await prisma.jobCrew.findMany({
+        where: {
+            crewMemberId,
+            job: overlappingJobsWhere(window)
+        },
+        include: {
+            job: { select: JOB_SUMMARY }
+        },
+        orderBy: { job: { proposedStartDate: 'asc' } }
+    });
+
+    return {
+        from: window.from,
+        to: window.to,
+        available: assignments.length === 0,
+        jobs: assignments.map(assignment => ({
+            ...assignment.job,
+            role: assignment.role
+        }))
+    };
+}
+
+module.exports = {
+    CONFLICT_MODES,
+    getConflictMode,
+    getBookingWindow,
+    findCrewConflicts,
+    isBlocking,
+    sendCrewConflict,
+    getAvailability
+};
@@ -0,0 +1,314 @@
+/**
+ * Dive Log
+ * Records the dives actually made on a job and checks each one against the
+ * job's dive plan (maxDepth, bottomTime, decompressionProfile, breathingGas),
+ * so what happened underwater can be compared with the SWMS that was submitted.
+ *
+ * Bottom time follows the DCIEM/USN definition: from leaving the surface to
+ * leaving the bottom.
+ */
+
+const documents = require('./documentGenerator');
+const { HttpError } = require('./httpError');
+
+// Statuses a job must be in before dives can be logged against it
+const LOGGABLE_STATUSES = ['APPROVED', 'IN_PROGRESS', 'COMPLETED'];
+
+const GAS_TYPES = ['Air', 'Nitrox', 'Mixed Gas'];
+
+// Decompression profile on the form that means no stops were planned
+const NO_DECOMPRESSION = 'No Deco';
+
+const MINUTE_MS = 60 * 1000;
+
+const DOCUMENT = { type: 'DIVE_LOG', label: 'Dive-Log' };
+
+// ============================================
+// Validation
+// ============================================
+
+function parseDate(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new HttpError(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+function parseText(value) {
+    return String(value ?? '').trim() || null;
+}
+
+function parseGas(value) {
+    const gas = GAS_TYPES.find(type => type.toLowerCase() === String(value || '').trim().toLowerCase());
+    if (!gas) {
+        throw new HttpError(`Invalid breathingGas: ${value} (expected ${GAS_TYPES.join(', ')})`);
+    }
+    return gas;
+}
+
+/**
+ * Convert a request body into DiveLogEntry fields
+ * New dives need every time except reachedBottomAt, the depth and the gas;
+ * updates only change the fields present in the body. The diver and
+ * supervisor are resolved against the crew database by the route.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored dive when updating
+ * @returns {Object} - Prisma data
+ * @throws {HttpError} - If a value is invalid or the times are out of order
+ */
+function normalizeDive(body, existing = null) {
+    const data = {};
+
+    for (const field of ['leftSurfaceAt', 'reachedBottomAt', 'leftBottomAt', 'reachedSurfaceAt']) {
+        if (field in body) data[field] = parseDate(body[field], field);
+    }
+
+    if ('maxDepth' in body) {
+        const depth = parseFloat(body.maxDepth);
+        if (isNaN(depth) || depth <= 0) {
+            throw new HttpError(`Invalid maxDepth: ${body.maxDepth}`);
+        }
+        data.maxDepth = depth;
+    }
+
+    if ('breathingGas' in body) data.breathingGas = parseGas(body.breathingGas);
+    if ('decompression' in body) data.decompression = parseText(body.decompression);
+    if ('task' in body) data.task = parseText(body.task);
+    if ('notes' in body) data.notes = parseText(body.notes);
+
+    const merged = { ...existing, ...data };
+
+    for (const field of ['leftSurfaceAt', 'leftBottomAt', 'reachedSurfaceAt', 'maxDepth', 'breathingGas']) {
+        if (merged[field] === null || merged[field] === undefined) {
+            throw new HttpError(`${field} is required`);
+        }
+    }
+
+    // Each time must follow the one before it
+    const times = ['leftSurfaceAt', 'reachedBottomAt', 'leftBottomAt', 'reachedSurfaceAt']
+        .filter(field => merged[field]);
+
+    for (let i = 1; i < times.length; i++) {
+        if (new Date(merged[times[i]]) < new Date(merged[times[i - 1]])) {
+            throw new HttpError(`${times[i]} cannot be before ${times[i - 1]}`);
+        }
+    }
+
+    return data;
+}
+
+// ============================================
+// Plan & Checks
+// ============================================
+
+/**
+ * Dive plan recorded on a job
+ * A bottom time of "Unlimited" or "Custom" has no minute limit.
+ *
+ * @param {Object} job - Job with dive parameters and crewAssignments
+ * @returns {Object}
+ */
+function getDivePlan(job) {
+    const bottomTime = parseInt(job.bottomTime);
+
+    return {
+        maxDepth: job.maxDepth ?? null,
+        bottomTime: isNaN(bottomTime) ? null : bottomTime,
+        bottomTimeText: job.bottomTime || null,
+        decompressionProfile: job.decompressionProfile || NO_DECOMPRESSION,
+        breathingGas: job.breathingGas || 'Air',
+        crewMemberIds: (job.crewAssignments || []).map(assignment => assignment.crewMemberId)
+    };
+}
+
+function minutesBetween(from, to) {
+    if (!from || !to) return null;
+    return Math.round((new Date(to) - new Date(from)) / MINUTE_MS);
+}
+
+/**
+ * Where a dive departed from the plan
+ *
+ * @param {Object} dive - Stored dive
+ * @param {Object} plan - From getDivePlan()
+ * @returns {Array<{ code: string, message: string }>}
+ */
+function checkAgainstPlan(dive, plan) {
+    const flags = [];
+    const bottomTime = minutesBetween(dive.leftSurfaceAt, dive.leftBottomAt);
+
+    if (plan.maxDepth !== null && dive.maxDepth > plan.maxDepth) {
+        flags.push({
+            code: 'depth_exceeded',
+            message: `Max depth ${dive.maxDepth} m exceeds the planned ${plan.maxDepth} m`
+        });
+    }
+
+    if (plan.bottomTime !== null && bottomTime > plan.bottomTime) {
+        flags.push({
+            code: 'bottom_time_exceeded',
+            message: `Bottom time ${bottomTime} min exceeds the planned ${plan.bottomTime} min`
+        });
+    }
+
+    if (dive.breathingGas.toLowerCase() !== plan.breathingGas.toLowerCase()) {
+        flags.push({
+            code: 'gas_mismatch',
+            message: `Dived on ${dive.breathingGas}; the plan specifies ${plan.breathingGas}`
+        });
+    }
+
+    if (dive.decompression && plan.decompressionProfile === NO_DECOMPRESSION) {
+        flags.push({
+            code: 'decompression_unplanned',
+            message: 'Decompression stops were done on a no-decompression plan'
+        });
+    }
+
+    if (dive.diverId && !plan.crewMemberIds.includes(dive.diverId)) {
+        flags.push({
+            code: 'diver_not_assigned',
+            message: `${dive.diverName} is not assigned to this job`
+        });
+    }
+
+    return flags;
+}
+
+/**
+ * Dive as returned by the API, with its times and plan checks
+ *
+ * @param {Object} dive - Stored dive
+ * @param {Object} plan - From getDivePlan()
+ * @returns {Object}
+ */
+function describeDive(dive, plan) {
+    return {
+        ...dive,
+        bottomTimeMinutes: minutesBetween(dive.leftSurfaceAt, dive.leftBottomAt),
+        totalTimeMinutes: minutesBetween(dive.leftSurfaceAt, dive.reachedSurfaceAt),
+        flags: checkAgainstPlan(dive, plan)
+    };
+}
+
+/**
+ * A job's dive log as returned by the API: the plan, each dive numbered in
+ * the order it was made, and a summary
+ *
+ * @param {Object} job - Job with dive parameters and crewAssignments
+ * @param {Array<Object>} dives - Stored dives
+ * @returns {Object}
+ */
+function describeLog(job, dives) {
+    const plan = getDivePlan(job);
+    const described = [...dives]
+        .sort((a, b) => new Date(a.leftSurfaceAt) - new Date(b.leftSurfaceAt))
+        .map((dive, index) => ({ diveNumber: index + 1, ...describeDive(dive, plan) }));
+
+    return {
+        plan,
+        dives: described,
+        summary: {
+            dives: described.length,
+            flagged: described.filter(dive => dive.flags.length > 0).length,
+            deepest: described.length ? Math.max(...described.map(dive => dive.maxDepth)) : null,
+            longestBottomTime: described.length ? Math.max(...described.map(dive => dive.bottomTimeMinutes)) : null
+        }
+    };
+}
+
+/**
+ * Whether a job has reached a status where dives can be logged
+ * @param {Object} job - Job with status
+ * @returns {boolean}
+ */
+function isLoggable(job) {
+    return LOGGABLE_STATUSES.includes(job.status);
+}
+
+// ============================================
+// Document
+// ============================================
+
+// Dive sheets are read on site, so times are shown in the jurisdiction's timezone
+function formatTime(date, timeZone) {
+    if (!date) return '';
+    return new Date(date).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+function formatDay(date, timeZone) {
+    return new Date(date).toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Build the template data for dive-log.hbs
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Array<Object>} dives - Stored dives
+ * @returns {Object}
+ */
+function buildLogData(job, dives) {
+    const data = documents.buildTemplateData(job);
+    const log = describeLog(job, dives);
+    const timeZone = documents.getJurisdiction(job.jurisdiction).timezone || 'UTC';
+
+    return {
+        ...data,
+        diveLog: {
+            plan: {
+                ...log.plan,
+                bottomTimeText: log.plan.bottomTime !== null ? `${log.plan.bottomTime} min` : (log.plan.bottomTimeText || 'Unlimited')
+            },
+            dives: log.dives.map(dive => ({
+                ...dive,
+                date: formatDay(dive.leftSurfaceAt, timeZone),
+                leftSurface: formatTime(dive.leftSurfaceAt, timeZone),
+                reachedBottom: formatTime(dive.reachedBottomAt, timeZone),
+                leftBottom: formatTime(dive.leftBottomAt, timeZone),
+                reachedSurface: formatTime(dive.reachedSurfaceAt, timeZone),
+                flagged: dive.flags.length > 0
+            })),
+            summary: log.summary,
+            timeZone,
+            supervisors: [...new Set(log.dives.map(dive => dive.supervisorName))]
+        }
+    };
+}
+
+/**
+ * Render the dive record sheet and store it as a new DIVE_LOG document version
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Array<Object>} dives - Stored dives
+ * @param {Object} user - User generating the document
+ * @returns {Promise<Object>} - Created Document (without content)
+ */
+async function generateLog(prisma, job, dives, user) {
+    const html = documents.renderTemplate('dive-log', buildLogData(job, dives));
+    const revisionNumber = await documents.getLatestRevisionNumber(prisma, job.id);
+
+    return documents.storeDocument(prisma, job, user, {
+        ...DOCUMENT,
+        extension: 'html',
+        mimeType: 'text/html',
+        content: html,
+        revisionNumber
+    });
+}
+
+module.exports = {
+    LOGGABLE_STATUSES,
+    GAS_TYPES,
+    normalizeDive,
+    getDivePlan,
+    checkAgainstPlan,
+    describeDive,
+    describeLog,
+    isLoggable,
+    buildLogData,
+    generateLog
+};
@@ -0,0 +1,286 @@
+/**
+ * Document Generator
+ * Renders the package documents server-side from a stored job, using the
+ * same .hbs templates, helpers and template data as the browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TemplateHelpers = require('../../public/js/utils/templateHelpers');
+const TemplateData = require('../../public/js/utils/templateData');
+const JobMapping = require('../../public/js/utils/jobMapping');
+const DiveTeamRules = require('../../public/js/utils/diveTeamRules');
+
+const TEMPLATE_DIR = path.join(__dirname, '../../public/templates');
+
+// Jurisdiction configs (same files the browser loads)
+const JURISDICTIONS = {
+    'AU-WA': require('../../public/js/jurisdictions/au-wa'),
+    'NZ': require('../../public/js/jurisdictions/nz'),
+    'SG': require('../../public/js/jurisdictions/sg'),
+    'US-CA': require('../../public/js/jurisdictions/us-ca'),
+    'JP': require('../../public/js/jurisdictions/jp')
+};
+
+// Generated documents: template name -> DocumentType and filename label
+const DOCUMENTS = {
+    wms: { type: 'WMS', label: 'WMS' },
+    swms: { type: 'SWMS', label: 'SWMS' },
+    erp: { type: 'ERP', label: 'ERP' },
+    whsmp: { type: 'WHSMP', label: 'WHSMP' },
+    email: { type: 'EMAIL', label: 'Notification-Email' }
+};
+
+const DOCUMENT_NAMES = Object.keys(DOCUMENTS);
+
+// Fields returned when listing documents (content is only sent on download)
+const DOCUMENT_SUMMARY = {
+    id: true,
+    type: true,
+    filename: true,
+    mimeType: true,
+    version: true,
+    revisionNumber: true,
+    generatedAt: true,
+    generatedBy: {
+        select: { id: true, name: true, email: true }
+    }
+};
+
+// Attempts when a concurrent save takes the same document version
+const MAX_ATTEMPTS = 5;
+
+// Isolated Handlebars instance with the shared helpers
+const handlebars = Handlebars.create();
+TemplateHelpers.register(handlebars);
+
+const compiled = {};
+
+/**
+ * Get a compiled template (cached after first use)
+ * @param {string} name - Template name (wms, swms, erp, whsmp, email, preclean, postclean, ims-notification, dive-log, waste-disposal)
+ * @returns {Function}
+ */
+function getTemplate(name) {
+    if (!compiled[name]) {
+        const source = fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.hbs`), 'utf8');
+        compiled[name] = handlebars.compile(source);
+    }
+    return compiled[name];
+}
+
+/**
+ * Build form data from a stored job
+ * Stored columns, vessel and crew take precedence; the form snapshot fills
+ * in everything else (see JobMapping.fromJob). Records kept outside the form
+ * add their completion flags and SAP sampling results for the compliance checklist.
+ *
+ * @param {Object} job - Job with vessel, crewAssignments.crewMember, preCleanInspection,
+ *   postCleanReport and sapSamples
+ * @returns {Object} - Form data in the shape of App.getFormData()
+ */
+function jobToFormData(job) {
+    return {
+        ...JobMapping.fromJob(job),
+        preCleanInspectionCompleted: !!job.preCleanInspection?.completedAt,
+        postCleanReportCompleted: !!job.postCleanReport?.completedAt,
+        sapSamples: job.sapSamples || []
+    };
+}
+
+/**
+ * Get a jurisdiction config by ID (falls back to AU-WA)
+ * @param {string} id - Jurisdiction ID
+ * @returns {Object}
+ */
+function getJurisdiction(id) {
+    return JURISDICTIONS[id] || JURISDICTIONS['AU-WA'];
+}
+
+/**
+ * Check a dive team against its jurisdiction's team composition rules
+ * A SWMS is only generated for a team without blocking issues.
+ * @param {Object} formData - Form data (see jobToFormData)
+ * @param {string} jurisdictionId - Jurisdiction ID
+ * @returns {Object} - DiveTeamRules.validate result
+ */
+function checkDiveTeam(formData, jurisdictionId) {
+    const ruleSet = getJurisdiction(jurisdictionId).features?.diveTeamRules;
+    return DiveTeamRules.validate(formData, ruleSet);
+}
+
+/**
+ * Send a 409 response listing the dive team's blocking issues
+ * @param {Response} res - Express response
+ * @param {Object} diveTeam - From checkDiveTeam
+ */
+function sendDiveTeamFailure(res, diveTeam) {
+    return res.status(409).json({
+        error: 'Dive team requirements not met',
+        message: 'Resolve the dive team issues before generating the SWMS.',
+        ruleSet: diveTeam.ruleSetName,
+        issues: diveTeam.issues.filter(issue => issue.blocking)
+    });
+}
+
+/**
+ * Build the template data for a stored job
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} [images] - Images overriding the vessel record (data URLs)
+ * @returns {Object}
+ */
+function buildTemplateData(job, images = {}) {
+    return TemplateData.build(jobToFormData(job), {
+        jurisdiction: getJurisdiction(job.jurisdiction),
+        images: {
+            vesselImage: job.vessel?.vesselImage || undefined,
+            generalArrangement: job.vessel?.gaDrawing || undefined,
+            ...images
+        }
+    });
+}
+
+/**
+ * Render one document for a job
+ * @param {string} name - Template name
+ * @param {Object} data - Template data from buildTemplateData()
+ * @returns {string} - Rendered HTML
+ */
+function render(name, data) {
+    if (!DOCUMENTS[name]) {
+        throw new Error(`Unknown document: "${name}". Available: ${DOCUMENT_NAMES.join(', ')}`);
+    }
+    return getTemplate(name)(data);
+}
+
+/**
+ * Render a supporting template that is not stored as its own document
+ * (e.g. the PDF package cover)
+ * @param {string} name - Template file name without .hbs
+ * @param {Object} data - Template data
+ * @returns {string} - Rendered HTML
+ */
+function renderTemplate(name, data) {
+    return getTemplate(name)(data);
+}
+
+/**
+ * Get the latest revision number of a job (null if none recorded)
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<number|null>}
+ */
+async function getLatestRevisionNumber(prisma, jobId) {
+    const latest = await prisma.jobRevision.findFirst({
+        where: { jobId },
+        orderBy: { revisionNumber: 'desc' },
+        select: { revisionNumber: true }
+    });
+    return latest?.revisionNumber || null;
+}
+
+/**
+ * Create a document as the next version of its type for a job (one attempt)
+ * Fails with P2002 if a concurrent save takes the same version.
+ */
+async function createNextVersion(prisma, job, user, { type, label, extension, mimeType, content, revisionNumber }) {
+    const latest = await prisma.document.findFirst({
+        where: { jobId: job.id, type },
+        orderBy: { version: 'desc' },
+        select: { version: true }
+    });
+    const version = (latest?.version || 0) + 1;
+
+    return prisma.document.create({
+        data: {
+            jobId: job.id,
+            type,
+            filename: `${job.jobNumber}-${label}-v${version}.${extension}`,
+            mimeType,
+            content,
+            version,
+            generatedById: user.id,
+            revisionNumber
+        },
+        select: DOCUMENT_SUMMARY
+    });
+}
+
+/**
+ * Store a document as the next version of its type for a job
+ * Retries with the following version if a concurrent save takes the same one.
+ *
+ * @param {PrismaClient} prisma - Prisma client (not a transaction client: a
+ *   failed insert aborts the transaction, so the retry would fail too)
+ * @param {Object} job - Job record (id, jobNumber)
+ * @param {Object} user - User generating the document
+ * @param {Object} doc - { type, label, extension, mimeType, content, revisionNumber }
+ * @returns {Promise<Object>} - Created Document (without content)
+ */
+async function storeDocument(prisma, job, user, doc) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await createNextVersion(prisma, job, user, doc);
+        } catch (error) {
+            if (error.code !== 'P2002' || attempt >= MAX_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Render documents for a job and store each as a new Document version
+ * The set is stored in one transaction, retried as a whole if a concurrent
+ * save takes one of its versions.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} user - User generating the package
+ * @param {Array<string>} [names] - Templates to render (default: all)
+ * @returns {Promise<Array<Object>>} - Created Document records (without content)
+ */
+async function generateDocuments(prisma, job, user, names = DOCUMENT_NAMES) {
+    const data = buildTemplateData(job);
+    const rendered = names.map(name => ({ name, html: render(name, data) }));
+
+    const revisionNumber = await getLatestRevisionNumber(prisma, job.id);
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await prisma.$transaction(async (tx) => {
+                const documents = [];
+
+                for (const { name, html } of rendered) {
+                    documents.push(await createNextVersion(tx, job, user, {
+                        ...DOCUMENTS[name],
+                        extension: 'html',
+                        mimeType: 'text/html',
+                        content: html,
+                        revisionNumber
+                    }));
+                }
+
+                return documents;
+            });
+        } catch (error) {
+            if (error.code !== 'P2002' || attempt >= MAX_ATTEMPTS) throw error;
+        }
+    }
+}
+
+module.exports = {
+    DOCUMENTS,
+    DOCUMENT_NAMES,
+    DOCUMENT_SUMMARY,
+    getJurisdiction,
+    jobToFormData,
+    checkDiveTeam,
+    sendDiveTeamFailure,
+    buildTemplateData,
+    render,
+    renderTemplate,
+    getLatestRevisionNumber,
+    storeDocument,
+    generateDocuments
+};
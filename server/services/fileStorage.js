@@ -0,0 +1,126 @@
+/**
+ * File Storage
+ * Where uploaded files are kept. STORAGE_DRIVER selects the adapter:
+ * - local (default): files under STORAGE_LOCAL_DIR on the server's disk,
+ *   downloaded through signed /api/files URLs (fileStorageLocal.js)
+ * - s3: an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2...),
+ *   downloaded through presigned URLs (fileStorageS3.js)
+ *
+ * Every adapter has:
+ * - driver: 'local' | 's3'
+ * - put(key, body, { contentType }) -> Promise<void>
+ * - get(key) -> Promise<Buffer> (rejects with code 'NotFound' when missing)
+ * - remove(key) -> Promise<void> (resolves when already missing)
+ * - getSignedUrl(key, { expiresIn, filename, contentType }) -> Promise<string>
+ */
+
+const path = require('path');
+
+// Signed download URLs stay valid for 15 minutes unless configured
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+
+// Signing key for local download links in development only
+const DEV_SECRET = 'dev-secret-change-in-production-min-32-chars';
+
+/**
+ * Content-Disposition header for a download
+ * @param {string} [filename] - File name shown to the user
+ * @param {string} [disposition] - inline or attachment
+ * @returns {string}
+ */
+function contentDisposition(filename, disposition = 'inline') {
+    if (!filename) return disposition;
+
+    const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${disposition}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Error for a key that does not exist in storage
+ * @param {string} key - Storage key
+ * @returns {Error}
+ */
+function notFound(key) {
+    const error = new Error(`File not found: ${key}`);
+    error.code = 'NotFound';
+    error.status = 404;
+    return error;
+}
+
+/**
+ * Key used to sign local download links
+ * @param {Object} env - Environment variables
+ * @returns {string}
+ * @throws {Error} - In production, if neither STORAGE_SIGNING_SECRET nor SESSION_SECRET is set
+ */
+function getSigningSecret(env) {
+    const secret = env.STORAGE_SIGNING_SECRET || env.SESSION_SECRET;
+
+    if (!secret && env.NODE_ENV === 'production') {
+        throw new Error('STORAGE_SIGNING_SECRET (or SESSION_SECRET) must be set to use local file storage');
+    }
+    return secret || DEV_SECRET;
+}
+
+/**
+ * Create the storage adapter configured by the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} - Storage adapter
+ */
+function createStorage(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 's3') {
+        if (!env.S3_BUCKET) {
+            throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+        }
+
+        return require('./fileStorageS3').createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY
+        });
+    }
+
+    if (driver === 'local') {
+        return require('./fileStorageLocal').createLocalStorage({
+            root: env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../storage'),
+            secret: getSigningSecret(env),
+            baseUrl: '/api/files'
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER: "${driver}". Expected local or s3`);
+}
+
+let storage = null;
+
+/**
+ * Get the storage adapter (created on first use)
+ * @returns {Object}
+ */
+function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+}
+
+/**
+ * How long signed download URLs stay valid
+ * @returns {number} - Seconds
+ */
+function getUrlTtl() {
+    return parseInt(process.env.STORAGE_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+}
+
+module.exports = {
+    contentDisposition,
+    notFound,
+    createStorage,
+    getStorage,
+    getUrlTtl
+};
@@ -0,0 +1,99 @@
+/**
+ * Local Disk File Storage
+ * Keeps files under a directory on the server. Downloads go through
+ * /api/files/<key> (server/routes/files.js) with an expiry and an HMAC
+ * signature over the key, expiry, file name and content type, so a link
+ * cannot be altered or used after it expires.
+ *
+ * Suits development and single-server installs; the disk on hosts such as
+ * Render's free plan is wiped on every deploy, so use the s3 driver there.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const { notFound } = require('./fileStorage');
+
+/**
+ * Create a local disk storage adapter
+ * @param {Object} options
+ * @param {string} options.root - Directory the files are kept under
+ * @param {string} options.secret - Key for signing download URLs
+ * @param {string} options.baseUrl - Path the download route is mounted at
+ * @returns {Object} - Storage adapter (see fileStorage.js) with verifySignedUrl()
+ */
+function createLocalStorage({ root, secret, baseUrl }) {
+    const base = path.resolve(root);
+
+    // Resolve a key inside the root; keys never come from users unsigned,
+    // but a key must still not escape the directory
+    const resolve = (key) => {
+        const file = path.resolve(base, key);
+        if (!file.startsWith(base + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    };
+
+    const sign = (key, expires, filename, contentType) => crypto
+        .createHmac('sha256', secret)
+        .update([key, expires, filename, contentType].join('\n'))
+        .digest('base64url');
+
+    return {
+        driver: 'local',
+
+        async put(key, body) {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+        },
+
+        async get(key) {
+            try {
+                return await fs.readFile(resolve(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') throw notFound(key);
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await fs.rm(resolve(key), { force: true });
+        },
+
+        async getSignedUrl(key, { expiresIn, filename = '', contentType = '' }) {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            const query = new URLSearchParams({
+                expires,
+                filename,
+                type: contentType,
+                signature: sign(key, expires, filename, contentType)
+            });
+            const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+            return `${baseUrl}/${encodedKey}?${query}`;
+        },
+
+        /**
+         * Check a download request against its signature and expiry
+         * @param {string} key - Storage key from the URL path
+         * @param {Object} query - { expires, filename, type, signature }
+         * @returns {boolean}
+         */
+        verifySignedUrl(key, query) {
+            const expires = parseInt(query.expires);
+            if (!expires || expires < Date.now() / 1000 || typeof query.signature !== 'string') {
+                return false;
+            }
+
+            const expected = Buffer.from(sign(key, expires, query.filename || '', query.type || ''));
+            const actual = Buffer.from(query.signature);
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        }
+    };
+}
+
+module.exports = {
+    createLocalStorage
+};
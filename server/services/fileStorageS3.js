@@ -0,0 +1,78 @@
+/**
+ * S3-Compatible File Storage
+ * Keeps files in an S3 bucket and hands out presigned GET URLs, so downloads
+ * go straight to the bucket. Works with any S3-compatible service: set
+ * S3_ENDPOINT (e.g. http://localhost:9000 for MinIO) and
+ * S3_FORCE_PATH_STYLE=true for services without virtual-hosted buckets.
+ */
+
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const { contentDisposition, notFound } = require('./fileStorage');
+
+/**
+ * Create an S3 storage adapter
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.region] - Region (us-east-1 when not set)
+ * @param {string} [options.endpoint] - Endpoint of a non-AWS service
+ * @param {boolean} [options.forcePathStyle] - Use path-style bucket URLs
+ * @param {string} [options.accessKeyId] - Credentials (the AWS default chain when not set)
+ * @param {string} [options.secretAccessKey]
+ * @returns {Object} - Storage adapter (see fileStorage.js)
+ */
+function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        ...(endpoint && { endpoint }),
+        forcePathStyle: !!forcePathStyle,
+        ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+    });
+
+    return {
+        driver: 's3',
+
+        async put(key, body, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType
+            }));
+        },
+
+        async get(key) {
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Buffer.from(await object.Body.transformToByteArray());
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) throw notFound(key);
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        getSignedUrl(key, { expiresIn, filename, contentType }) {
+            const command = new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ResponseContentDisposition: contentDisposition(filename),
+                ...(contentType && { ResponseContentType: contentType })
+            });
+            return getSignedUrl(client, command, { expiresIn });
+        }
+    };
+}
+
+module.exports = {
+    createS3Storage
+};
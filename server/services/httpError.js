@@ -0,0 +1,21 @@
+/**
+ * HTTP Errors
+ * Services throw an HttpError when a request cannot be carried out; the
+ * global error handler (server/index.js) responds with its status and message.
+ */
+
+class HttpError extends Error {
+    /**
+     * @param {string} message - Message returned to the client
+     * @param {number} [status=400] - HTTP status of the response
+     */
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = {
+    HttpError
+};
@@ -0,0 +1,380 @@
+/**
+ * IMS Incidents
+ * Records suspected invasive marine species (IMS) detections on a job,
+ * stops work on the job while any detection is open, and prepares the
+ * regulator notification (ims-notification.hbs and an email) from the
+ * job's jurisdiction: emergencyContacts.imsHotline, the primary regulator
+ * and complianceText.imsProtocol.
+ *
+ * Every step is written to ImsIncidentEvent, so the trail shows when the
+ * detection was made, when the notification was prepared and when (and how)
+ * the regulator was told, against the jurisdiction's imsNotificationHours.
+ */
+
+const documents = require('./documentGenerator');
+const { HttpError } = require('./httpError');
+
+const DEFAULT_NOTIFICATION_HOURS = 24;
+const MAX_PHOTOS = 20;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Allowance for client clocks running ahead when checking times are not in the future
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const NOTIFICATION_METHODS = ['phone', 'email', 'other'];
+
+const DOCUMENT = { type: 'IMS_NOTIFICATION', label: 'IMS-Notification' };
+
+// ============================================
+// Validation
+// ============================================
+
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (value === null || value === undefined || value === '' || isNaN(date.getTime())) {
+        throw new HttpError(`Invalid ${field}: ${value}`);
+    }
+    if (date.getTime() > Date.now() + CLOCK_SKEW_MS) {
+        throw new HttpError(`${field} cannot be in the future`);
+    }
+    return date;
+}
+
+function parseText(value) {
+    return String(value || '').trim() || null;
+}
+
+function requireText(value, field) {
+    const text = parseText(value);
+    if (!text) {
+        throw new HttpError(`${field} is required`);
+    }
+    return text;
+}
+
+function normalizePhotos(photos) {
+    if (!Array.isArray(photos)) {
+        throw new HttpError('photos must be an array');
+    }
+    if (photos.length > MAX_PHOTOS) {
+        throw new HttpError(`At most ${MAX_PHOTOS} photos can be attached`);
+    }
+
+    return photos.map((photo, index) => {
+        if (!photo?.image || typeof photo.image !== 'string') {
+            throw new HttpError(`Photo ${index + 1} has no image`);
+        }
+        return {
+            image: photo.image,
+            caption: String(photo.caption || '').trim()
+        };
+    });
+}
+
+/**
+ * Convert a request body into ImsIncident detail fields
+ * New incidents need detectedAt, hullLocation and suspectedSpecies; updates
+ * only change the fields present in the body.
+ *
+ * @param {Object} body - Request body
+ * @param {boolean} [creating] - Whether this is a new incident
+ * @returns {Object} - Prisma data
+ * @throws {HttpError} - If a value is invalid
+ */
+function normalizeIncident(body, creating = false) {
+    const data = {};
+    const has = field => creating || field in body;
+
+    if (has('detectedAt')) data.detectedAt = parseDate(body.detectedAt, 'detectedAt');
+    if (has('hullLocation')) data.hullLocation = requireText(body.hullLocation, 'hullLocation');
+    if (has('suspectedSpecies')) data.suspectedSpecies = requireText(body.suspectedSpecies, 'suspectedSpecies');
+    if ('locationDescription' in body) data.locationDescription = parseText(body.locationDescription);
+    if ('description' in body) data.description = parseText(body.description);
+    if ('actionsTaken' in body) data.actionsTaken = parseText(body.actionsTaken);
+    if ('photos' in body) data.photos = normalizePhotos(body.photos || []);
+
+    return data;
+}
+
+/**
+ * Validate a record of the regulator being notified
+ * @param {Object} body - { notifiedAt, method, contact, reference }
+ * @param {Object} incident - Stored incident
+ * @returns {Object} - Prisma data
+ */
+function normalizeNotification(body, incident) {
+    const notifiedAt = body.notifiedAt ? parseDate(body.notifiedAt, 'notifiedAt') : new Date();
+
+    if (notifiedAt < new Date(incident.detectedAt)) {
+        throw new HttpError('notifiedAt cannot be before the detection');
+    }
+    if (!NOTIFICATION_METHODS.includes(body.method)) {
+        throw new HttpError(`Invalid method: ${body.method}. Allowed: ${NOTIFICATION_METHODS.join(', ')}`);
+    }
+
+    return {
+        notifiedAt,
+        notificationMethod: body.method,
+        notifiedContact: requireText(body.contact, 'contact'),
+        notificationReference: parseText(body.reference)
+    };
+}
+
+// ============================================
+// Jurisdiction
+// ============================================
+
+/**
+ * Hours allowed between detection and notifying the regulator
+ * @param {Object} job - Job with jurisdiction
+ * @returns {number}
+ */
+function getNotificationHours(job) {
+    return documents.getJurisdiction(job.jurisdiction).features?.imsNotificationHours || DEFAULT_NOTIFICATION_HOURS;
+}
+
+/**
+ * Time the regulator must be notified by
+ * @param {Object} job - Job with jurisdiction
+ * @param {Date} detectedAt - Detection time
+ * @returns {Date}
+ */
+function getNotificationDueAt(job, detectedAt) {
+    return new Date(new Date(detectedAt).getTime() + getNotificationHours(job) * HOUR_MS);
+}
+
+/**
+ * Who to notify in a job's jurisdiction
+ * Falls back to the primary regulator's phone numbers when the jurisdiction
+ * has no dedicated IMS hotline.
+ *
+ * @param {Object} job - Job with jurisdiction
+ * @returns {{ regulator: Object, hotline: Object, to: Array<string>, cc: Array<string>, protocol: string }}
+ */
+function getRegulatorContacts(job) {
+    const jurisdiction = documents.getJurisdiction(job.jurisdiction);
+    const regulator = jurisdiction.regulatoryBodies?.primary || {};
+    const recipients = jurisdiction.notificationRecipients || {};
+    const emails = list => (list || []).map(r => r.email).filter(email => email?.includes('@'));
+
+    const hotline = jurisdiction.emergencyContacts?.imsHotline || {
+        name: regulator.fullName || regulator.name,
+        phone: regulator.emergencyPhone || regulator.phone,
+        instruction: 'Report any suspected invasive marine species immediately'
+    };
+
+    const to = [...new Set([regulator.email, ...emails(recipients.primary)].filter(Boolean))];
+
+    return {
+        regulator: {
+            name: regulator.name,
+            fullName: regulator.fullName,
+            email: regulator.email || null,
+            phone: regulator.phone || null
+        },
+        hotline,
+        to,
+        cc: emails(recipients.cc).filter(email => !to.includes(email)),
+        protocol: jurisdiction.complianceText?.imsProtocol || ''
+    };
+}
+
+// ============================================
+// Incident State
+// ============================================
+
+/**
+ * Incident as returned by the API, with its notification status
+ *
+ * @param {Object} incident - Stored incident (with events if loaded)
+ * @param {Date} [now] - Reference time
+ * @returns {Object}
+ */
+function describeIncident(incident, now = new Date()) {
+    const dueAt = new Date(incident.notificationDueAt);
+
+    return {
+        ...incident,
+        open: !incident.resolvedAt,
+        notificationOverdue: !incident.notifiedAt && dueAt < now,
+        notifiedInTime: incident.notifiedAt ? new Date(incident.notifiedAt) <= dueAt : null
+    };
+}
+
+/**
+ * Add an entry to an incident's trail
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} incidentId - Incident ID
+ * @param {Object} user - Acting user
+ * @param {string} type - detected | updated | notification_generated | notified | resolved
+ * @param {Object} [details] - Event details
+ * @returns {Promise<Object>}
+ */
+function recordEvent(prisma, incidentId, user, type, details = null) {
+    return prisma.imsIncidentEvent.create({
+        data: { incidentId, userId: user.id, type, details }
+    });
+}
+
+/**
+ * Stop work on a job for an incident (keeps the first stop time if already stopped)
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with id and workStoppedAt
+ * @param {Object} incident - Incident causing the stop
+ */
+async function stopWork(prisma, job, incident) {
+    if (job.workStoppedAt) return;
+
+    await prisma.job.updateMany({
+        where: { id: job.id, workStoppedAt: null },
+        data: {
+            workStoppedAt: new Date(),
+            workStopReason: `Suspected invasive marine species (${incident.suspectedSpecies}) at ${incident.hullLocation}`,
+            version: { increment: 1 }
+        }
+    });
+}
+
+/**
+ * Lift the work stop once no incident on the job is open
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} - Whether work can resume
+ */
+async function resumeWorkIfClear(prisma, jobId) {
+    const open = await prisma.imsIncident.count({
+        where: { jobId, resolvedAt: null }
+    });
+
+    if (open > 0) return false;
+
+    await prisma.job.updateMany({
+        where: { id: jobId, workStoppedAt: { not: null } },
+        data: { workStoppedAt: null, workStopReason: null, version: { increment: 1 } }
+    });
+    return true;
+}
+
+// ============================================
+// Notification
+// ============================================
+
+function formatDateTime(date) {
+    if (!date) return '';
+
+    const iso = new Date(date).toISOString();
+    return `${iso.split('T')[0]} ${iso.substring(11, 16)} UTC`;
+}
+
+/**
+ * Build the template data for ims-notification.hbs
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} incident - Stored incident (with reportedBy)
+ * @returns {Object}
+ */
+function buildNotificationData(job, incident) {
+    const contacts = getRegulatorContacts(job);
+
+    return {
+        ...documents.buildTemplateData(job),
+        ims: {
+            detectedAt: formatDateTime(incident.detectedAt),
+            notificationDueAt: formatDateTime(incident.notificationDueAt),
+            notificationHours: getNotificationHours(job),
+            hullLocation: incident.hullLocation,
+            locationDescription: incident.locationDescription,
+            suspectedSpecies: incident.suspectedSpecies,
+            description: incident.description,
+            actionsTaken: incident.actionsTaken,
+            photos: incident.photos || [],
+            hasPhotos: (incident.photos || []).length > 0,
+            reportedBy: incident.reportedBy?.name || incident.reportedBy?.email || '',
+            workStopped: !!job.workStoppedAt,
+            workStoppedAt: formatDateTime(job.workStoppedAt),
+            hotline: contacts.hotline,
+            regulator: contacts.regulator,
+            protocol: contacts.protocol
+        }
+    };
+}
+
+/**
+ * Build the notification email for the regulator
+ * @param {Object} job - Job with vessel
+ * @param {Object} incident - Stored incident
+ * @returns {{ to: Array<string>, cc: Array<string>, subject: string, body: string }}
+ */
+function buildNotificationEmail(job, incident) {
+    const contacts = getRegulatorContacts(job);
+    const vessel = job.vessel?.vesselName || 'Unnamed vessel';
+    const imo = job.vessel?.imoNumber ? ` (IMO ${job.vessel.imoNumber})` : '';
+
+    const body = [
+        `Dear ${contacts.regulator.fullName || contacts.regulator.name || 'Biosecurity Officer'},`,
+        '',
+        `We are reporting a suspected invasive marine species detected during in-water cleaning works on ${vessel}${imo}, job ${job.jobNumber}.`,
+        '',
+        `Detected: ${formatDateTime(incident.detectedAt)}`,
+        `Location: ${job.cleaningLocation || job.portName || 'Not recorded'}`,
+        `Location on hull: ${incident.hullLocation}${incident.locationDescription ? ` - ${incident.locationDescription}` : ''}`,
+        `Suspected species: ${incident.suspectedSpecies}`,
+        ...(incident.description ? [`Description: ${incident.description}`] : []),
+        ...(incident.actionsTaken ? [`Actions taken: ${incident.actionsTaken}`] : []),
+        '',
+        job.workStoppedAt
+            ? `All cleaning works were stopped at ${formatDateTime(job.workStoppedAt)} and will not resume without your direction.`
+            : 'Cleaning works will not resume without your direction.',
+        '',
+        'The full notification with photographs is attached.',
+        '',
+        'Regards'
+    ].join('\n');
+
+    return {
+        to: contacts.to,
+        cc: contacts.cc,
+        subject: `IMS detection - ${vessel} - ${job.jobNumber}`,
+        body
+    };
+}
+
+/**
+ * Render the regulator notification and store it as a new IMS_NOTIFICATION document version
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} incident - Stored incident (with reportedBy)
+ * @param {Object} user - User generating the document
+ * @returns {Promise<{ document: Object, email: Object }>}
+ */
+async function generateNotification(prisma, job, incident, user) {
+    const html = documents.renderTemplate('ims-notification', buildNotificationData(job, incident));
+    const revisionNumber = await documents.getLatestRevisionNumber(prisma, job.id);
+
+    const document = await documents.storeDocument(prisma, job, user, {
+        ...DOCUMENT,
+        extension: 'html',
+        mimeType: 'text/html',
+        content: html,
+        revisionNumber
+    });
+
+    return { document, email: buildNotificationEmail(job, incident) };
+}
+
+module.exports = {
+    NOTIFICATION_METHODS,
+    normalizeIncident,
+    normalizeNotification,
+    getNotificationHours,
+    getNotificationDueAt,
+    getRegulatorContacts,
+    describeIncident,
+    recordEvent,
+    stopWork,
+    resumeWorkIfClear,
+    buildNotificationData,
+    buildNotificationEmail,
+    generateNotification
+};
@@ -0,0 +1,238 @@
+/**
+ * Job Numbering Service
+ * Race-safe job numbers from a DB-backed counter per organisation/jurisdiction/year
+ *
+ * Numbers are built from a pattern (JOB_NUMBER_PATTERN, default
+ * `FUS-{JUR}-{YYYY}-{SEQ}`). Supported tokens:
+ *   {JUR}    - Jurisdiction code (last segment of the id, e.g. AU-WA -> WA)
+ *   {YYYY}   - Four digit year
+ *   {YY}     - Two digit year
+ *   {SEQ}    - Sequence, zero padded to 4 digits
+ *   {SEQ:n}  - Sequence, zero padded to n digits
+ *
+ * Job numbers are unique within an organisation, and each organisation has
+ * its own counters.
+ */
+
+const { HttpError } = require('./httpError');
+
+const DEFAULT_PATTERN = 'FUS-{JUR}-{YYYY}-{SEQ}';
+const DEFAULT_JURISDICTION = 'AU-WA';
+
+// Counter all organisations shared before job numbers were per organisation
+const SHARED_SCOPE = 'default';
+
+// Attempts before giving up when a number is already taken or the counter row races
+const MAX_ATTEMPTS = 5;
+
+// Reservations not used for a job within this many days are released
+const RESERVATION_TTL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the configured numbering pattern
+ * @returns {string}
+ */
+function getPattern() {
+    return process.env.JOB_NUMBER_PATTERN || DEFAULT_PATTERN;
+}
+
+/**
+ * Read a job number sent by a client
+ * @param {*} value - jobNumber from the request body
+ * @returns {string|null} - Trimmed number, or null if none was sent
+ * @throws {HttpError} - If it is not a string
+ */
+function parseJobNumber(value) {
+    if (value === undefined || value === null) return null;
+
+    if (typeof value !== 'string') {
+        throw new HttpError('jobNumber must be a string');
+    }
+    return value.trim() || null;
+}
+
+/**
+ * Short code for a jurisdiction id
+ * @param {string} jurisdiction - Jurisdiction id (e.g. 'AU-WA', 'NZ')
+ * @returns {string} - Code (e.g. 'WA', 'NZ')
+ */
+function getJurisdictionCode(jurisdiction) {
+    const parts = String(jurisdiction || DEFAULT_JURISDICTION).toUpperCase().split('-');
+    return parts[parts.length - 1];
+}
+
+/**
+ * Render a job number from a pattern
+ * @param {string} pattern - Numbering pattern
+ * @param {Object} values - { jurisdiction, year, sequence }
+ * @returns {string}
+ */
+function formatJobNumber(pattern, { jurisdiction, year, sequence }) {
+    return pattern
+        .replace(/\{JUR\}/g, getJurisdictionCode(jurisdiction))
+        .replace(/\{YYYY\}/g, String(year))
+        .replace(/\{YY\}/g, String(year).slice(-2))
+        .replace(/\{SEQ(?::(\d+))?\}/g, (_, width) => String(sequence).padStart(parseInt(width || 4), '0'));
+}
+
+/**
+ * Atomically advance the counter for a scope/jurisdiction/year
+ * The increment is a single UPDATE on the counter row, so concurrent callers
+ * always receive distinct values. If two callers race to create the row for
+ * a new year, the loser hits the unique constraint and retries as an update.
+ *
+ * A new organisation counter continues after the shared counter for the
+ * same jurisdiction and year, so it never reissues a number the
+ * organisation's jobs were given from that counter.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} key - { scope, jurisdiction, year }
+ * @returns {Promise<number>} - Next sequence value
+ */
+async function nextSequence(prisma, { scope, jurisdiction, year }) {
+    const shared = await prisma.jobNumberSequence.findUnique({
+        where: {
+            scope_jurisdiction_year: { scope: SHARED_SCOPE, jurisdiction, year }
+        },
+        select: { lastValue: true }
+    });
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const sequence = await prisma.jobNumberSequence.upsert({
+                where: {
+                    scope_jurisdiction_year: { scope, jurisdiction, year }
+                },
+                create: { scope, jurisdiction, year, lastValue: (shared?.lastValue || 0) + 1 },
+                update: { lastValue: { increment: 1 } }
+            });
+            return sequence.lastValue;
+        } catch (error) {
+            if (error.code !== 'P2002' || attempt >= MAX_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Oldest creation time of a reservation that still holds its number
+ * @returns {Date}
+ */
+function getReservationCutoff() {
+    return new Date(Date.now() - RESERVATION_TTL_DAYS * DAY_MS);
+}
+
+/**
+ * Release reservations that were never used for a job
+ * @param {PrismaClient} prisma - Prisma client
+ */
+async function removeExpiredReservations(prisma) {
+    await prisma.jobNumberReservation.deleteMany({
+        where: { createdAt: { lt: getReservationCutoff() } }
+    });
+}
+
+/**
+ * Check whether a job number is already used by a job or a reservation in an organisation
+ */
+async function isTaken(prisma, organizationId, jobNumber) {
+    const where = { organizationId_jobNumber: { organizationId, jobNumber } };
+    const [job, reservation] = await Promise.all([
+        prisma.job.findUnique({ where, select: { id: true } }),
+        prisma.jobNumberReservation.findUnique({ where, select: { id: true } })
+    ]);
+    return !!(job || reservation);
+}
+
+/**
+ * Generate the next job number
+ * Numbers already in use (e.g. legacy numbers matching a changed pattern)
+ * are skipped; numbers held by expired reservations are released first.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} options
+ * @param {string} options.organizationId - Organisation the number is for
+ * @param {string} [options.jurisdiction] - Jurisdiction id
+ * @param {Date} [options.date] - Date used for the year component
+ * @returns {Promise<string>}
+ */
+async function generateJobNumber(prisma, { organizationId, jurisdiction, date }) {
+    const pattern = getPattern();
+    const key = {
+        scope: organizationId,
+        jurisdiction: String(jurisdiction || DEFAULT_JURISDICTION).toUpperCase(),
+        year: (date || new Date()).getFullYear()
+    };
+
+    await removeExpiredReservations(prisma);
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const sequence = await nextSequence(prisma, key);
+        const jobNumber = formatJobNumber(pattern, { ...key, sequence });
+
+        if (!(await isTaken(prisma, organizationId, jobNumber))) {
+            return jobNumber;
+        }
+    }
+
+    throw new Error('Unable to allocate a unique job number');
+}
+
+/**
+ * Reserve a job number for a member (shown in the form before the job is saved)
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} membership - Reserving user's organisation membership
+ * @param {Object} [options] - { jurisdiction, date } as for generateJobNumber
+ * @returns {Promise<Object>} - Reservation record
+ */
+async function reserveJobNumber(prisma, membership, options = {}) {
+    const jurisdiction = options.jurisdiction || DEFAULT_JURISDICTION;
+    const jobNumber = await generateJobNumber(prisma, {
+        ...options,
+        organizationId: membership.organizationId,
+        jurisdiction
+    });
+
+    return prisma.jobNumberReservation.create({
+        data: {
+            jobNumber,
+            organizationId: membership.organizationId,
+            userId: membership.userId,
+            jurisdiction
+        }
+    });
+}
+
+/**
+ * Consume a reservation when the job is created
+ * Call it in the transaction that creates the job, so the number is not
+ * released if the create fails. Reservations made before job numbers were
+ * per organisation can be used in any of the user's organisations.
+ * @param {PrismaClient} prisma - Transaction client
+ * @param {Object} membership - Creating user's organisation membership
+ * @param {string} jobNumber - Reserved job number
+ * @returns {Promise<boolean>} - True if the user held this reservation and it had not expired
+ */
+async function claimReservation(prisma, membership, jobNumber) {
+    const result = await prisma.jobNumberReservation.deleteMany({
+        where: {
+            jobNumber,
+            userId: membership.userId,
+            OR: [{ organizationId: membership.organizationId }, { organizationId: null }],
+            createdAt: { gte: getReservationCutoff() }
+        }
+    });
+    return result.count > 0;
+}
+
+module.exports = {
+    DEFAULT_PATTERN,
+    RESERVATION_TTL_DAYS,
+    getPattern,
+    parseJobNumber,
+    getJurisdictionCode,
+    formatJobNumber,
+    generateJobNumber,
+    reserveJobNumber,
+    claimReservation
+};
@@ -0,0 +1,315 @@
+/**
+ * Job List Query Builder
+ * Translates GET /api/jobs query parameters into Prisma filters, sorting,
+ * cursor pagination and a lean (or expanded) selection.
+ */
+
+const { DocumentType } = require('@prisma/client');
+const ScenarioLogic = require('../../public/js/utils/scenarioLogic');
+const { jobToFormData } = require('./documentGenerator');
+const { JOB_STATUSES } = require('./jobWorkflow');
+const { HttpError } = require('./httpError');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const RISK_LEVELS = ['low', 'moderate', 'high'];
+
+// Fields that may be used in ?sort= (prefix with - for descending)
+const SORT_FIELDS = [
+    'createdAt', 'updatedAt', 'proposedStartDate', 'jobNumber', 'clientName',
+    'status', 'jurisdiction', 'riskLevel', 'foulingRating'
+];
+
+// Nullable sort fields keep their nulls last in either direction
+const NULLABLE_SORT_FIELDS = ['proposedStartDate', 'clientName', 'riskLevel', 'foulingRating'];
+
+// Lean list payload: summary fields only, no crew objects or form snapshots
+const SUMMARY_SELECT = {
+    id: true,
+    jobNumber: true,
+    status: true,
+    jurisdiction: true,
+    clientName: true,
+    proposedStartDate: true,
+    proposedEndDate: true,
+    portName: true,
+    cleaningLocation: true,
+    foulingRating: true,
+    riskLevel: true,
+    workStoppedAt: true,
+    version: true,
+    createdAt: true,
+    updatedAt: true,
+    submittedAt: true,
+    approvedAt: true,
+    completedAt: true,
+    user: {
+        select: { id: true, name: true, email: true }
+    },
+    vessel: {
+        select: { id: true, vesselName: true, imoNumber: true }
+    },
+    _count: {
+        select: { crewAssignments: true, documents: true }
+    }
+};
+
+// Optional expansions for ?include=
+const INCLUDES = {
+    vessel: {
+        vessel: {
+            select: {
+                id: true,
+                vesselName: true,
+                imoNumber: true,
+                vesselType: true,
+                flagState: true,
+                loa: true
+            }
+        }
+    },
+    crew: {
+        crewAssignments: {
+            select: {
+                role: true,
+                crewMember: {
+                    select: { id: true, name: true, position: true }
+                }
+            }
+        }
+    },
+    documents: {
+        documents: {
+            select: { id: true, type: true, filename: true, version: true, generatedAt: true },
+            orderBy: [{ type: 'asc' }, { version: 'desc' }]
+        }
+    },
+    snapshot: {
+        formDataSnapshot: true
+    }
+};
+
+/**
+ * Derive the risk level stored on a job (used for filtering and sorting)
+ * @param {Object} job - Job fields (columns and/or formDataSnapshot)
+ * @returns {string} - 'low' | 'moderate' | 'high'
+ */
+function getRiskLevel(job) {
+    return ScenarioLogic.determine(jobToFormData(job)).riskLevel;
+}
+
+/**
+ * Split a comma-separated query value into a list
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * Read query values that may only be given once
+ * A repeated parameter (?search=a&search=b) or a nested one (?search[a]=b)
+ * is refused rather than passed to Prisma.
+ * @param {Object} query - Request query
+ * @param {Array<string>} names - Parameter names
+ * @returns {Object} - { name: string|undefined }
+ */
+function toValues(query, names) {
+    return Object.fromEntries(names.map(name => {
+        const value = query[name];
+        if (value !== undefined && typeof value !== 'string') {
+            throw new HttpError(`${name} must be a single value`);
+        }
+        return [name, value];
+    }));
+}
+
+/**
+ * Parse a date query value
+ */
+function toDate(value, name) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new HttpError(`Invalid date for ${name}: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Build the where clause (always within the current organisation)
+ * @param {Object} query - Request query
+ * @param {Object} membership - Current user's organisation membership
+ * @returns {Object} - Prisma where
+ */
+function buildWhere(query, membership) {
+    const { search, port, imo, crewMemberId, createdBy, startFrom, startTo, hasDocuments, documentType, workStopped } = toValues(query, [
+        'search', 'port', 'imo', 'crewMemberId', 'createdBy', 'startFrom', 'startTo', 'hasDocuments', 'documentType', 'workStopped'
+    ]);
+    const and = [{ organizationId: membership.organizationId }];
+
+    if (createdBy) {
+        and.push({ userId: createdBy === 'me' ? membership.userId : createdBy });
+    }
+
+    const statuses = toList(query.status).map(s => s.toUpperCase());
+    const invalidStatus = statuses.find(s => !JOB_STATUSES.includes(s));
+    if (invalidStatus) {
+        throw new HttpError(`Invalid status: ${invalidStatus}. Allowed: ${JOB_STATUSES.join(', ')}`);
+    }
+    if (statuses.length) and.push({ status: { in: statuses } });
+
+    const jurisdictions = toList(query.jurisdiction).map(j => j.toUpperCase());
+    if (jurisdictions.length) and.push({ jurisdiction: { in: jurisdictions } });
+
+    const riskLevels = toList(query.riskLevel).map(r => r.toLowerCase());
+    const invalidRisk = riskLevels.find(r => !RISK_LEVELS.includes(r));
+    if (invalidRisk) {
+        throw new HttpError(`Invalid riskLevel: ${invalidRisk}. Allowed: ${RISK_LEVELS.join(', ')}`);
+    }
+    if (riskLevels.length) and.push({ riskLevel: { in: riskLevels } });
+
+    if (search) {
+        and.push({
+            OR: [
+                { jobNumber: { contains: search, mode: 'insensitive' } },
+                { clientName: { contains: search, mode: 'insensitive' } },
+                { vessel: { vesselName: { contains: search, mode: 'insensitive' } } }
+            ]
+        });
+    }
+
+    if (port) {
+        and.push({
+            OR: [
+                { portName: { contains: port, mode: 'insensitive' } },
+                { cleaningLocation: { contains: port, mode: 'insensitive' } }
+            ]
+        });
+    }
+
+    const from = toDate(startFrom, 'startFrom');
+    const to = toDate(startTo, 'startTo');
+    if (from || to) {
+        and.push({ proposedStartDate: { ...(from && { gte: from }), ...(to && { lte: to }) } });
+    }
+
+    if (imo) {
+        and.push({ vessel: { imoNumber: imo } });
+    }
+
+    if (crewMemberId) {
+        and.push({ crewAssignments: { some: { crewMemberId } } });
+    }
+
+    if (documentType) {
+        const type = documentType.toUpperCase();
+        if (!Object.values(DocumentType).includes(type)) {
+            throw new HttpError(`Invalid documentType: ${documentType}. Allowed: ${Object.values(DocumentType).join(', ')}`);
+        }
+        and.push({ documents: { some: { type } } });
+    }
+
+    if (hasDocuments === 'true') {
+        and.push({ documents: { some: {} } });
+    } else if (hasDocuments === 'false') {
+        and.push({ documents: { none: {} } });
+    }
+
+    if (workStopped === 'true') {
+        and.push({ workStoppedAt: { not: null } });
+    } else if (workStopped === 'false') {
+        and.push({ workStoppedAt: null });
+    }
+
+    return { AND: and };
+}
+
+/**
+ * Build orderBy from ?sort=field,-field
+ * Always ends with id so cursor pagination is stable.
+ * @param {string} sort - Sort parameter
+ * @returns {Array<Object>}
+ */
+function buildOrderBy(sort) {
+    const fields = toList(sort);
+    const orderBy = fields.map(field => {
+        const desc = field.startsWith('-');
+        const name = desc ? field.slice(1) : field;
+
+        if (!SORT_FIELDS.includes(name)) {
+            throw new HttpError(`Invalid sort field: ${name}. Allowed: ${SORT_FIELDS.join(', ')}`);
+        }
+
+        const direction = desc ? 'desc' : 'asc';
+        return {
+            [name]: NULLABLE_SORT_FIELDS.includes(name) ? { sort: direction, nulls: 'last' } : direction
+        };
+    });
+
+    if (!orderBy.length) orderBy.push({ createdAt: 'desc' });
+    orderBy.push({ id: 'asc' });
+
+    return orderBy;
+}
+
+/**
+ * Build the select for ?include=vessel,crew,documents,snapshot
+ * @param {string} include - Include parameter
+ * @returns {Object}
+ */
+function buildSelect(include) {
+    const select = { ...SUMMARY_SELECT };
+
+    toList(include).forEach(name => {
+        if (!INCLUDES[name]) {
+            throw new HttpError(`Invalid include: ${name}. Allowed: ${Object.keys(INCLUDES).join(', ')}`);
+        }
+        Object.assign(select, INCLUDES[name]);
+    });
+
+    return select;
+}
+
+/**
+ * Build the full findMany arguments for a job list request
+ * Uses cursor pagination when ?cursor= is given, offset otherwise.
+ * One extra row is fetched to tell whether there is a next page.
+ *
+ * @param {Object} query - Request query
+ * @param {Object} membership - Current user's organisation membership
+ * @returns {{ args: Object, where: Object, limit: number, offset: number }}
+ */
+function buildJobListQuery(query, membership) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    const { cursor } = toValues(query, ['cursor']);
+    const where = buildWhere(query, membership);
+
+    const args = {
+        where,
+        select: buildSelect(query.include),
+        orderBy: buildOrderBy(query.sort),
+        take: limit + 1
+    };
+
+    if (cursor) {
+        args.cursor = { id: cursor };
+        args.skip = 1;
+    } else if (offset) {
+        args.skip = offset;
+    }
+
+    return { args, where, limit, offset };
+}
+
+module.exports = {
+    RISK_LEVELS,
+    SORT_FIELDS,
+    SUMMARY_SELECT,
+    getRiskLevel,
+    buildJobListQuery
+};
@@ -0,0 +1,292 @@
+/**
+ * Job Records
+ * Links a job to the Vessel and CrewMember records named on its form
+ *
+ * The browser sends the vessel particulars and crew slots produced by
+ * JobMapping.toRecords. Vessels are matched by IMO number (or by name for
+ * the organisation's vessels without one) and crew by name within the
+ * organisation's crew register; records that do not exist yet are created
+ * with the current user as their creator. Values entered on the form
+ * update the matched record if the organisation owns it, blank values leave
+ * it unchanged.
+ *
+ * Vessels and crew given by ID must be ones the organisation can see.
+ *
+ * Routes resolve the records in the transaction that saves the job, so a
+ * save that is refused leaves the vessel list and crew register unchanged;
+ * findCrewMemberIds checks bookings beforehand without writing.
+ */
+
+const { CrewRole } = require('@prisma/client');
+const JobMapping = require('../../public/js/utils/jobMapping');
+const { vesselAccess, canAccessVessel } = require('./organizations');
+const { HttpError } = require('./httpError');
+
+// CrewMember.position for crew created from a form slot
+const ROLE_POSITIONS = {
+    DIVE_SUPERVISOR: 'Dive Supervisor',
+    DIVER: 'Diver',
+    DIVE_TENDER: 'Dive Tender'
+};
+
+/**
+ * Normalise vessel particulars sent by a client
+ * @param {Object} vessel - Vessel columns from JobMapping.toVessel
+ * @returns {Object}
+ */
+function cleanVessel(vessel) {
+    const data = {};
+
+    JobMapping.VESSEL_FIELDS.forEach(({ column, type }) => {
+        const value = vessel[column];
+
+        if (type === 'float' || type === 'measurement') {
+            const number = parseFloat(value);
+            data[column] = isNaN(number) ? null : number;
+        } else {
+            data[column] = value == null ? null : String(value).trim() || null;
+        }
+    });
+
+    return data;
+}
+
+/**
+ * Columns of a record that a set of values would change
+ * Null values never clear what is already stored.
+ */
+function getChanges(existing, values) {
+    return Object.fromEntries(
+        Object.entries(values).filter(([key, value]) => value !== null && value !== existing[key])
+    );
+}
+
+/**
+ * Find or create the vessel described on a job form
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} membership - Current user's organisation membership
+ * @param {Object} vessel - Vessel columns from JobMapping.toVessel
+ * @returns {Promise<string|null>} - Vessel ID, or null if no vessel can be linked
+ */
+async function findOrCreateVessel(prisma, membership, vessel) {
+    const data = cleanVessel(vessel);
+    if (!data.vesselName) return null;
+
+    const existing = data.imoNumber
+        ? await prisma.vessel.findUnique({ where: { imoNumber: data.imoNumber } })
+        : await prisma.vessel.findFirst({
+            where: {
+                organizationId: membership.organizationId,
+                imoNumber: null,
+                vesselName: { equals: data.vesselName, mode: 'insensitive' }
+            },
+            orderBy: { createdAt: 'asc' }
+        });
+
+    if (!existing) {
+        const created = await prisma.vessel.create({
+            data: { ...data, organizationId: membership.organizationId, userId: membership.userId }
+        });
+        return created.id;
+    }
+
+    // IMO numbers are unique, so another organisation's vessel cannot be linked,
+    // and shared vessels are linked without being changed
+    if (existing.organizationId !== membership.organizationId) {
+        return canAccessVessel(membership.organizationId, existing) ? existing.id : null;
+    }
+
+    const changes = getChanges(existing, data);
+    if (Object.keys(changes).length) {
+        await prisma.vessel.update({
+            where: { id: existing.id },
+            data: { ...changes, version: { increment: 1 } }
+        });
+    }
+
+    return existing.id;
+}
+
+/**
+ * Find the organisation's crew member with a name (active ones first)
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} membership - Current user's organisation membership
+ * @param {string} name - Crew member name, matched case-insensitively
+ * @returns {Promise<Object|null>} - CrewMember
+ */
+function findCrewMember(prisma, membership, name) {
+    return prisma.crewMember.findFirst({
+        where: {
+            organizationId: membership.organizationId,
+            name: { equals: name, mode: 'insensitive' }
+        },
+        orderBy: [{ isActive: 'desc' }, { createdAt: 'asc' }]
+    });
+}
+
+/**
+ * Find or create the crew named on a job form
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} membership - Current user's organisation membership
+ * @param {Array<Object>} crew - [{ role, name, adasCertNumber }] from JobMapping.toCrew
+ * @returns {Promise<Array<{ id: string, role: string }>>} - crewIds for the job
+ */
+async function findOrCreateCrew(prisma, membership, crew) {
+    const crewIds = [];
+
+    for (const slot of crew || []) {
+        const name = String(slot?.name || '').trim();
+        if (!name) continue;
+
+        const role = Object.values(CrewRole).includes(slot.role) ? slot.role : 'DIVER';
+        const adasCertNumber = slot.adasCertNumber ? String(slot.adasCertNumber).trim() || null : null;
+
+        let member = await findCrewMember(prisma, membership, name);
+
+        if (!member) {
+            member = await prisma.crewMember.create({
+                data: {
+                    organizationId: membership.organizationId,
+                    userId: membership.userId,
+                    name,
+                    position: ROLE_POSITIONS[role] || 'Diver',
+                    adasCertNumber
+                }
+            });
+        } else if (adasCertNumber && adasCertNumber !== member.adasCertNumber) {
+            await prisma.crewMember.update({
+                where: { id: member.id },
+                data: { adasCertNumber, version: { increment: 1 } }
+            });
+        }
+
+        // A person can only hold one role on a job
+        if (!crewIds.some(entry => entry.id === member.id)) {
+            crewIds.push({ id: member.id, role });
+        }
+    }
+
+    return crewIds;
+}
+
+/**
+ * Check a vessel ID sent with a job save
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} membership - Current user's organisation membership
+ * @param {string} vesselId - Vessel ID
+ * @returns {Promise<string>} - The vessel ID
+ * @throws {HttpError} - 404 if the organisation cannot see the vessel
+ */
+async function checkVesselId(prisma, membership, vesselId) {
+    const vessel = await prisma.vessel.findFirst({
+        where: { id: String(vesselId), ...vesselAccess(membership.organizationId) },
+        select: { id: true }
+    });
+
+    if (!vessel) {
+        throw new HttpError(`Vessel not found: ${vesselId}`, 404);
+    }
+    return vessel.id;
+}
+
+/**
+ * Check the crew IDs sent with a job save against the organisation's crew register
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} membership - Current user's organisation membership
+ * @param {Array<Object>|null} crewIds - [{ id, role }]
+ * @returns {Promise<Array<{ id: string, role: string }>>} - crewIds for the job
+ * @throws {HttpError} - 400 if malformed, 404 if a crew member is not in the organisation
+ */
+async function checkCrewIds(prisma, membership, crewIds) {
+    if (crewIds === null) return [];
+
+    if (!Array.isArray(crewIds) || crewIds.some(entry => typeof entry?.id !== 'string')) {
+        throw new HttpError('crewIds must be an array of { id, role }');
+    }
+
+    const ids = [...new Set(crewIds.map(entry => entry.id))];
+    const members = await prisma.crewMember.findMany({
+        where: { id: { in: ids }, organizationId: membership.organizationId },
+        select: { id: true }
+    });
+
+    const missing = ids.filter(id => !members.some(member => member.id === id));
+    if (missing.length) {
+        throw new HttpError(`Crew member not found in your organisation: ${missing.join(', ')}`, 404);
+    }
+
+    // A person can only hold one role on a job
+    return ids.map(id => {
+        const { role } = crewIds.find(entry => entry.id === id);
+        return { id, role: Object.values(CrewRole).includes(role) ? role : 'DIVER' };
+    });
+}
+
+/**
+ * Resolve the vessel and crew sent with a job save into vesselId / crewIds
+ * Explicit vesselId / crewIds in the request take precedence once checked
+ * against the organisation; fields the request does not mention are left
+ * out so an update keeps what is stored.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} membership - Current user's organisation membership
+ * @param {Object} body - { vessel, crew, vesselId, crewIds }
+ * @returns {Promise<{ vesselId?: string|null, crewIds?: Array<Object> }>}
+ * @throws {HttpError} - If a vesselId or crewIds entry is not the organisation's
+ */
+async function resolveJobRecords(prisma, membership, { vessel, crew, vesselId, crewIds }) {
+    const resolved = {};
+
+    if (vesselId !== undefined) {
+        resolved.vesselId = vesselId ? await checkVesselId(prisma, membership, vesselId) : null;
+    } else if (vessel !== undefined) {
+        resolved.vesselId = vessel ? await findOrCreateVessel(prisma, membership, vessel) : null;
+    }
+
+    if (crewIds !== undefined) {
+        resolved.crewIds = await checkCrewIds(prisma, membership, crewIds);
+    } else if (Array.isArray(crew)) {
+        resolved.crewIds = await findOrCreateCrew(prisma, membership, crew);
+    }
+
+    return resolved;
+}
+
+/**
+ * IDs of the existing crew members a job save would assign, without creating
+ * or changing any record, so their bookings can be checked before saving
+ * Crew named on the form who are not in the register yet have no bookings
+ * and are left out.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} membership - Current user's organisation membership
+ * @param {Object} body - { crew, crewIds }
+ * @returns {Promise<Array<string>|undefined>} - undefined if the request does not mention the crew
+ * @throws {HttpError} - If a crewIds entry is not the organisation's
+ */
+async function findCrewMemberIds(prisma, membership, { crew, crewIds }) {
+    if (crewIds !== undefined) {
+        return (await checkCrewIds(prisma, membership, crewIds)).map(entry => entry.id);
+    }
+
+    if (!Array.isArray(crew)) return undefined;
+
+    const ids = [];
+
+    for (const slot of crew) {
+        const name = String(slot?.name || '').trim();
+        const member = name && await findCrewMember(prisma, membership, name);
+        if (member) ids.push(member.id);
+    }
+
+    return ids;
+}
+
+module.exports = {
+    findOrCreateVessel,
+    findOrCreateCrew,
+    findCrewMemberIds,
+    resolveJobRecords
+};
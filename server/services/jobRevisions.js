@@ -0,0 +1,148 @@
+/**
+ * Job Revision History
+ * Captures a snapshot of a job on every save and compares snapshots field by field
+ */
+
+// Job fields that make up the package content; ownership, workflow state,
+// versions, timestamps and relations are left out (crew is added separately)
+const SNAPSHOT_FIELDS = [
+    'jobNumber', 'vesselId', 'jurisdiction', 'clientName', 'proposedStartDate', 'proposedEndDate',
+    'cleaningLocation', 'portName', 'berthWharf',
+    'afcType', 'afcCondition', 'afcExpiryDate', 'foulingRating', 'foulingCover', 'biofoulingOrigin', 'noProhibitedBiocides',
+    'scopeHull', 'scopeNicheAreas', 'scopePropeller', 'scopeSeaChests',
+    'maxDepth', 'bottomTime', 'decompressionProfile', 'breathingGas', 'equipment',
+    'clientContactName', 'clientContactPhone', 'simOpsContactName', 'simOpsContactPhone',
+    'siteType', 'ptwRequired', 'isolationRequired', 'siteInductionRequired', 'securityClearance',
+    'emergencyAssemblyPoint', 'onSiteDiveMedic',
+    'highRiskActivities', 'additionalActivities', 'siteSpecificHazards',
+    'formDataSnapshot', 'riskLevel'
+];
+
+// Attempts when a concurrent save takes the same revision number
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Build a revision snapshot from a job record
+ * @param {Object} job - Job record (optionally including crewAssignments)
+ * @returns {Object} - Plain JSON snapshot
+ */
+function buildSnapshot(job) {
+    const snapshot = {};
+
+    SNAPSHOT_FIELDS.forEach(field => {
+        if (field in job) {
+            snapshot[field] = job[field];
+        }
+    });
+
+    if (job.crewAssignments) {
+        snapshot.crew = job.crewAssignments
+            .map(a => ({
+                crewMemberId: a.crewMemberId,
+                name: a.crewMember?.name || null,
+                role: a.role
+            }))
+            .sort((a, b) => a.crewMemberId.localeCompare(b.crewMemberId));
+    }
+
+    // Normalise Dates and Decimals to their JSON form
+    return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Record a new revision for a job
+ * Skips the write if nothing changed since the latest revision (e.g. idle autosaves).
+ * Revision numbers are unique per job, so if a concurrent save takes the
+ * next number first the latest revision is read again and the write retried.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job record (with crewAssignments if available)
+ * @param {Object} user - Author of the change
+ * @param {string} source - 'create' | 'update' | 'autosave' | 'import' | 'inspection'
+ * @returns {Promise<Object|null>} - Created revision, or null if unchanged
+ */
+async function recordRevision(prisma, job, user, source) {
+    const data = buildSnapshot(job);
+
+    for (let attempt = 1; ; attempt++) {
+        const latest = await prisma.jobRevision.findFirst({
+            where: { jobId: job.id },
+            orderBy: { revisionNumber: 'desc' }
+        });
+
+        if (latest && diffSnapshots(latest.data, data).length === 0) {
+            return null;
+        }
+
+        try {
+            return await prisma.jobRevision.create({
+                data: {
+                    jobId: job.id,
+                    revisionNumber: (latest?.revisionNumber || 0) + 1,
+                    userId: user.id,
+                    source,
+                    data
+                }
+            });
+        } catch (error) {
+            if (error.code !== 'P2002' || attempt >= MAX_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Flatten a nested object into dot-notation paths
+ * Arrays are compared as whole values.
+ * @param {Object} obj - Object to flatten
+ * @param {string} prefix - Path prefix
+ * @param {Object} out - Accumulator
+ * @returns {Object} - { 'a.b': value }
+ */
+function flatten(obj, prefix = '', out = {}) {
+    Object.entries(obj || {}).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, path, out);
+        } else {
+            out[path] = value;
+        }
+    });
+    return out;
+}
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<{field, change, from, to}>}
+ */
+function diffSnapshots(before, after) {
+    const a = flatten(before);
+    const b = flatten(after);
+    const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+    const changes = [];
+
+    fields.forEach(field => {
+        const inA = field in a && a[field] !== null && a[field] !== undefined;
+        const inB = field in b && b[field] !== null && b[field] !== undefined;
+
+        if (!inA && !inB) return;
+
+        if (!inA) {
+            changes.push({ field, change: 'added', from: null, to: b[field] });
+        } else if (!inB) {
+            changes.push({ field, change: 'removed', from: a[field], to: null });
+        } else if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+            changes.push({ field, change: 'changed', from: a[field], to: b[field] });
+        }
+    });
+
+    return changes;
+}
+
+module.exports = {
+    buildSnapshot,
+    recordRevision,
+    diffSnapshots
+};
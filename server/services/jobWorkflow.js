@@ -0,0 +1,213 @@
+/**
+ * Job Approval Workflow
+ * Single source of truth for allowed job status transitions
+ */
+
+const { HttpError } = require('./httpError');
+
+// Allowed transitions: from status -> { to status: action }
+// Actions marked in REVIEW_ACTIONS can only be performed via the review endpoint
+const TRANSITIONS = {
+    DRAFT: {
+        PENDING_APPROVAL: 'submit',
+        CANCELLED: 'cancel'
+    },
+    PENDING_APPROVAL: {
+        APPROVED: 'approve',
+        DRAFT: 'reject',
+        CANCELLED: 'cancel'
+    },
+    APPROVED: {
+        IN_PROGRESS: 'start',
+        CANCELLED: 'cancel'
+    },
+    IN_PROGRESS: {
+        COMPLETED: 'complete',
+        CANCELLED: 'cancel'
+    },
+    COMPLETED: {},
+    CANCELLED: {}
+};
+
+const REVIEW_ACTIONS = ['approve', 'reject'];
+
+// Statuses whose package is with or signed off by a reviewer: editing it would
+// change what they saw, so it is only edited again once rejected back to DRAFT
+const LOCKED_STATUSES = ['PENDING_APPROVAL', 'APPROVED'];
+
+// Actions refused while work on the job is stopped (Job.workStoppedAt, see imsIncidents)
+const WORK_STOP_BLOCKED_ACTIONS = ['start', 'complete'];
+
+const JOB_STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Get the action name for a transition, or null if not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {string|null}
+ */
+function getAction(from, to) {
+    return TRANSITIONS[from]?.[to] || null;
+}
+
+/**
+ * Check if a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+    return getAction(from, to) !== null;
+}
+
+/**
+ * Get the statuses reachable from the given status
+ * @param {string} from - Current status
+ * @returns {Array<string>}
+ */
+function getAllowedTransitions(from) {
+    return Object.keys(TRANSITIONS[from] || {});
+}
+
+/**
+ * Check if a transition requires supervisor sign-off
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function isReviewTransition(from, to) {
+    return REVIEW_ACTIONS.includes(getAction(from, to));
+}
+
+/**
+ * Check if a user may sign off a job: not one they created or submitted
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job record (id, userId)
+ * @param {Object} user - Reviewing user
+ * @returns {Promise<boolean>}
+ */
+async function isOwnSubmission(prisma, job, user) {
+    if (job.userId === user.id) return true;
+
+    const submission = await prisma.jobStatusTransition.findFirst({
+        where: { jobId: job.id, toStatus: 'PENDING_APPROVAL' },
+        orderBy: { createdAt: 'desc' },
+        select: { userId: true }
+    });
+    return submission?.userId === user.id;
+}
+
+/**
+ * Refuse edits to a job's package while it is locked for sign-off
+ * @param {Object} job - Job record (status)
+ * @throws {HttpError} - 409 if the job is pending approval or approved
+ */
+function assertEditable(job) {
+    if (job.status === 'PENDING_APPROVAL') {
+        throw new HttpError('This job is waiting for sign-off and cannot be edited until a reviewer rejects it back to draft.', 409);
+    }
+    if (LOCKED_STATUSES.includes(job.status)) {
+        throw new HttpError(`This job is ${job.status.toLowerCase()} and can no longer be edited.`, 409);
+    }
+}
+
+/**
+ * Check if a transition is refused while work on the job is stopped
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function isBlockedByWorkStop(from, to) {
+    return WORK_STOP_BLOCKED_ACTIONS.includes(getAction(from, to));
+}
+
+/**
+ * Timestamp fields set when entering a status
+ */
+function getStatusTimestamps(to) {
+    const now = new Date();
+    return {
+        ...(to === 'PENDING_APPROVAL' && { submittedAt: now }),
+        ...(to === 'APPROVED' && { approvedAt: now }),
+        ...(to === 'DRAFT' && { submittedAt: null, approvedAt: null }),
+        ...(to === 'COMPLETED' && { completedAt: now })
+    };
+}
+
+/**
+ * Apply a status transition and record it in the audit trail
+ * The update is conditional on the job still being in `job.status`,
+ * so two concurrent transitions cannot both succeed.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job record (must include id, status and workStoppedAt)
+ * @param {string} to - Target status
+ * @param {Object} user - Acting user
+ * @param {string} [reason] - Comments / reason for the change
+ * @returns {Promise<{job: Object, transition: Object}>}
+ */
+async function transitionJob(prisma, job, to, user, reason) {
+    if (!JOB_STATUSES.includes(to)) {
+        throw new HttpError('Invalid status', 400);
+    }
+
+    const from = job.status;
+    const action = getAction(from, to);
+
+    if (!action) {
+        throw new HttpError(
+            `Cannot move job from ${from} to ${to}. Allowed: ${getAllowedTransitions(from).join(', ') || 'none'}`,
+            409
+        );
+    }
+
+    const blockedByStop = isBlockedByWorkStop(from, to);
+
+    if (blockedByStop && job.workStoppedAt) {
+        throw new HttpError(`Work on this job is stopped: ${job.workStopReason || 'see the job record'}. Resolve the stop before you ${action} the job.`, 409);
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const result = await tx.job.updateMany({
+            where: { id: job.id, status: from, ...(blockedByStop && { workStoppedAt: null }) },
+            data: {
+                status: to,
+                version: { increment: 1 },
+                ...getStatusTimestamps(to)
+            }
+        });
+
+        if (result.count === 0) {
+            throw new HttpError('Job status (or work stop) was changed by someone else. Reload and try again.', 409);
+        }
+
+        const transition = await tx.jobStatusTransition.create({
+            data: {
+                jobId: job.id,
+                userId: user.id,
+                fromStatus: from,
+                toStatus: to,
+                action,
+                reason: reason?.trim() || null
+            }
+        });
+
+        const updated = await tx.job.findUnique({ where: { id: job.id } });
+
+        return { job: updated, transition };
+    });
+}
+
+module.exports = {
+    TRANSITIONS,
+    JOB_STATUSES,
+    LOCKED_STATUSES,
+    getAction,
+    canTransition,
+    getAllowedTransitions,
+    isReviewTransition,
+    isOwnSubmission,
+    assertEditable,
+    isBlockedByWorkStop,
+    transitionJob
+};
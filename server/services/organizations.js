@@ -0,0 +1,358 @@
+/**
+ * Organisations
+ * Jobs, crew and vessels belong to an organisation, so the supervisors in a
+ * team share one job list, crew register and vessel list. The user who saved
+ * a record is kept as its creator (userId).
+ *
+ * A request works in one organisation: the one named by the
+ * X-Organization-Id header, or the user's first membership. Users without a
+ * membership get a personal organisation on their first request, which
+ * adopts the records they saved before organisations existed.
+ *
+ * Roles:
+ *   OWNER      - manages members (including owners) and deletes any record
+ *   ADMIN      - manages members other than owners and deletes any record
+ *   SUPERVISOR - as MEMBER, and signs off submitted jobs
+ *   MEMBER     - creates and edits records, deletes the ones they created
+ *
+ * Owners and admins may also sign off jobs (REVIEWER_ROLES).
+ */
+
+const { HttpError } = require('./httpError');
+
+const ROLES = ['OWNER', 'ADMIN', 'SUPERVISOR', 'MEMBER'];
+const MANAGER_ROLES = ['OWNER', 'ADMIN'];
+const REVIEWER_ROLES = ['OWNER', 'ADMIN', 'SUPERVISOR'];
+
+const ORGANIZATION_HEADER = 'x-organization-id';
+
+// Member fields returned by the API
+const MEMBER_USER_SELECT = { id: true, name: true, email: true, picture: true };
+
+// ============================================
+// Permissions
+// ============================================
+
+/**
+ * Whether a membership may manage the organisation's members and settings
+ * @param {Object} membership - OrganizationMembership
+ * @returns {boolean}
+ */
+function canManage(membership) {
+    return MANAGER_ROLES.includes(membership?.role);
+}
+
+/**
+ * Whether a membership may approve/reject submitted jobs and open review threads
+ * @param {Object} membership - OrganizationMembership
+ * @returns {boolean}
+ */
+function canReview(membership) {
+    return REVIEWER_ROLES.includes(membership?.role);
+}
+
+/**
+ * Whether a membership may delete a record (managers, or its creator)
+ * @param {Object} membership - OrganizationMembership
+ * @param {Object} record - Job, CrewMember or Vessel with userId
+ * @returns {boolean}
+ */
+function canDelete(membership, record) {
+    return canManage(membership) || record.userId === membership.userId;
+}
+
+/**
+ * Where clause for the vessels an organisation can see: its own, and shared
+ * vessels (no organisation and no creator)
+ * @param {string} organizationId - Organisation ID
+ * @returns {Object} - Prisma where
+ */
+function vesselAccess(organizationId) {
+    return {
+        OR: [
+            { organizationId },
+            { organizationId: null, userId: null }
+        ]
+    };
+}
+
+/**
+ * Whether an organisation can see a vessel (see vesselAccess)
+ * @param {string} organizationId - Organisation ID
+ * @param {Object} vessel - Vessel with organizationId and userId
+ * @returns {boolean}
+ */
+function canAccessVessel(organizationId, vessel) {
+    return vessel.organizationId
+        ? vessel.organizationId === organizationId
+        : !vessel.userId;
+}
+
+// ============================================
+// Memberships
+// ============================================
+
+/**
+ * Name given to a user's personal organisation
+ * @param {Object} user - User (optionally with settings)
+ * @returns {string}
+ */
+function getPersonalName(user) {
+    return user.settings?.companyName?.trim() || `${user.name || user.email}'s organisation`;
+}
+
+/**
+ * Move the records a user saved before organisations into an organisation
+ * @param {PrismaClient} prisma - Prisma client (or transaction client)
+ * @param {string} userId - Creator
+ * @param {string} organizationId - Organisation adopting the records
+ * @returns {Promise<Object>} - { jobs, crewMembers, vessels } counts
+ */
+async function adoptRecords(prisma, userId, organizationId) {
+    const where = { userId, organizationId: null };
+    const data = { organizationId };
+
+    const [jobs, crewMembers, vessels] = await Promise.all([
+        prisma.job.updateMany({ where, data }),
+        prisma.crewMember.updateMany({ where, data }),
+        prisma.vessel.updateMany({ where, data })
+    ]);
+
+    return { jobs: jobs.count, crewMembers: crewMembers.count, vessels: vessels.count };
+}
+
+/**
+ * Create a user's personal organisation (they become its owner) and adopt
+ * their existing records
+ * The user row is locked first, so concurrent first requests create one
+ * organisation between them.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} user - User (optionally with settings)
+ * @returns {Promise<Object>} - OrganizationMembership with organization
+ */
+async function createPersonalOrganization(prisma, user) {
+    return prisma.$transaction(async (tx) => {
+        await tx.user.update({
+            where: { id: user.id },
+            data: { updatedAt: new Date() }
+        });
+
+        const existing = await tx.organizationMembership.findFirst({
+            where: { userId: user.id },
+            include: { organization: true },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        if (existing) return existing;
+
+        const organization = await tx.organization.create({
+            data: {
+                name: getPersonalName(user),
+                memberships: {
+                    create: { userId: user.id, role: 'OWNER' }
+                }
+            },
+            include: { memberships: true }
+        });
+
+        const adopted = await adoptRecords(tx, user.id, organization.id);
+        console.log(`🏢 Personal organisation created for ${user.email} (adopted ${adopted.jobs} job(s), ${adopted.crewMembers} crew, ${adopted.vessels} vessel(s))`);
+
+        const { memberships, ...rest } = organization;
+        return { ...memberships[0], organization: rest };
+    });
+}
+
+/**
+ * Resolve the organisation a request works in
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} user - Current user
+ * @param {string} [organizationId] - Organisation asked for (X-Organization-Id)
+ * @returns {Promise<Object>} - OrganizationMembership with organization
+ * @throws {HttpError} - If the user is not a member of the organisation asked for
+ */
+async function resolveMembership(prisma, user, organizationId) {
+    if (organizationId) {
+        const membership = await prisma.organizationMembership.findUnique({
+            where: { organizationId_userId: { organizationId, userId: user.id } },
+            include: { organization: true }
+        });
+
+        if (!membership) {
+            throw new HttpError('You are not a member of this organisation', 403);
+        }
+        return membership;
+    }
+
+    const membership = await prisma.organizationMembership.findFirst({
+        where: { userId: user.id },
+        include: { organization: true },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    return membership || createPersonalOrganization(prisma, user);
+}
+
+/**
+ * Parse a role from a request body
+ * @param {string} role - Role name
+ * @returns {string}
+ * @throws {HttpError} - If the role is not valid
+ */
+function parseRole(role) {
+    const value = String(role || '').toUpperCase();
+    if (!ROLES.includes(value)) {
+        throw new HttpError(`Invalid role: ${role}. Allowed: ${ROLES.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Check that a manager may give or take away a role
+ * Only owners may appoint, change or remove owners.
+ */
+function assertCanAssign(actor, ...roles) {
+    if (!canManage(actor)) {
+        throw new HttpError('Only organisation owners and admins can manage members', 403);
+    }
+    if (roles.includes('OWNER') && actor.role !== 'OWNER') {
+        throw new HttpError('Only organisation owners can appoint, change or remove owners', 403);
+    }
+}
+
+/**
+ * Check that an organisation keeps at least one owner after a change
+ */
+async function assertOwnerRemains(prisma, membership) {
+    if (membership.role !== 'OWNER') return;
+
+    const owners = await prisma.organizationMembership.count({
+        where: { organizationId: membership.organizationId, role: 'OWNER' }
+    });
+
+    if (owners <= 1) {
+        throw new HttpError('An organisation must keep at least one owner', 409);
+    }
+}
+
+/**
+ * Add a user to an organisation by email
+ * Users must have signed in once before they can be added.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} actor - Membership of the user making the change
+ * @param {Object} body - { email, role }
+ * @returns {Promise<Object>} - Created membership with user
+ * @throws {HttpError}
+ */
+async function addMember(prisma, actor, { email, role }) {
+    const value = parseRole(role || 'MEMBER');
+    assertCanAssign(actor, value);
+
+    if (!email?.trim()) {
+        throw new HttpError('Email is required');
+    }
+
+    const user = await prisma.user.findFirst({
+        where: { email: { equals: email.trim(), mode: 'insensitive' } },
+        select: { id: true }
+    });
+
+    if (!user) {
+        throw new HttpError(`No user has signed in with ${email.trim()} yet. Ask them to sign in once, then add them.`, 404);
+    }
+
+    const existing = await prisma.organizationMembership.findUnique({
+        where: { organizationId_userId: { organizationId: actor.organizationId, userId: user.id } }
+    });
+
+    if (existing) {
+        throw new HttpError('This user is already a member of the organisation', 409);
+    }
+
+    return prisma.organizationMembership.create({
+        data: { organizationId: actor.organizationId, userId: user.id, role: value },
+        include: { user: { select: MEMBER_USER_SELECT } }
+    });
+}
+
+/**
+ * Change a member's role
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} actor - Membership of the user making the change
+ * @param {Object} membership - Membership being changed
+ * @param {string} role - New role
+ * @returns {Promise<Object>} - Updated membership with user
+ * @throws {HttpError}
+ */
+async function changeRole(prisma, actor, membership, role) {
+    const value = parseRole(role);
+    assertCanAssign(actor, value, membership.role);
+
+    if (value !== 'OWNER') {
+        await assertOwnerRemains(prisma, membership);
+    }
+
+    return prisma.organizationMembership.update({
+        where: { id: membership.id },
+        data: { role: value },
+        include: { user: { select: MEMBER_USER_SELECT } }
+    });
+}
+
+/**
+ * Remove a member (managers), or leave the organisation (any member)
+ * The records they created stay with the organisation.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} actor - Membership of the user making the change
+ * @param {Object} membership - Membership being removed
+ * @returns {Promise<void>}
+ * @throws {HttpError}
+ */
+async function removeMember(prisma, actor, membership) {
+    if (membership.id !== actor.id) {
+        assertCanAssign(actor, membership.role);
+    }
+
+    await assertOwnerRemains(prisma, membership);
+
+    await prisma.organizationMembership.delete({ where: { id: membership.id } });
+}
+
+/**
+ * Organisation as returned by the API, with the current user's membership and role
+ * @param {Object} membership - OrganizationMembership with organization
+ * @returns {Object}
+ */
+function describeOrganization(membership) {
+    return {
+        ...membership.organization,
+        membershipId: membership.id,
+        role: membership.role,
+        canManage: canManage(membership),
+        canReview: canReview(membership)
+    };
+}
+
+module.exports = {
+    ROLES,
+    MANAGER_ROLES,
+    REVIEWER_ROLES,
+    ORGANIZATION_HEADER,
+    MEMBER_USER_SELECT,
+    canManage,
+    canReview,
+    canDelete,
+    vesselAccess,
+    canAccessVessel,
+    getPersonalName,
+    adoptRecords,
+    createPersonalOrganization,
+    resolveMembership,
+    addMember,
+    changeRole,
+    removeMember,
+    describeOrganization
+};
@@ -0,0 +1,292 @@
+/**
+ * PDF Notification Package
+ * Merges WMS, SWMS, ERP, WHSMP, supporting images and any SAP sampling
+ * results into one paginated PDF with a cover sheet, table of contents and consistent headers/footers.
+ *
+ * Each section is rendered to PDF with a local headless Chromium (puppeteer),
+ * page counts feed the table of contents, and the sections are merged and
+ * stamped with headers/footers using pdf-lib. Nothing leaves the server.
+ */
+
+const puppeteer = require('puppeteer');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const documentGenerator = require('./documentGenerator');
+
+// Package sections in order (template name, contents title and description)
+const SECTIONS = [
+    { name: 'wms', title: 'Work Method Statement', description: 'Cleaning methodology, biofouling assessment and compliance checklist' },
+    { name: 'swms', title: 'Safe Work Method Statement', description: 'Task steps, hazards, controls and dive team' },
+    { name: 'erp', title: 'Emergency Response Plan', description: 'Emergency procedures and contacts' },
+    { name: 'whsmp', title: 'WHS Management Plan', description: 'Work health and safety management arrangements' }
+];
+
+const IMAGE_SECTION_TITLE = 'Supporting Images';
+
+const SAP_SECTION_TITLE = 'Appendix - SAP Sampling Results';
+
+const SAP_STATUS_TEXT = { pass: 'Pass', fail: 'Fail', pending: 'Results pending' };
+
+// Page margins leave room for the stamped header and footer
+const PDF_OPTIONS = {
+    format: 'A4',
+    printBackground: true,
+    margin: { top: '20mm', bottom: '20mm', left: '12mm', right: '12mm' }
+};
+
+const HEADER_COLOR = rgb(0.39, 0.45, 0.55);
+
+// Chromium is memory hungry; build one package at a time
+let queue = Promise.resolve();
+
+/**
+ * Wrap a rendered template in a full HTML document
+ */
+function wrapHtml(content) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>
+        @page { size: A4 portrait; }
+        body { margin: 0; background: white; }
+    </style>
+</head>
+<body>${content}</body>
+</html>`;
+}
+
+/**
+ * Render HTML to PDF bytes in a fresh page
+ * @param {Browser} browser - Puppeteer browser
+ * @param {string} html - Rendered template
+ * @returns {Promise<Uint8Array>}
+ */
+async function htmlToPdf(browser, html) {
+    const page = await browser.newPage();
+
+    try {
+        // Templates are static HTML: no scripts, and nothing fetched from the
+        // network (images must be embedded as data URLs)
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (request.url().startsWith('data:')) {
+                request.continue();
+            } else {
+                request.abort();
+            }
+        });
+        await page.setContent(wrapHtml(html), { waitUntil: 'load' });
+        return await page.pdf(PDF_OPTIONS);
+    } finally {
+        await page.close();
+    }
+}
+
+/**
+ * Standard PDF fonts only cover Latin-1; replace anything else
+ */
+function toPdfText(text) {
+    return String(text || '')
+        .replace(/[\u2013\u2014]/g, '-')
+        .replace(/[^\x20-\x7E\u00A0-\u00FF]/g, '?');
+}
+
+/**
+ * Collect supporting images present in the template data
+ */
+function getSupportingImages(data) {
+    return [
+        { title: 'Vessel', src: data.vesselImage },
+        { title: 'General Arrangement', src: data.generalArrangement }
+    ].filter(image => image.src);
+}
+
+/**
+ * Stamp header and footer text on every page after the cover
+ * @param {PDFDocument} pdf - Merged package
+ * @param {Array<string>} pageSections - Section title for each page
+ * @param {Object} meta - { jobNumber, vesselName, jurisdictionName, revision }
+ */
+async function stampHeadersAndFooters(pdf, pageSections, meta) {
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const size = 8;
+    const pages = pdf.getPages();
+    const total = pages.length;
+
+    const headerLeft = toPdfText(`${meta.jobNumber} - IWC Notification Package`);
+    const footerLeft = toPdfText(`${meta.vesselName} | ${meta.jurisdictionName} | Revision ${meta.revision}`);
+
+    pages.forEach((page, i) => {
+        if (i === 0) return; // Cover page
+
+        const { width, height } = page.getSize();
+        const margin = 34; // ~12mm
+        const headerRight = toPdfText(pageSections[i]);
+        const footerRight = `Page ${i + 1} of ${total}`;
+
+        page.drawText(headerLeft, { x: margin, y: height - 30, size, font, color: HEADER_COLOR });
+        page.drawText(headerRight, {
+            x: width - margin - font.widthOfTextAtSize(headerRight, size),
+            y: height - 30, size, font, color: HEADER_COLOR
+        });
+        page.drawLine({
+            start: { x: margin, y: height - 36 },
+            end: { x: width - margin, y: height - 36 },
+            thickness: 0.5, color: HEADER_COLOR
+        });
+
+        page.drawLine({
+            start: { x: margin, y: 36 },
+            end: { x: width - margin, y: 36 },
+            thickness: 0.5, color: HEADER_COLOR
+        });
+        page.drawText(footerLeft, { x: margin, y: 24, size, font, color: HEADER_COLOR });
+        page.drawText(footerRight, {
+            x: width - margin - font.widthOfTextAtSize(footerRight, size),
+            y: 24, size, font, color: HEADER_COLOR
+        });
+    });
+}
+
+/**
+ * Build the merged package PDF
+ *
+ * @param {Object} data - Template data (TemplateData.build output)
+ * @param {Object} [options]
+ * @param {number|string} [options.revision] - Revision shown on the cover and footers
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+async function buildPackage(data, options = {}) {
+    const meta = {
+        jobNumber: data.jobNumber || 'Unnumbered',
+        vesselName: data.vesselName || 'Unnamed vessel',
+        jurisdictionName: data.jurisdictionName,
+        revision: options.revision || 'Draft'
+    };
+
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+
+    try {
+        // 1. Render each section and count its pages
+        const sections = [];
+
+        for (const section of SECTIONS) {
+            const bytes = await htmlToPdf(browser, documentGenerator.render(section.name, data));
+            sections.push({ ...section, pdf: await PDFDocument.load(bytes) });
+        }
+
+        const images = getSupportingImages(data);
+        if (images.length) {
+            const html = documentGenerator.renderTemplate('package-images', { vesselName: data.vesselName, images });
+            const bytes = await htmlToPdf(browser, html);
+            sections.push({
+                title: IMAGE_SECTION_TITLE,
+                description: images.map(image => image.title).join(', '),
+                pdf: await PDFDocument.load(bytes)
+            });
+        }
+
+        const sap = data.sapResults;
+        if (sap?.samples.length) {
+            const bytes = await htmlToPdf(browser, documentGenerator.renderTemplate('sap-results', data));
+            sections.push({
+                title: SAP_SECTION_TITLE,
+                description: `${sap.summary.samples} samples against the ${sap.thresholds.name} - ${SAP_STATUS_TEXT[sap.status]}`,
+                pdf: await PDFDocument.load(bytes)
+            });
+        }
+
+        // 2. Render cover + contents; a first pass gives its own length,
+        //    the second fills in the real page numbers
+        const renderFront = async (startPage) => {
+            let page = startPage;
+            const contents = sections.map(section => {
+                const entry = { title: section.title, description: section.description, page };
+                page += section.pdf.getPageCount();
+                return entry;
+            });
+
+            const html = documentGenerator.renderTemplate('package-cover', {
+                ...data,
+                revisionNumber: meta.revision,
+                generatedAt: new Date().toISOString(),
+                sections: contents
+            });
+            return PDFDocument.load(await htmlToPdf(browser, html));
+        };
+
+        const draftFront = await renderFront(1);
+        const front = await renderFront(draftFront.getPageCount() + 1);
+
+        // 3. Merge
+        const merged = await PDFDocument.create();
+        const pageSections = [];
+
+        for (const part of [{ title: 'Contents', pdf: front }, ...sections]) {
+            const pages = await merged.copyPages(part.pdf, part.pdf.getPageIndices());
+            pages.forEach(page => {
+                merged.addPage(page);
+                pageSections.push(part.title);
+            });
+        }
+
+        // 4. Headers, footers and metadata
+        await stampHeadersAndFooters(merged, pageSections, meta);
+
+        merged.setTitle(toPdfText(`IWC Notification Package - ${meta.jobNumber} - ${meta.vesselName}`));
+        merged.setSubject(toPdfText(`${meta.jurisdictionName} in-water cleaning notification`));
+        merged.setCreator('IWC Approval Portal');
+
+        return Buffer.from(await merged.save());
+
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Queue a package build so only one Chromium instance runs at a time
+ * @param {Object} data - Template data
+ * @param {Object} [options] - See buildPackage
+ * @returns {Promise<Buffer>}
+ */
+function generatePackage(data, options) {
+    const result = queue.then(() => buildPackage(data, options));
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Build a package for a stored job and save it as a PACKAGE document
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} user - User generating the package
+ * @param {Object} [images] - Images from the browser (companyLogo etc.)
+ * @returns {Promise<Object>} - Created Document (without content)
+ */
+async function generateJobPackage(prisma, job, user, images = {}) {
+    const revisionNumber = await documentGenerator.getLatestRevisionNumber(prisma, job.id);
+    const data = documentGenerator.buildTemplateData(job, images);
+    const pdf = await generatePackage(data, { revision: revisionNumber });
+
+    return documentGenerator.storeDocument(prisma, job, user, {
+        type: 'PACKAGE',
+        label: 'Notification-Package',
+        extension: 'pdf',
+        mimeType: 'application/pdf',
+        content: pdf.toString('base64'),
+        revisionNumber
+    });
+}
+
+module.exports = {
+    SECTIONS,
+    generatePackage,
+    generateJobPackage
+};
@@ -0,0 +1,311 @@
+/**
+ * Post-Clean Report
+ * Records what was actually done on a job after the clean and renders the
+ * post-clean inspection report (postclean.hbs) for the regulator.
+ *
+ * The report is due within the jurisdiction's postCleanReportDays
+ * (features.postCleanReportDays) of the clean finishing: the actual end
+ * date once recorded, otherwise the job's proposed end date.
+ */
+
+const documents = require('./documentGenerator');
+const { HttpError } = require('./httpError');
+
+// Cleaning areas and the Job scope column that puts each in scope
+const CLEANING_AREAS = {
+    hull: { label: 'Hull plating and underwater surfaces', scopeField: 'scopeHull' },
+    nicheAreas: { label: 'Niche areas', scopeField: 'scopeNicheAreas' },
+    propeller: { label: 'Propeller', scopeField: 'scopePropeller' },
+    seaChests: { label: 'Sea chests', scopeField: 'scopeSeaChests' }
+};
+
+// Statuses a job must be in before its post-clean report can be recorded
+const REPORTABLE_STATUSES = ['APPROVED', 'IN_PROGRESS', 'COMPLETED'];
+
+const DEFAULT_REPORT_DAYS = 14;
+const MAX_PHOTOS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DOCUMENT = { type: 'POST_CLEAN', label: 'Post-Clean-Report' };
+
+// ============================================
+// Validation
+// ============================================
+
+function parseDate(value, field) {
+    if (value === null || value === '') return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new HttpError(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+function parseNumber(value, field, { integer = false, min = 0 } = {}) {
+    if (value === null || value === '') return null;
+
+    const number = integer ? parseInt(value) : parseFloat(value);
+    if (isNaN(number) || number < min) {
+        throw new HttpError(`Invalid ${field}: ${value}`);
+    }
+    return number;
+}
+
+function parseFoulingRating(value, label) {
+    const rating = parseNumber(value, `final fouling rating for ${label}`, { integer: true });
+    if (rating !== null && (rating > 100 || rating % 10 !== 0)) {
+        throw new HttpError(`Invalid final fouling rating for ${label}: ${value} (FR 0-100 in steps of 10)`);
+    }
+    return rating;
+}
+
+/**
+ * Validate the areas list
+ * Known areas take their label from CLEANING_AREAS; anything else needs a label.
+ */
+function normalizeAreas(areas) {
+    if (!Array.isArray(areas)) {
+        throw new HttpError('areas must be an array');
+    }
+
+    return areas.map(entry => {
+        const known = CLEANING_AREAS[entry?.area];
+        const label = known?.label || String(entry?.label || '').trim();
+
+        if (!label) {
+            throw new HttpError(`Unknown area "${entry?.area}" must have a label`);
+        }
+
+        return {
+            area: entry.area || 'other',
+            label,
+            scoped: !!entry.scoped,
+            cleaned: !!entry.cleaned,
+            finalFoulingRating: parseFoulingRating(entry.finalFoulingRating ?? null, label),
+            notes: String(entry.notes || '').trim()
+        };
+    });
+}
+
+function normalizePhotos(photos) {
+    if (!Array.isArray(photos)) {
+        throw new HttpError('photos must be an array');
+    }
+    if (photos.length > MAX_PHOTOS) {
+        throw new HttpError(`At most ${MAX_PHOTOS} photos can be attached`);
+    }
+
+    return photos.map((photo, index) => {
+        if (!photo?.image || typeof photo.image !== 'string') {
+            throw new HttpError(`Photo ${index + 1} has no image`);
+        }
+        return {
+            image: photo.image,
+            caption: String(photo.caption || '').trim(),
+            area: photo.area || null
+        };
+    });
+}
+
+/**
+ * Convert a request body into PostCleanReport data
+ * Only fields present in the body are returned, so updates can be partial.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} - Prisma data
+ * @throws {HttpError} - If a value is invalid
+ */
+function normalizeReport(body) {
+    const data = {};
+
+    if ('actualStartDate' in body) data.actualStartDate = parseDate(body.actualStartDate, 'actualStartDate');
+    if ('actualEndDate' in body) data.actualEndDate = parseDate(body.actualEndDate, 'actualEndDate');
+
+    if (data.actualStartDate && data.actualEndDate && data.actualEndDate < data.actualStartDate) {
+        throw new HttpError('actualEndDate cannot be before actualStartDate');
+    }
+
+    if ('areas' in body) data.areas = normalizeAreas(body.areas || []);
+    if ('capturedWasteVolume' in body) data.capturedWasteVolume = parseNumber(body.capturedWasteVolume, 'capturedWasteVolume');
+    if ('filterMicron' in body) data.filterMicron = parseNumber(body.filterMicron, 'filterMicron', { integer: true, min: 1 });
+    if ('imsObserved' in body) data.imsObserved = !!body.imsObserved;
+    if ('imsObservations' in body) data.imsObservations = String(body.imsObservations || '').trim() || null;
+    if ('photos' in body) data.photos = normalizePhotos(body.photos || []);
+    if ('comments' in body) data.comments = String(body.comments || '').trim() || null;
+
+    return data;
+}
+
+// ============================================
+// Report State
+// ============================================
+
+/**
+ * Areas in scope for a job, before anything is recorded
+ * @param {Object} job - Job with scope columns
+ * @returns {Array<Object>}
+ */
+function getDefaultAreas(job) {
+    return Object.entries(CLEANING_AREAS).map(([area, { label, scopeField }]) => ({
+        area,
+        label,
+        scoped: !!job[scopeField],
+        cleaned: false,
+        finalFoulingRating: null,
+        notes: ''
+    }));
+}
+
+/**
+ * Whether a job has reached a status where the clean can be reported
+ * @param {Object} job - Job with status
+ * @returns {boolean}
+ */
+function isReportable(job) {
+    return REPORTABLE_STATUSES.includes(job.status);
+}
+
+/**
+ * Days allowed for the report in a job's jurisdiction
+ * @param {Object} job - Job with jurisdiction
+ * @returns {number}
+ */
+function getReportDays(job) {
+    return documents.getJurisdiction(job.jurisdiction).features?.postCleanReportDays || DEFAULT_REPORT_DAYS;
+}
+
+/**
+ * Date the report must be completed by
+ * @param {Object} job - Job with proposed dates and jurisdiction
+ * @param {Object} [report] - Stored report
+ * @returns {Date|null} - Null until the job has an end date
+ */
+function getDueDate(job, report) {
+    const finished = report?.actualEndDate || job.proposedEndDate || job.proposedStartDate;
+    if (!finished) return null;
+
+    return new Date(new Date(finished).getTime() + getReportDays(job) * DAY_MS);
+}
+
+/**
+ * Report as returned by the API: the stored report (or an empty one) plus
+ * the due date and whether it is overdue
+ *
+ * @param {Object} job - Job with status, scope, dates and jurisdiction
+ * @param {Object|null} report - Stored report
+ * @param {Date} [now] - Reference time
+ * @returns {Object}
+ */
+function describeReport(job, report, now = new Date()) {
+    const dueDate = getDueDate(job, report);
+
+    return {
+        ...(report || {
+            jobId: job.id,
+            actualStartDate: null,
+            actualEndDate: null,
+            capturedWasteVolume: null,
+            filterMicron: null,
+            imsObserved: false,
+            imsObservations: null,
+            photos: [],
+            comments: null,
+            completedAt: null,
+            version: null
+        }),
+        areas: report?.areas || getDefaultAreas(job),
+        exists: !!report,
+        reportDays: getReportDays(job),
+        dueDate,
+        overdue: !report?.completedAt && !!dueDate && dueDate < now
+    };
+}
+
+// ============================================
+// Document
+// ============================================
+
+function formatDate(date) {
+    return date ? new Date(date).toISOString().split('T')[0] : '';
+}
+
+/**
+ * Build the template data for postclean.hbs
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} report - Stored report (with preparedBy)
+ * @returns {Object}
+ */
+function buildReportData(job, report) {
+    const data = documents.buildTemplateData(job);
+    const jurisdiction = documents.getJurisdiction(job.jurisdiction);
+    const requiredMicron = jurisdiction.scenarioLogic?.captureStandard?.filterMicron || null;
+    const described = describeReport(job, report);
+
+    const areas = described.areas.map(area => ({
+        ...area,
+        statusText: area.cleaned
+            ? (area.scoped ? 'Cleaned' : 'Cleaned (not in scope)')
+            : (area.scoped ? 'Not cleaned' : 'Not in scope'),
+        statusClass: area.scoped && !area.cleaned ? 'incomplete' : 'confirmed',
+        hasRating: area.finalFoulingRating !== null && area.finalFoulingRating !== undefined
+    }));
+
+    return {
+        ...data,
+        postClean: {
+            actualStartDate: formatDate(report.actualStartDate),
+            actualEndDate: formatDate(report.actualEndDate),
+            areas,
+            scopedNotCleaned: areas.filter(area => area.scoped && !area.cleaned).map(area => area.label),
+            capturedWasteVolume: report.capturedWasteVolume,
+            hasWasteVolume: report.capturedWasteVolume !== null,
+            filterMicron: report.filterMicron,
+            requiredFilterMicron: requiredMicron,
+            filterCompliant: !requiredMicron || !report.filterMicron || report.filterMicron <= requiredMicron,
+            imsObserved: report.imsObserved,
+            imsObservations: report.imsObservations,
+            photos: report.photos || [],
+            hasPhotos: (report.photos || []).length > 0,
+            comments: report.comments,
+            preparedBy: report.preparedBy?.name || report.preparedBy?.email || '',
+            completedAt: formatDate(report.completedAt),
+            dueDate: formatDate(described.dueDate),
+            reportDays: described.reportDays
+        }
+    };
+}
+
+/**
+ * Render the post-clean report and store it as a new POST_CLEAN document version
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} report - Stored report (with preparedBy)
+ * @param {Object} user - User generating the document
+ * @returns {Promise<Object>} - Created Document (without content)
+ */
+async function generateReport(prisma, job, report, user) {
+    const html = documents.renderTemplate('postclean', buildReportData(job, report));
+    const revisionNumber = await documents.getLatestRevisionNumber(prisma, job.id);
+
+    return documents.storeDocument(prisma, job, user, {
+        ...DOCUMENT,
+        extension: 'html',
+        mimeType: 'text/html',
+        content: html,
+        revisionNumber
+    });
+}
+
+module.exports = {
+    CLEANING_AREAS,
+    REPORTABLE_STATUSES,
+    normalizeReport,
+    getDefaultAreas,
+    isReportable,
+    getDueDate,
+    describeReport,
+    buildReportData,
+    generateReport
+};
@@ -0,0 +1,374 @@
+/**
+ * Pre-Clean Inspection
+ * Records the in-water inspection done before a clean and renders the
+ * pre-clean inspection report (preclean.hbs) for the regulator.
+ *
+ * The inspection must be done at least the jurisdiction's
+ * preCleanInspectionHours (features.preCleanInspectionHours) before the
+ * clean starts. Once completed, the worst fouling rating and cover found
+ * across the hull zones replace the preliminary assessment on the job, so
+ * the risk level and cleaning scenario follow the inspection.
+ */
+
+const documents = require('./documentGenerator');
+const { HttpError } = require('./httpError');
+
+// Hull zones inspected, in report order (niche areas are reported separately by most regulators)
+const HULL_ZONES = {
+    bow: { label: 'Bow', niche: false },
+    sidesPort: { label: 'Vertical sides - port', niche: false },
+    sidesStarboard: { label: 'Vertical sides - starboard', niche: false },
+    bootTop: { label: 'Boot top / waterline', niche: false },
+    flatBottom: { label: 'Flat bottom', niche: false },
+    stern: { label: 'Stern', niche: false },
+    seaChests: { label: 'Sea chests and gratings', niche: true },
+    propeller: { label: 'Propeller and shaft', niche: true },
+    rudder: { label: 'Rudder', niche: true },
+    thrusters: { label: 'Thrusters and tunnels', niche: true },
+    bilgeKeels: { label: 'Bilge keels', niche: true }
+};
+
+// Same values as the afcCondition field on the job form
+const AFC_CONDITIONS = ['sound', 'worn', 'damaged', 'unknown'];
+
+// Statuses a job can be in while its pre-clean inspection is recorded: its
+// ratings change the job, so it is done before the job goes for sign-off
+const INSPECTABLE_STATUSES = ['DRAFT'];
+
+const DEFAULT_INSPECTION_HOURS = 48;
+const MAX_PHOTOS = 20;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DOCUMENT = { type: 'PRE_CLEAN', label: 'Pre-Clean-Inspection' };
+
+// ============================================
+// Validation
+// ============================================
+
+function parseDate(value, field) {
+    if (value === null || value === '') return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new HttpError(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+function parseText(value) {
+    return String(value || '').trim() || null;
+}
+
+function parsePercent(value, label) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const cover = parseInt(value);
+    if (isNaN(cover) || cover < 0 || cover > 100) {
+        throw new HttpError(`Invalid fouling cover for ${label}: ${value} (0-100%)`);
+    }
+    return cover;
+}
+
+function parseFoulingRating(value, label) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const rating = parseInt(value);
+    if (isNaN(rating) || rating < 0 || rating > 100 || rating % 10 !== 0) {
+        throw new HttpError(`Invalid fouling rating for ${label}: ${value} (FR 0-100 in steps of 10)`);
+    }
+    return rating;
+}
+
+/**
+ * Validate the zones list
+ * Known zones take their label from HULL_ZONES; anything else needs a label.
+ */
+function normalizeZones(zones) {
+    if (!Array.isArray(zones)) {
+        throw new HttpError('zones must be an array');
+    }
+
+    return zones.map(entry => {
+        const known = HULL_ZONES[entry?.zone];
+        const label = known?.label || String(entry?.label || '').trim();
+
+        if (!label) {
+            throw new HttpError(`Unknown zone "${entry?.zone}" must have a label`);
+        }
+
+        return {
+            zone: entry.zone || 'other',
+            label,
+            niche: known ? known.niche : !!entry.niche,
+            foulingRating: parseFoulingRating(entry.foulingRating, label),
+            foulingCover: parsePercent(entry.foulingCover, label),
+            notes: String(entry.notes || '').trim()
+        };
+    });
+}
+
+function normalizePhotos(photos) {
+    if (!Array.isArray(photos)) {
+        throw new HttpError('photos must be an array');
+    }
+    if (photos.length > MAX_PHOTOS) {
+        throw new HttpError(`At most ${MAX_PHOTOS} photos can be attached`);
+    }
+
+    return photos.map((photo, index) => {
+        if (!photo?.image || typeof photo.image !== 'string') {
+            throw new HttpError(`Photo ${index + 1} has no image`);
+        }
+        return {
+            image: photo.image,
+            caption: String(photo.caption || '').trim(),
+            zone: photo.zone || null
+        };
+    });
+}
+
+/**
+ * Convert a request body into PreCleanInspection data
+ * Only fields present in the body are returned, so updates can be partial.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} - Prisma data
+ * @throws {HttpError} - If a value is invalid
+ */
+function normalizeInspection(body) {
+    const data = {};
+
+    if ('inspectedAt' in body) data.inspectedAt = parseDate(body.inspectedAt, 'inspectedAt');
+    if ('inspectorName' in body) data.inspectorName = parseText(body.inspectorName);
+    if ('inspectorOrganisation' in body) data.inspectorOrganisation = parseText(body.inspectorOrganisation);
+    if ('zones' in body) data.zones = normalizeZones(body.zones || []);
+
+    if ('afcCondition' in body) {
+        data.afcCondition = parseText(body.afcCondition);
+        if (data.afcCondition && !AFC_CONDITIONS.includes(data.afcCondition)) {
+            throw new HttpError(`Invalid afcCondition: ${body.afcCondition}. Allowed: ${AFC_CONDITIONS.join(', ')}`);
+        }
+    }
+
+    if ('afcObservations' in body) data.afcObservations = parseText(body.afcObservations);
+    if ('imsSuspected' in body) data.imsSuspected = !!body.imsSuspected;
+    if ('imsObservations' in body) data.imsObservations = parseText(body.imsObservations);
+    if ('photos' in body) data.photos = normalizePhotos(body.photos || []);
+    if ('comments' in body) data.comments = parseText(body.comments);
+
+    return data;
+}
+
+/**
+ * Reasons an inspection cannot be marked complete yet
+ * @param {Object} inspection - Inspection data (stored values merged with the update)
+ * @returns {Array<string>} - Empty if it can be completed
+ */
+function getIncompleteReasons(inspection) {
+    const reasons = [];
+
+    if (!inspection.inspectedAt) reasons.push('Record the inspection date and time.');
+    if (!inspection.inspectorName) reasons.push('Record who carried out the inspection.');
+    if (!summarizeZones(inspection.zones)) reasons.push('Record a fouling rating for at least one hull zone.');
+
+    return reasons;
+}
+
+// ============================================
+// Inspection State
+// ============================================
+
+/**
+ * Hull zones before anything is recorded
+ * @returns {Array<Object>}
+ */
+function getDefaultZones() {
+    return Object.entries(HULL_ZONES).map(([zone, { label, niche }]) => ({
+        zone,
+        label,
+        niche,
+        foulingRating: null,
+        foulingCover: null,
+        notes: ''
+    }));
+}
+
+/**
+ * Worst fouling rating and cover recorded across the hull zones
+ * Risk is driven by the most heavily fouled area, so the highest values are used.
+ *
+ * @param {Array<Object>} zones - Inspected zones
+ * @returns {{ foulingRating: number, foulingCover: number|null }|null} - Null if no zone is rated
+ */
+function summarizeZones(zones) {
+    const rated = (zones || []).filter(zone => zone.foulingRating !== null && zone.foulingRating !== undefined);
+    if (!rated.length) return null;
+
+    const covers = (zones || [])
+        .map(zone => zone.foulingCover)
+        .filter(cover => cover !== null && cover !== undefined);
+
+    return {
+        foulingRating: Math.max(...rated.map(zone => zone.foulingRating)),
+        foulingCover: covers.length ? Math.max(...covers) : null
+    };
+}
+
+/**
+ * Whether a job is at a status where the inspection can be recorded
+ * @param {Object} job - Job with status
+ * @returns {boolean}
+ */
+function isInspectable(job) {
+    return INSPECTABLE_STATUSES.includes(job.status);
+}
+
+/**
+ * Minimum hours between the inspection and the clean in a job's jurisdiction
+ * @param {Object} job - Job with jurisdiction
+ * @returns {number}
+ */
+function getInspectionHours(job) {
+    return documents.getJurisdiction(job.jurisdiction).features?.preCleanInspectionHours || DEFAULT_INSPECTION_HOURS;
+}
+
+/**
+ * Latest time the inspection can be done before the clean
+ * @param {Object} job - Job with proposedStartDate and jurisdiction
+ * @returns {Date|null} - Null until the job has a start date
+ */
+function getLatestInspectionDate(job) {
+    if (!job.proposedStartDate) return null;
+
+    return new Date(new Date(job.proposedStartDate).getTime() - getInspectionHours(job) * HOUR_MS);
+}
+
+/**
+ * Inspection as returned by the API: the stored inspection (or an empty
+ * one) plus the inspection window and the ratings it gives the job
+ *
+ * @param {Object} job - Job with status, dates and jurisdiction
+ * @param {Object|null} inspection - Stored inspection
+ * @param {Date} [now] - Reference time
+ * @returns {Object}
+ */
+function describeInspection(job, inspection, now = new Date()) {
+    const latestDate = getLatestInspectionDate(job);
+    const inspectedAt = inspection?.inspectedAt ? new Date(inspection.inspectedAt) : null;
+    const zones = inspection?.zones || getDefaultZones();
+
+    return {
+        ...(inspection || {
+            jobId: job.id,
+            inspectedAt: null,
+            inspectorName: null,
+            inspectorOrganisation: null,
+            afcCondition: null,
+            afcObservations: null,
+            imsSuspected: false,
+            imsObservations: null,
+            photos: [],
+            comments: null,
+            completedAt: null,
+            version: null
+        }),
+        zones,
+        exists: !!inspection,
+        summary: summarizeZones(zones),
+        inspectionHours: getInspectionHours(job),
+        latestDate,
+        // Too late once recorded after the window, or if the window has passed without one
+        late: !!latestDate && (inspectedAt ? inspectedAt > latestDate : latestDate < now)
+    };
+}
+
+// ============================================
+// Document
+// ============================================
+
+function formatDateTime(date) {
+    if (!date) return '';
+
+    const iso = new Date(date).toISOString();
+    return `${iso.split('T')[0]} ${iso.substring(11, 16)} UTC`;
+}
+
+/**
+ * Build the template data for preclean.hbs
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} inspection - Stored inspection (with preparedBy)
+ * @returns {Object}
+ */
+function buildInspectionData(job, inspection) {
+    const data = documents.buildTemplateData(job);
+    const described = describeInspection(job, inspection);
+
+    const zones = described.zones.map(zone => ({
+        ...zone,
+        hasRating: zone.foulingRating !== null && zone.foulingRating !== undefined,
+        hasCover: zone.foulingCover !== null && zone.foulingCover !== undefined
+    }));
+
+    return {
+        ...data,
+        preClean: {
+            inspectedAt: formatDateTime(inspection.inspectedAt),
+            inspectorName: inspection.inspectorName,
+            inspectorOrganisation: inspection.inspectorOrganisation,
+            hullZones: zones.filter(zone => !zone.niche),
+            nicheZones: zones.filter(zone => zone.niche),
+            summary: described.summary,
+            afcCondition: inspection.afcCondition,
+            afcObservations: inspection.afcObservations,
+            imsSuspected: inspection.imsSuspected,
+            imsObservations: inspection.imsObservations,
+            photos: (inspection.photos || []).map(photo => ({
+                ...photo,
+                zoneLabel: zones.find(zone => zone.zone === photo.zone)?.label || ''
+            })),
+            hasPhotos: (inspection.photos || []).length > 0,
+            comments: inspection.comments,
+            preparedBy: inspection.preparedBy?.name || inspection.preparedBy?.email || '',
+            completedAt: formatDateTime(inspection.completedAt),
+            inspectionHours: described.inspectionHours,
+            latestDate: formatDateTime(described.latestDate),
+            late: described.late
+        }
+    };
+}
+
+/**
+ * Render the pre-clean inspection report and store it as a new PRE_CLEAN document version
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Object} inspection - Stored inspection (with preparedBy)
+ * @param {Object} user - User generating the document
+ * @returns {Promise<Object>} - Created Document (without content)
+ */
+async function generateReport(prisma, job, inspection, user) {
+    const html = documents.renderTemplate('preclean', buildInspectionData(job, inspection));
+    const revisionNumber = await documents.getLatestRevisionNumber(prisma, job.id);
+
+    return documents.storeDocument(prisma, job, user, {
+        ...DOCUMENT,
+        extension: 'html',
+        mimeType: 'text/html',
+        content: html,
+        revisionNumber
+    });
+}
+
+module.exports = {
+    HULL_ZONES,
+    INSPECTABLE_STATUSES,
+    normalizeInspection,
+    getIncompleteReasons,
+    getDefaultZones,
+    summarizeZones,
+    isInspectable,
+    getLatestInspectionDate,
+    describeInspection,
+    buildInspectionData,
+    generateReport
+};
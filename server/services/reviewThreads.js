@@ -0,0 +1,282 @@
+/**
+ * Review Threads
+ * Comment threads a supervisor opens while reviewing a submitted job, each
+ * anchored to a section of the job form or to a section of a generated
+ * document. The job's authors reply and resolve them; a job with open
+ * threads cannot be resubmitted for approval.
+ */
+
+const ReviewSections = require('../../public/js/utils/reviewSections');
+const { HttpError } = require('./httpError');
+
+// Statuses in which reviewers can open threads
+const OPENABLE_STATUSES = ['PENDING_APPROVAL'];
+
+// Longest comment accepted
+const MAX_COMMENT_LENGTH = 5000;
+
+const USER_SELECT = { id: true, name: true, email: true };
+
+// Relations returned with every thread
+const THREAD_INCLUDE = {
+    createdBy: { select: USER_SELECT },
+    resolvedBy: { select: USER_SELECT },
+    document: { select: { id: true, type: true, version: true } },
+    comments: {
+        include: { user: { select: USER_SELECT } },
+        orderBy: { createdAt: 'asc' }
+    }
+};
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Parse a comment body from a request
+ * @param {string} body - Comment text
+ * @returns {string}
+ * @throws {HttpError} - If it is empty or too long
+ */
+function parseComment(body) {
+    const text = String(body ?? '').trim();
+
+    if (!text) {
+        throw new HttpError('Comment is required');
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+        throw new HttpError(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+    }
+    return text;
+}
+
+/**
+ * Resolve the anchor of a new thread
+ * Form anchors name a form section; document anchors name an HTML document
+ * of the job and one of its section headings.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with id
+ * @param {Object} body - { anchorType, anchor, documentId }
+ * @returns {Promise<Object>} - { anchorType, anchor, documentId, documentType }
+ * @throws {HttpError} - If the anchor does not exist
+ */
+async function resolveAnchor(prisma, job, { anchorType, anchor, documentId }) {
+    const type = String(anchorType || '').toUpperCase();
+
+    if (!ReviewSections.ANCHOR_TYPES.includes(type)) {
+        throw new HttpError(`Invalid anchorType: ${anchorType}. Allowed: ${ReviewSections.ANCHOR_TYPES.join(', ')}`);
+    }
+
+    if (type === 'FORM_SECTION') {
+        if (!ReviewSections.getFormSection(anchor)) {
+            throw new HttpError(`Invalid form section: ${anchor}`);
+        }
+        return { anchorType: type, anchor, documentId: null, documentType: null };
+    }
+
+    if (!documentId) {
+        throw new HttpError('documentId is required for document comments');
+    }
+
+    const document = await prisma.document.findFirst({
+        where: { id: documentId, jobId: job.id },
+        select: { id: true, type: true, mimeType: true, content: true }
+    });
+
+    if (!document) {
+        throw new HttpError('Document not found', 404);
+    }
+    if (document.mimeType !== 'text/html') {
+        throw new HttpError('Only HTML documents have sections to comment on');
+    }
+
+    const heading = ReviewSections.headingText(anchor);
+    if (!ReviewSections.getDocumentSections(document.content).includes(heading)) {
+        throw new HttpError(`The document has no section "${heading}"`);
+    }
+
+    return { anchorType: type, anchor: heading, documentId: document.id, documentType: document.type };
+}
+
+// ============================================
+// Threads
+// ============================================
+
+/**
+ * Thread as returned by the API, with its location and state
+ * @param {Object} thread - ReviewThread with THREAD_INCLUDE
+ * @returns {Object}
+ */
+function describeThread(thread) {
+    return {
+        ...thread,
+        location: ReviewSections.describeAnchor(thread),
+        resolved: thread.resolvedAt !== null
+    };
+}
+
+/**
+ * A job's threads, in the order they were opened
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array<Object>>} - Described threads
+ */
+async function listThreads(prisma, jobId) {
+    const threads = await prisma.reviewThread.findMany({
+        where: { jobId },
+        include: THREAD_INCLUDE,
+        orderBy: { createdAt: 'asc' }
+    });
+
+    return threads.map(describeThread);
+}
+
+/**
+ * Open a thread with its first comment
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with id and status
+ * @param {Object} user - Reviewer
+ * @param {Object} body - { anchorType, anchor, documentId, body }
+ * @returns {Promise<Object>} - Described thread
+ * @throws {HttpError}
+ */
+async function openThread(prisma, job, user, body) {
+    if (!OPENABLE_STATUSES.includes(job.status)) {
+        throw new HttpError(`Comments can only be added while a job is pending approval (current status: ${job.status})`, 409);
+    }
+
+    const text = parseComment(body.body);
+    const anchor = await resolveAnchor(prisma, job, body);
+
+    const thread = await prisma.reviewThread.create({
+        data: {
+            jobId: job.id,
+            ...anchor,
+            createdById: user.id,
+            comments: {
+                create: { userId: user.id, body: text }
+            }
+        },
+        include: THREAD_INCLUDE
+    });
+
+    return describeThread(thread);
+}
+
+/**
+ * Reply to a thread
+ * Replying to a resolved thread reopens it.
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} thread - Stored thread
+ * @param {Object} user - User replying
+ * @param {string} body - Comment text
+ * @returns {Promise<Object>} - Described thread
+ * @throws {HttpError}
+ */
+async function reply(prisma, thread, user, body) {
+    const text = parseComment(body);
+
+    const updated = await prisma.reviewThread.update({
+        where: { id: thread.id },
+        data: {
+            resolvedAt: null,
+            resolvedById: null,
+            comments: {
+                create: { userId: user.id, body: text }
+            }
+        },
+        include: THREAD_INCLUDE
+    });
+
+    return describeThread(updated);
+}
+
+/**
+ * Mark a thread resolved, or open it again
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} thread - Stored thread
+ * @param {Object} user - User making the change
+ * @param {boolean} resolved - Resolve (true) or reopen (false)
+ * @returns {Promise<Object>} - Described thread
+ */
+async function setResolved(prisma, thread, user, resolved) {
+    const updated = await prisma.reviewThread.update({
+        where: { id: thread.id },
+        data: resolved
+            ? { resolvedAt: new Date(), resolvedById: user.id }
+            : { resolvedAt: null, resolvedById: null },
+        include: THREAD_INCLUDE
+    });
+
+    return describeThread(updated);
+}
+
+/**
+ * Open threads on a job
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array<Object>>} - Described threads
+ */
+async function findOpenThreads(prisma, jobId) {
+    const threads = await prisma.reviewThread.findMany({
+        where: { jobId, resolvedAt: null },
+        include: THREAD_INCLUDE,
+        orderBy: { createdAt: 'asc' }
+    });
+
+    return threads.map(describeThread);
+}
+
+/**
+ * Number of open threads on each of a set of jobs
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Array<string>} jobIds - Job IDs
+ * @returns {Promise<Object>} - { [jobId]: count }
+ */
+async function countOpenThreads(prisma, jobIds) {
+    if (!jobIds.length) return {};
+
+    const groups = await prisma.reviewThread.groupBy({
+        by: ['jobId'],
+        where: { jobId: { in: jobIds }, resolvedAt: null },
+        _count: { _all: true }
+    });
+
+    return Object.fromEntries(groups.map(group => [group.jobId, group._count._all]));
+}
+
+/**
+ * Send the 422 response for a submission blocked by open threads
+ * @param {Response} res - Express response
+ * @param {Array<Object>} threads - From findOpenThreads()
+ */
+function sendUnresolvedFailure(res, threads) {
+    return res.status(422).json({
+        error: 'Unresolved review comments',
+        message: `Resolve the ${threads.length} open review comment${threads.length === 1 ? '' : 's'} before resubmitting this job for approval.`,
+        threads: threads.map(thread => ({
+            id: thread.id,
+            location: thread.location,
+            comment: thread.comments[0]?.body || ''
+        }))
+    });
+}
+
+module.exports = {
+    OPENABLE_STATUSES,
+    THREAD_INCLUDE,
+    parseComment,
+    resolveAnchor,
+    describeThread,
+    listThreads,
+    openThread,
+    reply,
+    setResolved,
+    findOpenThreads,
+    countOpenThreads,
+    sendUnresolvedFailure
+};
@@ -0,0 +1,139 @@
+/**
+ * SAP Sampling
+ * Records the water samples taken under a job's Sampling and Analysis Plan
+ * (SAP) and their laboratory results, and evaluates them against the
+ * jurisdiction's sapThresholds (ScenarioLogic.evaluateSapResults).
+ *
+ * The evaluation sets the "Chemical contamination standard is met" checklist
+ * row and the results appendix of the PDF package.
+ */
+
+const documents = require('./documentGenerator');
+const ScenarioLogic = require('../../public/js/utils/scenarioLogic');
+const { HttpError } = require('./httpError');
+
+// Statuses a job must be in before samples can be recorded against it
+const RECORDABLE_STATUSES = ['APPROVED', 'IN_PROGRESS', 'COMPLETED'];
+
+const POSITIONS = ['UPSTREAM', 'DOWNSTREAM'];
+
+const RESULT_FIELDS = ['dissolvedCopperUgL', 'dissolvedZincUgL', 'tssMgL'];
+
+const TEXT_FIELDS = ['labReference', 'notes'];
+
+// ============================================
+// Validation
+// ============================================
+
+function parseNumber(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const number = Number(value);
+    if (isNaN(number) || number < 0) {
+        throw new HttpError(`Invalid ${field}: ${value}`);
+    }
+    return number;
+}
+
+function parseText(value) {
+    return String(value ?? '').trim() || null;
+}
+
+/**
+ * Convert a request body into SapSample fields
+ * Samples need a location, sample time and position; results can be added
+ * later when the laboratory reports. Updates only change the fields present
+ * in the body.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored sample when updating
+ * @returns {Object} - Prisma data
+ * @throws {HttpError} - If a value is invalid
+ */
+function normalizeSample(body, existing = null) {
+    const data = {};
+
+    if ('location' in body) {
+        data.location = parseText(body.location);
+    }
+    if ('sampledAt' in body) {
+        const date = new Date(body.sampledAt);
+        if (!body.sampledAt || isNaN(date.getTime())) {
+            throw new HttpError(`Invalid sampledAt: ${body.sampledAt}`);
+        }
+        data.sampledAt = date;
+    }
+    if ('position' in body) {
+        const position = String(body.position || '').toUpperCase();
+        if (!POSITIONS.includes(position)) {
+            throw new HttpError(`Invalid position: ${body.position}. Expected ${POSITIONS.join(' or ')}`);
+        }
+        data.position = position;
+    }
+    for (const field of RESULT_FIELDS) {
+        if (field in body) data[field] = parseNumber(body[field], field);
+    }
+    for (const field of TEXT_FIELDS) {
+        if (field in body) data[field] = parseText(body[field]);
+    }
+
+    const merged = { ...existing, ...data };
+
+    for (const field of ['location', 'sampledAt', 'position']) {
+        if (!merged[field]) {
+            throw new HttpError(`${field} is required`);
+        }
+    }
+
+    return data;
+}
+
+// ============================================
+// Evaluation
+// ============================================
+
+/**
+ * A job's samples as returned by the API, evaluated against the
+ * jurisdiction's thresholds
+ *
+ * @param {Object} job - Job with jurisdiction
+ * @param {Array<Object>} samples - Stored samples
+ * @returns {Object} - ScenarioLogic.evaluateSapResults() result
+ */
+function describeSamples(job, samples) {
+    const jurisdiction = documents.getJurisdiction(job.jurisdiction);
+    return ScenarioLogic.evaluateSapResults(samples, jurisdiction.scenarioLogic?.sapThresholds);
+}
+
+/**
+ * One sample as returned after a change, with the job's overall status
+ *
+ * @param {Object} job - Job with jurisdiction and sapSamples
+ * @param {string} sampleId - Sample to return
+ * @returns {Object} - Evaluated sample with `status` (the job's overall result)
+ */
+function describeSample(job, sampleId) {
+    const results = describeSamples(job, job.sapSamples);
+    return {
+        ...results.samples.find(sample => sample.id === sampleId),
+        status: results.status
+    };
+}
+
+/**
+ * Whether a job has reached a status where samples can be recorded
+ * @param {Object} job - Job with status
+ * @returns {boolean}
+ */
+function isRecordable(job) {
+    return RECORDABLE_STATUSES.includes(job.status);
+}
+
+module.exports = {
+    RECORDABLE_STATUSES,
+    POSITIONS,
+    normalizeSample,
+    describeSamples,
+    describeSample,
+    isRecordable
+};
@@ -0,0 +1,356 @@
+/**
+ * Share Links
+ * Expiring, read-only links that let a client or regulator open a job's
+ * WMS, SWMS, ERP and WHSMP without an account, and acknowledge receipt or
+ * approve with conditions. Every view and response is recorded.
+ *
+ * A link shares the latest version of each document type at the time it is
+ * created. Its URL carries the link ID and an HMAC signature over the ID and
+ * expiry, which is the only credential the shared routes need; the link
+ * must also not be revoked or expired.
+ *
+ * URLs always use the configured CLIENT_URL (never the request's Host
+ * header), so links cannot be created until it is set. In production the
+ * signing key must be configured too.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./httpError');
+
+// Document types that can be shared, in package order
+const SHAREABLE_TYPES = ['WMS', 'SWMS', 'ERP', 'WHSMP'];
+
+const DEFAULT_EXPIRY_DAYS = 14;
+const MAX_EXPIRY_DAYS = 90;
+
+const RESPONSE_TYPES = ['ACKNOWLEDGED', 'APPROVED_WITH_CONDITIONS'];
+
+// Longest text accepted in a response
+const MAX_TEXT_LENGTH = 5000;
+
+// Document fields returned with a link (never the content)
+const DOCUMENT_SELECT = { id: true, type: true, version: true, generatedAt: true };
+
+// Signing key for local development only
+const DEV_SECRET = 'dev-secret-change-in-production-min-32-chars';
+
+// ============================================
+// Tokens
+// ============================================
+
+/**
+ * Key that signs link tokens
+ * @returns {string}
+ * @throws {Error} - In production, if neither SHARE_LINK_SECRET nor SESSION_SECRET is set
+ */
+function getSecret() {
+    const secret = process.env.SHARE_LINK_SECRET || process.env.SESSION_SECRET;
+
+    if (!secret && process.env.NODE_ENV === 'production') {
+        throw new Error('SHARE_LINK_SECRET (or SESSION_SECRET) must be set to use share links');
+    }
+    return secret || DEV_SECRET;
+}
+
+function sign(id, expiresAt) {
+    return crypto
+        .createHmac('sha256', getSecret())
+        .update([id, new Date(expiresAt).getTime()].join('\n'))
+        .digest('base64url');
+}
+
+/**
+ * Token for a link's URL (<id>.<signature>)
+ * @param {Object} link - ShareLink with id and expiresAt
+ * @returns {string}
+ */
+function createToken(link) {
+    return `${link.id}.${sign(link.id, link.expiresAt)}`;
+}
+
+/**
+ * Check a token's signature against its stored link
+ * @param {Object} link - ShareLink with id and expiresAt
+ * @param {string} signature - Signature from the token
+ * @returns {boolean}
+ */
+function verifySignature(link, signature) {
+    const expected = Buffer.from(sign(link.id, link.expiresAt));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Configured origin that share URLs point at
+ * @returns {string|null} - CLIENT_URL without a trailing slash, or null if not set
+ */
+function getOrigin() {
+    return process.env.CLIENT_URL?.trim().replace(/\/$/, '') || null;
+}
+
+/**
+ * Public URL of a link
+ * @param {Object} link - ShareLink with id and expiresAt
+ * @returns {string|null} - Null if CLIENT_URL is not set
+ */
+function buildUrl(link) {
+    const origin = getOrigin();
+    return origin ? `${origin}/share/${createToken(link)}` : null;
+}
+
+// ============================================
+// Links
+// ============================================
+
+/**
+ * Whether a link can still be opened: active, expired or revoked
+ * @param {Object} link - ShareLink
+ * @returns {string}
+ */
+function getState(link) {
+    if (link.revokedAt) return 'revoked';
+    if (new Date(link.expiresAt) <= new Date()) return 'expired';
+    return 'active';
+}
+
+function parseText(value) {
+    return String(value ?? '').trim() || null;
+}
+
+/**
+ * Convert a request body into ShareLink fields
+ * @param {Object} body - { recipientName, recipientEmail, expiresInDays, documentTypes }
+ * @returns {Object} - { recipientName, recipientEmail, expiresAt, documentTypes }
+ * @throws {HttpError} - If a value is invalid
+ */
+function normalizeLink(body) {
+    const days = body.expiresInDays === undefined || body.expiresInDays === ''
+        ? DEFAULT_EXPIRY_DAYS
+        : Number(body.expiresInDays);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        throw new HttpError(`expiresInDays must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}`);
+    }
+
+    const requested = [].concat(body.documentTypes || []);
+    const documentTypes = requested.length
+        ? [...new Set(requested.map(type => String(type).toUpperCase()))]
+        : SHAREABLE_TYPES;
+
+    const invalid = documentTypes.filter(type => !SHAREABLE_TYPES.includes(type));
+    if (invalid.length) {
+        throw new HttpError(`Invalid document type: ${invalid.join(', ')}. Allowed: ${SHAREABLE_TYPES.join(', ')}`);
+    }
+
+    const recipientEmail = parseText(body.recipientEmail);
+    if (recipientEmail && !/^[^\s@]+@[^\s@]+$/.test(recipientEmail)) {
+        throw new HttpError(`Invalid recipientEmail: ${recipientEmail}`);
+    }
+
+    return {
+        recipientName: parseText(body.recipientName),
+        recipientEmail,
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        documentTypes
+    };
+}
+
+/**
+ * Create a link to the latest version of each requested document
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with id
+ * @param {Object} user - User sharing the job
+ * @param {Object} body - Request body (see normalizeLink)
+ * @returns {Promise<Object>} - Created ShareLink with documents
+ * @throws {HttpError} - If CLIENT_URL is not set or the job has none of the documents
+ */
+async function createLink(prisma, job, user, body) {
+    if (!getOrigin()) {
+        throw new HttpError('Share links are not available: CLIENT_URL is not configured on the server', 503);
+    }
+
+    const { documentTypes, ...data } = normalizeLink(body);
+
+    const documents = await prisma.document.findMany({
+        where: { jobId: job.id, type: { in: documentTypes }, mimeType: 'text/html' },
+        orderBy: [{ type: 'asc' }, { version: 'desc' }],
+        select: { id: true, type: true }
+    });
+    const latest = documents.filter((doc, i) => i === 0 || documents[i - 1].type !== doc.type);
+
+    if (!latest.length) {
+        throw new HttpError(`Generate the ${documentTypes.join(', ')} before sharing this job`, 409);
+    }
+
+    return prisma.shareLink.create({
+        data: {
+            ...data,
+            jobId: job.id,
+            createdById: user.id,
+            documents: { connect: latest.map(doc => ({ id: doc.id })) }
+        },
+        include: { documents: { select: DOCUMENT_SELECT } }
+    });
+}
+
+/**
+ * Documents of a link in package order
+ * @param {Array<Object>} documents - Shared documents
+ * @returns {Array<Object>}
+ */
+function sortDocuments(documents) {
+    return [...documents].sort((a, b) => SHAREABLE_TYPES.indexOf(a.type) - SHAREABLE_TYPES.indexOf(b.type));
+}
+
+/**
+ * Link as returned to organisation members, with its URL and state
+ * @param {Object} link - ShareLink with documents (and optionally views, responses, _count)
+ * @returns {Object}
+ */
+function describeLink(link) {
+    const { _count, ...rest } = link;
+
+    return {
+        ...rest,
+        documents: sortDocuments(link.documents || []),
+        url: buildUrl(link),
+        state: getState(link),
+        ...(_count && { viewCount: _count.views })
+    };
+}
+
+// ============================================
+// Shared Access
+// ============================================
+
+/**
+ * Find the link a token opens
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {string} token - Token from the URL
+ * @returns {Promise<Object>} - ShareLink with job summary and documents
+ * @throws {HttpError} - 404 for an unknown or altered token, 410 once revoked or expired
+ */
+async function findByToken(prisma, token) {
+    const [id, signature] = String(token || '').split('.');
+
+    const link = id && signature
+        ? await prisma.shareLink.findUnique({
+            where: { id },
+            include: {
+                documents: { select: DOCUMENT_SELECT },
+                responses: { orderBy: { createdAt: 'asc' } },
+                job: {
+                    select: {
+                        jobNumber: true,
+                        status: true,
+                        jurisdiction: true,
+                        clientName: true,
+                        cleaningLocation: true,
+                        proposedStartDate: true,
+                        proposedEndDate: true,
+                        vessel: { select: { vesselName: true, imoNumber: true } },
+                        organization: { select: { name: true } }
+                    }
+                }
+            }
+        })
+        : null;
+
+    if (!link || !verifySignature(link, signature)) {
+        throw new HttpError('Link not found', 404);
+    }
+
+    const state = getState(link);
+    if (state !== 'active') {
+        throw new HttpError(`This link has ${state === 'revoked' ? 'been revoked' : 'expired'}. Ask the sender for a new one.`, 410);
+    }
+
+    return link;
+}
+
+/**
+ * Record that a link, or one of its documents, was opened
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} link - ShareLink
+ * @param {Request} req - Express request
+ * @param {string} [documentType] - Document opened (none for the package page)
+ */
+async function recordView(prisma, link, req, documentType = null) {
+    await prisma.shareLinkView.create({
+        data: {
+            shareLinkId: link.id,
+            documentType,
+            ipAddress: req.ip || null,
+            userAgent: req.get('user-agent')?.slice(0, 500) || null
+        }
+    });
+}
+
+/**
+ * Link as shown to its recipient
+ * @param {Object} link - From findByToken()
+ * @returns {Object}
+ */
+function describeShared(link) {
+    return {
+        recipientName: link.recipientName,
+        expiresAt: link.expiresAt,
+        sharedAt: link.createdAt,
+        job: link.job,
+        documents: sortDocuments(link.documents),
+        responses: link.responses.map(({ id, type, name, organization, conditions, createdAt }) => ({
+            id, type, name, organization, conditions, createdAt
+        }))
+    };
+}
+
+/**
+ * Convert a recipient's response into ShareLinkResponse fields
+ * @param {Object} body - { type, name, organization, conditions }
+ * @returns {Object}
+ * @throws {HttpError} - If a value is missing or invalid
+ */
+function normalizeResponse(body) {
+    const type = String(body.type || '').toUpperCase();
+    if (!RESPONSE_TYPES.includes(type)) {
+        throw new HttpError(`Invalid response type: ${body.type}. Allowed: ${RESPONSE_TYPES.join(', ')}`);
+    }
+
+    const data = {
+        type,
+        name: parseText(body.name),
+        organization: parseText(body.organization),
+        conditions: parseText(body.conditions)
+    };
+
+    if (!data.name) {
+        throw new HttpError('Your name is required');
+    }
+    if (type === 'APPROVED_WITH_CONDITIONS' && !data.conditions) {
+        throw new HttpError('Conditions are required when approving with conditions');
+    }
+    if (Object.values(data).some(value => value && value.length > MAX_TEXT_LENGTH)) {
+        throw new HttpError(`Responses are limited to ${MAX_TEXT_LENGTH} characters`);
+    }
+
+    return data;
+}
+
+module.exports = {
+    SHAREABLE_TYPES,
+    DEFAULT_EXPIRY_DAYS,
+    MAX_EXPIRY_DAYS,
+    RESPONSE_TYPES,
+    createToken,
+    verifySignature,
+    buildUrl,
+    getState,
+    normalizeLink,
+    createLink,
+    describeLink,
+    findByToken,
+    recordView,
+    describeShared,
+    normalizeResponse
+};
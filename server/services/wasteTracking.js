@@ -0,0 +1,353 @@
+/**
+ * Waste Tracking
+ * Records the waste captured on a job (filter bags, solids, effluent
+ * processed), where it was disposed of and what filtered effluent was
+ * discharged, so a capture clean can show what happened to what it captured.
+ *
+ * Discharges are checked against the jurisdiction's trade effluent limits
+ * when it has the tradeEffluentCompliance feature (SG: PUB).
+ */
+
+const documents = require('./documentGenerator');
+const ScenarioLogic = require('../../public/js/utils/scenarioLogic');
+const { HttpError } = require('./httpError');
+
+// Statuses a job must be in before waste can be recorded against it
+const RECORDABLE_STATUSES = ['APPROVED', 'IN_PROGRESS', 'COMPLETED'];
+
+const QUANTITY_FIELDS = ['filterBags', 'solidsMassKg', 'effluentVolumeL'];
+
+const NUMBER_FIELDS = [
+    'solidsMassKg', 'effluentVolumeL', 'dischargeVolumeL',
+    'dischargePh', 'dischargeTssMgL', 'dischargeCopperMgL', 'dischargeZincMgL'
+];
+
+const INTEGER_FIELDS = ['filterBags', 'filterMicron'];
+
+const TEXT_FIELDS = ['disposalFacility', 'manifestNumber', 'dischargePoint', 'dischargeApproval', 'notes'];
+
+// Trade effluent parameters with a maximum limit
+const EFFLUENT_PARAMETERS = [
+    { field: 'dischargeTssMgL', limit: 'tssMgL', label: 'Total suspended solids', unit: 'mg/L' },
+    { field: 'dischargeCopperMgL', limit: 'copperMgL', label: 'Copper', unit: 'mg/L' },
+    { field: 'dischargeZincMgL', limit: 'zincMgL', label: 'Zinc', unit: 'mg/L' }
+];
+
+const DOCUMENT = { type: 'WASTE_DISPOSAL', label: 'Waste-Disposal-Summary' };
+
+// ============================================
+// Validation
+// ============================================
+
+function parseDate(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new HttpError(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+function parseNumber(value, field, integer = false) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const number = Number(value);
+    if (isNaN(number) || number < 0 || (integer && !Number.isInteger(number))) {
+        throw new HttpError(`Invalid ${field}: ${value}`);
+    }
+    return number;
+}
+
+function parseText(value) {
+    return String(value ?? '').trim() || null;
+}
+
+/**
+ * Convert a request body into WasteRecord fields
+ * Records need a collection time and at least one captured quantity;
+ * updates only change the fields present in the body.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored record when updating
+ * @returns {Object} - Prisma data
+ * @throws {HttpError} - If a value is invalid
+ */
+function normalizeRecord(body, existing = null) {
+    const data = {};
+
+    for (const field of ['collectedAt', 'disposedAt']) {
+        if (field in body) data[field] = parseDate(body[field], field);
+    }
+    for (const field of NUMBER_FIELDS) {
+        if (field in body) data[field] = parseNumber(body[field], field);
+    }
+    for (const field of INTEGER_FIELDS) {
+        if (field in body) data[field] = parseNumber(body[field], field, true);
+    }
+    for (const field of TEXT_FIELDS) {
+        if (field in body) data[field] = parseText(body[field]);
+    }
+
+    if ('dischargePh' in data && data.dischargePh !== null && data.dischargePh > 14) {
+        throw new HttpError(`Invalid dischargePh: ${body.dischargePh}`);
+    }
+
+    const merged = { ...existing, ...data };
+
+    if (!merged.collectedAt) {
+        throw new HttpError('collectedAt is required');
+    }
+    if (QUANTITY_FIELDS.every(field => merged[field] === null || merged[field] === undefined)) {
+        throw new HttpError(`At least one of ${QUANTITY_FIELDS.join(', ')} is required`);
+    }
+    if (merged.disposedAt && new Date(merged.disposedAt) < new Date(merged.collectedAt)) {
+        throw new HttpError('disposedAt cannot be before collectedAt');
+    }
+
+    return data;
+}
+
+// ============================================
+// Checks
+// ============================================
+
+/**
+ * Waste requirements for a job: whether the scenario requires capture, the
+ * filtration standard and, where applicable, the trade effluent limits
+ *
+ * @param {Object} job - Job with the scenario fields and jurisdiction
+ * @returns {Object} - { captureRequired, filterMicron, tradeEffluent }
+ */
+function getRequirements(job) {
+    const jurisdiction = documents.getJurisdiction(job.jurisdiction);
+    const determination = ScenarioLogic.determine(documents.jobToFormData(job));
+    const scenarioLogic = jurisdiction.scenarioLogic || {};
+
+    return {
+        captureRequired: determination.captureRequired,
+        filterMicron: scenarioLogic.captureStandard?.filterMicron ?? null,
+        tradeEffluent: jurisdiction.features?.tradeEffluentCompliance
+            ? (scenarioLogic.tradeEffluentLimits || {})
+            : null
+    };
+}
+
+function isSet(value) {
+    return value !== null && value !== undefined;
+}
+
+/**
+ * Where a record is incomplete or outside the requirements
+ *
+ * @param {Object} record - Stored record
+ * @param {Object} requirements - From getRequirements()
+ * @returns {Array<{ code: string, message: string }>}
+ */
+function checkRecord(record, requirements) {
+    const flags = [];
+    const hasSolids = record.filterBags > 0 || record.solidsMassKg > 0;
+    const discharged = record.dischargeVolumeL > 0;
+
+    if (hasSolids && (!record.disposalFacility || !record.manifestNumber)) {
+        flags.push({
+            code: 'disposal_outstanding',
+            message: 'Captured solids have no disposal facility and manifest number recorded'
+        });
+    }
+
+    if (isSet(record.filterMicron) && isSet(requirements.filterMicron) && record.filterMicron > requirements.filterMicron) {
+        flags.push({
+            code: 'filtration_coarser',
+            message: `Filtered at ${record.filterMicron} micron; the capture standard is ${requirements.filterMicron} micron`
+        });
+    }
+
+    if (discharged && isSet(record.effluentVolumeL) && record.dischargeVolumeL > record.effluentVolumeL) {
+        flags.push({
+            code: 'discharge_exceeds_processed',
+            message: `Discharged ${record.dischargeVolumeL} L but only ${record.effluentVolumeL} L was processed`
+        });
+    }
+
+    const limits = requirements.tradeEffluent;
+    if (!discharged || !limits) {
+        return flags;
+    }
+
+    if (limits.approval && !record.dischargeApproval) {
+        flags.push({
+            code: 'approval_missing',
+            message: `No ${limits.approval} reference recorded for the discharge`
+        });
+    }
+
+    const missing = [
+        limits.ph && !isSet(record.dischargePh) ? 'pH' : null,
+        ...EFFLUENT_PARAMETERS
+            .filter(parameter => isSet(limits[parameter.limit]) && !isSet(record[parameter.field]))
+            .map(parameter => parameter.label.toLowerCase())
+    ].filter(Boolean);
+
+    if (missing.length) {
+        flags.push({
+            code: 'quality_missing',
+            message: `Discharge quality not recorded: ${missing.join(', ')}`
+        });
+    }
+
+    if (limits.ph && isSet(record.dischargePh) && (record.dischargePh < limits.ph.min || record.dischargePh > limits.ph.max)) {
+        flags.push({
+            code: 'limit_exceeded',
+            message: `Discharge pH ${record.dischargePh} is outside ${limits.ph.min}-${limits.ph.max}`
+        });
+    }
+
+    EFFLUENT_PARAMETERS
+        .filter(parameter => isSet(limits[parameter.limit]) && record[parameter.field] > limits[parameter.limit])
+        .forEach(parameter => flags.push({
+            code: 'limit_exceeded',
+            message: `${parameter.label} ${record[parameter.field]} ${parameter.unit} exceeds the limit of ${limits[parameter.limit]} ${parameter.unit}`
+        }));
+
+    return flags;
+}
+
+/**
+ * Record as returned by the API, with its checks
+ *
+ * @param {Object} record - Stored record
+ * @param {Object} requirements - From getRequirements()
+ * @returns {Object}
+ */
+function describeRecord(record, requirements) {
+    return {
+        ...record,
+        flags: checkRecord(record, requirements)
+    };
+}
+
+function sum(records, field) {
+    return Math.round(records.reduce((total, record) => total + (record[field] || 0), 0) * 100) / 100;
+}
+
+/**
+ * A job's waste records as returned by the API: the requirements, each
+ * record in collection order, and totals
+ *
+ * @param {Object} job - Job with the scenario fields and jurisdiction
+ * @param {Array<Object>} records - Stored records
+ * @returns {Object}
+ */
+function describeWaste(job, records) {
+    const requirements = getRequirements(job);
+    const described = [...records]
+        .sort((a, b) => new Date(a.collectedAt) - new Date(b.collectedAt))
+        .map(record => describeRecord(record, requirements));
+
+    return {
+        requirements,
+        records: described,
+        totals: {
+            records: described.length,
+            filterBags: sum(described, 'filterBags'),
+            solidsMassKg: sum(described, 'solidsMassKg'),
+            effluentVolumeL: sum(described, 'effluentVolumeL'),
+            dischargeVolumeL: sum(described, 'dischargeVolumeL'),
+            disposalOutstanding: described.filter(record => record.flags.some(flag => flag.code === 'disposal_outstanding')).length,
+            flagged: described.filter(record => record.flags.length > 0).length
+        }
+    };
+}
+
+/**
+ * Whether a job has reached a status where waste can be recorded
+ * @param {Object} job - Job with status
+ * @returns {boolean}
+ */
+function isRecordable(job) {
+    return RECORDABLE_STATUSES.includes(job.status);
+}
+
+// ============================================
+// Document
+// ============================================
+
+// Disposal summaries are read locally, so dates are in the jurisdiction's timezone
+function formatDay(date, timeZone) {
+    if (!date) return '';
+    return new Date(date).toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Build the template data for waste-disposal.hbs
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Array<Object>} records - Stored records
+ * @returns {Object}
+ */
+function buildSummaryData(job, records) {
+    const data = documents.buildTemplateData(job);
+    const waste = describeWaste(job, records);
+    const jurisdiction = documents.getJurisdiction(job.jurisdiction);
+    const timeZone = jurisdiction.timezone || 'UTC';
+    const limits = waste.requirements.tradeEffluent;
+
+    return {
+        ...data,
+        waste: {
+            ...waste,
+            records: waste.records.map(record => ({
+                ...record,
+                collected: formatDay(record.collectedAt, timeZone),
+                disposed: formatDay(record.disposedAt, timeZone),
+                discharged: record.dischargeVolumeL > 0,
+                flagged: record.flags.length > 0
+            })),
+            tradeEffluent: limits ? {
+                regulation: jurisdiction.regulations?.tradeEffluent?.name || 'Trade effluent requirements',
+                approval: limits.approval || null,
+                limits: [
+                    ...(limits.ph ? [{ label: 'pH', value: `${limits.ph.min}-${limits.ph.max}` }] : []),
+                    ...EFFLUENT_PARAMETERS
+                        .filter(parameter => isSet(limits[parameter.limit]))
+                        .map(parameter => ({ label: parameter.label, value: `≤ ${limits[parameter.limit]} ${parameter.unit}` }))
+                ]
+            } : null,
+            timeZone
+        }
+    };
+}
+
+/**
+ * Render the disposal summary and store it as a new WASTE_DISPOSAL document version
+ *
+ * @param {PrismaClient} prisma - Prisma client
+ * @param {Object} job - Job with vessel and crewAssignments.crewMember
+ * @param {Array<Object>} records - Stored records
+ * @param {Object} user - User generating the document
+ * @returns {Promise<Object>} - Created Document (without content)
+ */
+async function generateSummary(prisma, job, records, user) {
+    const html = documents.renderTemplate('waste-disposal', buildSummaryData(job, records));
+    const revisionNumber = await documents.getLatestRevisionNumber(prisma, job.id);
+
+    return documents.storeDocument(prisma, job, user, {
+        ...DOCUMENT,
+        extension: 'html',
+        mimeType: 'text/html',
+        content: html,
+        revisionNumber
+    });
+}
+
+module.exports = {
+    RECORDABLE_STATUSES,
+    normalizeRecord,
+    getRequirements,
+    checkRecord,
+    describeRecord,
+    describeWaste,
+    isRecordable,
+    buildSummaryData,
+    generateSummary
+};
@@ -0,0 +1,75 @@
+/**
+ * Concurrency Tests
+ * Reading the version a client expects and checking it against the stored
+ * record (server/services/concurrency.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const concurrency = require('../server/services/concurrency');
+
+/**
+ * Stand-in for an Express request with the given headers and body
+ */
+function createRequest(headers = {}, body = {}) {
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return {
+        body,
+        get: name => lowerCased[name.toLowerCase()]
+    };
+}
+
+describe('concurrency', () => {
+    describe('getExpectedVersion', () => {
+        it('reads a strong or weak ETag from If-Match', () => {
+            assert.equal(concurrency.getExpectedVersion(createRequest({ 'If-Match': '"3"' })), 3);
+            assert.equal(concurrency.getExpectedVersion(createRequest({ 'If-Match': 'W/"3"' })), 3);
+            assert.equal(concurrency.getExpectedVersion(createRequest({ 'If-Match': '12' })), 12);
+        });
+
+        it('prefers If-Match over the body version', () => {
+            assert.equal(concurrency.getExpectedVersion(createRequest({ 'If-Match': '"4"' }, { version: 2 })), 4);
+        });
+
+        it('falls back to the body version for a wildcard or unreadable header', () => {
+            assert.equal(concurrency.getExpectedVersion(createRequest({ 'If-Match': '*' }, { version: 2 })), 2);
+            assert.equal(concurrency.getExpectedVersion(createRequest({ 'If-Match': '"abc"' }, { version: '5' })), 5);
+        });
+
+        it('is null when the client sent no version', () => {
+            assert.equal(concurrency.getExpectedVersion(createRequest()), null);
+            assert.equal(concurrency.getExpectedVersion(createRequest({ 'If-Match': '*' })), null);
+            assert.equal(concurrency.getExpectedVersion({ get: () => undefined }), null);
+        });
+    });
+
+    describe('parseVersion', () => {
+        it('reads a number or numeric string and ignores anything else', () => {
+            assert.equal(concurrency.parseVersion(7), 7);
+            assert.equal(concurrency.parseVersion('7'), 7);
+            assert.equal(concurrency.parseVersion(undefined), null);
+            assert.equal(concurrency.parseVersion(''), null);
+            assert.equal(concurrency.parseVersion('latest'), null);
+        });
+    });
+
+    describe('matchesVersion', () => {
+        it('lets an update proceed at the stored version or when none was sent', () => {
+            assert.equal(concurrency.matchesVersion(3, { version: 3 }), true);
+            assert.equal(concurrency.matchesVersion(null, { version: 3 }), true);
+        });
+
+        it('refuses an update from an older or newer version', () => {
+            assert.equal(concurrency.matchesVersion(2, { version: 3 }), false);
+            assert.equal(concurrency.matchesVersion(4, { version: 3 }), false);
+        });
+    });
+
+    describe('toETag', () => {
+        it('round-trips through If-Match', () => {
+            const etag = concurrency.toETag({ version: 9 });
+            assert.equal(etag, '"9"');
+            assert.equal(concurrency.getExpectedVersion(createRequest({ 'If-Match': etag })), 9);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Decompression Tables Tests
+ * No-decompression limit lookups and the dive plan check
+ * (public/js/utils/decompressionTables.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DecompressionTables = require('../public/js/utils/decompressionTables');
+
+const { TABLES, FEET_PER_METRE } = DecompressionTables;
+
+/**
+ * Convert a table depth to the metres the form records
+ */
+function toMetres(depth, tableId) {
+    return TABLES[tableId].unit === 'ft' ? depth / FEET_PER_METRE : depth;
+}
+
+describe('DecompressionTables', () => {
+    for (const tableId of Object.keys(TABLES)) {
+        describe(`${tableId} limits`, () => {
+            const rows = TABLES[tableId].limits;
+
+            it('uses the row printed for a depth exactly on it', () => {
+                for (const row of rows) {
+                    const limit = DecompressionTables.getLimit(toMetres(row.depth, tableId), tableId);
+                    assert.equal(limit.tableDepth, row.depth, `${row.depth} ${TABLES[tableId].unit}`);
+                    assert.equal(limit.limit, row.limit, `${row.depth} ${TABLES[tableId].unit}`);
+                }
+            });
+
+            it('uses the next deeper row just past each depth', () => {
+                rows.slice(0, -1).forEach((row, index) => {
+                    const limit = DecompressionTables.getLimit(toMetres(row.depth + 0.1, tableId), tableId);
+                    assert.equal(limit.tableDepth, rows[index + 1].depth, `${row.depth} ${TABLES[tableId].unit}`);
+                    assert.equal(limit.limit, rows[index + 1].limit, `${row.depth} ${TABLES[tableId].unit}`);
+                });
+            });
+
+            it('has no limit just past the deepest row', () => {
+                const deepest = rows[rows.length - 1].depth;
+                assert.equal(DecompressionTables.getLimit(toMetres(deepest + 0.1, tableId), tableId), null);
+            });
+        });
+    }
+
+    it('falls back to the default table for an unknown table', () => {
+        const limit = DecompressionTables.getLimit(12, 'UNKNOWN');
+        assert.equal(limit.table, 'DCIEM');
+        assert.equal(limit.limit, 150);
+    });
+
+    describe('validate', () => {
+        it('allows a bottom time equal to the limit', () => {
+            const result = DecompressionTables.validate({ maxDepth: '18', bottomTime: '50' });
+            assert.equal(result.applicable, true);
+            assert.equal(result.requiresStops, false);
+            assert.deepEqual(result.warnings, []);
+        });
+
+        it('requires stops a minute past the limit and flags a No Deco plan', () => {
+            const result = DecompressionTables.validate({ maxDepth: '18', bottomTime: '51', decoProfile: 'No Deco' });
+            assert.equal(result.requiresStops, true);
+            assert.equal(result.warnings.length, 2);
+        });
+
+        it('requires stops beyond the deepest row', () => {
+            const result = DecompressionTables.validate({ maxDepth: '55' });
+            assert.equal(result.limit, null);
+            assert.equal(result.requiresStops, true);
+        });
+
+        it('checks Nitrox at its equivalent air depth', () => {
+            const result = DecompressionTables.validate({ maxDepth: '30', bottomTime: '20', gasType: 'Nitrox', equivalentAirDepth: 24.5 });
+            assert.equal(result.limit.tableDepth, 27);
+            assert.equal(result.requiresStops, false);
+        });
+
+        it('does not apply to other gases', () => {
+            assert.equal(DecompressionTables.validate({ maxDepth: '30', gasType: 'Heliox' }).applicable, false);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Dive Team Rules Tests
+ * Blocking and advisory team composition issues by standard
+ * (public/js/utils/diveTeamRules.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DiveTeamRules = require('../public/js/utils/diveTeamRules');
+
+const TEAM = {
+    diveSupervisor: 'Sam Lee',
+    diveSupervisorADAS: 'ADAS-1',
+    diver1: 'Alex Kim',
+    diver1ADAS: 'ADAS-2',
+    diver2: 'Jo Smith',
+    diver2ADAS: 'ADAS-3',
+    diveTender: 'Chris Park',
+    diveTenderADAS: 'ADAS-4',
+    maxDepth: '12',
+    siteType: 'port',
+    onSiteMedic: 'no'
+};
+
+/**
+ * Codes of the blocking issues for a form
+ */
+function blockingCodes(data, ruleSetId) {
+    return DiveTeamRules.validate(data, ruleSetId).issues
+        .filter(issue => issue.blocking)
+        .map(issue => issue.code);
+}
+
+describe('DiveTeamRules', () => {
+    it('passes a full team on a shallow dive under every standard', () => {
+        for (const ruleSetId of Object.keys(DiveTeamRules.RULE_SETS)) {
+            const result = DiveTeamRules.validate(TEAM, ruleSetId);
+            assert.equal(result.blocking, false, ruleSetId);
+            assert.deepEqual(result.issues, [], ruleSetId);
+        }
+    });
+
+    it('falls back to AS/NZS 2299.1 for an unknown rule set', () => {
+        assert.equal(DiveTeamRules.validate(TEAM, 'UNKNOWN').ruleSet, 'AS2299');
+    });
+
+    it('blocks each missing position', () => {
+        assert.deepEqual(blockingCodes({ ...TEAM, diveSupervisor: '' }), ['supervisor_missing']);
+        assert.deepEqual(blockingCodes({ ...TEAM, diver1: ' ' }), ['diver_missing']);
+        assert.deepEqual(blockingCodes({ ...TEAM, diver2: '' }), ['standby_missing']);
+        assert.deepEqual(blockingCodes({ ...TEAM, diveTender: '' }), ['tender_missing']);
+    });
+
+    it('blocks one person in two positions', () => {
+        assert.deepEqual(blockingCodes({ ...TEAM, diveTender: 'alex kim' }), ['duplicate_member']);
+    });
+
+    it('lets the supervisor dive only where the standard allows it', () => {
+        const data = { ...TEAM, diver1: 'Sam Lee' };
+
+        assert.deepEqual(blockingCodes(data, 'AS2299'), ['duplicate_member']);
+
+        const osha = DiveTeamRules.validate(data, 'OSHA');
+        assert.equal(osha.blocking, false);
+        assert.deepEqual(osha.issues.map(issue => issue.code), ['supervisor_diving']);
+    });
+
+    it('advises, without blocking, on a missing ADAS number', () => {
+        const result = DiveTeamRules.validate({ ...TEAM, diver2ADAS: '' });
+        assert.equal(result.blocking, false);
+        assert.deepEqual(result.issues.map(issue => issue.code), ['certification_missing']);
+    });
+
+    describe('dive medic', () => {
+        it('is required past the depth threshold, not at it', () => {
+            assert.deepEqual(blockingCodes({ ...TEAM, maxDepth: '30' }), []);
+            assert.deepEqual(blockingCodes({ ...TEAM, maxDepth: '31' }), ['medic_required']);
+            assert.deepEqual(blockingCodes({ ...TEAM, maxDepth: '31', onSiteMedic: 'yes' }), []);
+        });
+
+        it('is required for decompression dives', () => {
+            assert.deepEqual(blockingCodes({ ...TEAM, decoProfile: 'Planned Deco' }), ['medic_required']);
+            assert.deepEqual(blockingCodes({ ...TEAM, decoProfile: 'Planned Deco' }, 'OSHA'), []);
+        });
+
+        it('is required at defence and navy sites whatever the depth', () => {
+            assert.deepEqual(blockingCodes({ ...TEAM, siteType: 'defence' }, 'OSHA'), ['medic_required']);
+            assert.deepEqual(blockingCodes({ ...TEAM, siteType: 'navy', onSiteMedic: 'yes' }), []);
+        });
+    });
+
+    describe('recompression chamber', () => {
+        it('must be on site past the depth threshold', () => {
+            const data = { ...TEAM, onSiteMedic: 'yes', chamberTravel: '60' };
+
+            assert.deepEqual(blockingCodes({ ...data, maxDepth: '30' }), []);
+            assert.deepEqual(blockingCodes({ ...data, maxDepth: '31' }), ['chamber_on_site']);
+            assert.deepEqual(blockingCodes({ ...data, maxDepth: '31', chamberTravel: '0' }), []);
+            assert.deepEqual(blockingCodes({ ...data, maxDepth: '50' }, 'IMCA'), []);
+        });
+
+        it('must be on site for OSHA decompression dives deeper than 12 m', () => {
+            const data = { ...TEAM, decoProfile: 'Planned Deco', chamberTravel: '60' };
+
+            assert.deepEqual(blockingCodes({ ...data, maxDepth: '12' }, 'OSHA'), []);
+            assert.deepEqual(blockingCodes({ ...data, maxDepth: '13' }, 'OSHA'), ['chamber_on_site']);
+        });
+
+        it('must be within the standard travel time', () => {
+            assert.deepEqual(blockingCodes({ ...TEAM, chamberTravel: '120' }), []);
+            assert.deepEqual(blockingCodes({ ...TEAM, chamberTravel: '121' }), ['chamber_too_far']);
+            assert.deepEqual(blockingCodes({ ...TEAM, chamberTravel: '240' }, 'OSHA'), []);
+        });
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Job Mapping Tests
+ * Round trips between the job form and the stored Job, Vessel and JobCrew
+ * records (public/js/utils/jobMapping.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JobMapping = require('../public/js/utils/jobMapping');
+
+/**
+ * Store a form the way the server does and return the job it would load
+ * Dates come back from the database as Date objects and crew as assignments
+ * in whatever order the query returns them.
+ */
+function storeAndLoad(formData, { reverseCrew = false, snapshot = formData } = {}) {
+    const { job, vessel, crew } = JobMapping.toRecords(formData);
+
+    const assignments = crew.map(member => ({
+        role: member.role,
+        crewMember: { name: member.name, adasCertNumber: member.adasCertNumber }
+    }));
+
+    return JobMapping.fromJob({
+        ...job,
+        proposedStartDate: job.proposedStartDate ? new Date(job.proposedStartDate) : null,
+        proposedEndDate: job.proposedEndDate ? new Date(job.proposedEndDate) : null,
+        jobNumber: 'WA-2026-0001',
+        vessel,
+        crewAssignments: reverseCrew ? assignments.reverse() : assignments,
+        formDataSnapshot: snapshot
+    });
+}
+
+const FORM = {
+    jobNumber: 'WA-2026-0001',
+    clientName: 'Pacific Shipping',
+    proposedStartDate: '2026-03-02',
+    estimatedDuration: '3',
+    cleaningLocation: 'Fremantle Inner Harbour',
+    afcType: 'SPC',
+    afcCondition: 'good',
+    noProhibitedBiocides: true,
+    foulingRating: '3',
+    foulingCover: '16-40',
+    scopeHull: true,
+    scopeNicheAreas: true,
+    scopePropeller: false,
+    maxDepth: '12',
+    onSiteMedic: 'yes',
+    siteType: 'port',
+    requiresPTW: true,
+    vesselName: 'MV Example',
+    imoNumber: '9123456',
+    mmsiNumber: '503000000',
+    vesselLOA: 180,
+    vesselBeam: 32.2,
+    grossTonnage: '25000',
+    diveSupervisor: 'Sam Lee',
+    diveSupervisorADAS: 'ADAS-1',
+    diver1: 'Alex Kim',
+    diver1ADAS: 'ADAS-2',
+    diver2: 'Jo Smith',
+    diver2ADAS: 'ADAS-3',
+    diveTender: 'Chris Park',
+    diveTenderADAS: '',
+    equipHPWasher: true,
+    activityInspection: true
+};
+
+describe('JobMapping', () => {
+    it('round-trips every mapped field of a form', () => {
+        const loaded = storeAndLoad(FORM);
+
+        for (const [field, value] of Object.entries(FORM)) {
+            assert.deepEqual(loaded[field], value, field);
+        }
+    });
+
+    it('round-trips without a snapshot, from the records alone', () => {
+        const loaded = storeAndLoad(FORM, { snapshot: null });
+
+        assert.equal(loaded.clientName, 'Pacific Shipping');
+        assert.equal(loaded.proposedStartDate, '2026-03-02');
+        assert.equal(loaded.estimatedDuration, '3');
+        assert.equal(loaded.foulingCover, '16-40');
+        assert.equal(loaded.vesselName, 'MV Example');
+        assert.equal(loaded.diver1, 'Alex Kim');
+        assert.equal(loaded.diver2, 'Jo Smith');
+        assert.equal(loaded.equipHPWasher, true);
+    });
+
+    describe('fouling cover bands', () => {
+        it('stores the lower bound of the band chosen on the form', () => {
+            assert.equal(JobMapping.toJob({ foulingCover: '0' }).foulingCover, 0);
+            assert.equal(JobMapping.toJob({ foulingCover: '6-15' }).foulingCover, 6);
+            assert.equal(JobMapping.toJob({ foulingCover: '41-100' }).foulingCover, 41);
+            assert.equal(JobMapping.toJob({ foulingCover: '' }).foulingCover, null);
+        });
+
+        it('shows a measured cover as the band it falls in', () => {
+            assert.equal(JobMapping.fromJob({ foulingCover: 0 }).foulingCover, '0');
+            assert.equal(JobMapping.fromJob({ foulingCover: 5 }).foulingCover, '1-5');
+            assert.equal(JobMapping.fromJob({ foulingCover: 23 }).foulingCover, '16-40');
+            assert.equal(JobMapping.fromJob({ foulingCover: 100 }).foulingCover, '41-100');
+            assert.equal(JobMapping.fromJob({ foulingCover: 101 }).foulingCover, '');
+        });
+
+        it('round-trips every band', () => {
+            for (const { value } of JobMapping.COVER_BANDS) {
+                assert.equal(storeAndLoad({ ...FORM, foulingCover: value }).foulingCover, value);
+            }
+        });
+    });
+
+    describe('yes/no fields', () => {
+        it('stores yes as true and anything else as false', () => {
+            assert.equal(JobMapping.toJob({ onSiteMedic: 'yes' }).onSiteDiveMedic, true);
+            assert.equal(JobMapping.toJob({ onSiteMedic: 'no' }).onSiteDiveMedic, false);
+            assert.equal(JobMapping.toJob({}).onSiteDiveMedic, false);
+        });
+
+        it('round-trips yes and no', () => {
+            assert.equal(storeAndLoad({ ...FORM, onSiteMedic: 'yes' }).onSiteMedic, 'yes');
+            assert.equal(storeAndLoad({ ...FORM, onSiteMedic: 'no' }, { snapshot: null }).onSiteMedic, 'no');
+        });
+
+        it('defaults to no on an empty form', () => {
+            assert.equal(JobMapping.fromJob({}).onSiteMedic, 'no');
+        });
+    });
+
+    describe('dates', () => {
+        it('derives the end date from the start date and duration', () => {
+            assert.equal(JobMapping.getEndDate({ proposedStartDate: '2026-03-02', estimatedDuration: '3' }), '2026-03-04');
+            assert.equal(JobMapping.getEndDate({ proposedStartDate: '2026-02-28', estimatedDuration: '2' }), '2026-03-01');
+            assert.equal(JobMapping.getEndDate({ proposedStartDate: '2026-03-02' }), '2026-03-02');
+            assert.equal(JobMapping.getEndDate({ proposedStartDate: 'not a date' }), null);
+            assert.equal(JobMapping.getEndDate({}), null);
+        });
+
+        it('loads stored dates as YYYY-MM-DD whether given as Date or ISO string', () => {
+            assert.equal(JobMapping.fromJob({ proposedStartDate: new Date('2026-03-02T00:00:00Z') }).proposedStartDate, '2026-03-02');
+            assert.equal(JobMapping.fromJob({ proposedStartDate: '2026-03-02T00:00:00.000Z' }).proposedStartDate, '2026-03-02');
+        });
+
+        it('derives the duration from stored start and end dates', () => {
+            const loaded = JobMapping.fromJob({
+                proposedStartDate: '2026-03-02T00:00:00.000Z',
+                proposedEndDate: '2026-03-06T00:00:00.000Z'
+            });
+            assert.equal(loaded.estimatedDuration, '5');
+        });
+    });
+
+    describe('crew slots', () => {
+        it('lists crew in slot order with their roles', () => {
+            assert.deepEqual(JobMapping.toCrew(FORM).map(member => [member.role, member.name]), [
+                ['DIVE_SUPERVISOR', 'Sam Lee'],
+                ['DIVER', 'Alex Kim'],
+                ['DIVER', 'Jo Smith'],
+                ['DIVE_TENDER', 'Chris Park']
+            ]);
+        });
+
+        it('keeps divers in their saved slots whatever order they are loaded in', () => {
+            const loaded = storeAndLoad(FORM, { reverseCrew: true });
+
+            assert.equal(loaded.diver1, 'Alex Kim');
+            assert.equal(loaded.diver1ADAS, 'ADAS-2');
+            assert.equal(loaded.diver2, 'Jo Smith');
+            assert.equal(loaded.diver2ADAS, 'ADAS-3');
+        });
+
+        it('fills the first slot when only the second was named', () => {
+            const loaded = storeAndLoad({ ...FORM, diver1: '', diver1ADAS: '' }, { snapshot: null });
+
+            assert.equal(loaded.diver1, 'Jo Smith');
+            assert.equal(loaded.diver2, '');
+        });
+
+        it('skips blank slots and stores a blank ADAS number as null', () => {
+            const crew = JobMapping.toCrew({ diveSupervisor: '  ', diver1: 'Alex Kim', diver1ADAS: '' });
+            assert.deepEqual(crew, [{ role: 'DIVER', name: 'Alex Kim', adasCertNumber: null }]);
+        });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Job Workflow Tests
+ * Allowed status transitions and how they are applied
+ * (server/services/jobWorkflow.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const workflow = require('../server/services/jobWorkflow');
+
+const USER = { id: 'user-1' };
+
+/**
+ * Stand-in for the Prisma client holding a single job
+ * Records the transitions created so tests can check the audit trail.
+ */
+function createPrisma(job) {
+    const stored = { ...job, version: job.version ?? 1 };
+    const transitions = [];
+
+    const tx = {
+        job: {
+            async updateMany({ where, data }) {
+                const matches = where.id === stored.id && where.status === stored.status &&
+                    (where.workStoppedAt === undefined || where.workStoppedAt === (stored.workStoppedAt ?? null));
+                if (!matches) return { count: 0 };
+
+                const { version, ...fields } = data;
+                Object.assign(stored, fields, { version: stored.version + version.increment });
+                return { count: 1 };
+            },
+            async findUnique() {
+                return { ...stored };
+            }
+        },
+        jobStatusTransition: {
+            async create({ data }) {
+                transitions.push(data);
+                return { id: `transition-${transitions.length}`, ...data };
+            }
+        }
+    };
+
+    return {
+        stored,
+        transitions,
+        $transaction: callback => callback(tx)
+    };
+}
+
+/**
+ * Assert that a promise rejects with an HttpError of the given status
+ */
+function rejectsWith(promise, status, pattern) {
+    return assert.rejects(promise, error => {
+        assert.equal(error.name, 'HttpError');
+        assert.equal(error.status, status);
+        if (pattern) assert.match(error.message, pattern);
+        return true;
+    });
+}
+
+describe('jobWorkflow', () => {
+    describe('TRANSITIONS', () => {
+        it('moves a job through the approval path', () => {
+            assert.equal(workflow.getAction('DRAFT', 'PENDING_APPROVAL'), 'submit');
+            assert.equal(workflow.getAction('PENDING_APPROVAL', 'APPROVED'), 'approve');
+            assert.equal(workflow.getAction('PENDING_APPROVAL', 'DRAFT'), 'reject');
+            assert.equal(workflow.getAction('APPROVED', 'IN_PROGRESS'), 'start');
+            assert.equal(workflow.getAction('IN_PROGRESS', 'COMPLETED'), 'complete');
+        });
+
+        it('cancels from any open status and from neither end status', () => {
+            for (const status of workflow.JOB_STATUSES) {
+                const open = !['COMPLETED', 'CANCELLED'].includes(status);
+                assert.equal(workflow.canTransition(status, 'CANCELLED'), open, status);
+            }
+        });
+
+        it('refuses skipping sign-off or reopening a finished job', () => {
+            assert.equal(workflow.canTransition('DRAFT', 'APPROVED'), false);
+            assert.equal(workflow.canTransition('DRAFT', 'IN_PROGRESS'), false);
+            assert.equal(workflow.canTransition('APPROVED', 'DRAFT'), false);
+            assert.equal(workflow.canTransition('COMPLETED', 'IN_PROGRESS'), false);
+            assert.equal(workflow.canTransition('CANCELLED', 'DRAFT'), false);
+            assert.equal(workflow.getAction('UNKNOWN', 'DRAFT'), null);
+        });
+
+        it('lists the allowed transitions for each status', () => {
+            assert.deepEqual(workflow.getAllowedTransitions('PENDING_APPROVAL'), ['APPROVED', 'DRAFT', 'CANCELLED']);
+            assert.deepEqual(workflow.getAllowedTransitions('COMPLETED'), []);
+            assert.deepEqual(workflow.getAllowedTransitions('UNKNOWN'), []);
+        });
+
+        it('leaves approval and rejection to reviewers', () => {
+            assert.equal(workflow.isReviewTransition('PENDING_APPROVAL', 'APPROVED'), true);
+            assert.equal(workflow.isReviewTransition('PENDING_APPROVAL', 'DRAFT'), true);
+            assert.equal(workflow.isReviewTransition('PENDING_APPROVAL', 'CANCELLED'), false);
+            assert.equal(workflow.isReviewTransition('DRAFT', 'PENDING_APPROVAL'), false);
+        });
+
+        it('locks a job for editing while it is with a reviewer', () => {
+            assert.doesNotThrow(() => workflow.assertEditable({ status: 'DRAFT' }));
+            assert.throws(() => workflow.assertEditable({ status: 'PENDING_APPROVAL' }), { status: 409 });
+            assert.throws(() => workflow.assertEditable({ status: 'APPROVED' }), { status: 409 });
+        });
+    });
+
+    describe('transitionJob', () => {
+        it('submits a draft and records the transition', async () => {
+            const prisma = createPrisma({ id: 'job-1', status: 'DRAFT' });
+
+            const { job, transition } = await workflow.transitionJob(prisma, { id: 'job-1', status: 'DRAFT' }, 'PENDING_APPROVAL', USER, '  Ready  ');
+
+            assert.equal(job.status, 'PENDING_APPROVAL');
+            assert.equal(job.version, 2);
+            assert.ok(job.submittedAt instanceof Date);
+            assert.equal(transition.action, 'submit');
+            assert.equal(transition.reason, 'Ready');
+            assert.deepEqual(prisma.transitions.map(entry => [entry.fromStatus, entry.toStatus, entry.userId]), [
+                ['DRAFT', 'PENDING_APPROVAL', 'user-1']
+            ]);
+        });
+
+        it('returns a rejected job to DRAFT and clears its sign-off dates', async () => {
+            const pending = { id: 'job-1', status: 'PENDING_APPROVAL', submittedAt: new Date(), approvedAt: null };
+            const prisma = createPrisma(pending);
+
+            const { job, transition } = await workflow.transitionJob(prisma, pending, 'DRAFT', USER, 'Missing SWMS');
+
+            assert.equal(job.status, 'DRAFT');
+            assert.equal(job.submittedAt, null);
+            assert.equal(job.approvedAt, null);
+            assert.equal(transition.action, 'reject');
+            assert.equal(transition.reason, 'Missing SWMS');
+        });
+
+        it('refuses a transition the workflow does not allow with 409', async () => {
+            const draft = { id: 'job-1', status: 'DRAFT' };
+            const prisma = createPrisma(draft);
+
+            await rejectsWith(workflow.transitionJob(prisma, draft, 'APPROVED', USER), 409, /Allowed: PENDING_APPROVAL, CANCELLED/);
+            assert.equal(prisma.stored.status, 'DRAFT');
+            assert.deepEqual(prisma.transitions, []);
+        });
+
+        it('refuses an unknown status with 400', async () => {
+            const draft = { id: 'job-1', status: 'DRAFT' };
+            await rejectsWith(workflow.transitionJob(createPrisma(draft), draft, 'ARCHIVED', USER), 400);
+        });
+
+        it('refuses a transition when the job was moved by someone else', async () => {
+            const prisma = createPrisma({ id: 'job-1', status: 'CANCELLED' });
+
+            await rejectsWith(workflow.transitionJob(prisma, { id: 'job-1', status: 'DRAFT' }, 'PENDING_APPROVAL', USER), 409, /changed by someone else/);
+            assert.deepEqual(prisma.transitions, []);
+        });
+
+        it('refuses to start a job while work is stopped', async () => {
+            const stopped = { id: 'job-1', status: 'APPROVED', workStoppedAt: new Date(), workStopReason: 'Incident under investigation' };
+
+            await rejectsWith(workflow.transitionJob(createPrisma(stopped), stopped, 'IN_PROGRESS', USER), 409, /Incident under investigation/);
+
+            const cancelled = await workflow.transitionJob(createPrisma(stopped), stopped, 'CANCELLED', USER);
+            assert.equal(cancelled.job.status, 'CANCELLED');
+        });
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Scenario Logic Tests
+ * Nitrox MOD/EAD and SAP water sampling results
+ * (public/js/utils/scenarioLogic.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ScenarioLogic = require('../public/js/utils/scenarioLogic');
+
+/**
+ * Build an upstream or downstream SAP sample
+ */
+function sample(position, values, sampledAt = '2026-03-02T09:00:00Z') {
+    return { id: `${position}-${sampledAt}`, position, sampledAt, dissolvedCopperUgL: 0.5, dissolvedZincUgL: 2, tssMgL: 5, ...values };
+}
+
+describe('ScenarioLogic', () => {
+    describe('determineGas', () => {
+        const nitrox = (nitroxO2, ppO2Limit, maxDepth) => ScenarioLogic.determineGas({ gasType: 'Nitrox', nitroxO2, ppO2Limit, maxDepth });
+
+        it('has no MOD or EAD for air', () => {
+            assert.deepEqual(ScenarioLogic.determineGas({ maxDepth: '30' }), { gasType: 'Air', isNitrox: false, mod: null, ead: null, warnings: [] });
+        });
+
+        it('rounds the MOD down to the decimetre', () => {
+            assert.equal(nitrox('32', '1.4', '20').mod, 33.7);
+            assert.equal(nitrox('36', '1.4', '20').mod, 28.8);
+            assert.equal(nitrox('28', '1.4', '20').mod, 39.9);
+            assert.equal(nitrox('32', '1.6', '20').mod, 40);
+        });
+
+        it('rounds the EAD up to the decimetre', () => {
+            assert.equal(nitrox('32', '1.4', '30').ead, 24.5);
+            assert.equal(nitrox('36', '1.4', '20').ead, 14.4);
+            assert.equal(nitrox('28', '1.4', '18').ead, 15.6);
+        });
+
+        it('never gives a negative EAD and none without a depth', () => {
+            assert.equal(nitrox('32', '1.4', '1').ead, 0);
+            assert.equal(nitrox('32', '1.4', '').ead, null);
+        });
+
+        it('defaults to EAN32 at 1.4 bar', () => {
+            const gas = nitrox('', '1.5', '20');
+            assert.equal(gas.mix, 'EAN32');
+            assert.equal(gas.ppO2Limit, 1.4);
+        });
+
+        it('warns only when the depth is past the MOD', () => {
+            assert.equal(nitrox('32', '1.4', '33.7').exceedsMod, false);
+
+            const gas = nitrox('32', '1.4', '34');
+            assert.equal(gas.exceedsMod, true);
+            assert.equal(gas.ppO2AtDepth, 1.41);
+            assert.equal(gas.warnings.length, 1);
+        });
+    });
+
+    describe('evaluateSapResults', () => {
+        const { dissolvedCopperUgL, dissolvedZincUgL, tssIncreaseMgL } = ScenarioLogic.SAP_DEFAULT_THRESHOLDS;
+        const evaluate = downstream => ScenarioLogic.evaluateSapResults([
+            sample('UPSTREAM', {}),
+            sample('DOWNSTREAM', downstream, '2026-03-02T10:00:00Z')
+        ]);
+
+        it('passes metals at the thresholds', () => {
+            assert.equal(evaluate({ dissolvedCopperUgL, dissolvedZincUgL }).status, 'pass');
+        });
+
+        it('fails metals just over the thresholds', () => {
+            assert.equal(evaluate({ dissolvedCopperUgL: dissolvedCopperUgL + 0.01 }).status, 'fail');
+            assert.equal(evaluate({ dissolvedZincUgL: dissolvedZincUgL + 0.01 }).status, 'fail');
+        });
+
+        it('passes TSS at the allowed increase over upstream and fails just over it', () => {
+            assert.equal(evaluate({ tssMgL: 5 + tssIncreaseMgL }).status, 'pass');
+            assert.equal(evaluate({ tssMgL: 5 + tssIncreaseMgL + 0.1 }).status, 'fail');
+        });
+
+        it('passes metals over the threshold but no higher than upstream', () => {
+            const result = ScenarioLogic.evaluateSapResults([
+                sample('UPSTREAM', { dissolvedCopperUgL: 2 }),
+                sample('DOWNSTREAM', { dissolvedCopperUgL: 2 }, '2026-03-02T10:00:00Z'),
+                sample('DOWNSTREAM', { dissolvedCopperUgL: 2.1 }, '2026-03-02T11:00:00Z')
+            ]);
+            assert.deepEqual(result.samples.map(entry => entry.result), ['reference', 'pass', 'fail']);
+            assert.equal(result.status, 'fail');
+        });
+
+        it('is pending while a result is missing or there are no downstream samples', () => {
+            assert.equal(evaluate({ tssMgL: null }).status, 'pending');
+            assert.equal(ScenarioLogic.evaluateSapResults([sample('UPSTREAM', {})]).status, 'pending');
+        });
+
+        it('uses the jurisdiction thresholds when given', () => {
+            const result = ScenarioLogic.evaluateSapResults([
+                sample('UPSTREAM', {}),
+                sample('DOWNSTREAM', { dissolvedCopperUgL: 3 }, '2026-03-02T10:00:00Z')
+            ], { dissolvedCopperUgL: 3, dissolvedZincUgL: null, tssIncreaseMgL: null });
+            assert.equal(result.status, 'pass');
+        });
+    });
+});